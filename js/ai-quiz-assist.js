@@ -1,6 +1,7 @@
 /**
  * AI Quiz Assist - Frontend UI + Control Flow
  * Manages AI explanation bubble, toggle, and Continue vs auto-advance logic
+ * The explanation is streamed from /api/ai/explain/stream and rendered as it arrives.
  */
 
 (function() {
@@ -53,6 +54,61 @@
     return (hash >>> 0).toString(16);
   }
 
+  // Read a Server-Sent Events response, calling onEvent(event, data) with the parsed JSON
+  // data of each event as it arrives.
+  async function readEvents(response, onEvent) {
+    const dispatch = (block) => {
+      let event = 'message';
+      const data = [];
+      block.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      });
+      if (!data.length) return;
+      let parsed;
+      try {
+        parsed = JSON.parse(data.join('\n'));
+      } catch {
+        return;
+      }
+      onEvent(event, parsed);
+    };
+
+    // Browsers without streaming fetch bodies get all events at the end
+    if (!response.body || !response.body.getReader) {
+      (await response.text()).replace(/\r\n/g, '\n').split('\n\n').forEach(dispatch);
+      return;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { done, value } = await reader.read();
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+      buffer = buffer.replace(/\r\n/g, '\n');
+      let end;
+      while ((end = buffer.indexOf('\n\n')) >= 0) {
+        dispatch(buffer.slice(0, end));
+        buffer = buffer.slice(end + 2);
+      }
+      if (done) break;
+    }
+    if (buffer.trim()) dispatch(buffer);
+  }
+
+  // Text for a 429 from the explain endpoint (see utils/aiQuota.js)
+  function quotaMessage(body) {
+    const base = (body && body.error) || 'AI explanation limit reached.';
+    const retryAt = body && body.retry_at ? new Date(body.retry_at) : null;
+    if (!retryAt || isNaN(retryAt.getTime())) return base + ' You can continue.';
+    const sameDay = retryAt.toDateString() === new Date().toDateString();
+    const when = sameDay
+      ? retryAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : retryAt.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+    return 'AI explanation limit reached. More explanations are available from ' + when + '. You can continue.';
+  }
+
   // Create AI assist UI dynamically
   function createAiAssistUI() {
     const container = document.createElement('div');
@@ -109,6 +165,7 @@
     const {
       quizId,
       questionText,
+      questionVersion = null,
       userAnswer,
       correctAnswer,
       isCorrect,
@@ -117,6 +174,7 @@
       aiFetchTimeoutMs = 12000,
       aiEnabled = true,
       onAdvance,
+      onExplanationShown,
       isStillCurrent
     } = opts;
 
@@ -172,17 +230,27 @@
     // Generate question_id
     const questionId = await sha1Hex(quizId + '|' + questionText);
 
-    // Fetch AI explanation
+    // Stream AI explanation. The timeout restarts with every event, so a slow but
+    // steady stream is not cut off.
     const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), aiFetchTimeoutMs);
+    let timeout = null;
+    const armTimeout = () => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => controller.abort(), aiFetchTimeoutMs);
+    };
+    armTimeout();
+
+    const unavailable = 'AI explanation unavailable right now. You can continue, or retry.';
 
     try {
-      const response = await fetch('/api/ai/explain', {
+      const response = await fetch('/api/ai/explain/stream', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           question_id: questionId,
           question_text: questionText,
+          // Edited questions (higher version) get their own cached explanation
+          question_version: questionVersion,
           user_answer: userAnswer,
           correct_answer: correctAnswer,
           is_correct: isCorrect,
@@ -194,18 +262,47 @@
         signal: controller.signal
       });
 
+      // Over the AI explanation quota: say when it frees up instead of offering a retry
+      if (response.status === 429) {
+        clearTimeout(timeout);
+        const body = await response.json().catch(() => ({}));
+        if (!isStillCurrent() || advanced) return;
+        ui.shortDiv.textContent = quotaMessage(body);
+        return;
+      }
+
+      if (!response.ok) throw new Error('HTTP ' + response.status);
+
+      let streamed = '';
+      let result = null;
+      await readEvents(response, (event, data) => {
+        armTimeout();
+        // Race safety: stop reading if question changed
+        if (!isStillCurrent() || advanced) {
+          controller.abort();
+          return;
+        }
+        if (event === 'delta' && data.part === 'short') {
+          streamed += data.text || '';
+          ui.shortDiv.textContent = streamed;
+        } else if (event === 'meta') {
+          // Always the last event: the complete text plus confidence/expandable
+          result = data;
+        }
+      });
+
       clearTimeout(timeout);
 
       // Race safety: don't update if question changed
       if (!isStillCurrent()) return;
       if (advanced) return;
 
-      const result = await response.json();
-
-      if (result.ok && result.short_explanation) {
+      if (result && result.ok && result.short_explanation) {
         ui.shortDiv.textContent = result.short_explanation;
+        // Lets quiz pages record that the learner saw the explanation (answer log)
+        if (onExplanationShown) onExplanationShown();
       } else {
-        ui.shortDiv.textContent = 'AI explanation unavailable right now. You can continue, or retry.';
+        ui.shortDiv.textContent = unavailable;
       }
 
     } catch (err) {
@@ -218,7 +315,7 @@
       if (err.name === 'AbortError') {
         ui.shortDiv.textContent = 'AI explanation is taking too long or unavailable. You can continue, or retry.';
       } else {
-        ui.shortDiv.textContent = 'AI explanation unavailable right now. You can continue, or retry.';
+        ui.shortDiv.textContent = unavailable;
       }
     }
   }
@@ -0,0 +1,122 @@
+/**
+ * Question Bookmarks - bookmark toggle + private note editor for one question
+ * Usage: window.ArxQuestionBookmarks.attach(containerEl, { quizId, questionId })
+ * Backed by /api/bookmarks/:quiz_id/:question_id (signed-in users only).
+ */
+
+(function() {
+  'use strict';
+
+  const BUTTON_CSS = 'background: rgba(198, 169, 146, 0.22); border: 1px solid rgba(74, 52, 46, 0.25); color: var(--color-primary); padding: 6px 12px; border-radius: 10px; cursor: pointer; font-size: 13px; font-weight: 800;';
+
+  let current = 0; // guards against late responses for a previous question
+
+  async function request(method, quizId, questionId, body) {
+    const res = await fetch(`/api/bookmarks/${encodeURIComponent(quizId)}/${encodeURIComponent(questionId)}`, {
+      method,
+      credentials: 'same-origin',
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json().catch(() => null);
+    if (!data || !data.ok) throw new Error((data && data.error) || 'Request failed');
+    return data;
+  }
+
+  function attach(container, { quizId, questionId }) {
+    if (!container) return;
+    container.innerHTML = '';
+    container.style.display = 'none';
+    if (!quizId || !questionId) return;
+
+    const token = ++current;
+    let state = { bookmarked: false, note: '' };
+
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; gap: 8px; align-items: center; flex-wrap: wrap; margin: 10px 0;';
+
+    const starBtn = document.createElement('button');
+    starBtn.type = 'button';
+    starBtn.style.cssText = BUTTON_CSS;
+
+    const noteBtn = document.createElement('button');
+    noteBtn.type = 'button';
+    noteBtn.style.cssText = BUTTON_CSS;
+
+    const status = document.createElement('span');
+    status.style.cssText = 'font-size: 13px; color: var(--color-secondary);';
+
+    const editor = document.createElement('div');
+    editor.style.cssText = 'display: none; margin-bottom: 10px;';
+
+    const textarea = document.createElement('textarea');
+    textarea.rows = 3;
+    textarea.maxLength = 5000;
+    textarea.placeholder = 'Private note, only you can see it';
+    textarea.style.cssText = 'width: 100%; box-sizing: border-box; padding: 10px; border-radius: 10px; border: 1px solid var(--border); background: var(--color-surface); font: inherit;';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.textContent = 'Save note';
+    saveBtn.style.cssText = BUTTON_CSS + ' margin-top: 6px;';
+
+    editor.appendChild(textarea);
+    editor.appendChild(saveBtn);
+    row.appendChild(starBtn);
+    row.appendChild(noteBtn);
+    row.appendChild(status);
+    container.appendChild(row);
+    container.appendChild(editor);
+
+    function render() {
+      starBtn.textContent = state.bookmarked ? '★ Bookmarked' : '☆ Bookmark';
+      noteBtn.textContent = state.note ? '✎ Edit note' : '✎ Add note';
+    }
+
+    function apply(bookmark) {
+      state = bookmark ? { bookmarked: !!bookmark.bookmarked, note: bookmark.note || '' } : { bookmarked: false, note: '' };
+      render();
+    }
+
+    async function save(body, doneText) {
+      status.textContent = 'Saving…';
+      try {
+        const data = await request('PUT', quizId, questionId, body);
+        if (token !== current) return;
+        apply(data.bookmark);
+        status.textContent = doneText;
+      } catch (err) {
+        if (token !== current) return;
+        status.textContent = 'Could not save. Try again.';
+      }
+    }
+
+    starBtn.onclick = () => save({ bookmarked: !state.bookmarked }, state.bookmarked ? 'Bookmark removed' : 'Bookmarked');
+    noteBtn.onclick = () => {
+      const open = editor.style.display === 'none';
+      editor.style.display = open ? 'block' : 'none';
+      if (open) {
+        textarea.value = state.note;
+        textarea.focus();
+      }
+    };
+    saveBtn.onclick = async () => {
+      await save({ note: textarea.value }, 'Note saved');
+      if (token === current) editor.style.display = 'none';
+    };
+
+    render();
+    request('GET', quizId, questionId)
+      .then((data) => {
+        if (token !== current || data.skipped) return;
+        apply(data.bookmark);
+        container.style.display = 'block';
+      })
+      .catch(() => {
+        // Signed out or offline: keep the bar hidden
+      });
+  }
+
+  // Export to global scope
+  window.ArxQuestionBookmarks = { attach };
+})();
@@ -0,0 +1,245 @@
+/**
+ * Question Types - answer widgets for multi-select, ordering and short answer questions
+ * Usage:
+ *   const widget = window.ArxQuestionTypes.render(answersEl, question, { onSubmit(response) {}, initial })
+ *   widget.reveal(response, key)   // key: correct_indices | correct_order | accepted_answers from the server
+ * Single choice stays with each page's own option buttons.
+ * Responses and describe() mirror utils/quizGrading.js on the server (the AI explanation
+ * cache keys depend on describe() producing the same text).
+ */
+
+(function() {
+  'use strict';
+
+  const LETTERS = ['A', 'B', 'C', 'D'];
+  const SUBMIT_CSS = 'background: var(--color-primary); color: var(--color-bg); border-color: rgba(74, 52, 46, 0.35); text-align: center; font-weight: 700;';
+  const HINT_CSS = 'font-size: 13px; color: var(--color-secondary); margin: 4px 0;';
+  const INPUT_CSS = 'width: 100%; box-sizing: border-box; padding: 14px; border-radius: 10px; border: 1px solid var(--border); background: var(--color-surface); color: var(--color-text); font: inherit;';
+
+  function typeOf(q) {
+    return (q && q.type) || 'single';
+  }
+
+  // Plain text of a response; same output as describeResponse() in utils/quizGrading.js.
+  function describe(q, response) {
+    const type = typeOf(q);
+    const option = (i) => (q.options && q.options[i]) || '';
+    if (type === 'single') return option(response);
+    if (type === 'multi') return (Array.isArray(response) ? response : []).map(option).join('; ');
+    if (type === 'order') return (Array.isArray(response) ? response : []).map(option).join(' → ');
+    return String(response == null ? '' : response);
+  }
+
+  // The correct answer as a response, from answer key fields (question or server result).
+  function correctResponse(q, key) {
+    const k = key || q;
+    const type = typeOf(q);
+    if (type === 'multi') return k.correct_indices || [];
+    if (type === 'order') return k.correct_order || [];
+    if (type === 'short') return (k.accepted_answers || [])[0] || '';
+    return k.correct_index;
+  }
+
+  function describeKey(q, key) {
+    return describe(q, correctResponse(q, key));
+  }
+
+  // Short label for feedback lines: "A, C", "C → A → D → B" or the first accepted answer.
+  function keyLabel(q, key) {
+    const type = typeOf(q);
+    const k = correctResponse(q, key);
+    if (type === 'multi') return k.map((i) => LETTERS[i]).join(', ');
+    if (type === 'order') return k.map((i) => LETTERS[i]).join(' → ');
+    if (type === 'short') return '"' + k + '"';
+    return LETTERS[k] || '';
+  }
+
+  // Feedback line after grading: { text, className } with className 'correct' or 'wrong'.
+  function feedback(q, result, key) {
+    if (result.correct) return { text: '✓ Correct!', className: 'correct' };
+    const credit = typeof result.credit === 'number' ? result.credit : 0;
+    const partly = credit > 0 ? `◐ Partly right (${Math.round(credit * 100)}% credit). ` : '✗ Incorrect. ';
+    const label = typeOf(q) === 'order' ? 'The correct order is ' : 'The correct answer is ';
+    return { text: partly + label + keyLabel(q, key), className: 'wrong' };
+  }
+
+  function hint(text) {
+    const el = document.createElement('div');
+    el.style.cssText = HINT_CSS;
+    el.textContent = text;
+    return el;
+  }
+
+  function submitButton() {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = 'Submit answer';
+    btn.style.cssText = SUBMIT_CSS;
+    return btn;
+  }
+
+  function renderMulti(container, q, onSubmit, initial) {
+    const picked = new Set(Array.isArray(initial) ? initial : []);
+    const count = q.select_count || (q.correct_indices && q.correct_indices.length) || 0;
+    container.appendChild(hint(count ? `Select ${count}.` : 'Select all that apply.'));
+
+    const buttons = q.options.map((option, idx) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      const paint = () => {
+        btn.textContent = (picked.has(idx) ? '☑ ' : '☐ ') + option;
+        btn.setAttribute('aria-pressed', picked.has(idx) ? 'true' : 'false');
+      };
+      btn.onclick = () => {
+        if (picked.has(idx)) picked.delete(idx);
+        else picked.add(idx);
+        paint();
+        submit.disabled = picked.size === 0;
+      };
+      paint();
+      container.appendChild(btn);
+      return btn;
+    });
+
+    const submit = submitButton();
+    submit.disabled = picked.size === 0;
+    submit.onclick = () => onSubmit(Array.from(picked).sort((a, b) => a - b));
+    container.appendChild(submit);
+
+    return {
+      setDisabled(disabled) {
+        buttons.forEach((b) => { b.disabled = disabled; });
+        submit.disabled = disabled || picked.size === 0;
+      },
+      reveal(response, key) {
+        const correct = new Set(correctResponse(q, key));
+        const picks = new Set(Array.isArray(response) ? response : []);
+        buttons.forEach((b, i) => {
+          b.disabled = true;
+          if (correct.has(i)) b.classList.add('correct');
+          else if (picks.has(i)) b.classList.add('wrong');
+        });
+        submit.style.display = 'none';
+      }
+    };
+  }
+
+  // Tap one item, then another, to swap them.
+  function renderOrder(container, q, onSubmit, initial) {
+    const order = Array.isArray(initial) && initial.length === q.options.length ? initial.slice() : q.options.map((_, i) => i);
+    let held = null;
+    container.appendChild(hint('Put these in order, first at the top. Tap two items to swap them.'));
+
+    const list = document.createElement('div');
+    list.style.cssText = 'display: grid; gap: inherit;';
+    container.appendChild(list);
+    let buttons = [];
+
+    function paint() {
+      list.innerHTML = '';
+      buttons = order.map((idx, pos) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = `${pos + 1}. ${q.options[idx]}`;
+        btn.setAttribute('aria-pressed', held === pos ? 'true' : 'false');
+        if (held === pos) btn.style.boxShadow = 'inset 0 0 0 2px var(--color-primary)';
+        btn.onclick = () => {
+          if (held === null) {
+            held = pos;
+          } else {
+            const t = order[held];
+            order[held] = order[pos];
+            order[pos] = t;
+            held = null;
+          }
+          paint();
+        };
+        list.appendChild(btn);
+        return btn;
+      });
+    }
+    paint();
+
+    const submit = submitButton();
+    submit.onclick = () => onSubmit(order.slice());
+    container.appendChild(submit);
+
+    return {
+      setDisabled(disabled) {
+        buttons.forEach((b) => { b.disabled = disabled; });
+        submit.disabled = disabled;
+      },
+      reveal(response, key) {
+        const expected = correctResponse(q, key);
+        held = null;
+        paint();
+        buttons.forEach((b, pos) => {
+          b.disabled = true;
+          b.classList.add(expected[pos] === order[pos] ? 'correct' : 'wrong');
+        });
+        submit.style.display = 'none';
+      }
+    };
+  }
+
+  function renderShort(container, q, onSubmit, initial) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = typeof initial === 'string' ? initial : '';
+    input.maxLength = 200;
+    input.autocomplete = 'off';
+    input.placeholder = 'Type your answer';
+    input.style.cssText = INPUT_CSS;
+    container.appendChild(input);
+
+    const submit = submitButton();
+    submit.disabled = !input.value.trim();
+    const send = () => {
+      const text = input.value.trim();
+      if (text && !submit.disabled) onSubmit(text);
+    };
+    input.oninput = () => { submit.disabled = !input.value.trim(); };
+    input.onkeydown = (e) => { if (e.key === 'Enter') send(); };
+    submit.onclick = send;
+    container.appendChild(submit);
+    setTimeout(() => input.focus(), 0);
+
+    return {
+      setDisabled(disabled) {
+        input.disabled = disabled;
+        submit.disabled = disabled || !input.value.trim();
+      },
+      reveal(response, key) {
+        const right = grade(Object.assign({}, q, key), response).correct;
+        input.disabled = true;
+        input.style.borderColor = right ? 'rgba(46, 125, 50, 0.55)' : 'rgba(198, 40, 40, 0.55)';
+        submit.style.display = 'none';
+        const accepted = (key || q).accepted_answers || [];
+        if (!right && accepted.length) container.appendChild(hint('Accepted: ' + accepted.join(', ')));
+      }
+    };
+  }
+
+  // Render the answer widget for a non-single question into container (emptied first).
+  // onSubmit receives the response in the shape the quiz API expects; initial pre-fills
+  // a saved response (exam sessions, where answers can change until submit).
+  function render(container, q, { onSubmit, initial = null }) {
+    container.innerHTML = '';
+    const type = typeOf(q);
+    if (type === 'multi') return renderMulti(container, q, onSubmit, initial);
+    if (type === 'order') return renderOrder(container, q, onSubmit, initial);
+    if (type === 'short') return renderShort(container, q, onSubmit, initial);
+    return null;
+  }
+
+  // Export to global scope
+  window.ArxQuestionTypes = {
+    LETTERS,
+    typeOf,
+    render,
+    describe,
+    describeKey,
+    keyLabel,
+    feedback
+  };
+})();
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Learner ability (logit scale, 1PL/Elo) per user, quiz and domain.
+// Updated from graded answers by utils/adaptive.
+const abilityEstimateSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    quiz_id: {
+      type: String,
+      required: true
+    },
+    domain: {
+      type: String,
+      required: true
+    },
+    theta: {
+      type: Number,
+      default: 0
+    },
+    answers: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+abilityEstimateSchema.index({ user_id: 1, quiz_id: 1, domain: 1 }, { unique: true });
+
+module.exports = mongoose.model('AbilityEstimate', abilityEstimateSchema);
@@ -35,6 +35,11 @@ const AiExplainRequestSchema = new mongoose.Schema({
     required: true, 
     default: false 
   },
+  // Provider that answered (for cache hits: the one that generated the cached row)
+  provider: {
+    type: String,
+    default: null
+  },
   provider_http_status: { 
     type: Number, 
     default: null 
@@ -17,6 +17,29 @@ const AiExplanationV2Schema = new mongoose.Schema({
     type: String, 
     default: null 
   },
+  // Question revision the explanation was generated for (part of cache_key above version 1)
+  question_version: {
+    type: Number,
+    default: null
+  },
+  // What the text was generated from, so reviewers can read it in context and regenerate it.
+  // Rows cached before the review console have none (utils/aiExplanationReview resolves them).
+  question_text: {
+    type: String,
+    default: null
+  },
+  user_answer: {
+    type: String,
+    default: null
+  },
+  correct_answer: {
+    type: String,
+    default: null
+  },
+  is_correct: {
+    type: Boolean,
+    default: null
+  },
   short_text: { 
     type: String, 
     required: true 
@@ -26,6 +49,11 @@ const AiExplanationV2Schema = new mongoose.Schema({
     required: true, 
     default: '' 
   },
+  // LLM provider that generated the text (utils/llmProviders); rows without one came from Gemini
+  provider: {
+    type: String,
+    default: null
+  },
   model: { 
     type: String, 
     required: true 
@@ -45,6 +73,34 @@ const AiExplanationV2Schema = new mongoose.Schema({
     type: Date, 
     required: true, 
     default: Date.now 
+  },
+  // Admin review (/admin/ai-explanations). Approved or pinned rows are never overwritten
+  // by handleAiExplain; pinned marks text to keep as is even though nobody vouched for it yet.
+  approved: {
+    type: Boolean,
+    default: false
+  },
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  reviewed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewed_at: {
+    type: Date,
+    default: null
+  },
+  edited_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  edited_at: {
+    type: Date,
+    default: null
   }
 }, { 
   collection: 'ai_explanations_v2',
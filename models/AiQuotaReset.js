@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Admin reset of a caller's AI explanation quota (utils/aiQuota).
+// Requests logged in ai_explain_requests before the latest reset no longer count;
+// the log itself is left alone. Signed-in users are keyed by user_id, anonymous callers by ip.
+const aiQuotaResetSchema = new mongoose.Schema(
+  {
+    // String like ai_explain_requests.user_id; null for an anonymous (per-IP) reset
+    user_id: {
+      type: String,
+      default: null
+    },
+    ip: {
+      type: String,
+      default: null
+    },
+    reset_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    collection: 'ai_quota_resets',
+    timestamps: { createdAt: 'created_at', updatedAt: false }
+  }
+);
+
+aiQuotaResetSchema.index({ user_id: 1, created_at: -1 });
+aiQuotaResetSchema.index({ ip: 1, created_at: -1 });
+
+module.exports = mongoose.model('AiQuotaReset', aiQuotaResetSchema);
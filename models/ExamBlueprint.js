@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const blueprintDomainSchema = new mongoose.Schema(
+  {
+    domain: { type: String, required: true },
+    weight_pct: { type: Number, required: true }
+  },
+  { _id: false }
+);
+
+// Bands come from QuestionDifficulty ratings (see utils/examBlueprints difficultyBand).
+// All zero means "no difficulty rule".
+const difficultyMixSchema = new mongoose.Schema(
+  {
+    easy_pct: { type: Number, default: 0 },
+    medium_pct: { type: Number, default: 0 },
+    hard_pct: { type: Number, default: 0 }
+  },
+  { _id: false }
+);
+
+// Admin-defined mock exam layout for the ML Engineer bank: how many questions, how they
+// are spread over domains and difficulty, and which phases they may come from.
+// Forms are generated per attempt by utils/examBlueprints; seeded by seed-exam-blueprints.js.
+const examBlueprintSchema = new mongoose.Schema(
+  {
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    title: {
+      type: String,
+      required: true
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    question_count: {
+      type: Number,
+      required: true
+    },
+    duration_minutes: {
+      type: Number,
+      required: true
+    },
+    // Empty = every phase
+    phases: {
+      type: [Number],
+      default: []
+    },
+    domains: {
+      type: [blueprintDomainSchema],
+      default: []
+    },
+    difficulty_mix: {
+      type: difficultyMixSchema,
+      default: () => ({})
+    },
+    // Questions from the user's last N forms are avoided while fresh ones remain.
+    recent_forms_excluded: {
+      type: Number,
+      default: 3
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    collection: 'exam_blueprints',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+module.exports = mongoose.model('ExamBlueprint', examBlueprintSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One generated exam form: the exact question set a user got from a blueprint.
+// Kept after the session expires so later forms can avoid repeating questions.
+const examFormSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    blueprint_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExamBlueprint',
+      required: true
+    },
+    session_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuizSession',
+      default: null
+    },
+    question_ids: {
+      type: [String],
+      default: []
+    },
+    // { by_domain: { [domain]: n }, by_difficulty: { easy, medium, hard }, reused, shortfall }
+    composition: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  {
+    collection: 'exam_forms',
+    timestamps: { createdAt: 'created_at', updatedAt: false }
+  }
+);
+
+examFormSchema.index({ user_id: 1, created_at: -1 });
+
+module.exports = mongoose.model('ExamForm', examFormSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// One question in a learner's mistake notebook. Filed on a wrong answer, removed once the
+// learner gets it right MISTAKE_CLEAR_STREAK times in a row (see utils/mistakeNotebook).
+const aiExplanationSchema = new mongoose.Schema(
+  {
+    cache_key: { type: String, required: true },
+    short_text: { type: String, default: '' },
+    long_text: { type: String, default: '' },
+    model: { type: String, default: null }
+  },
+  { _id: false }
+);
+
+const mistakeEntrySchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    quiz_id: {
+      type: String,
+      required: true
+    },
+    question_id: {
+      type: String,
+      required: true
+    },
+    domain: {
+      type: String,
+      default: 'Unknown'
+    },
+    // The most recent wrong pick and the answer it should have been.
+    // selected_index/correct_index are set for single choice; response holds any type.
+    selected_index: {
+      type: Number,
+      default: null
+    },
+    response: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    selected_answer: {
+      type: String,
+      default: ''
+    },
+    correct_index: {
+      type: Number,
+      default: null
+    },
+    correct_answer: {
+      type: String,
+      default: ''
+    },
+    // Copied from ai_explanations_v2 when one exists for this pick; null until then.
+    ai_explanation: {
+      type: aiExplanationSchema,
+      default: null
+    },
+    times_wrong: {
+      type: Number,
+      default: 0
+    },
+    correct_streak: {
+      type: Number,
+      default: 0
+    },
+    last_wrong_at: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    collection: 'mistake_notebook',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+mistakeEntrySchema.index({ user_id: 1, quiz_id: 1, question_id: 1 }, { unique: true });
+mistakeEntrySchema.index({ user_id: 1, quiz_id: 1, domain: 1 });
+
+module.exports = mongoose.model('MistakeEntry', mistakeEntrySchema);
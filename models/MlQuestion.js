@@ -0,0 +1,102 @@
+// Mongoose model for ml_engineer_questions collection
+const mongoose = require('mongoose');
+const { OPTION_LETTERS, QUESTION_TYPES, SCORING_RULES, PHASES, DOMAINS } = require('../utils/mlQuestions');
+
+const mlQuestionSchema = new mongoose.Schema(
+  {
+    // Stable key for bulk import upserts; see buildQuestionKey().
+    question_key: {
+      type: String,
+      unique: true,
+      sparse: true
+    },
+    question_text: {
+      type: String,
+      required: true
+    },
+    // Documents written before question types existed have no type and are 'single'.
+    // Per-type rules live in normalizeQuestionInput (utils/mlQuestions).
+    type: {
+      type: String,
+      enum: QUESTION_TYPES,
+      default: 'single'
+    },
+    // Empty for short answer questions.
+    options: {
+      type: [String],
+      required: true,
+      validate: {
+        validator: (v) => Array.isArray(v) && (v.length === OPTION_LETTERS.length || v.length === 0),
+        message: `options must contain exactly ${OPTION_LETTERS.length} entries`
+      }
+    },
+    // single
+    correct_answer: {
+      type: String,
+      enum: OPTION_LETTERS,
+      default: null
+    },
+    // multi: every correct letter, e.g. ['A', 'C']
+    correct_answers: {
+      type: [{ type: String, enum: OPTION_LETTERS }],
+      default: undefined
+    },
+    // order: letters from first to last, e.g. ['C', 'A', 'D', 'B']
+    correct_order: {
+      type: [{ type: String, enum: OPTION_LETTERS }],
+      default: undefined
+    },
+    // short: accepted variants, compared case- and punctuation-insensitively
+    accepted_answers: {
+      type: [String],
+      default: undefined
+    },
+    // multi/order partial credit rule
+    scoring: {
+      type: String,
+      enum: SCORING_RULES,
+      default: null
+    },
+    // Keep options in authored order instead of shuffling them per delivery
+    // (utils/optionShuffle), e.g. for "All of the above" or "Both A and B".
+    pin_options: {
+      type: Boolean,
+      default: false
+    },
+    phase: {
+      type: Number,
+      required: true,
+      enum: PHASES,
+      index: true
+    },
+    domain: {
+      type: String,
+      required: true,
+      enum: DOMAINS,
+      index: true
+    },
+    explanation: {
+      type: String,
+      default: ''
+    },
+    // Bumped on every content edit; each version has an immutable row in ml_question_revisions
+    // (utils/questionRevisions). Answers, attempts and AI explanation cache keys record it.
+    version: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    // Soft delete: hidden from quizzes but kept so past attempts still resolve.
+    deleted_at: {
+      type: Date,
+      default: null,
+      index: true
+    }
+  },
+  {
+    collection: 'ml_engineer_questions',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+module.exports = mongoose.model('MlQuestion', mlQuestionSchema);
@@ -0,0 +1,61 @@
+// Mongoose model for ml_question_revisions collection
+const mongoose = require('mongoose');
+
+// One immutable snapshot of an ml_engineer_questions document, written whenever its content
+// changes (see utils/questionRevisions). Rows are only ever inserted; updates are refused.
+const mlQuestionRevisionSchema = new mongoose.Schema(
+  {
+    question_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MlQuestion',
+      required: true
+    },
+    version: {
+      type: Number,
+      required: true
+    },
+    question_key: { type: String, default: null },
+    question_text: { type: String, required: true },
+    type: { type: String, default: 'single' },
+    options: { type: [String], default: [] },
+    correct_answer: { type: String, default: null },
+    correct_answers: { type: [String], default: undefined },
+    correct_order: { type: [String], default: undefined },
+    accepted_answers: { type: [String], default: undefined },
+    scoring: { type: String, default: null },
+    pin_options: { type: Boolean, default: false },
+    phase: { type: Number, default: null },
+    domain: { type: String, default: null },
+    explanation: { type: String, default: '' },
+    // Admin who saved this version; null for imports run without a user and for backfilled rows.
+    edited_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // editor | import | backfill (content that predates revision history)
+    source: {
+      type: String,
+      enum: ['editor', 'import', 'backfill'],
+      default: 'editor'
+    }
+  },
+  {
+    collection: 'ml_question_revisions',
+    timestamps: { createdAt: 'created_at', updatedAt: false }
+  }
+);
+
+mlQuestionRevisionSchema.index({ question_id: 1, version: 1 }, { unique: true });
+
+function refuseUpdate() {
+  throw new Error('Question revisions are immutable');
+}
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace']) {
+  mlQuestionRevisionSchema.pre(op, refuseUpdate);
+}
+mlQuestionRevisionSchema.pre('save', function () {
+  if (!this.isNew) refuseUpdate();
+});
+
+module.exports = mongoose.model('MlQuestionRevision', mlQuestionRevisionSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Admin override of a user's ML Engineer phase unlock state.
+// unlocked: true forces the phase open, false keeps it locked regardless of mastery.
+// Without a row the phase follows the mastery rule in utils/phaseCatalog.
+const phaseUnlockSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    quiz_id: {
+      type: String,
+      required: true
+    },
+    phase: {
+      type: Number,
+      required: true
+    },
+    unlocked: {
+      type: Boolean,
+      required: true
+    },
+    granted_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+phaseUnlockSchema.index({ user_id: 1, quiz_id: 1, phase: 1 }, { unique: true });
+
+module.exports = mongoose.model('PhaseUnlock', phaseUnlockSchema);
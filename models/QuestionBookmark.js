@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A learner's bookmark and/or private note on one question (ML Engineer or IT Learning Pyramid).
+// A row with bookmarked false and an empty note is removed rather than kept; see routes/bookmarks.
+const questionBookmarkSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    quiz_id: {
+      type: String,
+      required: true
+    },
+    question_id: {
+      type: String,
+      required: true
+    },
+    domain: {
+      type: String,
+      default: 'Unknown'
+    },
+    bookmarked: {
+      type: Boolean,
+      default: false
+    },
+    note: {
+      type: String,
+      default: ''
+    }
+  },
+  {
+    collection: 'question_bookmarks',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+questionBookmarkSchema.index({ user_id: 1, quiz_id: 1, question_id: 1 }, { unique: true });
+questionBookmarkSchema.index({ user_id: 1, updated_at: -1 });
+
+module.exports = mongoose.model('QuestionBookmark', questionBookmarkSchema);
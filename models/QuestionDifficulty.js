@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Question difficulty (logit scale, 1PL/Elo), learned from all learners' answers.
+// Counterpart of AbilityEstimate; questions without a row are treated as difficulty 0.
+const questionDifficultySchema = new mongoose.Schema(
+  {
+    quiz_id: {
+      type: String,
+      required: true
+    },
+    question_id: {
+      type: String,
+      required: true
+    },
+    difficulty: {
+      type: Number,
+      default: 0
+    },
+    answers: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+questionDifficultySchema.index({ quiz_id: 1, question_id: 1 }, { unique: true });
+
+module.exports = mongoose.model('QuestionDifficulty', questionDifficultySchema);
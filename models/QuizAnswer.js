@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Answer-level event log: one row per question a learner answered.
+// Written in batches by POST /api/quiz/answers for answers a grading session already graded;
+// attempt_id is filled in once that session has been completed.
+const quizAnswerSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    quiz_id: {
+      type: String,
+      required: true
+    },
+    attempt_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuizAttempt',
+      default: null,
+      index: true
+    },
+    session_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuizSession',
+      default: null
+    },
+    question_id: {
+      type: String,
+      required: true,
+      index: true
+    },
+    // Question revision the answer was graded against (ML bank; null for the IT pyramid).
+    question_version: {
+      type: Number,
+      default: null
+    },
+    // Option index for single choice; null for other types, whose answer is in response.
+    selected_index: {
+      type: Number,
+      default: null
+    },
+    response: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    correct: {
+      type: Boolean,
+      required: true
+    },
+    // 0-1; below 1 for a partly right multi/order answer (utils/quizGrading).
+    credit: {
+      type: Number,
+      default: null
+    },
+    // Time from the question being shown to the answer being committed.
+    time_ms: {
+      type: Number,
+      default: null
+    },
+    ai_explanation_opened: {
+      type: Boolean,
+      default: false
+    },
+    answered_at: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+quizAnswerSchema.index({ user_id: 1, question_id: 1, answered_at: -1 });
+quizAnswerSchema.index(
+  { session_id: 1, question_id: 1 },
+  { unique: true, partialFilterExpression: { session_id: { $type: 'objectId' } } }
+);
+
+module.exports = mongoose.model('QuizAnswer', quizAnswerSchema);
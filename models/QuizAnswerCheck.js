@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One row per answer committed through POST /api/quiz/questions/:id/check
+// (the answer-less /ml-quiz-questions.json flow). Records what the user picked
+// before correctness and the explanation were revealed; only the first check of a
+// question version is graded, later ones read this row back.
+const quizAnswerCheckSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    quiz_id: {
+      type: String,
+      required: true
+    },
+    question_id: {
+      type: String,
+      required: true,
+      index: true
+    },
+    // Question revision the answer was graded against (ML bank; null for the IT pyramid).
+    question_version: {
+      type: Number,
+      default: null
+    },
+    // Option index for single choice; null for other types, whose answer is in response.
+    selected_index: {
+      type: Number,
+      default: null
+    },
+    response: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    correct: {
+      type: Boolean,
+      required: true
+    },
+    // 0-1; below 1 for a partly right multi/order answer (utils/quizGrading).
+    credit: {
+      type: Number,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: false }
+  }
+);
+
+quizAnswerCheckSchema.index({ user_id: 1, question_id: 1, created_at: -1 });
+
+module.exports = mongoose.model('QuizAnswerCheck', quizAnswerCheckSchema);
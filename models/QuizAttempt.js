@@ -9,6 +9,27 @@ const domainStatSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Question revision the attempt was taken against (ML bank; version null for the IT pyramid).
+const questionVersionSchema = new mongoose.Schema(
+  {
+    question_id: { type: String, required: true },
+    version: { type: Number, default: null }
+  },
+  { _id: false }
+);
+
+// Choices behind a custom practice set; key groups attempts with the same choices.
+const practiceFiltersSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    domains: { type: [String], default: [] },
+    source: { type: String, default: 'any' },
+    difficulty: { type: String, default: null },
+    count: { type: Number, default: null }
+  },
+  { _id: false }
+);
+
 const quizAttemptSchema = new mongoose.Schema({
   user_id: {
     type: mongoose.Schema.Types.ObjectId,
@@ -43,6 +64,41 @@ const quizAttemptSchema = new mongoose.Schema({
     type: [domainStatSchema],
     default: []
   },
+  // practice: regular quiz run, adaptive: adaptive practice, exam: timed mock exam,
+  // custom: learner-built practice set (see filters)
+  mode: {
+    type: String,
+    enum: ['practice', 'adaptive', 'exam', 'custom'],
+    default: 'practice',
+    index: true
+  },
+  filters: {
+    type: practiceFiltersSchema,
+    default: null
+  },
+  // Mock exam blueprint the form was drawn from, if any.
+  blueprint_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExamBlueprint',
+    default: null
+  },
+  // One entry per question in the session: the version answered, else the current one at completion.
+  question_versions: {
+    type: [questionVersionSchema],
+    default: []
+  },
+  // The run covered its whole ML Engineer phase when it was taken; only these attempts unlock
+  // the next phase, so later bank growth cannot take an earned unlock back (utils/phaseCatalog).
+  covers_phase: {
+    type: Boolean,
+    default: false
+  },
+  // Grading session that produced this attempt (server-computed score).
+  session_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizSession',
+    default: null
+  },
   created_at: {
     type: Date,
     default: Date.now,
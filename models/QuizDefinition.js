@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const progressKeyRuleSchema = new mongoose.Schema(
+  {
+    // Exactly one of key (exact match) or pattern (anchored regex source) is set.
+    key: { type: String, default: null },
+    pattern: { type: String, default: null },
+    batch_size: { type: Number, default: null },
+    max_batches: { type: Number, default: 1000 }
+  },
+  { _id: false }
+);
+
+// Quiz registry entry: which quiz IDs exist, which progress keys they may write and
+// who may use them. Read through utils/quizRegistry; seeded by seed-quiz-registry.js.
+const quizDefinitionSchema = new mongoose.Schema(
+  {
+    quiz_id: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    title: {
+      type: String,
+      default: ''
+    },
+    access: {
+      type: String,
+      enum: ['auth', 'paid'],
+      default: 'auth'
+    },
+    progress_keys: {
+      type: [progressKeyRuleSchema],
+      default: []
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    collection: 'quiz_registry',
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+module.exports = mongoose.model('QuizDefinition', quizDefinitionSchema);
@@ -1,5 +1,24 @@
 const mongoose = require('mongoose');
 
+// Pointer to an unfinished grading session, so the quiz can be resumed on any device.
+// Question order and answers live on the QuizSession; this holds where the learner was.
+const activeSessionSchema = new mongoose.Schema(
+  {
+    session_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuizSession',
+      required: true
+    },
+    // Free-form label shown in the resume prompt (e.g. the chosen topic)
+    label: { type: String, default: '' },
+    current_index: { type: Number, default: 0 },
+    elapsed_ms: { type: Number, default: 0 },
+    started_at: { type: Date, default: Date.now },
+    saved_at: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
 const quizProgressSchema = new mongoose.Schema(
   {
     user_id: {
@@ -16,6 +35,10 @@ const quizProgressSchema = new mongoose.Schema(
     progress: {
       type: mongoose.Schema.Types.Mixed,
       default: {}
+    },
+    active_session: {
+      type: activeSessionSchema,
+      default: null
     }
   },
   {
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Choices behind a custom practice set (utils/practiceSets); copied onto the QuizAttempt.
+const practiceFiltersSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    domains: { type: [String], default: [] },
+    source: { type: String, default: 'any' },
+    difficulty: { type: String, default: null },
+    count: { type: Number, default: null }
+  },
+  { _id: false }
+);
+
+const sessionAnswerSchema = new mongoose.Schema(
+  {
+    question_id: { type: String, required: true },
+    // Question revision the answer was graded against (utils/questionRevisions).
+    question_version: { type: Number, default: null },
+    // Option index for single choice; null for other types, whose answer is in response.
+    selected_index: { type: Number, default: null },
+    response: { type: mongoose.Schema.Types.Mixed, default: null },
+    correct: { type: Boolean, required: true },
+    // 0-1; below 1 for a partly right multi/order answer (utils/quizGrading).
+    credit: { type: Number, default: null },
+    answered_at: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+// Server-side grading session. The client only ever sees question content;
+// correctness, domain_stats and the resulting QuizAttempt are computed here.
+const quizSessionSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    quiz_id: {
+      type: String,
+      required: true
+    },
+    phase: {
+      type: Number,
+      default: null
+    },
+    // static: the full question list is fixed at start.
+    // adaptive: questions are picked one at a time (POST /api/quiz/sessions/:id/next)
+    // from the domain/layer pool until target_count is reached.
+    // exam: timed mock exam. The question set and deadline_at are fixed at start,
+    // answers may be changed until submit and correctness stays hidden until then.
+    // custom: learner-built practice set (POST /api/quiz/practice-sets); otherwise like static.
+    mode: {
+      type: String,
+      enum: ['static', 'adaptive', 'exam', 'custom'],
+      default: 'static'
+    },
+    domain: {
+      type: String,
+      default: null
+    },
+    layer: {
+      type: String,
+      default: null
+    },
+    target_count: {
+      type: Number,
+      default: null
+    },
+    question_ids: {
+      type: [String],
+      default: []
+    },
+    answers: {
+      type: [sessionAnswerSchema],
+      default: []
+    },
+    // Shuffled option order per question_id: shown position -> canonical option index
+    // (utils/optionShuffle). Answers above are always stored in canonical indexes.
+    option_orders: {
+      type: Map,
+      of: [Number],
+      default: {}
+    },
+    // Exam mode only
+    duration_minutes: {
+      type: Number,
+      default: null
+    },
+    deadline_at: {
+      type: Date,
+      default: null
+    },
+    flagged_question_ids: {
+      type: [String],
+      default: []
+    },
+    // Custom practice sets only
+    filters: {
+      type: practiceFiltersSchema,
+      default: null
+    },
+    // Exam generated from an ExamBlueprint (null for a plain random sample)
+    blueprint_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExamBlueprint',
+      default: null
+    },
+    // ML Engineer practice/exam run over the whole phase as the bank stood at start
+    // (utils/phaseCatalog.coversPhase); copied onto the QuizAttempt, where it counts toward unlocks.
+    covers_phase: {
+      type: Boolean,
+      default: false
+    },
+    // true when the server submitted the exam because the deadline passed
+    auto_submitted: {
+      type: Boolean,
+      default: false
+    },
+    status: {
+      type: String,
+      enum: ['active', 'completed'],
+      default: 'active',
+      index: true
+    },
+    attempt_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuizAttempt',
+      default: null
+    },
+    completed_at: {
+      type: Date,
+      default: null
+    },
+    // Sessions are transient; the QuizAttempt is the durable record.
+    expires_at: {
+      type: Date,
+      default: () => new Date(Date.now() + SESSION_TTL_MS),
+      index: { expires: 0 }
+    }
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+quizSessionSchema.index({ user_id: 1, quiz_id: 1, status: 1 });
+quizSessionSchema.index({ mode: 1, status: 1, deadline_at: 1 });
+
+module.exports = mongoose.model('QuizSession', quizSessionSchema);
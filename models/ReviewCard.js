@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// SM-2 spaced-repetition state for one (user, question) pair.
+// Created the first time a learner answers a question; see utils/reviewSchedule.
+const reviewCardSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    quiz_id: {
+      type: String,
+      required: true
+    },
+    question_id: {
+      type: String,
+      required: true
+    },
+    ease_factor: {
+      type: Number,
+      default: 2.5
+    },
+    interval_days: {
+      type: Number,
+      default: 0
+    },
+    repetitions: {
+      type: Number,
+      default: 0
+    },
+    lapses: {
+      type: Number,
+      default: 0
+    },
+    due_at: {
+      type: Date,
+      required: true
+    },
+    last_reviewed_at: {
+      type: Date,
+      default: null
+    },
+    // Option order shown at the last delivery (utils/optionShuffle); answers are mapped back through it.
+    // Kept until the card is reviewed (option_order_at < last_reviewed_at), so every tab or device
+    // that loads the queue in between shows the same order.
+    option_order: {
+      type: [Number],
+      default: undefined
+    },
+    option_order_at: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  }
+);
+
+reviewCardSchema.index({ user_id: 1, quiz_id: 1, question_id: 1 }, { unique: true });
+reviewCardSchema.index({ user_id: 1, due_at: 1 });
+
+module.exports = mongoose.model('ReviewCard', reviewCardSchema);
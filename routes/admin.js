@@ -6,7 +6,16 @@ const User = require('../models/User');
 const Subscription = require('../models/Subscription');
 const QuizAttempt = require('../models/QuizAttempt');
 const PasswordResetToken = require('../models/PasswordResetToken');
+const PhaseUnlock = require('../models/PhaseUnlock');
+const { PHASES } = require('../utils/mlQuestions');
+const { ML_QUIZ_ID } = require('../utils/questionBank');
+const { getPhaseCatalog } = require('../utils/phaseCatalog');
+const QuizDefinition = require('../models/QuizDefinition');
+const { listQuizzes, invalidateCache, normalizeQuizDefinition } = require('../utils/quizRegistry');
+const ExamBlueprint = require('../models/ExamBlueprint');
+const { listBlueprints, getBlueprint, normalizeBlueprint, generateForm } = require('../utils/examBlueprints');
 const { isEmailConfigured, sendMail } = require('../utils/mailer');
+const { quotaConfig, quotaSubject, quotaStatus, resetQuota } = require('../utils/aiQuota');
 
 const router = express.Router();
 
@@ -198,8 +207,177 @@ router.post('/admin/test-email', requireAdmin, async (req, res) => {
     }
 });
 
+// POST /admin/phase-unlock - Override a user's ML Engineer phase unlock
+// Body: { email, phase, action: 'unlock' | 'lock' | 'clear' } ('clear' returns the phase to the mastery rule)
+router.post('/admin/phase-unlock', requireAdmin, async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const phase = Number(req.body.phase);
+    const action = String(req.body.action || '');
+
+    if (!email) return res.status(400).json({ error: 'Email is required' });
+    if (!PHASES.includes(phase)) return res.status(400).json({ error: 'Invalid phase' });
+    if (!['unlock', 'lock', 'clear'].includes(action)) return res.status(400).json({ error: 'Invalid action' });
+
+    const user = await User.findOne({ email });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const filter = { user_id: user._id, quiz_id: ML_QUIZ_ID, phase };
+    if (action === 'clear') {
+      await PhaseUnlock.deleteOne(filter);
+    } else {
+      await PhaseUnlock.findOneAndUpdate(
+        filter,
+        { $set: { unlocked: action === 'unlock', granted_by: req.user._id } },
+        { upsert: true }
+      );
+    }
+
+    const { phases } = await getPhaseCatalog(user._id);
+    const summary = phases.map((p) => `Phase ${p.phase}: ${p.unlocked ? 'unlocked' : 'locked'} (${p.reason})`).join(', ');
+    res.json({ success: true, message: `${email}: ${summary}`, phases });
+  } catch (err) {
+    console.error('Phase unlock error:', err);
+    res.status(500).json({ error: 'Failed to update phase unlock' });
+  }
+});
+
+// GET /admin/api/quiz-registry - Quiz registry (built-in defaults fill in quizzes without a stored entry)
+router.get('/admin/api/quiz-registry', requireAdmin, async (req, res) => {
+  try {
+    const seeded = (await QuizDefinition.estimatedDocumentCount()) > 0;
+    res.json({ success: true, seeded, quizzes: await listQuizzes() });
+  } catch (err) {
+    console.error('Quiz registry list error:', err);
+    res.status(500).json({ error: 'Failed to load quiz registry' });
+  }
+});
+
+// PUT /admin/api/quiz-registry/:quizId - Create or replace a registry entry
+// Body: { title, access: 'auth'|'paid', progress_keys: [{ key | pattern, batch_size, max_batches }], active }
+router.put('/admin/api/quiz-registry/:quizId', requireAdmin, async (req, res) => {
+  try {
+    const { value, errors } = normalizeQuizDefinition(req.body, req.params.quizId);
+    if (errors.length) return res.status(400).json({ error: errors.join('; ') });
+
+    const quiz = await QuizDefinition.findOneAndUpdate(
+      { quiz_id: value.quiz_id },
+      { $set: value },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+    invalidateCache();
+
+    res.json({ success: true, message: `Saved ${value.quiz_id}`, quiz });
+  } catch (err) {
+    console.error('Quiz registry save error:', err);
+    res.status(500).json({ error: 'Failed to save quiz registry entry' });
+  }
+});
+
+// GET /admin/api/exam-blueprints - All mock exam blueprints, including inactive ones
+router.get('/admin/api/exam-blueprints', requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, blueprints: await listBlueprints({ activeOnly: false }) });
+  } catch (err) {
+    console.error('Exam blueprint list error:', err);
+    res.status(500).json({ error: 'Failed to load exam blueprints' });
+  }
+});
+
+// PUT /admin/api/exam-blueprints/:slug - Create or replace a blueprint
+// Body: { title, description, question_count, duration_minutes, phases: [1, 2],
+//         domains: [{ domain, weight_pct }], difficulty_mix: { easy_pct, medium_pct, hard_pct },
+//         recent_forms_excluded, active }
+router.put('/admin/api/exam-blueprints/:slug', requireAdmin, async (req, res) => {
+  try {
+    const { value, errors } = normalizeBlueprint(req.body, req.params.slug);
+    if (errors.length) return res.status(400).json({ error: errors.join('; ') });
+
+    const blueprint = await ExamBlueprint.findOneAndUpdate(
+      { slug: value.slug },
+      { $set: value },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+
+    res.json({ success: true, message: `Saved ${value.slug}`, blueprint });
+  } catch (err) {
+    console.error('Exam blueprint save error:', err);
+    res.status(500).json({ error: 'Failed to save exam blueprint' });
+  }
+});
+
+// GET /admin/api/exam-blueprints/:slug/preview - Draw a sample form without storing it
+// Shows whether the bank can satisfy the blueprint (composition.shortfall).
+router.get('/admin/api/exam-blueprints/:slug/preview', requireAdmin, async (req, res) => {
+  try {
+    const blueprint = await getBlueprint(req.params.slug, { activeOnly: false });
+    if (!blueprint) return res.status(404).json({ error: 'Blueprint not found' });
+
+    const { questions, composition } = await generateForm(blueprint);
+    res.json({
+      success: true,
+      composition,
+      questions: questions.map((q) => ({ id: q.id, domain: q.domain, phase: q.phase, question_text: q.question_text }))
+    });
+  } catch (err) {
+    console.error('Exam blueprint preview error:', err);
+    res.status(500).json({ error: 'Failed to preview exam blueprint' });
+  }
+});
+
+// AI quota subject from { email } (signed-in user) or { ip } (anonymous caller).
+// Returns { subject, label } or { status, error }.
+async function findQuotaSubject({ email, ip }) {
+  const e = String(email || '').trim().toLowerCase();
+  const i = String(ip || '').trim();
+  if (e) {
+    const user = await User.findOne({ email: e });
+    if (!user) return { status: 404, error: 'User not found' };
+    return { subject: await quotaSubject({ user }), label: e };
+  }
+  if (i) return { subject: await quotaSubject({ ip: i }), label: `IP ${i}` };
+  return { status: 400, error: 'Email or IP is required' };
+}
+
+function describeQuota(label, quota) {
+  if (quota.limit === null) return `${label}: ${quota.tier}, not limited (${quota.used} calls in the last ${quota.window_hours}h)`;
+  const retry = quota.retry_at ? `; blocked until ${quota.retry_at.toISOString()}` : '';
+  return `${label}: ${quota.tier}, ${quota.used}/${quota.limit} AI explanations in the last ${quota.window_hours}h${retry}`;
+}
+
+// GET /admin/api/ai-quota?email=... | ?ip=... - A caller's AI explanation quota
+router.get('/admin/api/ai-quota', requireAdmin, async (req, res) => {
+  try {
+    const found = await findQuotaSubject(req.query);
+    if (found.error) return res.status(found.status).json({ error: found.error });
+
+    const quota = await quotaStatus(found.subject);
+    res.json({ success: true, message: describeQuota(found.label, quota), quota, config: quotaConfig() });
+  } catch (err) {
+    console.error('AI quota lookup error:', err);
+    res.status(500).json({ error: 'Failed to load AI quota' });
+  }
+});
+
+// POST /admin/api/ai-quota/reset - Start a caller's quota window afresh
+// Body: { email } or { ip }
+router.post('/admin/api/ai-quota/reset', requireAdmin, async (req, res) => {
+  try {
+    const found = await findQuotaSubject(req.body || {});
+    if (found.error) return res.status(found.status).json({ error: found.error });
+
+    await resetQuota(found.subject, { resetBy: req.user._id });
+    const quota = await quotaStatus(found.subject);
+    res.json({ success: true, message: `Quota reset. ${describeQuota(found.label, quota)}`, quota });
+  } catch (err) {
+    console.error('AI quota reset error:', err);
+    res.status(500).json({ error: 'Failed to reset AI quota' });
+  }
+});
+
 // Helper: Render admin dashboard
 function renderAdminDashboard(admin, users, subscriptions, stats, recentAttempts, progressByUserId) {
+  const aiQuotas = quotaConfig();
   return `
 <!DOCTYPE html>
 <html lang="en">
@@ -368,6 +546,40 @@ function renderAdminDashboard(admin, users, subscriptions, stats, recentAttempts
             </div>
         </div>
 
+        <div class="section">
+            <h2>Question Bank</h2>
+            <p>Create, edit and retire ML Engineer quiz questions without re-running the seed script.</p>
+            <div class="form-inline">
+                <a class="btn btn-primary" href="/admin/questions">Open question editor</a>
+                <a class="btn btn-primary" href="/admin/questions/item-analysis">Item analysis</a>
+                <a class="btn btn-primary" href="/admin/ai-explanations">AI explanations</a>
+            </div>
+        </div>
+
+        <div class="section">
+            <h2>ML Engineer Phase Unlocks</h2>
+            <p>Phases unlock automatically from the previous phase's best score. Overrides here win in both directions; "Clear" returns to the automatic rule.</p>
+            <div class="form-inline">
+                <input type="email" id="phaseEmail" placeholder="user@example.com" autocomplete="off" style="flex: 1;">
+                <select id="phaseNumber">${PHASES.map((p) => `<option value="${p}">Phase ${p}</option>`).join('')}</select>
+                <button class="btn btn-primary" type="button" data-phase-action="unlock">Unlock</button>
+                <button class="btn btn-primary" type="button" data-phase-action="lock">Lock</button>
+                <button class="btn btn-primary" type="button" data-phase-action="clear">Clear override</button>
+            </div>
+            <div class="reset-output" id="phaseOutput"></div>
+        </div>
+
+        <div class="section">
+            <h2>AI Explanation Quotas</h2>
+            <p>Uncached AI explanations per caller in a rolling window: anonymous ${aiQuotas.limits.anonymous}, free ${aiQuotas.limits.free}, paid ${aiQuotas.limits.paid} per ${aiQuotas.windowHours}h. Admins are not limited. Look up a user by email or an anonymous caller by IP.</p>
+            <div class="form-inline">
+                <input type="text" id="quotaSubject" placeholder="user@example.com or IP address" autocomplete="off" style="flex: 1;">
+                <button class="btn btn-primary" type="button" data-quota-action="view">View</button>
+                <button class="btn btn-primary" type="button" data-quota-action="reset">Reset</button>
+            </div>
+            <div class="reset-output" id="quotaOutput"></div>
+        </div>
+
         <div class="section">
             <h2>Password Reset (Admin)</h2>
             <div class="form-row">
@@ -618,6 +830,72 @@ function renderAdminDashboard(admin, users, subscriptions, stats, recentAttempts
 
         const testBtn = document.getElementById('sendTestEmailBtn');
         if (testBtn) testBtn.addEventListener('click', sendTestEmail);
+
+        async function updatePhaseUnlock(action) {
+            const email = (document.getElementById('phaseEmail').value || '').trim();
+            const phase = document.getElementById('phaseNumber').value;
+            const outEl = document.getElementById('phaseOutput');
+            outEl.textContent = '';
+
+            if (!email) {
+                outEl.innerHTML = '<div class="error-text">Email is required.</div>';
+                return;
+            }
+
+            try {
+                const res = await fetch('/admin/phase-unlock', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ email, phase, action })
+                });
+                const data = await res.json();
+                if (!res.ok) {
+                    outEl.innerHTML = '<div class="error-text">' + (data.error || 'Failed') + '</div>';
+                    return;
+                }
+                outEl.textContent = data.message;
+            } catch (err) {
+                outEl.innerHTML = '<div class="error-text">Request failed.</div>';
+            }
+        }
+
+        document.querySelectorAll('[data-phase-action]').forEach((b) => {
+            b.addEventListener('click', () => updatePhaseUnlock(b.getAttribute('data-phase-action')));
+        });
+
+        async function aiQuota(action) {
+            const value = (document.getElementById('quotaSubject').value || '').trim();
+            const outEl = document.getElementById('quotaOutput');
+            outEl.textContent = '';
+
+            if (!value) {
+                outEl.innerHTML = '<div class="error-text">Email or IP is required.</div>';
+                return;
+            }
+
+            const key = value.includes('@') ? 'email' : 'ip';
+            try {
+                const res = action === 'reset'
+                    ? await fetch('/admin/api/ai-quota/reset', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ [key]: value })
+                    })
+                    : await fetch('/admin/api/ai-quota?' + key + '=' + encodeURIComponent(value));
+                const data = await res.json();
+                if (!res.ok) {
+                    outEl.innerHTML = '<div class="error-text">' + (data.error || 'Failed') + '</div>';
+                    return;
+                }
+                outEl.textContent = data.message;
+            } catch (err) {
+                outEl.innerHTML = '<div class="error-text">Request failed.</div>';
+            }
+        }
+
+        document.querySelectorAll('[data-quota-action]').forEach((b) => {
+            b.addEventListener('click', () => aiQuota(b.getAttribute('data-quota-action')));
+        });
     </script>
 
 </body>
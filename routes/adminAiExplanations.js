@@ -0,0 +1,393 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { requireAdmin } = require('../middleware/auth');
+const AiExplanationV2 = require('../models/AiExplanationV2');
+const { ML_QUIZ_ID, IT_PYRAMID_QUIZ_ID } = require('../utils/questionBank');
+const {
+  REVIEW_STATUSES,
+  questionIndex,
+  requestForRow,
+  cacheKeyOf,
+  listExplanationQuestions,
+  listQuestionExplanations,
+  getReviewRow,
+  normalizeReviewInput,
+  updateExplanation
+} = require('../utils/aiExplanationReview');
+const { getProvider, PLACEHOLDER_PROVIDERS } = require('../utils/llmProviders');
+const { explain } = require('./aiExplain');
+
+const router = express.Router();
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(String(id || ''));
+}
+
+// GET /admin/ai-explanations - Review console for cached AI explanations
+router.get('/admin/ai-explanations', requireAdmin, (req, res) => {
+  res.send(renderExplanationReview(req.user));
+});
+
+// GET /admin/api/ai-explanations?quiz_id=&status=unreviewed|approved|pinned&q=&page=1
+// Questions that have cached explanations, with entry and review counts.
+router.get('/admin/api/ai-explanations', requireAdmin, async (req, res) => {
+  try {
+    const status = String(req.query.status || '');
+    if (status && !REVIEW_STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+
+    const result = await listExplanationQuestions({
+      quizId: String(req.query.quiz_id || '').trim(),
+      status,
+      q: String(req.query.q || '').trim(),
+      page: req.query.page
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Admin AI explanation list error:', err);
+    res.status(500).json({ error: 'Failed to load AI explanations' });
+  }
+});
+
+// GET /admin/api/ai-explanations/questions/:questionId - One question's cached explanations
+router.get('/admin/api/ai-explanations/questions/:questionId', requireAdmin, async (req, res) => {
+  try {
+    const result = await listQuestionExplanations(String(req.params.questionId));
+    if (!result.explanations.length) return res.status(404).json({ error: 'No explanations for this question' });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Admin AI explanation load error:', err);
+    res.status(500).json({ error: 'Failed to load AI explanations' });
+  }
+});
+
+// PUT /admin/api/ai-explanations/:id - Edit, approve or pin an entry
+// Body (any subset): { short_text, long_text, confidence, expandable, approved, pinned }
+router.put('/admin/api/ai-explanations/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid explanation id' });
+
+    const { value, errors } = normalizeReviewInput(req.body || {});
+    if (errors.length) return res.status(400).json({ error: errors.join('; ') });
+
+    const explanation = await updateExplanation(req.params.id, value, { reviewedBy: req.user._id });
+    if (!explanation) return res.status(404).json({ error: 'Explanation not found' });
+
+    res.json({ success: true, message: 'Explanation saved', explanation });
+  } catch (err) {
+    console.error('Admin AI explanation save error:', err);
+    res.status(500).json({ error: 'Failed to save explanation' });
+  }
+});
+
+// POST /admin/api/ai-explanations/:id/regenerate - Delete an entry and generate it afresh
+// through the same path as the quiz pages (routes/aiExplain). The old entry is put back
+// when the provider returns nothing.
+router.post('/admin/api/ai-explanations/:id/regenerate', requireAdmin, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid explanation id' });
+
+    const row = await AiExplanationV2.findById(req.params.id).lean();
+    if (!row) return res.status(404).json({ error: 'Explanation not found' });
+
+    const provider = getProvider();
+    if (PLACEHOLDER_PROVIDERS.includes(provider.name)) {
+      return res.status(409).json({ error: `AI_PROVIDER is ${provider.name}: its placeholder text is not cached. Configure a real provider to regenerate.` });
+    }
+
+    const match = (await questionIndex()).get(row.question_id) || null;
+    const request = requestForRow(row, match);
+    if (!request || cacheKeyOf(request) !== row.cache_key) {
+      return res.status(409).json({ error: 'The question or answer this entry was generated for is no longer known. Edit the text instead.' });
+    }
+
+    await AiExplanationV2.deleteOne({ _id: row._id });
+    const result = await explain(req, mongoose.connection.db, {
+      ...request,
+      explanation_level: row.long_text ? 'long' : 'short',
+      difficulty: '',
+      timeout_ms: 15000,
+      debug: false
+    });
+
+    const fresh = result.short_explanation
+      ? await AiExplanationV2.findOne({ cache_key: row.cache_key }).select({ _id: 1 }).lean()
+      : null;
+    if (!fresh) {
+      await AiExplanationV2.collection.insertOne(row);
+      return res.status(502).json({ error: 'The AI provider returned no explanation; the previous entry was kept.' });
+    }
+
+    res.json({ success: true, message: 'Explanation regenerated', explanation: await getReviewRow(fresh._id) });
+  } catch (err) {
+    console.error('Admin AI explanation regenerate error:', err);
+    res.status(500).json({ error: 'Failed to regenerate explanation' });
+  }
+});
+
+function renderExplanationReview(admin) {
+  const esc = (s) => String(s).replace(/[&<>"']/g, (m) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' }[m]));
+  const quizOptions = [[ML_QUIZ_ID, 'ML Engineer'], [IT_PYRAMID_QUIZ_ID, 'IT Learning Pyramid']]
+    .map(([id, label]) => `<option value="${esc(id)}">${esc(label)}</option>`).join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>AI Explanations - ArxCafe Admin</title>
+    <link rel="stylesheet" href="/css/global.css">
+    <style>
+        .admin-container { max-width: 1200px; margin: 20px auto; padding: 12px; }
+        .admin-header { display: flex; justify-content: space-between; align-items: center; gap: 10px; margin-bottom: 18px; flex-wrap: wrap; }
+        .section { background: var(--color-surface); padding: 18px; border-radius: 8px; border: 1px solid var(--border); box-shadow: var(--shadow-sm); margin-bottom: 24px; }
+        .section h2 { margin-bottom: 12px; }
+        .form-row { display: flex; gap: 10px; flex-wrap: wrap; align-items: center; margin-bottom: 10px; }
+        .form-row input, .form-row select, textarea { padding: 10px; border: 1px solid var(--border); border-radius: 6px; background: var(--color-surface); color: var(--color-text); }
+        .form-row input[type="search"] { flex: 1; min-width: 220px; }
+        textarea { width: 100%; min-height: 80px; font-family: inherit; box-sizing: border-box; }
+        .btn { padding: 8px 12px; border: none; border-radius: 6px; cursor: pointer; font-weight: 600; }
+        .btn-primary { background: var(--color-primary); color: var(--color-bg); border: 1px solid rgba(74, 52, 46, 0.35); }
+        .btn-danger { background: rgba(74, 52, 46, 0.10); color: var(--color-primary); border: 1px solid rgba(74, 52, 46, 0.18); }
+        .review-grid { display: grid; gap: 24px; }
+        @media (min-width: 960px) { .review-grid { grid-template-columns: 0.9fr 1.1fr; } }
+        .table-wrap { overflow-x: auto; max-height: 640px; overflow-y: auto; }
+        table { width: 100%; border-collapse: collapse; }
+        th { background: rgba(245, 243, 241, 0.70); padding: 10px; text-align: left; font-weight: 600; position: sticky; top: 0; }
+        td { padding: 10px; border-bottom: 1px solid var(--border); vertical-align: top; font-size: 14px; }
+        tr.row-link { cursor: pointer; }
+        tr.row-link:hover td, tr.row-link.active td { background: rgba(198, 169, 146, 0.12); }
+        .muted { color: var(--color-secondary); font-size: 13px; }
+        .num { text-align: right; font-variant-numeric: tabular-nums; }
+        .badge { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 12px; margin: 0 4px 4px 0; background: rgba(74, 52, 46, 0.10); border: 1px solid rgba(74, 52, 46, 0.25); }
+        .entry { border: 1px solid var(--border); border-radius: 8px; padding: 14px; margin-bottom: 16px; }
+        .entry label { display: block; font-weight: 600; margin: 10px 0 4px; }
+        .entry .inline { display: inline-flex; gap: 6px; align-items: center; font-weight: 400; margin-right: 14px; }
+        .actions { display: flex; gap: 8px; flex-wrap: wrap; margin-top: 12px; }
+        .status { margin-top: 8px; }
+        .error-text { color: #c62828; }
+    </style>
+</head>
+<body>
+    <div class="admin-container">
+        <div class="admin-header">
+            <h1>AI Explanations</h1>
+            <div>
+                ${esc(admin.email)} | <a href="/admin/questions">Question editor</a> | <a href="/admin">Dashboard</a> | <a href="/logout">Logout</a>
+            </div>
+        </div>
+
+        <div class="section">
+            <div class="form-row">
+                <input type="search" id="fQuery" placeholder="Search question or explanation text" />
+                <select id="fQuiz"><option value="">All quizzes</option>${quizOptions}</select>
+                <select id="fStatus">
+                    <option value="">Any status</option>
+                    <option value="unreviewed">Unreviewed</option>
+                    <option value="approved">Approved</option>
+                    <option value="pinned">Pinned</option>
+                </select>
+                <button class="btn btn-primary" id="searchBtn" type="button">Search</button>
+            </div>
+            <div class="muted">
+                Approved and pinned entries are served to learners as they are and never overwritten by new generations.
+                Approve text that has been checked; pin text that must stay as it is. Delete &amp; regenerate asks the AI provider again for the same question and answer.
+            </div>
+            <div class="muted" id="summary" style="margin-top:8px;"></div>
+        </div>
+
+        <div class="review-grid">
+            <div class="section">
+                <h2>Questions</h2>
+                <div class="table-wrap">
+                    <table>
+                        <thead><tr><th>Question</th><th class="num">Entries</th><th>Reviewed</th></tr></thead>
+                        <tbody id="questionRows"></tbody>
+                    </table>
+                </div>
+                <div class="form-row" style="margin-top:10px;">
+                    <button class="btn btn-danger" id="prevBtn" type="button">Previous</button>
+                    <button class="btn btn-danger" id="nextBtn" type="button">Next</button>
+                    <span class="muted" id="pageInfo"></span>
+                </div>
+            </div>
+
+            <div class="section">
+                <h2 id="detailTitle">Explanations</h2>
+                <div class="muted" id="detailMeta">Pick a question to review its cached explanations.</div>
+                <div id="entries"></div>
+            </div>
+        </div>
+    </div>
+
+    <script>
+        const $ = (id) => document.getElementById(id);
+        let page = 1;
+        let total = 0;
+        let pageSize = 50;
+        let currentQuestionId = null;
+
+        function escapeHtml(s) {
+            return String(s == null ? '' : s).replace(/[&<>"']/g, (m) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' }[m]));
+        }
+
+        function fmtDate(d) {
+            return d ? new Date(d).toLocaleString() : '—';
+        }
+
+        async function api(url, options) {
+            const res = await fetch(url, Object.assign({ credentials: 'same-origin' }, options || {}));
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.success) throw new Error(data.error || 'Request failed');
+            return data;
+        }
+
+        async function loadQuestions() {
+            const params = new URLSearchParams({ page: String(page) });
+            if ($('fQuery').value.trim()) params.set('q', $('fQuery').value.trim());
+            if ($('fQuiz').value) params.set('quiz_id', $('fQuiz').value);
+            if ($('fStatus').value) params.set('status', $('fStatus').value);
+
+            $('summary').textContent = 'Loading…';
+            try {
+                const data = await api('/admin/api/ai-explanations?' + params.toString());
+                total = data.total;
+                pageSize = data.page_size;
+                $('summary').textContent = total + ' question(s) with cached explanations';
+                $('pageInfo').textContent = 'Page ' + page + ' of ' + Math.max(1, Math.ceil(total / pageSize));
+                $('questionRows').innerHTML = data.questions.map((q) =>
+                    '<tr class="row-link' + (q.question_id === currentQuestionId ? ' active' : '') + '" data-qid="' + escapeHtml(q.question_id) + '">' +
+                        '<td>' + escapeHtml(q.question_text || '(question text unknown)') +
+                            '<div class="muted">' + escapeHtml(q.quiz_id || '') + (q.in_bank ? '' : ' • not in the current bank') + '</div></td>' +
+                        '<td class="num">' + q.entries + '</td>' +
+                        '<td>' + (q.approved ? '<span class="badge">' + q.approved + ' approved</span>' : '') +
+                            (q.pinned ? '<span class="badge">' + q.pinned + ' pinned</span>' : '') + '</td>' +
+                    '</tr>'
+                ).join('') || '<tr><td colspan="3" class="muted">No cached explanations match.</td></tr>';
+                document.querySelectorAll('tr[data-qid]').forEach((tr) => {
+                    tr.addEventListener('click', () => loadQuestion(tr.getAttribute('data-qid')));
+                });
+            } catch (err) {
+                $('summary').textContent = 'Error: ' + err.message;
+            }
+        }
+
+        function renderEntry(e) {
+            const verdict = e.is_correct === true ? 'correct' : (e.is_correct === false ? 'incorrect' : 'not graded');
+            const answer = e.user_answer === null
+                ? '<div class="muted">Answer unknown (cached before answers were recorded; the question has changed since).</div>'
+                : '<div class="muted">Answer: ' + escapeHtml(e.user_answer) + ' (' + verdict + ') • Correct: ' + escapeHtml(e.correct_answer) + '</div>';
+            return '<div class="entry" data-id="' + e.id + '" data-approved="' + (e.approved ? '1' : '') + '" data-pinned="' + (e.pinned ? '1' : '') + '">' +
+                '<div>' +
+                    (e.approved ? '<span class="badge">Approved</span>' : '') +
+                    (e.pinned ? '<span class="badge">Pinned</span>' : '') +
+                    '<span class="badge">' + escapeHtml(e.provider) + ' / ' + escapeHtml(e.model || '?') + '</span>' +
+                    '<span class="badge">confidence: ' + escapeHtml(e.confidence || '?') + '</span>' +
+                    (e.question_version ? '<span class="badge">v' + e.question_version + '</span>' : '') +
+                '</div>' +
+                answer +
+                '<div class="muted">Generated ' + fmtDate(e.created_at) +
+                    (e.edited_at ? ' • edited ' + fmtDate(e.edited_at) : '') +
+                    (e.reviewed_at ? ' • reviewed ' + fmtDate(e.reviewed_at) : '') + '</div>' +
+                '<label>Short explanation</label><textarea data-field="short_text">' + escapeHtml(e.short_text) + '</textarea>' +
+                '<label>Long explanation</label><textarea data-field="long_text">' + escapeHtml(e.long_text) + '</textarea>' +
+                '<label>Metadata</label>' +
+                '<span class="inline">Confidence <select data-field="confidence">' +
+                    ['complete', 'partial'].map((c) => '<option value="' + c + '"' + (e.confidence === c ? ' selected' : '') + '>' + c + '</option>').join('') +
+                '</select></span>' +
+                '<span class="inline"><input type="checkbox" data-field="expandable"' + (e.expandable ? ' checked' : '') + '> Expandable</span>' +
+                '<div class="actions">' +
+                    '<button class="btn btn-primary" type="button" data-action="save">Save text</button>' +
+                    '<button class="btn btn-primary" type="button" data-action="approve">' + (e.approved ? 'Unapprove' : 'Approve') + '</button>' +
+                    '<button class="btn btn-primary" type="button" data-action="pin">' + (e.pinned ? 'Unpin' : 'Pin') + '</button>' +
+                    '<button class="btn btn-danger" type="button" data-action="regenerate"' + (e.can_regenerate ? '' : ' disabled title="The answer behind this entry is unknown"') + '>Delete &amp; regenerate</button>' +
+                '</div>' +
+                '<div class="status muted"></div>' +
+            '</div>';
+        }
+
+        async function loadQuestion(questionId) {
+            currentQuestionId = questionId;
+            document.querySelectorAll('tr[data-qid]').forEach((tr) => tr.classList.toggle('active', tr.getAttribute('data-qid') === questionId));
+            $('entries').innerHTML = '';
+            $('detailMeta').textContent = 'Loading…';
+            try {
+                const data = await api('/admin/api/ai-explanations/questions/' + encodeURIComponent(questionId));
+                const q = data.question;
+                $('detailTitle').textContent = q.question_text || 'Question text unknown';
+                $('detailMeta').innerHTML = (q.options ? q.options.map((o) => escapeHtml(o)).join('<br>') : '') +
+                    (q.in_bank ? '' : '<div>Not in the current bank (edited or removed).</div>');
+                $('entries').innerHTML = data.explanations.map(renderEntry).join('');
+                document.querySelectorAll('.entry').forEach(bindEntry);
+            } catch (err) {
+                $('detailMeta').textContent = 'Error: ' + err.message;
+            }
+        }
+
+        function bindEntry(el) {
+            const id = el.getAttribute('data-id');
+            const field = (name) => el.querySelector('[data-field="' + name + '"]');
+            const status = el.querySelector('.status');
+            const approved = el.dataset.approved === '1';
+            const pinned = el.dataset.pinned === '1';
+
+            async function run(action) {
+                status.textContent = 'Working…';
+                try {
+                    let data;
+                    if (action === 'regenerate') {
+                        const protectedNote = approved || pinned ? ' It is approved or pinned; the new text will not be.' : '';
+                        if (!confirm('Delete this explanation and generate a new one?' + protectedNote)) {
+                            status.textContent = '';
+                            return;
+                        }
+                        data = await api('/admin/api/ai-explanations/' + id + '/regenerate', { method: 'POST' });
+                    } else {
+                        let body;
+                        if (action === 'save') {
+                            body = {
+                                short_text: field('short_text').value,
+                                long_text: field('long_text').value,
+                                confidence: field('confidence').value,
+                                expandable: field('expandable').checked
+                            };
+                        } else if (action === 'approve') {
+                            body = { approved: !approved };
+                        } else {
+                            body = { pinned: !pinned };
+                        }
+                        data = await api('/admin/api/ai-explanations/' + id, {
+                            method: 'PUT',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(body)
+                        });
+                    }
+                    const wrap = document.createElement('div');
+                    wrap.innerHTML = renderEntry(data.explanation);
+                    const next = wrap.firstChild;
+                    el.replaceWith(next);
+                    bindEntry(next);
+                    next.querySelector('.status').textContent = data.message;
+                } catch (err) {
+                    status.innerHTML = '<span class="error-text">' + escapeHtml(err.message) + '</span>';
+                }
+            }
+
+            el.querySelectorAll('[data-action]').forEach((b) => {
+                b.addEventListener('click', () => run(b.getAttribute('data-action')));
+            });
+        }
+
+        $('searchBtn').addEventListener('click', () => { page = 1; loadQuestions(); });
+        $('fQuery').addEventListener('keydown', (e) => { if (e.key === 'Enter') { page = 1; loadQuestions(); } });
+        $('prevBtn').addEventListener('click', () => { if (page > 1) { page -= 1; loadQuestions(); } });
+        $('nextBtn').addEventListener('click', () => { if (page * pageSize < total) { page += 1; loadQuestions(); } });
+
+        loadQuestions();
+    </script>
+</body>
+</html>
+  `;
+}
+
+module.exports = router;
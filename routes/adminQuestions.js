@@ -0,0 +1,890 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { requireAdmin } = require('../middleware/auth');
+const MlQuestion = require('../models/MlQuestion');
+const {
+  OPTION_LETTERS,
+  QUESTION_TYPES,
+  SCORING_RULES,
+  PHASES,
+  DOMAINS,
+  buildQuestionKey,
+  normalizeQuestionInput
+} = require('../utils/mlQuestions');
+const { FORMATS, CONTENT_TYPES } = require('../utils/questionFormats');
+const { importQuestions, exportQuestions } = require('../utils/questionImport');
+const { createQuestion, saveQuestionEdit, listRevisions } = require('../utils/questionRevisions');
+const { DEFAULT_THRESHOLDS, analyzeItems } = require('../utils/itemAnalysis');
+
+const router = express.Router();
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(String(id || ''));
+}
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// GET /admin/questions - Question bank editor (ml_engineer_questions)
+router.get('/admin/questions', requireAdmin, (req, res) => {
+  res.send(renderQuestionEditor(req.user));
+});
+
+// GET /admin/questions/item-analysis - Item analysis report (difficulty, discrimination, distractors)
+router.get('/admin/questions/item-analysis', requireAdmin, (req, res) => {
+  res.send(renderItemAnalysis(req.user));
+});
+
+// GET /admin/api/questions?q=&phase=&domain=&include_deleted=1&page=1
+router.get('/admin/api/questions', requireAdmin, async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    const phase = String(req.query.phase || '').trim();
+    const domain = String(req.query.domain || '').trim();
+    const includeDeleted = String(req.query.include_deleted || '') === '1';
+    const pageRaw = Number(req.query.page);
+    const page = Number.isFinite(pageRaw) ? Math.max(1, Math.floor(pageRaw)) : 1;
+    const pageSize = 50;
+
+    const filter = {};
+    if (!includeDeleted) filter.deleted_at = null;
+    if (phase) filter.phase = Number(phase);
+    if (domain) filter.domain = domain;
+    if (q) {
+      const regex = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [{ question_text: regex }, { options: regex }, { explanation: regex }];
+    }
+
+    const [total, questions] = await Promise.all([
+      MlQuestion.countDocuments(filter),
+      MlQuestion.find(filter)
+        .sort({ phase: 1, domain: 1, _id: 1 })
+        .skip((page - 1) * pageSize)
+        .limit(pageSize)
+        .lean()
+    ]);
+
+    res.json({ success: true, total, page, pageSize, questions });
+  } catch (err) {
+    console.error('Admin list questions error:', err);
+    res.status(500).json({ error: 'Failed to load questions' });
+  }
+});
+
+// GET /admin/api/questions/export?format=csv|json|gift&phase=&domain=&include_deleted=1
+router.get('/admin/api/questions/export', requireAdmin, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').trim().toLowerCase();
+    if (!FORMATS.includes(format)) return res.status(400).json({ error: 'Unsupported format' });
+
+    const filter = {};
+    if (String(req.query.include_deleted || '') !== '1') filter.deleted_at = null;
+    if (req.query.phase) filter.phase = Number(req.query.phase);
+    if (req.query.domain) filter.domain = String(req.query.domain);
+
+    const { body } = await exportQuestions({ format, filter });
+    const ext = format === 'gift' ? 'gift' : format;
+    res.set('Content-Type', CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="ml-engineer-questions.${ext}"`);
+    res.send(body);
+  } catch (err) {
+    console.error('Admin export questions error:', err);
+    res.status(500).json({ error: 'Failed to export questions' });
+  }
+});
+
+// POST /admin/api/questions/import?format=csv|json|gift&dry_run=1
+// Body: raw file contents (text/plain). Upserts by question_key; never deletes.
+router.post(
+  '/admin/api/questions/import',
+  requireAdmin,
+  express.text({ type: () => true, limit: '5mb' }),
+  async (req, res) => {
+    try {
+      const format = String(req.query.format || '').trim().toLowerCase();
+      if (!FORMATS.includes(format)) return res.status(400).json({ error: 'Unsupported format' });
+
+      // express.json() may already have parsed a JSON upload.
+      const text = typeof req.body === 'string' ? req.body : JSON.stringify(req.body ?? '');
+      if (!text.trim()) return res.status(400).json({ error: 'File is empty' });
+
+      const dryRun = String(req.query.dry_run || '') === '1';
+      const result = await importQuestions({ format, text, dryRun, editedBy: req.user._id });
+
+      res.json({ success: true, dryRun, ...result });
+    } catch (err) {
+      console.error('Admin import questions error:', err);
+      res.status(500).json({ error: 'Failed to import questions' });
+    }
+  }
+);
+
+// GET /admin/api/questions/item-analysis?phase=&domain=&min_responses=&too_easy_p=&flagged=1
+router.get('/admin/api/questions/item-analysis', requireAdmin, async (req, res) => {
+  try {
+    const thresholds = {};
+    const minResponses = Number(req.query.min_responses);
+    if (Number.isFinite(minResponses) && minResponses >= 1) thresholds.minResponses = Math.floor(minResponses);
+    const tooEasyP = Number(req.query.too_easy_p);
+    if (Number.isFinite(tooEasyP) && tooEasyP > 0 && tooEasyP <= 1) thresholds.tooEasyP = tooEasyP;
+
+    const phase = req.query.phase ? Number(req.query.phase) : null;
+    const domain = String(req.query.domain || '').trim() || null;
+
+    const report = await analyzeItems({ phase, domain, thresholds });
+    const items = String(req.query.flagged || '') === '1'
+      ? report.items.filter((i) => i.flags.length)
+      : report.items;
+
+    res.json({ success: true, thresholds: report.thresholds, items });
+  } catch (err) {
+    console.error('Admin item analysis error:', err);
+    res.status(500).json({ error: 'Failed to build item analysis' });
+  }
+});
+
+// GET /admin/api/questions/:id
+router.get('/admin/api/questions/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid question id' });
+
+    const question = await MlQuestion.findById(req.params.id).lean();
+    if (!question) return res.status(404).json({ error: 'Question not found' });
+
+    res.json({ success: true, question });
+  } catch (err) {
+    console.error('Admin get question error:', err);
+    res.status(500).json({ error: 'Failed to load question' });
+  }
+});
+
+// POST /admin/api/questions - Create a question
+router.post('/admin/api/questions', requireAdmin, async (req, res) => {
+  try {
+    const { value, errors } = normalizeQuestionInput(req.body);
+    if (errors.length) return res.status(400).json({ error: 'Invalid question', details: errors });
+
+    const question = await createQuestion(
+      { ...value, question_key: value.question_key || buildQuestionKey(value.question_text) },
+      { editedBy: req.user._id }
+    );
+    res.json({ success: true, message: 'Question created', question });
+  } catch (err) {
+    if (err?.code === 11000 && err.keyPattern?.question_key) return res.status(409).json({ error: 'A question with this key already exists' });
+    console.error('Admin create question error:', err);
+    res.status(500).json({ error: 'Failed to create question' });
+  }
+});
+
+// PUT /admin/api/questions/:id - Replace editable fields of a question
+router.put('/admin/api/questions/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid question id' });
+
+    const { value, errors } = normalizeQuestionInput(req.body);
+    if (errors.length) return res.status(400).json({ error: 'Invalid question', details: errors });
+
+    const existing = await MlQuestion.findById(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Question not found' });
+
+    // Keep the existing key unless the author explicitly sets a new one.
+    const { question_key, ...fields } = value;
+    const { question, versioned } = await saveQuestionEdit(existing, question_key ? value : fields, { editedBy: req.user._id });
+
+    res.json({
+      success: true,
+      message: versioned ? `Question saved as version ${question.version}` : 'Question saved',
+      question
+    });
+  } catch (err) {
+    if (err?.code === 11000 && err.keyPattern?.question_key) return res.status(409).json({ error: 'A question with this key already exists' });
+    console.error('Admin update question error:', err);
+    res.status(500).json({ error: 'Failed to save question' });
+  }
+});
+
+// GET /admin/api/questions/:id/revisions - Version history, newest first
+router.get('/admin/api/questions/:id/revisions', requireAdmin, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid question id' });
+
+    const question = await MlQuestion.findById(req.params.id).select({ version: 1 }).lean();
+    if (!question) return res.status(404).json({ error: 'Question not found' });
+
+    const revisions = await listRevisions(req.params.id);
+    res.json({ success: true, version: question.version || 1, revisions });
+  } catch (err) {
+    console.error('Admin question revisions error:', err);
+    res.status(500).json({ error: 'Failed to load revisions' });
+  }
+});
+
+// DELETE /admin/api/questions/:id - Soft delete (hidden from quizzes, kept for history)
+router.delete('/admin/api/questions/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid question id' });
+
+    const question = await MlQuestion.findByIdAndUpdate(
+      req.params.id,
+      { $set: { deleted_at: new Date() } },
+      { new: true }
+    ).lean();
+    if (!question) return res.status(404).json({ error: 'Question not found' });
+
+    res.json({ success: true, message: 'Question deleted', question });
+  } catch (err) {
+    console.error('Admin delete question error:', err);
+    res.status(500).json({ error: 'Failed to delete question' });
+  }
+});
+
+// POST /admin/api/questions/:id/restore - Undo a soft delete
+router.post('/admin/api/questions/:id/restore', requireAdmin, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid question id' });
+
+    const question = await MlQuestion.findByIdAndUpdate(
+      req.params.id,
+      { $set: { deleted_at: null } },
+      { new: true }
+    ).lean();
+    if (!question) return res.status(404).json({ error: 'Question not found' });
+
+    res.json({ success: true, message: 'Question restored', question });
+  } catch (err) {
+    console.error('Admin restore question error:', err);
+    res.status(500).json({ error: 'Failed to restore question' });
+  }
+});
+
+// Helper: Render question bank editor
+function renderQuestionEditor(admin) {
+  const esc = (s) => String(s).replace(/[&<>"']/g, (m) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' }[m]));
+  const phaseOptions = PHASES.map((p) => `<option value="${p}">Phase ${p}</option>`).join('');
+  const domainOptions = DOMAINS.map((d) => `<option value="${esc(d)}">${esc(d)}</option>`).join('');
+  const letterOptions = OPTION_LETTERS.map((l) => `<option value="${l}">${l}</option>`).join('');
+  const typeLabels = { single: 'Single choice', multi: 'Multi-select', order: 'Ordering', short: 'Short answer' };
+  const typeOptions = QUESTION_TYPES.map((t) => `<option value="${t}">${typeLabels[t] || t}</option>`).join('');
+  const scoringOptions = SCORING_RULES.map((s) => `<option value="${s}">${s === 'partial' ? 'Partial credit' : 'All or nothing'}</option>`).join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Question Bank - ArxCafe Admin</title>
+    <link rel="stylesheet" href="/css/global.css">
+    <style>
+        .admin-container { max-width: 1200px; margin: 20px auto; padding: 12px; }
+        .admin-header { display: flex; justify-content: space-between; align-items: center; gap: 10px; margin-bottom: 18px; flex-wrap: wrap; }
+        .section { background: var(--color-surface); padding: 18px; border-radius: 8px; border: 1px solid var(--border); box-shadow: var(--shadow-sm); margin-bottom: 24px; }
+        .section h2 { margin-bottom: 16px; }
+        .form-row { display: flex; gap: 10px; flex-wrap: wrap; align-items: center; margin-bottom: 10px; }
+        .form-row input, .form-row select, textarea, .option-input { padding: 10px; border: 1px solid var(--border); border-radius: 6px; background: var(--color-surface); color: var(--color-text); }
+        .form-row input[type="search"] { flex: 1; min-width: 220px; }
+        label { display: block; font-weight: 600; margin: 10px 0 4px; }
+        textarea { width: 100%; min-height: 70px; font-family: inherit; }
+        .option-input { width: 100%; }
+        .btn { padding: 10px 14px; border: none; border-radius: 6px; cursor: pointer; font-weight: 600; }
+        .btn-primary { background: var(--color-primary); color: var(--color-bg); border: 1px solid rgba(74, 52, 46, 0.35); }
+        .btn-danger { background: rgba(74, 52, 46, 0.10); color: var(--color-primary); border: 1px solid rgba(74, 52, 46, 0.18); }
+        .editor-grid { display: grid; gap: 24px; }
+        @media (min-width: 960px) { .editor-grid { grid-template-columns: 1.2fr 0.8fr; } }
+        .table-wrap { overflow-x: auto; max-height: 520px; overflow-y: auto; }
+        table { width: 100%; border-collapse: collapse; min-width: 520px; }
+        th { background: rgba(245, 243, 241, 0.70); padding: 10px; text-align: left; font-weight: 600; position: sticky; top: 0; }
+        td { padding: 10px; border-bottom: 1px solid var(--border); vertical-align: top; }
+        tr.row-link { cursor: pointer; }
+        tr.row-link:hover td { background: rgba(198, 169, 146, 0.12); }
+        tr.row-deleted td { opacity: 0.55; text-decoration: line-through; }
+        .muted { color: var(--color-secondary); font-size: 13px; }
+        .error-text { color: var(--color-primary); white-space: pre-line; }
+        .ok-text { color: var(--color-primary); }
+        .preview { border: 1px solid var(--border); border-radius: 8px; padding: 14px; }
+        .preview h3 { font-size: 16px; margin-bottom: 12px; }
+        .preview .opt { padding: 10px; border: 1px solid var(--border); border-radius: 6px; margin-bottom: 8px; }
+        .preview .opt.correct { border-color: rgba(46, 125, 50, 0.55); background: rgba(46, 125, 50, 0.12); }
+        .preview .expl { margin-top: 10px; font-size: 14px; white-space: pre-wrap; }
+    </style>
+</head>
+<body>
+    <div class="admin-container">
+        <div class="admin-header">
+            <h1>Question Bank</h1>
+            <div>
+                ${esc(admin.email)} | <a href="/admin/questions/item-analysis">Item analysis</a> | <a href="/admin">Dashboard</a> | <a href="/logout">Logout</a>
+            </div>
+        </div>
+
+        <div class="section">
+            <h2>Search</h2>
+            <div class="form-row">
+                <input type="search" id="searchQ" placeholder="Search question text, options, explanation" autocomplete="off" />
+                <select id="searchPhase"><option value="">All phases</option>${phaseOptions}</select>
+                <select id="searchDomain"><option value="">All domains</option>${domainOptions}</select>
+                <label style="display:flex; gap:6px; align-items:center; margin:0; font-weight:400;"><input type="checkbox" id="searchDeleted" /> Include deleted</label>
+                <button class="btn btn-primary" id="searchBtn" type="button">Search</button>
+            </div>
+            <div class="muted" id="searchSummary"></div>
+            <div class="table-wrap">
+                <table>
+                    <thead><tr><th>Phase</th><th>Domain</th><th>Question</th><th>Answer</th></tr></thead>
+                    <tbody id="resultsBody"></tbody>
+                </table>
+            </div>
+            <div class="form-row" style="margin-top:10px;">
+                <button class="btn btn-danger" id="prevPageBtn" type="button">← Prev</button>
+                <button class="btn btn-danger" id="nextPageBtn" type="button">Next →</button>
+            </div>
+        </div>
+
+        <div class="section">
+            <h2>Import / Export</h2>
+            <div class="form-row">
+                <input type="file" id="importFile" accept=".csv,.json,.gift,.txt" />
+                <select id="importFormat">
+                    <option value="">Format from file extension</option>
+                    <option value="csv">CSV</option>
+                    <option value="json">JSON</option>
+                    <option value="gift">Moodle GIFT</option>
+                </select>
+                <label style="display:flex; gap:6px; align-items:center; margin:0; font-weight:400;"><input type="checkbox" id="importDryRun" checked /> Dry run</label>
+                <button class="btn btn-primary" id="importBtn" type="button">Import</button>
+            </div>
+            <div class="muted">Rows are matched by question_key and updated in place; nothing is deleted. Run a dry run first to see per-line errors.</div>
+            <div id="importOutput" style="margin-top:10px;"></div>
+            <div class="form-row" style="margin-top:14px;">
+                <span class="muted">Export current filters:</span>
+                <button class="btn btn-danger" type="button" data-export="csv">CSV</button>
+                <button class="btn btn-danger" type="button" data-export="json">JSON</button>
+                <button class="btn btn-danger" type="button" data-export="gift">GIFT</button>
+            </div>
+        </div>
+
+        <div class="editor-grid">
+            <div class="section">
+                <h2 id="editorTitle">New question</h2>
+                <input type="hidden" id="qId" />
+                <label for="qText">Question</label>
+                <textarea id="qText"></textarea>
+                <div class="form-row" style="margin-top:12px;">
+                    <label for="qType" style="margin:0;">Type</label>
+                    <select id="qType">${typeOptions}</select>
+                    <label for="qScoring" style="margin:0;" class="scoring-field">Scoring</label>
+                    <select id="qScoring" class="scoring-field">${scoringOptions}</select>
+                </div>
+                <div id="optionFields">${OPTION_LETTERS.map((l, i) => `
+                <label for="qOpt${i}">Option ${l}</label>
+                <input class="option-input" id="qOpt${i}" data-option-index="${i}" autocomplete="off" />`).join('')}
+                </div>
+                <label class="pin-field" style="display:flex; gap:6px; align-items:center; margin-top:8px; font-weight:400;"><input type="checkbox" id="qPin" /> Keep option order (no shuffling, e.g. for "All of the above")</label>
+                <div id="keyField" style="display:none;">
+                    <label for="qKey" id="qKeyLabel">Answer key</label>
+                    <input class="option-input" id="qKey" autocomplete="off" />
+                    <div class="muted" id="qKeyHint"></div>
+                </div>
+                <div class="form-row" style="margin-top:12px;">
+                    <label for="qCorrect" style="margin:0;" class="single-field">Correct</label>
+                    <select id="qCorrect" class="single-field">${letterOptions}</select>
+                    <label for="qPhase" style="margin:0;">Phase</label>
+                    <select id="qPhase">${phaseOptions}</select>
+                    <label for="qDomain" style="margin:0;">Domain</label>
+                    <select id="qDomain">${domainOptions}</select>
+                </div>
+                <label for="qExplanation">Explanation</label>
+                <textarea id="qExplanation"></textarea>
+                <div class="form-row" style="margin-top:12px;">
+                    <button class="btn btn-primary" id="saveBtn" type="button">Save</button>
+                    <button class="btn btn-danger" id="newBtn" type="button">New</button>
+                    <button class="btn btn-danger" id="deleteBtn" type="button" style="display:none;">Delete</button>
+                    <button class="btn btn-danger" id="restoreBtn" type="button" style="display:none;">Restore</button>
+                </div>
+                <div id="editorOutput"></div>
+                <div id="revisionBox" style="display:none; margin-top:12px;">
+                    <h3 style="margin:0 0 6px;">History</h3>
+                    <div id="revisionList" class="muted"></div>
+                </div>
+            </div>
+
+            <div class="section">
+                <h2>Preview</h2>
+                <div class="preview" id="preview"></div>
+                <div class="muted" style="margin-top:8px;">As learners see it after answering. Deleted questions are hidden from quizzes.</div>
+            </div>
+        </div>
+    </div>
+
+    <script>
+        const LETTERS = ${JSON.stringify(OPTION_LETTERS)};
+        let page = 1;
+        let total = 0;
+        let pageSize = 50;
+        let current = null;
+
+        const $ = (id) => document.getElementById(id);
+
+        function escapeHtml(text) {
+            const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+            return String(text ?? '').replace(/[&<>"']/g, m => map[m]);
+        }
+
+        function stripPrefix(text) {
+            return String(text ?? '').trim().replace(/^[A-D][.)]\\s*/i, '').trim();
+        }
+
+        const KEY_HINTS = {
+            multi: ['Correct options', 'Letters of every correct option, e.g. A,C'],
+            order: ['Correct order', 'All four letters from first to last, e.g. C,A,D,B'],
+            short: ['Accepted answers', 'Separate variants with |, e.g. ReLU|rectified linear unit. Case and punctuation are ignored.']
+        };
+
+        function parseLetters(text) {
+            return String(text || '').split(/[\s,;|]+/).map((l) => l.trim().toUpperCase()).filter(Boolean);
+        }
+
+        // The answer key of any type as the text typed into qKey.
+        function keyText(q) {
+            if (q?.type === 'multi') return (q.correct_answers || []).join(',');
+            if (q?.type === 'order') return (q.correct_order || []).join(',');
+            if (q?.type === 'short') return (q.accepted_answers || []).join('|');
+            return '';
+        }
+
+        function syncTypeFields() {
+            const type = $('qType').value;
+            document.querySelectorAll('.single-field').forEach((el) => { el.style.display = type === 'single' ? '' : 'none'; });
+            document.querySelectorAll('.scoring-field').forEach((el) => { el.style.display = type === 'multi' || type === 'order' ? '' : 'none'; });
+            $('optionFields').style.display = type === 'short' ? 'none' : 'block';
+            document.querySelectorAll('.pin-field').forEach((el) => { el.style.display = type === 'short' ? 'none' : 'flex'; });
+            $('keyField').style.display = KEY_HINTS[type] ? 'block' : 'none';
+            if (KEY_HINTS[type]) {
+                $('qKeyLabel').textContent = KEY_HINTS[type][0];
+                $('qKeyHint').textContent = KEY_HINTS[type][1];
+            }
+        }
+
+        function readForm() {
+            const type = $('qType').value;
+            const q = {
+                question_text: $('qText').value,
+                type,
+                options: type === 'short' ? [] : LETTERS.map((_, i) => $('qOpt' + i).value),
+                phase: Number($('qPhase').value),
+                domain: $('qDomain').value,
+                explanation: $('qExplanation').value,
+                pin_options: type !== 'short' && $('qPin').checked
+            };
+            if (type === 'single') q.correct_answer = $('qCorrect').value;
+            if (type === 'multi') q.correct_answers = parseLetters($('qKey').value);
+            if (type === 'order') q.correct_order = parseLetters($('qKey').value);
+            if (type === 'short') q.accepted_answers = $('qKey').value.split('|').map((a) => a.trim()).filter(Boolean);
+            if (type === 'multi' || type === 'order') q.scoring = $('qScoring').value;
+            return q;
+        }
+
+        function renderPreview() {
+            const q = readForm();
+            let html = '<h3>' + escapeHtml(q.question_text || '(question text)') + '</h3>';
+            if (q.type === 'order') {
+                html += '<div class="muted" style="margin-bottom:8px;">Correct order:</div>';
+                q.correct_order.forEach((l) => {
+                    const i = LETTERS.indexOf(l);
+                    if (i >= 0) html += '<div class="opt correct">' + l + '. ' + escapeHtml(stripPrefix(q.options[i])) + '</div>';
+                });
+            } else if (q.type === 'short') {
+                html += '<div class="muted" style="margin-bottom:8px;">Accepted answers:</div>';
+                q.accepted_answers.forEach((a) => { html += '<div class="opt correct">' + escapeHtml(a) + '</div>'; });
+            }
+            if (q.type === 'single' || q.type === 'multi') q.options.forEach((o, i) => {
+                const correct = q.type === 'multi' ? q.correct_answers.includes(LETTERS[i]) : LETTERS[i] === q.correct_answer;
+                html += '<div class="' + (correct ? 'opt correct' : 'opt') + '">' + LETTERS[i] + '. ' + escapeHtml(stripPrefix(o)) + '</div>';
+            });
+            html += '<div class="muted">Phase ' + escapeHtml(q.phase) + ' • ' + escapeHtml(q.domain) + (q.pin_options ? ' • options pinned' : '') + '</div>';
+            if (q.explanation) html += '<div class="expl">' + escapeHtml(q.explanation) + '</div>';
+            $('preview').innerHTML = html;
+        }
+
+        function fillForm(q) {
+            current = q || null;
+            $('qId').value = q?._id || '';
+            $('qText').value = q?.question_text || '';
+            LETTERS.forEach((_, i) => { $('qOpt' + i).value = stripPrefix(q?.options?.[i] || ''); });
+            $('qType').value = q?.type || 'single';
+            $('qScoring').value = q?.scoring || 'partial';
+            $('qPin').checked = !!q?.pin_options;
+            $('qCorrect').value = q?.correct_answer || 'A';
+            $('qKey').value = keyText(q);
+            syncTypeFields();
+            if (q?.phase) $('qPhase').value = String(q.phase);
+            if (q?.domain) $('qDomain').value = q.domain;
+            $('qExplanation').value = q?.explanation || '';
+            $('editorTitle').textContent = q
+                ? (q.deleted_at ? 'Edit question (deleted)' : 'Edit question') + ' • v' + (q.version || 1)
+                : 'New question';
+            $('deleteBtn').style.display = q && !q.deleted_at ? 'inline-block' : 'none';
+            $('restoreBtn').style.display = q && q.deleted_at ? 'inline-block' : 'none';
+            $('editorOutput').innerHTML = '';
+            renderPreview();
+            loadRevisions(q?._id);
+        }
+
+        // Saved versions are read-only; learners' answers point at the version they saw.
+        async function loadRevisions(id) {
+            $('revisionBox').style.display = id ? 'block' : 'none';
+            $('revisionList').innerHTML = '';
+            if (!id) return;
+            try {
+                const res = await fetch('/admin/api/questions/' + encodeURIComponent(id) + '/revisions', { credentials: 'same-origin' });
+                const data = await res.json();
+                if (!res.ok || $('qId').value !== id) return;
+                $('revisionList').innerHTML = data.revisions.length
+                    ? data.revisions.map((r) =>
+                        '<div style="margin-bottom:6px;"><strong>v' + escapeHtml(r.version) + '</strong> • ' +
+                        escapeHtml(new Date(r.created_at).toLocaleString()) + ' • ' + escapeHtml(r.source) +
+                        '<div>' + escapeHtml(r.question_text) + '</div></div>'
+                    ).join('')
+                    : 'No saved versions yet; the first content edit records one.';
+            } catch (err) {
+                $('revisionList').textContent = 'Could not load history.';
+            }
+        }
+
+        function showResult(data, ok) {
+            const out = $('editorOutput');
+            if (ok) {
+                out.innerHTML = '<div class="ok-text">' + escapeHtml(data.message || 'Saved') + '</div>';
+                return;
+            }
+            const details = Array.isArray(data.details) ? '\\n' + data.details.join('\\n') : '';
+            out.innerHTML = '<div class="error-text">' + escapeHtml((data.error || 'Request failed') + details) + '</div>';
+        }
+
+        async function search() {
+            const params = new URLSearchParams();
+            const q = $('searchQ').value.trim();
+            if (q) params.set('q', q);
+            if ($('searchPhase').value) params.set('phase', $('searchPhase').value);
+            if ($('searchDomain').value) params.set('domain', $('searchDomain').value);
+            if ($('searchDeleted').checked) params.set('include_deleted', '1');
+            params.set('page', String(page));
+
+            try {
+                const res = await fetch('/admin/api/questions?' + params.toString(), { credentials: 'same-origin' });
+                const data = await res.json();
+                if (!res.ok) {
+                    $('searchSummary').textContent = data.error || 'Search failed';
+                    return;
+                }
+                total = data.total;
+                pageSize = data.pageSize;
+                const pages = Math.max(1, Math.ceil(total / pageSize));
+                $('searchSummary').textContent = total + ' question(s) • page ' + page + ' of ' + pages;
+                $('resultsBody').innerHTML = data.questions.map((q) =>
+                    '<tr class="row-link' + (q.deleted_at ? ' row-deleted' : '') + '" data-id="' + escapeHtml(q._id) + '">' +
+                    '<td>' + escapeHtml(q.phase) + '</td>' +
+                    '<td>' + escapeHtml(q.domain) + '</td>' +
+                    '<td>' + escapeHtml(q.question_text) + '</td>' +
+                    '<td>' + escapeHtml(!q.type || q.type === 'single' ? q.correct_answer : q.type + ': ' + keyText(q)) + '</td>' +
+                    '</tr>'
+                ).join('');
+            } catch (err) {
+                $('searchSummary').textContent = 'Request failed.';
+            }
+        }
+
+        async function openQuestion(id) {
+            try {
+                const res = await fetch('/admin/api/questions/' + encodeURIComponent(id), { credentials: 'same-origin' });
+                const data = await res.json();
+                if (!res.ok) return showResult(data, false);
+                fillForm(data.question);
+            } catch (err) {
+                showResult({ error: 'Request failed.' }, false);
+            }
+        }
+
+        async function save() {
+            const id = $('qId').value;
+            try {
+                const res = await fetch(id ? '/admin/api/questions/' + encodeURIComponent(id) : '/admin/api/questions', {
+                    method: id ? 'PUT' : 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(readForm())
+                });
+                const data = await res.json();
+                if (!res.ok) return showResult(data, false);
+                fillForm(data.question);
+                showResult(data, true);
+                search();
+            } catch (err) {
+                showResult({ error: 'Request failed.' }, false);
+            }
+        }
+
+        async function removeOrRestore(restore) {
+            const id = $('qId').value;
+            if (!id) return;
+            if (!restore && !confirm('Delete this question? It will be hidden from quizzes.')) return;
+            try {
+                const res = await fetch('/admin/api/questions/' + encodeURIComponent(id) + (restore ? '/restore' : ''), {
+                    method: restore ? 'POST' : 'DELETE'
+                });
+                const data = await res.json();
+                if (!res.ok) return showResult(data, false);
+                fillForm(data.question);
+                showResult(data, true);
+                search();
+            } catch (err) {
+                showResult({ error: 'Request failed.' }, false);
+            }
+        }
+
+        function filterParams() {
+            const params = new URLSearchParams();
+            if ($('searchPhase').value) params.set('phase', $('searchPhase').value);
+            if ($('searchDomain').value) params.set('domain', $('searchDomain').value);
+            if ($('searchDeleted').checked) params.set('include_deleted', '1');
+            return params;
+        }
+
+        async function importFile() {
+            const out = $('importOutput');
+            const file = $('importFile').files[0];
+            if (!file) {
+                out.innerHTML = '<div class="error-text">Choose a file first.</div>';
+                return;
+            }
+            const ext = file.name.toLowerCase().split('.').pop();
+            const format = $('importFormat').value || (ext === 'txt' ? 'gift' : ext);
+            const dryRun = $('importDryRun').checked;
+            out.innerHTML = '<div class="muted">Uploading…</div>';
+
+            try {
+                const text = await file.text();
+                const res = await fetch('/admin/api/questions/import?format=' + encodeURIComponent(format) + (dryRun ? '&dry_run=1' : ''), {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'text/plain' },
+                    body: text
+                });
+                const data = await res.json();
+                if (!res.ok) {
+                    out.innerHTML = '<div class="error-text">' + escapeHtml(data.error || 'Import failed') + '</div>';
+                    return;
+                }
+                let html = '<div class="ok-text">' + (data.dryRun ? '[dry run] ' : '') + data.total + ' row(s): ' +
+                    data.created + ' created, ' + data.updated + ' updated, ' + data.unchanged + ' unchanged, ' +
+                    data.errors.length + ' with errors</div>';
+                if (data.errors.length) {
+                    html += '<div class="error-text">' + data.errors.map((e) => escapeHtml(e.ref + ': ' + e.errors.join('; '))).join('\\n') + '</div>';
+                }
+                out.innerHTML = html;
+                if (!data.dryRun) search();
+            } catch (err) {
+                out.innerHTML = '<div class="error-text">Request failed.</div>';
+            }
+        }
+
+        $('importBtn').addEventListener('click', importFile);
+        document.querySelectorAll('[data-export]').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                const params = filterParams();
+                params.set('format', btn.getAttribute('data-export'));
+                window.location.href = '/admin/api/questions/export?' + params.toString();
+            });
+        });
+        $('searchBtn').addEventListener('click', () => { page = 1; search(); });
+        $('searchQ').addEventListener('keydown', (e) => { if (e.key === 'Enter') { page = 1; search(); } });
+        $('prevPageBtn').addEventListener('click', () => { if (page > 1) { page -= 1; search(); } });
+        $('nextPageBtn').addEventListener('click', () => { if (page * pageSize < total) { page += 1; search(); } });
+        $('resultsBody').addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-id]');
+            if (row) openQuestion(row.getAttribute('data-id'));
+        });
+        ['qText', 'qCorrect', 'qPhase', 'qDomain', 'qExplanation', 'qKey', 'qScoring'].concat(LETTERS.map((_, i) => 'qOpt' + i))
+            .forEach((id) => $(id).addEventListener('input', renderPreview));
+        $('qType').addEventListener('change', () => { syncTypeFields(); renderPreview(); });
+        $('qPin').addEventListener('change', renderPreview);
+        $('saveBtn').addEventListener('click', save);
+        $('newBtn').addEventListener('click', () => fillForm(null));
+        $('deleteBtn').addEventListener('click', () => removeOrRestore(false));
+        $('restoreBtn').addEventListener('click', () => removeOrRestore(true));
+
+        fillForm(null);
+        search();
+        // Deep link from the item analysis report: /admin/questions#<id>
+        if (location.hash.length > 1) openQuestion(decodeURIComponent(location.hash.slice(1)));
+    </script>
+</body>
+</html>
+  `;
+}
+
+function renderItemAnalysis(admin) {
+  const esc = (s) => String(s).replace(/[&<>"']/g, (m) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' }[m]));
+  const phaseOptions = PHASES.map((p) => `<option value="${p}">Phase ${p}</option>`).join('');
+  const domainOptions = DOMAINS.map((d) => `<option value="${esc(d)}">${esc(d)}</option>`).join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Item Analysis - ArxCafe Admin</title>
+    <link rel="stylesheet" href="/css/global.css">
+    <style>
+        .admin-container { max-width: 1200px; margin: 20px auto; padding: 12px; }
+        .admin-header { display: flex; justify-content: space-between; align-items: center; gap: 10px; margin-bottom: 18px; flex-wrap: wrap; }
+        .section { background: var(--color-surface); padding: 18px; border-radius: 8px; border: 1px solid var(--border); box-shadow: var(--shadow-sm); margin-bottom: 24px; }
+        .form-row { display: flex; gap: 10px; flex-wrap: wrap; align-items: center; margin-bottom: 10px; }
+        .form-row input, .form-row select { padding: 10px; border: 1px solid var(--border); border-radius: 6px; background: var(--color-surface); color: var(--color-text); }
+        .form-row input[type="number"] { width: 110px; }
+        .btn { padding: 10px 14px; border: none; border-radius: 6px; cursor: pointer; font-weight: 600; }
+        .btn-primary { background: var(--color-primary); color: var(--color-bg); border: 1px solid rgba(74, 52, 46, 0.35); }
+        .table-wrap { overflow-x: auto; }
+        table { width: 100%; border-collapse: collapse; min-width: 900px; }
+        th { background: rgba(245, 243, 241, 0.70); padding: 10px; text-align: left; font-weight: 600; cursor: pointer; white-space: nowrap; }
+        td { padding: 10px; border-bottom: 1px solid var(--border); vertical-align: top; font-size: 14px; }
+        .muted { color: var(--color-secondary); font-size: 13px; }
+        .num { text-align: right; font-variant-numeric: tabular-nums; }
+        .opt { display: inline-block; margin-right: 8px; white-space: nowrap; }
+        .opt.correct { font-weight: 700; }
+        .flag { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 12px; margin: 0 4px 4px 0; background: rgba(74, 52, 46, 0.10); border: 1px solid rgba(74, 52, 46, 0.25); }
+    </style>
+</head>
+<body>
+    <div class="admin-container">
+        <div class="admin-header">
+            <h1>Item Analysis</h1>
+            <div>
+                ${esc(admin.email)} | <a href="/admin/questions">Question editor</a> | <a href="/admin">Dashboard</a> | <a href="/logout">Logout</a>
+            </div>
+        </div>
+
+        <div class="section">
+            <div class="form-row">
+                <select id="fPhase"><option value="">All phases</option>${phaseOptions}</select>
+                <select id="fDomain"><option value="">All domains</option>${domainOptions}</select>
+                <label class="muted" for="fMin">Min responses</label>
+                <input type="number" id="fMin" min="1" value="${DEFAULT_THRESHOLDS.minResponses}" />
+                <label class="muted" for="fEasy">Too easy above p =</label>
+                <input type="number" id="fEasy" min="0" max="1" step="0.01" value="${DEFAULT_THRESHOLDS.tooEasyP}" />
+                <label style="display:flex; gap:6px; align-items:center; margin:0;"><input type="checkbox" id="fFlagged" /> Flagged only</label>
+                <button class="btn btn-primary" id="runBtn" type="button">Run</button>
+            </div>
+            <div class="muted">
+                p = share answered correctly. r<sub>pb</sub> = point-biserial correlation with the rest of the attempt score; negative means stronger students miss it more.
+                Flags are raised only once a question has the minimum number of responses.
+            </div>
+            <div class="muted" id="summary" style="margin-top:8px;"></div>
+        </div>
+
+        <div class="section">
+            <div class="table-wrap">
+                <table>
+                    <thead><tr>
+                        <th data-sort="question_text">Question</th>
+                        <th data-sort="responses" class="num">N</th>
+                        <th data-sort="p_value" class="num">p</th>
+                        <th data-sort="point_biserial" class="num">r<sub>pb</sub></th>
+                        <th data-sort="avg_time_ms" class="num">Avg time</th>
+                        <th>Option pick rates</th>
+                        <th data-sort="flags">Flags</th>
+                    </tr></thead>
+                    <tbody id="rows"></tbody>
+                </table>
+            </div>
+        </div>
+    </div>
+
+    <script>
+        const $ = (id) => document.getElementById(id);
+        const FLAG_LABELS = { too_easy: 'Too easy', reversed: 'Reversed', unused_distractor: 'Unused distractor' };
+        let items = [];
+        let sortKey = 'flags';
+        let sortDir = -1;
+
+        function escapeHtml(s) {
+            return String(s == null ? '' : s).replace(/[&<>"']/g, (m) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' }[m]));
+        }
+
+        function fmt(x, digits) {
+            return x === null || x === undefined ? '—' : Number(x).toFixed(digits);
+        }
+
+        function sortValue(item) {
+            if (sortKey === 'flags') return item.flags.length;
+            const v = item[sortKey];
+            return v === null || v === undefined ? -Infinity : v;
+        }
+
+        function render() {
+            const sorted = items.slice().sort((a, b) => {
+                const va = sortValue(a);
+                const vb = sortValue(b);
+                if (va < vb) return -sortDir;
+                if (va > vb) return sortDir;
+                return 0;
+            });
+
+            $('rows').innerHTML = sorted.map((i) => {
+                const opts = i.options.map((o) =>
+                    '<span class="opt' + (o.correct ? ' correct' : '') + '">' + o.letter + ': ' + (o.rate === null ? '—' : Math.round(o.rate * 100) + '%') + '</span>'
+                ).join('');
+                const flags = i.flags.map((f) => '<span class="flag">' + escapeHtml(FLAG_LABELS[f] || f) + '</span>').join('');
+                return '<tr>' +
+                    '<td><a href="/admin/questions#' + encodeURIComponent(i.id) + '">' + escapeHtml(i.question_text) + '</a>' +
+                        '<div class="muted">Phase ' + escapeHtml(i.phase) + ' • ' + escapeHtml(i.domain) + '</div></td>' +
+                    '<td class="num">' + i.responses + '</td>' +
+                    '<td class="num">' + fmt(i.p_value, 2) + '</td>' +
+                    '<td class="num">' + fmt(i.point_biserial, 2) + '</td>' +
+                    '<td class="num">' + (i.avg_time_ms === null ? '—' : (i.avg_time_ms / 1000).toFixed(1) + 's') + '</td>' +
+                    '<td>' + opts + '</td>' +
+                    '<td>' + flags + '</td>' +
+                '</tr>';
+            }).join('') || '<tr><td colspan="7" class="muted">No questions match.</td></tr>';
+        }
+
+        async function run() {
+            const params = new URLSearchParams();
+            if ($('fPhase').value) params.set('phase', $('fPhase').value);
+            if ($('fDomain').value) params.set('domain', $('fDomain').value);
+            if ($('fMin').value) params.set('min_responses', $('fMin').value);
+            if ($('fEasy').value) params.set('too_easy_p', $('fEasy').value);
+            if ($('fFlagged').checked) params.set('flagged', '1');
+
+            $('summary').textContent = 'Loading…';
+            try {
+                const res = await fetch('/admin/api/questions/item-analysis?' + params.toString(), { credentials: 'same-origin' });
+                const data = await res.json();
+                if (!res.ok || !data.success) throw new Error(data.error || 'Request failed');
+                items = data.items || [];
+                const flagged = items.filter((i) => i.flags.length).length;
+                const responses = items.reduce((sum, i) => sum + i.responses, 0);
+                $('summary').textContent = items.length + ' question(s) • ' + responses + ' response(s) • ' + flagged + ' flagged';
+                render();
+            } catch (err) {
+                $('summary').textContent = 'Error: ' + err.message;
+            }
+        }
+
+        document.querySelectorAll('th[data-sort]').forEach((th) => {
+            th.addEventListener('click', () => {
+                const key = th.getAttribute('data-sort');
+                sortDir = key === sortKey ? -sortDir : -1;
+                sortKey = key;
+                render();
+            });
+        });
+        $('runBtn').addEventListener('click', run);
+
+        run();
+    </script>
+</body>
+</html>
+  `;
+}
+
+module.exports = router;
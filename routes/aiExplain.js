@@ -1,5 +1,18 @@
 // AI Explain Route - 1:1 port from PHP to Node.js
-const crypto = require('crypto');
+// Text generation goes through the configured provider (utils/llmProviders);
+// uncached requests are subject to the caller's quota (utils/aiQuota).
+const mongoose = require('mongoose');
+const {
+  normalizeQuestionVersion,
+  explanationCacheKey,
+  isProtectedExplanation,
+  isPlaceholderExplanation
+} = require('../utils/aiExplanations');
+const { getProvider, PLACEHOLDER_PROVIDERS } = require('../utils/llmProviders');
+const { QUOTA_EXCEEDED, quotaSubject, quotaStatus, quotaExceededBody, beginCall } = require('../utils/aiQuota');
+
+// Output token caps per generation step (also used for cost estimates, scripts/pregenerate-explanations.js)
+const MAX_TOKENS = { short: 1024, meta: 80, long: 420 };
 
 // Helper functions
 function jsonError(res, status, message) {
@@ -89,80 +102,61 @@ function buildMetaPrompt(questionText, userAnswer, correctAnswer, isCorrect, sho
   );
 }
 
-async function geminiGenerate({ apiKey, model, payload, signal }) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${encodeURIComponent(apiKey)}`;
-
-  console.log('[Gemini] Calling URL:', url.replace(apiKey, 'API_KEY_HIDDEN'));
-
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload),
-    signal
-  });
-
-  const text = await res.text().catch(() => '');
-  let decoded = null;
-  try { decoded = JSON.parse(text); } catch { decoded = null; }
-
-  console.log('[Gemini] Response:', res.status, decoded ? JSON.stringify(decoded).substring(0, 200) : text.substring(0, 200));
-
-  return { ok: res.ok, status: res.status, decoded, rawText: text };
-}
-
-function extractGeminiText(decoded) {
-  try {
-    const parts = decoded?.candidates?.[0]?.content?.parts;
-    if (!Array.isArray(parts)) return '';
-    return parts.map(p => (p && typeof p.text === 'string') ? p.text : '').join('');
-  } catch {
-    return '';
-  }
-}
-
-function extractGeminiError(decoded) {
-  const err = decoded?.error;
-  if (!err || typeof err !== 'object') return {};
-  return {
-    code: err.code,
-    status: err.status,
-    message: err.message
+// Request fields shared by the JSON and streaming endpoints; { error } when the body is invalid.
+function readExplainRequest(data) {
+  if (!data || typeof data !== 'object') return { error: 'Invalid JSON' };
+
+  const fields = {
+    question_id: String(data.question_id || '').trim(),
+    question_text: String(data.question_text || '').trim(),
+    question_version: normalizeQuestionVersion(data.question_version),
+    user_answer: String(data.user_answer || '').trim(),
+    correct_answer: String(data.correct_answer || '').trim(),
+    is_correct: (typeof data.is_correct === 'boolean') ? data.is_correct : null,
+    explanation_level: String(data.explanation_level || 'short').trim(),
+    quiz_id: String(data.quiz_id || '').trim(),
+    difficulty: (data.difficulty === null || typeof data.difficulty === 'undefined') ? '' : String(data.difficulty),
+    timeout_ms: data._timeout_ms,
+    debug: Boolean(data._debug)
   };
-}
 
-function sha1Hex(s) {
-  return crypto.createHash('sha1').update(String(s)).digest('hex');
+  if (!fields.question_id || !fields.question_text) return { error: 'Missing question_id or question_text' };
+  if (fields.explanation_level !== 'short' && fields.explanation_level !== 'long') return { error: 'Invalid explanation_level' };
+  return { fields };
 }
 
-async function handleAiExplain(req, res, mongoDb) {
-  const data = req.body;
-  if (!data || typeof data !== 'object') return jsonError(res, 400, 'Invalid JSON');
-
-  const question_id = String(data.question_id || '').trim();
-  const question_text = String(data.question_text || '').trim();
-  const user_answer = String(data.user_answer || '').trim();
-  const correct_answer = String(data.correct_answer || '').trim();
-  const is_correct = (typeof data.is_correct === 'boolean') ? data.is_correct : null;
-  const explanation_level = String(data.explanation_level || 'short').trim();
-  const quiz_id = String(data.quiz_id || '').trim();
-  const difficulty = (data.difficulty === null || typeof data.difficulty === 'undefined') ? '' : String(data.difficulty);
-  const debug = Boolean(data._debug);
-
-  if (!question_id || !question_text) return jsonError(res, 400, 'Missing question_id or question_text');
-  if (explanation_level !== 'short' && explanation_level !== 'long') return jsonError(res, 400, 'Invalid explanation_level');
-
-  // Cache key must vary by answer (answer-variant aware)
-  const cache_key = sha1Hex(
-    question_id
-    + '|' + user_answer.trim().toLowerCase()
-    + '|' + correct_answer.trim().toLowerCase()
-    + '|' + (is_correct === null ? '' : (is_correct ? '1' : '0'))
-  );
+// Cache lookup, quota check, generation and cache write. Resolves to the response payload,
+// which has ok: false only when the caller is over quota (sent as 429).
+// With onText(part, delta) the short and long texts are streamed ('short' | 'long') as they
+// are generated; the payload then carries the complete texts and the meta classification.
+// enforceQuota: false is for server-side jobs that are not a learner's request (pre-generation).
+async function explain(req, mongoDb, fields, { onText = null, enforceQuota = true } = {}) {
+  const {
+    question_id, question_text, question_version, user_answer, correct_answer, is_correct,
+    explanation_level, quiz_id, difficulty, timeout_ms, debug
+  } = fields;
+
+  const cache_key = explanationCacheKey({
+    questionId: question_id,
+    questionVersion: question_version,
+    userAnswer: user_answer,
+    correctAnswer: correct_answer,
+    isCorrect: is_correct
+  });
 
-  const ip = (req.headers['x-forwarded-for']?.toString().split(',')[0].trim()) || req.socket.remoteAddress || '';
+  // req.ip honours 'trust proxy'; the first X-Forwarded-For entry is whatever the caller sent
+  // and would let anonymous callers dodge the per-IP quota.
+  const ip = req.ip || req.socket.remoteAddress || '';
   const userId = req.user?.id || req.session?.userId || null;
 
-  const logRequest = async ({ cached, provider_http_status, provider_status, provider_message }) => {
+  // AI_PROVIDER / AI_ASSIST_MODEL (utils/llmProviders)
+  const provider = getProvider();
+  const model = provider.model;
+
+  // The quota counts a provider call as in flight until its log row is written.
+  let releaseQuota = () => {};
+
+  const logRequest = async ({ cached, provider: answeredBy = provider.name, provider_http_status, provider_status, provider_message }) => {
     try {
       if (!mongoDb) return;
       await mongoDb.collection('ai_explain_requests').insertOne({
@@ -173,20 +167,37 @@ async function handleAiExplain(req, res, mongoDb) {
         question_id: question_id || null,
         explanation_level,
         cached: Boolean(cached),
+        provider: answeredBy || null,
         provider_http_status: (typeof provider_http_status === 'number') ? provider_http_status : null,
         provider_status: provider_status ? String(provider_status).slice(0, 64) : null,
         provider_message: provider_message ? String(provider_message).slice(0, 255) : null,
       });
     } catch {
       // never break quiz UX
+    } finally {
+      releaseQuota();
     }
   };
 
+  // Provider trouble never fails the request: the page shows its "unavailable" message.
+  const unavailable = {
+    ok: true,
+    question_id,
+    provider: provider.name,
+    model,
+    short_explanation: '',
+    long_explanation: null,
+    expandable: false,
+    confidence: 'partial',
+    cached: false
+  };
+
   // 1) Cache lookup
   try {
     if (mongoDb) {
       const row = await mongoDb.collection('ai_explanations_v2').findOne({ cache_key });
-      if (row) {
+      // Placeholder (echo) rows are regenerated, and overwritten below.
+      if (row && !isPlaceholderExplanation(row)) {
         const short = String(row.short_text || '');
         const long = String(row.long_text || '');
         let confidence = String(row.confidence || '');
@@ -196,20 +207,26 @@ async function handleAiExplain(req, res, mongoDb) {
           confidence = guessConfidenceFromText(short);
         }
 
-        if (explanation_level !== 'long' || long !== '') {
-          await logRequest({ cached: true, provider_http_status: null, provider_status: '', provider_message: '' });
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
+        // Reviewed entries are served as they are, even without a long text.
+        if (explanation_level !== 'long' || long !== '' || isProtectedExplanation(row)) {
+          // Rows written before the provider layer came from Gemini.
+          const cachedProvider = row.provider || 'gemini';
+          await logRequest({ cached: true, provider: cachedProvider, provider_http_status: null, provider_status: '', provider_message: '' });
+          if (onText) {
+            if (short) onText('short', short);
+            if (explanation_level === 'long' && long) onText('long', long);
+          }
+          return {
             ok: true,
             question_id,
-            model: row.model || process.env.AI_ASSIST_MODEL || 'gemini-2.5-flash',
+            provider: cachedProvider,
+            model: row.model || model,
             short_explanation: short,
             long_explanation: (explanation_level === 'long') ? long : null,
             expandable,
             confidence,
             cached: true
-          }));
-          return;
+          };
         }
       }
     }
@@ -217,35 +234,40 @@ async function handleAiExplain(req, res, mongoDb) {
     // Cache read errors should not kill UX
   }
 
-  // Default to a currently supported model. Can be overridden via AI_ASSIST_MODEL.
-  const model = process.env.AI_ASSIST_MODEL || 'gemini-2.5-flash';
-  // Secret Manager values may include trailing newlines; trim to avoid %0D%0A in URLs.
-  const apiKey = String(process.env.GEMINI_API_KEY || '').trim();
-
-  if (!apiKey) {
-    console.log('[AI Explain] No API key configured');
-    await logRequest({ cached: false, provider_http_status: null, provider_status: 'NO_API_KEY', provider_message: 'GEMINI_API_KEY is not configured' });
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({
-      ok: true,
-      question_id,
-      model,
-      short_explanation: '',
-      long_explanation: null,
-      expandable: false,
-      confidence: 'partial',
-      cached: false
-    }));
-    return;
+  if (provider.configError) {
+    console.log('[AI Explain] Provider not configured:', provider.name, provider.configError);
+    await logRequest({ cached: false, provider_http_status: null, provider_status: 'NO_API_KEY', provider_message: provider.configError });
+    return unavailable;
   }
 
-  console.log('[AI Explain] Starting Gemini API call for question:', question_id.substring(0, 10));
+  // Quota: only requests that reach the provider count. Not enforced while Mongoose is
+  // disconnected, so a database hiccup does not take explanations down with it.
+  if (enforceQuota && mongoose.connection.readyState === 1) {
+    try {
+      const subject = await quotaSubject({ user: req.user, ip });
+      const quota = await quotaStatus(subject);
+      if (quota.exceeded) {
+        console.log('[AI Explain] Quota exceeded:', subject.tier, subject.user_id || subject.ip);
+        await logRequest({ cached: false, provider_http_status: null, provider_status: QUOTA_EXCEEDED, provider_message: `${quota.used}/${quota.limit} in ${quota.window_hours}h` });
+        return quotaExceededBody(quota);
+      }
+      releaseQuota = beginCall(subject);
+    } catch (e) {
+      console.log('[AI Explain] Quota check failed:', e?.message || e);
+    }
+  }
+
+  console.log(`[AI Explain] Starting ${provider.name} call for question:`, question_id.substring(0, 10));
+
+  const generate = (part, opts) => (onText
+    ? provider.stream({ ...opts, onText: (delta) => onText(part, delta) })
+    : provider.generate(opts));
 
   // 2) Generate short first
   const shortPrompt = buildShortPrompt(question_text, user_answer, correct_answer, is_correct);
 
   const controller = new AbortController();
-  const timeoutShort = Math.min(Number(data._timeout_ms || 12000) || 12000, 15000);
+  const timeoutShort = Math.min(Number(timeout_ms || 12000) || 12000, 15000);
   const t = setTimeout(() => controller.abort(), timeoutShort);
 
   let shortText = '';
@@ -254,73 +276,35 @@ async function handleAiExplain(req, res, mongoDb) {
   let providerHttpStatus = null;
 
   try {
-    const payloadShort = {
-      contents: [{ role: 'user', parts: [{ text: shortPrompt }] }],
-      generationConfig: { temperature: 0.2, maxOutputTokens: 1024 }
-    };
-
-    const r = await geminiGenerate({ apiKey, model, payload: payloadShort, signal: controller.signal });
+    const r = await generate('short', { prompt: shortPrompt, temperature: 0.2, maxTokens: MAX_TOKENS.short, signal: controller.signal });
     providerHttpStatus = r.status;
 
-    console.log('[AI Explain] Gemini response status:', r.status, 'ok:', r.ok);
+    console.log('[AI Explain] Provider response status:', r.status, 'ok:', r.ok);
 
     if (!r.ok) {
-      const perr = debug ? extractGeminiError(r.decoded) : {};
+      const perr = debug ? (r.error || {}) : {};
       providerStatus = String(perr.status || '');
       providerMessage = String(perr.message || '') || `HTTP ${r.status}`;
-      console.log('[AI Explain] Gemini error:', providerStatus, providerMessage);
+      console.log(`[AI Explain] ${provider.name} error:`, providerStatus, providerMessage);
       await logRequest({ cached: false, provider_http_status: r.status, provider_status: providerStatus, provider_message: providerMessage });
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        ok: true,
-        question_id,
-        model,
-        short_explanation: '',
-        long_explanation: null,
-        expandable: false,
-        confidence: 'partial',
-        cached: false
-      }));
-      return;
+      return unavailable;
     }
 
-    shortText = extractGeminiText(r.decoded).trim();
+    shortText = String(r.text || '').trim();
 
     console.log('[AI Explain] Short explanation generated, length:', shortText.length);
 
     if (!shortText) {
-      console.log('[AI Explain] Empty response from Gemini');
-      await logRequest({ cached: false, provider_http_status: r.status, provider_status: 'EMPTY_RESPONSE', provider_message: 'Gemini returned empty text' });
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        ok: true,
-        question_id,
-        model,
-        short_explanation: '',
-        long_explanation: null,
-        expandable: false,
-        confidence: 'partial',
-        cached: false
-      }));
-      return;
+      console.log(`[AI Explain] Empty response from ${provider.name}`);
+      await logRequest({ cached: false, provider_http_status: r.status, provider_status: 'EMPTY_RESPONSE', provider_message: `${provider.name} returned empty text` });
+      return unavailable;
     }
   } catch (e) {
     const msg = (e && typeof e.message === 'string') ? e.message : 'AI request failed';
-    console.log('[AI Explain] Exception during Gemini call:', msg);
+    console.log(`[AI Explain] Exception during ${provider.name} call:`, msg);
     console.log('[AI Explain] Stack:', e.stack);
     await logRequest({ cached: false, provider_http_status: providerHttpStatus, provider_status: 'FETCH_ERROR', provider_message: msg });
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({
-      ok: true,
-      question_id,
-      model,
-      short_explanation: '',
-      long_explanation: null,
-      expandable: false,
-      confidence: 'partial',
-      cached: false
-    }));
-    return;
+    return unavailable;
   } finally {
     clearTimeout(t);
   }
@@ -331,14 +315,9 @@ async function handleAiExplain(req, res, mongoDb) {
 
   try {
     const metaPrompt = buildMetaPrompt(question_text, user_answer, correct_answer, is_correct, shortText, difficulty);
-    const payloadMeta = {
-      contents: [{ role: 'user', parts: [{ text: metaPrompt }] }],
-      generationConfig: { temperature: 0.0, maxOutputTokens: 80 }
-    };
-
-    const r2 = await geminiGenerate({ apiKey, model, payload: payloadMeta });
+    const r2 = await provider.generate({ prompt: metaPrompt, temperature: 0.0, maxTokens: MAX_TOKENS.meta });
     if (r2.ok) {
-      const metaText = extractGeminiText(r2.decoded).trim();
+      const metaText = String(r2.text || '').trim();
       const mj = JSON.parse(metaText);
       if (mj && (mj.confidence === 'complete' || mj.confidence === 'partial')) confidence = mj.confidence;
       if (typeof mj.expandable === 'boolean') expandable = mj.expandable;
@@ -359,32 +338,35 @@ async function handleAiExplain(req, res, mongoDb) {
   if (explanation_level === 'long') {
     try {
       const longPrompt = buildLongPrompt(shortText);
-      const payloadLong = {
-        contents: [{ role: 'user', parts: [{ text: longPrompt }] }],
-        generationConfig: { temperature: 0.3, maxOutputTokens: 420 }
-      };
-
-      const r3 = await geminiGenerate({ apiKey, model, payload: payloadLong });
-      if (r3.ok) longText = extractGeminiText(r3.decoded).trim();
+      const r3 = await generate('long', { prompt: longPrompt, temperature: 0.3, maxTokens: MAX_TOKENS.long });
+      if (r3.ok) longText = String(r3.text || '').trim();
     } catch {
       // ignore
     }
   }
 
-  // 5) Upsert cache
+  // 5) Upsert cache. Approved or pinned rows are left alone: the filter misses them and the
+  // insert that follows fails on the unique cache_key (ignored below).
+  // Placeholder providers (echo) are never cached, so learners only get real explanations from it.
   try {
-    if (mongoDb) {
+    if (mongoDb && !PLACEHOLDER_PROVIDERS.includes(provider.name)) {
       await mongoDb.collection('ai_explanations_v2').updateOne(
-        { cache_key },
+        { cache_key, approved: { $ne: true }, pinned: { $ne: true } },
         {
           $setOnInsert: { created_at: new Date() },
           $set: {
             cache_key,
             question_id,
+            question_text,
+            user_answer,
+            correct_answer,
+            is_correct,
+            provider: provider.name,
             model,
             expandable,
             confidence,
             ...(quiz_id ? { quiz_id } : {}),
+            ...(question_version ? { question_version } : {}),
             ...(shortText ? { short_text: shortText } : {}),
             ...(longText ? { long_text: longText } : {})
           }
@@ -398,17 +380,86 @@ async function handleAiExplain(req, res, mongoDb) {
 
   await logRequest({ cached: false, provider_http_status: 200, provider_status: '', provider_message: '' });
 
-  res.writeHead(200, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({
+  return {
     ok: true,
     question_id,
+    provider: provider.name,
     model,
     short_explanation: shortText,
     long_explanation: (explanation_level === 'long') ? longText : null,
     expandable,
     confidence,
     cached: false
-  }));
+  };
+}
+
+async function handleAiExplain(req, res, mongoDb) {
+  const { fields, error } = readExplainRequest(req.body);
+  if (error) return jsonError(res, 400, error);
+
+  const result = await explain(req, mongoDb, fields);
+  if (!result.ok) return quotaError(res, result);
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(result));
+}
+
+function quotaError(res, body) {
+  res.writeHead(429, {
+    'Content-Type': 'application/json',
+    ...(body.retry_after_seconds ? { 'Retry-After': String(body.retry_after_seconds) } : {})
+  });
+  res.end(JSON.stringify(body));
+}
+
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // nginx and Cloud Run front ends otherwise buffer the whole response
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+}
+
+function sseEvent(res, event, payload) {
+  // The learner may have moved on; generation still finishes so the cache gets the text.
+  if (res.writableEnded || res.destroyed) return;
+  if (!res.headersSent) openEventStream(res);
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+// Streaming variant (POST /api/ai/explain/stream), Server-Sent Events over the POST response:
+//   event: delta  data: { part: 'short' | 'long', text }   text as the provider produces it
+//   event: meta   data: the /api/ai/explain JSON payload (full texts, confidence, expandable)
+// meta is always the last event. An empty short_explanation in meta means the explanation
+// is unavailable and any text already shown should be discarded.
+// The stream opens with the first event, so invalid requests (400) and callers over quota
+// (429, same body as /api/ai/explain) still get a plain JSON response.
+async function handleAiExplainStream(req, res, mongoDb) {
+  const { fields, error } = readExplainRequest(req.body);
+  if (error) return jsonError(res, 400, error);
+
+  let result;
+  try {
+    result = await explain(req, mongoDb, fields, {
+      onText: (part, text) => sseEvent(res, 'delta', { part, text })
+    });
+  } catch (err) {
+    if (res.headersSent) res.end();
+    throw err;
+  }
+  if (!result.ok) return quotaError(res, result);
+  sseEvent(res, 'meta', result);
+  res.end();
 }
 
-module.exports = { handleAiExplain };
+module.exports = {
+  MAX_TOKENS,
+  buildShortPrompt,
+  buildMetaPrompt,
+  buildLongPrompt,
+  explain,
+  handleAiExplain,
+  handleAiExplainStream
+};
@@ -5,7 +5,8 @@ const passport = require('../config/passport');
 const User = require('../models/User');
 const PasswordResetToken = require('../models/PasswordResetToken');
 const Subscription = require('../models/Subscription');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, hasActiveSubscription } = require('../middleware/auth');
+const { exportUserData, deleteUserData } = require('../utils/accountData');
 const { isEmailConfigured, sendMail } = require('../utils/mailer');
 
 const router = express.Router();
@@ -261,6 +262,70 @@ router.post('/api/account/password', requireAuth, async (req, res) => {
   }
 });
 
+// GET /api/account/export - download everything stored for the signed-in user as JSON
+router.get('/api/account/export', requireAuth, async (req, res) => {
+  try {
+    const data = await exportUserData(req.user._id);
+    if (!data) return res.status(404).json({ ok: false, error: 'Account not found' });
+
+    const day = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Disposition', `attachment; filename="arxcafe-export-${day}.json"`);
+    return res.json(data);
+  } catch (err) {
+    console.error('[AccountExport] Error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to export account data' });
+  }
+});
+
+// DELETE /api/account - permanently delete the signed-in account and all of its data
+// Body: { password }
+router.delete('/api/account', requireAuth, async (req, res) => {
+  try {
+    const ip = String(req.headers['x-forwarded-for'] || req.ip || '').split(',')[0].trim();
+    const limiterKey = `del:${req.user._id.toString()}:${ip}`;
+    const allowed = rateLimitSensitiveAction({ key: limiterKey, limit: 5, windowMs: 15 * 60 * 1000 });
+    if (!allowed) {
+      return res.status(429).json({ ok: false, error: 'Too many attempts. Please wait a few minutes and try again.' });
+    }
+
+    const password = String(req.body?.password || '');
+    if (!password) return res.status(400).json({ ok: false, error: 'Password is required.' });
+
+    if (req.user?.role === 'admin') {
+      return res.status(400).json({ ok: false, error: 'Admin accounts cannot be deleted here.' });
+    }
+
+    const user = await User.findById(req.user._id).select({ password_hash: 1 }).lean();
+    if (!user?.password_hash || !(await bcrypt.compare(password, user.password_hash))) {
+      return res.status(400).json({ ok: false, error: 'Password is incorrect.' });
+    }
+
+    // Deleting the account does not stop Stripe billing.
+    if (await hasActiveSubscription(req.user._id)) {
+      return res.status(409).json({ ok: false, error: 'Cancel your subscription under "Manage billing" first, then delete the account.' });
+    }
+
+    const userId = req.user._id;
+    await new Promise((resolve, reject) => {
+      req.logout((err) => (err ? reject(err) : resolve()));
+    });
+    const deleted = await deleteUserData(userId);
+    console.log('[AccountDelete] Deleted user', String(userId), JSON.stringify(deleted));
+
+    if (req.session) {
+      req.session.destroy(() => {
+        res.json({ ok: true, deleted: true });
+      });
+      return;
+    }
+
+    return res.json({ ok: true, deleted: true });
+  } catch (err) {
+    console.error('[AccountDelete] Error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to delete account' });
+  }
+});
+
 // GET /reset-password
 router.get('/reset-password', (req, res) => {
   const sent = String(req.query.sent || '') === '1';
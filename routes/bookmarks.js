@@ -0,0 +1,167 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const QuestionBookmark = require('../models/QuestionBookmark');
+const { requireAuth } = require('../middleware/auth');
+const { isKnownBank, getQuestionsByIds, toPublicQuestion } = require('../utils/questionBank');
+
+const router = express.Router();
+
+const MAX_NOTE_LENGTH = 5000;
+const MAX_SEARCH_LENGTH = 200;
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+// Searching matches question text too, so the caller's rows are resolved before filtering.
+const MAX_SCANNED_BOOKMARKS = 2000;
+
+function isDbConnected() {
+  return mongoose?.connection?.readyState === 1;
+}
+
+function toPublicBookmark(row, question) {
+  return {
+    quiz_id: row.quiz_id,
+    question_id: row.question_id,
+    domain: row.domain,
+    bookmarked: row.bookmarked,
+    note: row.note,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    question: question ? toPublicQuestion(question) : null
+  };
+}
+
+// GET /api/bookmarks?quiz_id=&domain=&q=&bookmarked=1&limit=50&skip=0
+// The caller's bookmarks and notes, most recently edited first. q searches note and question text.
+router.get('/api/bookmarks', requireAuth, async (req, res) => {
+  try {
+    const quiz_id = String(req.query.quiz_id || '').trim();
+    if (quiz_id && !isKnownBank(quiz_id)) return res.status(400).json({ ok: false, error: 'Unsupported quiz_id' });
+
+    if (!isDbConnected()) {
+      return res.json({ ok: true, skipped: true, reason: 'db_not_connected', total: 0, bookmarks: [] });
+    }
+
+    const filter = { user_id: req.user._id };
+    if (quiz_id) filter.quiz_id = quiz_id;
+    if (req.query.domain) filter.domain = String(req.query.domain).trim();
+    if (req.query.bookmarked === '1' || req.query.bookmarked === 'true') filter.bookmarked = true;
+    if (req.query.has_note === '1' || req.query.has_note === 'true') filter.note = { $ne: '' };
+
+    const limitRaw = Number(req.query.limit);
+    const limit = Number.isFinite(limitRaw) ? Math.max(1, Math.min(MAX_LIST_LIMIT, Math.floor(limitRaw))) : DEFAULT_LIST_LIMIT;
+    const skipRaw = Number(req.query.skip);
+    const skip = Number.isFinite(skipRaw) && skipRaw > 0 ? Math.floor(skipRaw) : 0;
+    const search = String(req.query.q || '').trim().slice(0, MAX_SEARCH_LENGTH).toLowerCase();
+
+    const rows = await QuestionBookmark.find(filter).sort({ updated_at: -1 }).limit(MAX_SCANNED_BOOKMARKS).lean();
+
+    const byQuiz = new Map();
+    for (const r of rows) {
+      if (!byQuiz.has(r.quiz_id)) byQuiz.set(r.quiz_id, []);
+      byQuiz.get(r.quiz_id).push(r.question_id);
+    }
+    const questions = new Map();
+    for (const [qid, ids] of byQuiz) {
+      for (const q of await getQuestionsByIds(qid, ids)) questions.set(`${qid}|${q.id}`, q);
+    }
+
+    const matches = rows.filter((r) => {
+      if (!search) return true;
+      const q = questions.get(`${r.quiz_id}|${r.question_id}`);
+      const haystack = [r.note, q?.question_text || '', ...(q?.options || [])].join('\n').toLowerCase();
+      return haystack.includes(search);
+    });
+
+    return res.json({
+      ok: true,
+      total: matches.length,
+      bookmarks: matches
+        .slice(skip, skip + limit)
+        .map((r) => toPublicBookmark(r, questions.get(`${r.quiz_id}|${r.question_id}`)))
+    });
+  } catch (err) {
+    console.error('[Bookmarks] List error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to load bookmarks' });
+  }
+});
+
+// GET /api/bookmarks/:quiz_id/:question_id - the caller's bookmark/note on one question (null if none)
+router.get('/api/bookmarks/:quiz_id/:question_id', requireAuth, async (req, res) => {
+  try {
+    const { quiz_id, question_id } = req.params;
+    if (!isKnownBank(quiz_id)) return res.status(400).json({ ok: false, error: 'Unsupported quiz_id' });
+    if (!isDbConnected()) return res.json({ ok: true, skipped: true, bookmark: null });
+
+    const row = await QuestionBookmark.findOne({ user_id: req.user._id, quiz_id, question_id }).lean();
+    return res.json({ ok: true, bookmark: row ? toPublicBookmark(row, null) : null });
+  } catch (err) {
+    console.error('[Bookmarks] Load error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to load bookmark' });
+  }
+});
+
+// PUT /api/bookmarks/:quiz_id/:question_id - add or edit; body: { bookmarked?: true, note?: '...' }
+// Omitted fields keep their value. Clearing both removes the row.
+router.put('/api/bookmarks/:quiz_id/:question_id', requireAuth, async (req, res) => {
+  try {
+    const { quiz_id, question_id } = req.params;
+    if (!isKnownBank(quiz_id)) return res.status(400).json({ ok: false, error: 'Unsupported quiz_id' });
+
+    const body = req.body || {};
+    if (typeof body.bookmarked !== 'undefined' && typeof body.bookmarked !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'bookmarked must be a boolean' });
+    }
+    if (typeof body.note !== 'undefined' && typeof body.note !== 'string') {
+      return res.status(400).json({ ok: false, error: 'note must be a string' });
+    }
+    if (typeof body.bookmarked === 'undefined' && typeof body.note === 'undefined') {
+      return res.status(400).json({ ok: false, error: 'Nothing to update' });
+    }
+    const note = typeof body.note === 'string' ? body.note.trim() : undefined;
+    if (note && note.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({ ok: false, error: `Note must be at most ${MAX_NOTE_LENGTH} characters` });
+    }
+
+    if (!isDbConnected()) return res.status(503).json({ ok: false, error: 'Database not connected' });
+
+    const [question] = await getQuestionsByIds(quiz_id, [question_id]);
+    if (!question) return res.status(404).json({ ok: false, error: 'Question not found' });
+
+    const $set = { domain: question.domain };
+    if (typeof body.bookmarked === 'boolean') $set.bookmarked = body.bookmarked;
+    if (typeof note === 'string') $set.note = note;
+
+    const row = await QuestionBookmark.findOneAndUpdate(
+      { user_id: req.user._id, quiz_id, question_id: question.id },
+      { $set },
+      { upsert: true, new: true }
+    ).lean();
+
+    if (!row.bookmarked && !row.note) {
+      await QuestionBookmark.deleteOne({ _id: row._id, bookmarked: false, note: '' });
+      return res.json({ ok: true, bookmark: null });
+    }
+
+    return res.json({ ok: true, bookmark: toPublicBookmark(row, question) });
+  } catch (err) {
+    console.error('[Bookmarks] Save error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to save bookmark' });
+  }
+});
+
+// DELETE /api/bookmarks/:quiz_id/:question_id - remove the bookmark and its note
+router.delete('/api/bookmarks/:quiz_id/:question_id', requireAuth, async (req, res) => {
+  try {
+    const { quiz_id, question_id } = req.params;
+    if (!isKnownBank(quiz_id)) return res.status(400).json({ ok: false, error: 'Unsupported quiz_id' });
+    if (!isDbConnected()) return res.status(503).json({ ok: false, error: 'Database not connected' });
+
+    const result = await QuestionBookmark.deleteOne({ user_id: req.user._id, quiz_id, question_id });
+    return res.json({ ok: true, deleted: result.deletedCount });
+  } catch (err) {
+    console.error('[Bookmarks] Delete error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to delete bookmark' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,56 @@
 const express = require('express');
 const mongoose = require('mongoose');
+const MlQuestion = require('../models/MlQuestion');
 const QuizAttempt = require('../models/QuizAttempt');
 const QuizProgress = require('../models/QuizProgress');
-const { requirePaid, requireAuth } = require('../middleware/auth');
+const QuizSession = require('../models/QuizSession');
+const QuizAnswerCheck = require('../models/QuizAnswerCheck');
+const QuizAnswer = require('../models/QuizAnswer');
+const { requirePaid, requireAuth, hasActiveSubscription } = require('../middleware/auth');
+const {
+  ML_QUIZ_ID,
+  MAX_SESSION_QUESTIONS,
+  isKnownBank,
+  findQuestions,
+  sampleQuestions,
+  listQuestionRefs,
+  getQuestionsByIds
+} = require('../utils/questionBank');
+const { parseResponse, gradeResponse, selectedIndexOf, answerKey } = require('../utils/quizGrading');
+const {
+  assignOptionOrders,
+  optionOrderFor,
+  toCanonicalResponse,
+  toShownResponse,
+  shownQuestion,
+  toSessionQuestion,
+  aiAnswerTexts
+} = require('../utils/optionShuffle');
+const { pickNextQuestion } = require('../utils/adaptive');
+const { getPhaseCatalog, coversPhase, isPhaseUnlocked, unlockedPhases } = require('../utils/phaseCatalog');
+const { getQuiz, findProgressKeyRule, canAccessQuiz } = require('../utils/quizRegistry');
+const {
+  EXAM_DEFAULT_COUNT,
+  EXAM_DEFAULT_MINUTES,
+  EXAM_MAX_MINUTES,
+  EXAM_GRACE_MS,
+  recordGradedAnswer,
+  isExamOverdue,
+  answeredVersions,
+  examReview,
+  finalizeSession,
+  submitExpiredExams
+} = require('../utils/quizSessions');
+const {
+  normalizePracticeFilters,
+  practiceKey,
+  getPracticeOptions,
+  buildPracticeSet,
+  summarizePracticeAttempts
+} = require('../utils/practiceSets');
+const { getClearStreak, listMistakes, summarizeMistakes } = require('../utils/mistakeNotebook');
+const { questionsAtVersions } = require('../utils/questionRevisions');
+const { listBlueprints, getBlueprint, generateForm, recordForm, toPublicBlueprint } = require('../utils/examBlueprints');
 
 const router = express.Router();
 
@@ -10,6 +58,168 @@ function isDbConnected() {
   return mongoose?.connection?.readyState === 1;
 }
 
+function parsePhase(raw) {
+  if (raw === null || typeof raw === 'undefined' || raw === '') return null;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+const MAX_ANSWER_BATCH = 200;
+const DEFAULT_ADAPTIVE_COUNT = 20;
+const MAX_TIME_MS = 60 * 60 * 1000;
+const MAX_ELAPSED_MS = 24 * 60 * 60 * 1000;
+const MAX_RESUME_LABEL = 120;
+const DEFAULT_MISTAKES_LIMIT = 50;
+const MAX_MISTAKES_LIMIT = 200;
+
+// Client-reported fields of one answer event. Correctness is never taken from the client.
+// The response itself is parsed once the question (and so its type) is known.
+function normalizeAnswerEvent(raw) {
+  const question_id = String(raw?.question_id || '').trim();
+  if (!question_id) return null;
+  if (typeof raw?.response === 'undefined' && typeof raw?.selected_index === 'undefined') return null;
+
+  const time = Number(raw?.time_ms);
+  const answeredAt = raw?.answered_at ? new Date(raw.answered_at) : null;
+
+  return {
+    question_id,
+    raw: { response: raw.response, selected_index: raw.selected_index },
+    time_ms: Number.isFinite(time) && time >= 0 ? Math.min(Math.round(time), MAX_TIME_MS) : null,
+    ai_explanation_opened: raw?.ai_explanation_opened === true,
+    answered_at: answeredAt && !Number.isNaN(answeredAt.getTime()) && answeredAt <= new Date() ? answeredAt : new Date()
+  };
+}
+
+// Feed a graded answer into the caller's review schedule, adaptive ratings and mistake notebook.
+// Never fails the request.
+async function afterGradedAnswer(req, quizId, question, correct, response) {
+  await recordGradedAnswer(req.user._id, quizId, question, correct, response);
+}
+
+// Same answer? Responses are parsed, so multi picks are already sorted.
+function sameResponse(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// A session's answer to one question from a request body: parsed in the positions the
+// session showed, then mapped to canonical option indexes for grading and storage.
+// Returns { shown, response } (shown: the question as displayed), response null when malformed.
+function readSessionResponse(session, question, body) {
+  const order = optionOrderFor(question, session.option_orders);
+  const shown = shownQuestion(question, order);
+  const picked = parseResponse(shown, body);
+  return { shown, response: picked === null ? null : toCanonicalResponse(question, picked, order) };
+}
+
+// Stored session answer fields as the page saw them (shuffled positions).
+function shownAnswerFields(session, question, a) {
+  const response = a.response ?? a.selected_index;
+  const order = question ? optionOrderFor(question, session.option_orders) : null;
+  if (!order) return { selected_index: a.selected_index, response };
+  const shown = toShownResponse(question, response, order);
+  return { selected_index: Number.isInteger(a.selected_index) ? shown : a.selected_index, response: shown };
+}
+
+function trackAttemptSaved(req, attempt) {
+  try {
+    void req.app.locals.trackEvent?.(req, 'quiz_attempt_saved', {
+      quiz_id: attempt.quiz_id,
+      phase: attempt.phase,
+      mode: attempt.mode,
+      percentage: attempt.percentage
+    });
+  } catch (e) {
+    // ignore
+  }
+}
+
+// Submit the caller's exam if its deadline has passed. Returns true when it did.
+async function autoSubmitIfOverdue(req, session) {
+  if (!isExamOverdue(session)) return false;
+  const done = await finalizeSession(session, { autoSubmitted: true });
+  if (done) trackAttemptSaved(req, done.attempt);
+  return true;
+}
+
+// Resolve quiz_id against the quiz registry or send the error response and return null.
+async function loadRegisteredQuiz(req, res, quizId) {
+  const def = await getQuiz(quizId);
+  if (!def) {
+    res.status(400).json({ ok: false, error: 'Unsupported quiz_id' });
+    return null;
+  }
+  if (!(await canAccessQuiz(def, req.user))) {
+    res.status(403).json({ ok: false, error: 'This quiz requires an active subscription' });
+    return null;
+  }
+  return def;
+}
+
+// Draw a practice set and start its 'custom' grading session; the QuizAttempt keeps the filters.
+async function startPracticeSession(req, res, quizId, filters) {
+  const { questions, available } = await buildPracticeSet(req.user._id, quizId, filters);
+  if (!questions.length) {
+    return res.status(404).json({ ok: false, error: 'No questions match these filters', available });
+  }
+
+  const session = await QuizSession.create({
+    user_id: req.user._id,
+    quiz_id: quizId,
+    mode: 'custom',
+    question_ids: questions.map((q) => q.id),
+    option_orders: assignOptionOrders(questions),
+    filters: { key: practiceKey(quizId, filters), ...filters }
+  });
+
+  return res.json({
+    ok: true,
+    session_id: session._id,
+    quiz_id: quizId,
+    mode: 'custom',
+    filters,
+    available,
+    total: questions.length,
+    questions: questions.map((q) => toSessionQuestion(q, session.option_orders))
+  });
+}
+
+function normalizeElapsed(raw) {
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? Math.min(Math.round(n), MAX_ELAPSED_MS) : null;
+}
+
+// Autosave the resume point after an answer. No-op unless this session is the active one.
+async function saveResumePoint(req, session, answered, elapsedMs) {
+  try {
+    const $set = {
+      'active_session.current_index': answered,
+      'active_session.saved_at': new Date()
+    };
+    if (elapsedMs !== null) $set['active_session.elapsed_ms'] = elapsedMs;
+    await QuizProgress.updateOne(
+      { user_id: req.user._id, quiz_id: session.quiz_id, 'active_session.session_id': session._id },
+      { $set }
+    );
+  } catch (err) {
+    console.error('[QuizResume] Autosave error:', err);
+  }
+}
+
+// Load one of the caller's sessions or send the error response and return null.
+async function loadOwnSession(req, res, sessionId = req.params.id) {
+  if (!mongoose.Types.ObjectId.isValid(String(sessionId || ''))) {
+    res.status(400).json({ ok: false, error: 'Invalid session id' });
+    return null;
+  }
+  const session = await QuizSession.findOne({ _id: sessionId, user_id: req.user._id });
+  if (!session) {
+    res.status(404).json({ ok: false, error: 'Session not found' });
+    return null;
+  }
+  return session;
+}
+
 // GET /api/quiz/history - recent attempts for the signed-in user
 router.get('/api/quiz/history', requireAuth, async (req, res) => {
   try {
@@ -20,10 +230,17 @@ router.get('/api/quiz/history', requireAuth, async (req, res) => {
     const query = { user_id: req.user._id };
     if (quizId) query.quiz_id = quizId;
 
+    // Exams that ran out while the learner was away still show up as attempts.
+    try {
+      await submitExpiredExams({ userId: req.user._id });
+    } catch (err) {
+      console.error('[MockExam] Auto-submit error:', err);
+    }
+
     const attempts = await QuizAttempt.find(query)
       .sort({ created_at: -1 })
       .limit(limit)
-      .select({ quiz_id: 1, phase: 1, score: 1, total: 1, percentage: 1, domain_stats: 1, created_at: 1 })
+      .select({ quiz_id: 1, phase: 1, mode: 1, blueprint_id: 1, filters: 1, score: 1, total: 1, percentage: 1, domain_stats: 1, created_at: 1 })
       .lean();
 
     return res.json({ ok: true, attempts });
@@ -35,16 +252,12 @@ router.get('/api/quiz/history', requireAuth, async (req, res) => {
 
 // GET /api/quiz/progress/state?quiz_id=it-learning-pyramid
 // Returns per-user progress state used for client-side completion tracking.
+// quiz_id must be registered in the quiz registry (utils/quizRegistry).
 router.get('/api/quiz/progress/state', requireAuth, async (req, res) => {
   try {
     const quiz_id = String(req.query.quiz_id || '').trim();
     if (!quiz_id) return res.status(400).json({ ok: false, error: 'quiz_id is required' });
 
-    // Only allow known quiz IDs for now (tighten surface area).
-    if (quiz_id !== 'it-learning-pyramid') {
-      return res.status(400).json({ ok: false, error: 'Unsupported quiz_id' });
-    }
-
     const userId = req.user?._id;
     if (!userId) return res.status(401).json({ ok: false, error: 'Not authenticated' });
 
@@ -52,6 +265,8 @@ router.get('/api/quiz/progress/state', requireAuth, async (req, res) => {
       return res.json({ ok: true, quiz_id, progress: {}, skipped: true });
     }
 
+    if (!(await loadRegisteredQuiz(req, res, quiz_id))) return;
+
     const doc = await QuizProgress.findOne({ user_id: userId, quiz_id })
       .select({ progress: 1, updated_at: 1 })
       .lean();
@@ -70,6 +285,7 @@ router.get('/api/quiz/progress/state', requireAuth, async (req, res) => {
 
 // POST /api/quiz/progress/mark-batch
 // Body: { quiz_id: 'it-learning-pyramid', progressKey: 'networking-d1', batchIndex: 1, batchEndIndex: 20 }
+// quiz_id and progressKey are validated against the quiz registry; batch limits come from the matching rule.
 router.post('/api/quiz/progress/mark-batch', requireAuth, async (req, res) => {
   try {
     const quiz_id = String(req.body.quiz_id || '').trim();
@@ -78,20 +294,7 @@ router.post('/api/quiz/progress/mark-batch', requireAuth, async (req, res) => {
     const batchEndIndex = Math.floor(Number(req.body.batchEndIndex));
 
     if (!quiz_id) return res.status(400).json({ ok: false, error: 'quiz_id is required' });
-    if (quiz_id !== 'it-learning-pyramid') {
-      return res.status(400).json({ ok: false, error: 'Unsupported quiz_id' });
-    }
-
     if (!progressKey) return res.status(400).json({ ok: false, error: 'progressKey is required' });
-    if (!/^networking-d[1-5]$/.test(progressKey)) {
-      return res.status(400).json({ ok: false, error: 'Invalid progressKey' });
-    }
-
-    if (!Number.isFinite(batchIndex) || batchIndex < 1 || batchIndex > 1000) {
-      return res.status(400).json({ ok: false, error: 'Invalid batchIndex' });
-    }
-
-    const nextIndex = Number.isFinite(batchEndIndex) && batchEndIndex > 0 ? batchEndIndex : 0;
 
     const userId = req.user?._id;
     if (!userId) return res.status(401).json({ ok: false, error: 'Not authenticated' });
@@ -100,6 +303,20 @@ router.post('/api/quiz/progress/mark-batch', requireAuth, async (req, res) => {
       return res.json({ ok: true, quiz_id, progressKey, batchIndex, skipped: true });
     }
 
+    const def = await loadRegisteredQuiz(req, res, quiz_id);
+    if (!def) return;
+
+    const rule = findProgressKeyRule(def, progressKey);
+    if (!rule) return res.status(400).json({ ok: false, error: 'Invalid progressKey' });
+
+    const maxBatches = rule.max_batches || 1000;
+    if (!Number.isFinite(batchIndex) || batchIndex < 1 || batchIndex > maxBatches) {
+      return res.status(400).json({ ok: false, error: 'Invalid batchIndex' });
+    }
+
+    let nextIndex = Number.isFinite(batchEndIndex) && batchEndIndex > 0 ? batchEndIndex : 0;
+    if (rule.batch_size) nextIndex = Math.min(nextIndex, batchIndex * rule.batch_size);
+
     const nowIso = new Date().toISOString();
     let doc = await QuizProgress.findOne({ user_id: userId, quiz_id });
     if (!doc) doc = new QuizProgress({ user_id: userId, quiz_id, progress: {} });
@@ -138,57 +355,952 @@ router.post('/api/quiz/progress/mark-batch', requireAuth, async (req, res) => {
   }
 });
 
-// POST /api/quiz/attempt - store a completed quiz attempt for progress tracking
-router.post('/api/quiz/attempt', requireAuth, async (req, res) => {
+// GET /api/quiz/progress/active?quiz_id=ml-engineer-exam
+// The caller's unfinished session for this quiz, with what the page needs to pick it up again:
+// questions served so far (no answer key), answers given, current index and elapsed time.
+router.get('/api/quiz/progress/active', requireAuth, async (req, res) => {
+  try {
+    const quiz_id = String(req.query.quiz_id || '').trim();
+    if (!quiz_id) return res.status(400).json({ ok: false, error: 'quiz_id is required' });
+
+    if (!isDbConnected()) return res.json({ ok: true, quiz_id, active: null, skipped: true });
+
+    const doc = await QuizProgress.findOne({ user_id: req.user._id, quiz_id }).select({ active_session: 1 }).lean();
+    const active = doc?.active_session;
+    if (!active) return res.json({ ok: true, quiz_id, active: null });
+
+    const session = await QuizSession.findOne({ _id: active.session_id, user_id: req.user._id }).lean();
+    if (!session || session.status !== 'active') {
+      // Completed elsewhere or expired: nothing left to resume.
+      await QuizProgress.updateOne(
+        { user_id: req.user._id, quiz_id, 'active_session.session_id': active.session_id },
+        { $set: { active_session: null } }
+      );
+      return res.json({ ok: true, quiz_id, active: null });
+    }
+
+    const questions = await getQuestionsByIds(session.quiz_id, session.question_ids);
+    const byId = new Map(questions.map((q) => [q.id, q]));
+    return res.json({
+      ok: true,
+      quiz_id,
+      active: {
+        session_id: session._id,
+        mode: session.mode,
+        phase: session.phase,
+        label: active.label,
+        total: session.mode === 'adaptive' ? session.target_count : session.question_ids.length,
+        current_index: Math.min(active.current_index, session.answers.length),
+        elapsed_ms: active.elapsed_ms,
+        started_at: active.started_at,
+        saved_at: active.saved_at,
+        answers: session.answers.map((a) => ({
+          question_id: a.question_id,
+          ...shownAnswerFields(session, byId.get(a.question_id), a),
+          correct: a.correct,
+          credit: a.credit
+        })),
+        questions: questions.map((q) => toSessionQuestion(q, session.option_orders))
+      }
+    });
+  } catch (err) {
+    console.error('[QuizResume] Load error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to load active session' });
+  }
+});
+
+// PUT /api/quiz/progress/active
+// Body: { quiz_id, session_id, label?, elapsed_ms? } - mark a practice session as the one to resume.
+// Replaces any earlier active session for the quiz; answers then autosave the resume point.
+router.put('/api/quiz/progress/active', requireAuth, async (req, res) => {
   try {
     const quiz_id = String(req.body.quiz_id || '').trim();
-    const phaseRaw = req.body.phase;
-    const phase = phaseRaw === null || typeof phaseRaw === 'undefined' || phaseRaw === '' ? null : Number(phaseRaw);
+    if (!quiz_id) return res.status(400).json({ ok: false, error: 'quiz_id is required' });
+
+    if (!isDbConnected()) return res.json({ ok: true, quiz_id, skipped: true });
 
-    const score = Number(req.body.score);
-    const total = Number(req.body.total);
-    const percentage = Number(req.body.percentage);
+    const session = await loadOwnSession(req, res, req.body.session_id);
+    if (!session) return;
+    if (session.quiz_id !== quiz_id) return res.status(400).json({ ok: false, error: 'Session belongs to another quiz' });
+    if (session.mode === 'exam') return res.status(400).json({ ok: false, error: 'Exams resume from the mock exam page' });
+    if (session.status !== 'active') return res.status(409).json({ ok: false, error: 'Session is already completed' });
 
-    if (!quiz_id) {
-      return res.status(400).json({ ok: false, error: 'quiz_id is required' });
+    const now = new Date();
+    const active_session = {
+      session_id: session._id,
+      label: String(req.body.label || '').trim().slice(0, MAX_RESUME_LABEL),
+      current_index: session.answers.length,
+      elapsed_ms: normalizeElapsed(req.body.elapsed_ms) ?? 0,
+      started_at: session.created_at || now,
+      saved_at: now
+    };
+
+    await QuizProgress.updateOne(
+      { user_id: req.user._id, quiz_id },
+      { $set: { active_session }, $setOnInsert: { progress: {} } },
+      { upsert: true }
+    );
+
+    return res.json({ ok: true, quiz_id, active_session });
+  } catch (err) {
+    console.error('[QuizResume] Save error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to save active session' });
+  }
+});
+
+// DELETE /api/quiz/progress/active?quiz_id=ml-engineer-exam - discard the resume point ("start over")
+router.delete('/api/quiz/progress/active', requireAuth, async (req, res) => {
+  try {
+    const quiz_id = String(req.query.quiz_id || '').trim();
+    if (!quiz_id) return res.status(400).json({ ok: false, error: 'quiz_id is required' });
+
+    if (!isDbConnected()) return res.json({ ok: true, quiz_id, skipped: true });
+
+    await QuizProgress.updateOne({ user_id: req.user._id, quiz_id }, { $set: { active_session: null } });
+    return res.json({ ok: true, quiz_id });
+  } catch (err) {
+    console.error('[QuizResume] Clear error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to clear active session' });
+  }
+});
+
+// POST /api/quiz/attempt - retired: client-reported scores could be forged.
+// Attempts are now created by POST /api/quiz/sessions/:id/complete.
+router.post('/api/quiz/attempt', requireAuth, (req, res) => {
+  return res.status(410).json({
+    ok: false,
+    error: 'Client-reported attempts are no longer accepted. Use /api/quiz/sessions.'
+  });
+});
+
+// GET /ml-quiz-questions.json?phase=1&domain=... - answer-less ML Engineer questions
+// No correct_answer/explanation: learners reveal those per question via
+// POST /api/quiz/questions/:id/check; admins read full documents from /admin/api/questions.
+// Multi-select questions only reveal how many options to pick.
+// Only phases the caller has unlocked are served (phase=all: every unlocked phase), so the
+// response is per user and not cached.
+router.get('/ml-quiz-questions.json', async (req, res) => {
+  try {
+    if (!isDbConnected()) return res.status(503).json({ questions: [], error: 'Database not connected' });
+
+    const phaseParam = String(req.query.phase || 'all');
+    const domain = String(req.query.domain || 'all');
+    const unlocked = await unlockedPhases(req.user?._id || null);
+
+    // Soft-deleted questions (admin editor) never reach learners.
+    const filter = { deleted_at: null, phase: { $in: unlocked } };
+    if (phaseParam !== 'all') {
+      const phase = parsePhase(phaseParam);
+      if (!unlocked.includes(phase)) {
+        return res.status(403).json({ questions: [], error: `Phase ${phaseParam} is locked`, locked: true });
+      }
+      filter.phase = phase;
+    }
+    if (domain !== 'all') filter.domain = domain;
+
+    const docs = await MlQuestion.find(filter)
+      .select({ question_text: 1, options: 1, domain: 1, phase: 1, type: 1, version: 1, correct_answers: 1 })
+      .sort({ _id: 1 })
+      .lean();
+    const questions = docs.map(({ correct_answers, ...q }) => ({
+      ...q,
+      type: q.type || 'single',
+      version: q.version || 1,
+      ...(q.type === 'multi' ? { select_count: Array.isArray(correct_answers) ? correct_answers.length : 0 } : {})
+    }));
+
+    res.set('Cache-Control', 'no-store');
+    return res.json({ questions });
+  } catch (err) {
+    console.error('[MlQuizQuestions] Error:', err);
+    return res.status(500).json({ questions: [], error: 'Failed to load questions' });
+  }
+});
+
+// GET /it-pyramid-questions.json?layer=networking&domain=d1 - answer-less IT Learning Pyramid questions
+// (seeded by seed-it-pyramid-questions.js). No correct_index/why or other answer fields: the page
+// starts a session with the questions it picked (POST /api/quiz/sessions, question_ids) and
+// learns each answer from POST /api/quiz/sessions/:id/answers.
+router.get('/it-pyramid-questions.json', requireAuth, async (req, res) => {
+  try {
+    if (!isDbConnected()) return res.status(503).json({ questions: [], error: 'Database not connected' });
+
+    const layer = String(req.query.layer || 'all');
+    const domain = String(req.query.domain || 'all');
+    const filter = {};
+    if (layer !== 'all') filter.layer = layer;
+    if (domain !== 'all') filter.domain = domain;
+
+    // Networking batches are sliced client-side by position, so order must be stable.
+    const docs = await mongoose.connection.collection('it_pyramid_questions')
+      .find(filter)
+      .project({ question_text: 1, options: 1, layer: 1, domain: 1, order: 1, type: 1, correct_indices: 1 })
+      .sort({ layer: 1, domain: 1, order: 1, _id: 1 })
+      .toArray();
+    const questions = docs.map(({ correct_indices, ...q }) => ({
+      ...q,
+      type: q.type || 'single',
+      ...(q.type === 'multi' ? { select_count: Array.isArray(correct_indices) ? correct_indices.length : 0 } : {})
+    }));
+
+    // Same for every signed-in user: a short browser-only cache so content fixes show up quickly.
+    res.set('Cache-Control', 'private, max-age=300');
+    return res.json({ questions });
+  } catch (err) {
+    console.error('[ItPyramidQuestions] Error:', err);
+    return res.status(500).json({ questions: [], error: 'Failed to load questions' });
+  }
+});
+
+// GET /api/quiz/phases - ML Engineer phase catalog with the caller's unlock state
+router.get('/api/quiz/phases', requireAuth, async (req, res) => {
+  try {
+    if (!isDbConnected()) {
+      return res.json({ ok: true, skipped: true, reason: 'db_not_connected', phases: [] });
     }
 
-    if (!Number.isFinite(score) || !Number.isFinite(total) || total <= 0 || score < 0) {
-      return res.status(400).json({ ok: false, error: 'Invalid score/total' });
+    const catalog = await getPhaseCatalog(req.user._id);
+    return res.json({ ok: true, quiz_id: ML_QUIZ_ID, ...catalog });
+  } catch (err) {
+    console.error('[QuizPhases] Error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to load phases' });
+  }
+});
+
+// GET /api/quiz/blueprints - mock exam blueprints learners can pick from
+router.get('/api/quiz/blueprints', requireAuth, async (req, res) => {
+  try {
+    if (!isDbConnected()) {
+      return res.json({ ok: true, skipped: true, reason: 'db_not_connected', blueprints: [] });
     }
 
-    const pct = Number.isFinite(percentage) ? percentage : Math.round((score / total) * 100);
+    const blueprints = await listBlueprints();
+    return res.json({ ok: true, blueprints: blueprints.map(toPublicBlueprint) });
+  } catch (err) {
+    console.error('[ExamBlueprints] Error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to load blueprints' });
+  }
+});
 
-    const domain_stats = Array.isArray(req.body.domain_stats)
-      ? req.body.domain_stats
-          .map((d) => ({
-            domain: String(d.domain || '').trim(),
-            correct: Number(d.correct),
-            total: Number(d.total)
-          }))
-          .filter((d) => d.domain && Number.isFinite(d.correct) && Number.isFinite(d.total) && d.total >= 0 && d.correct >= 0)
-      : [];
+// GET /api/quiz/practice-sets/options?quiz_id=ml-engineer-exam
+// Domains the caller can build a practice set from, with how many questions they missed / never saw.
+router.get('/api/quiz/practice-sets/options', requireAuth, async (req, res) => {
+  try {
+    const quiz_id = String(req.query.quiz_id || '').trim();
+    if (!isKnownBank(quiz_id)) return res.status(400).json({ ok: false, error: 'Unsupported quiz_id' });
+
+    if (!isDbConnected()) return res.json({ ok: true, quiz_id, skipped: true, domains: [] });
+    if (!(await loadRegisteredQuiz(req, res, quiz_id))) return;
+
+    const options = await getPracticeOptions(req.user._id, quiz_id);
+    return res.json({ ok: true, quiz_id, ...options });
+  } catch (err) {
+    console.error('[PracticeSet] Options error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to load practice options' });
+  }
+});
+
+// GET /api/quiz/practice-sets/summary - the caller's custom set attempts grouped by their filters
+router.get('/api/quiz/practice-sets/summary', requireAuth, async (req, res) => {
+  try {
+    if (!isDbConnected()) return res.json({ ok: true, skipped: true, groups: [] });
+
+    const groups = await summarizePracticeAttempts(req.user._id);
+    return res.json({ ok: true, groups });
+  } catch (err) {
+    console.error('[PracticeSet] Summary error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to load practice summary' });
+  }
+});
+
+// POST /api/quiz/practice-sets - build a custom practice set and start its grading session
+// Body: { quiz_id, domains?: [...], count?: 20, source?: 'any'|'missed'|'unseen'|'mistakes'|'bookmarked', difficulty?: 'easy'|'medium'|'hard' }
+// Answer and complete it like any session; the QuizAttempt keeps the filters (mode 'custom').
+router.post('/api/quiz/practice-sets', requireAuth, async (req, res) => {
+  try {
+    const quiz_id = String(req.body.quiz_id || '').trim();
+    if (!isKnownBank(quiz_id)) return res.status(400).json({ ok: false, error: 'Unsupported quiz_id' });
+
+    const { value: filters, errors } = normalizePracticeFilters(req.body);
+    if (errors.length) return res.status(400).json({ ok: false, error: errors.join('; ') });
+
+    if (!isDbConnected()) return res.status(503).json({ ok: false, error: 'Database not connected' });
+    if (!(await loadRegisteredQuiz(req, res, quiz_id))) return;
+
+    return await startPracticeSession(req, res, quiz_id, filters);
+  } catch (err) {
+    console.error('[PracticeSet] Build error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to build practice set' });
+  }
+});
+
+// GET /api/quiz/mistakes?quiz_id=&domain=&limit=50&skip=0 - the caller's mistake notebook, most recent first
+router.get('/api/quiz/mistakes', requireAuth, async (req, res) => {
+  try {
+    const quiz_id = String(req.query.quiz_id || '').trim();
+    if (quiz_id && !isKnownBank(quiz_id)) return res.status(400).json({ ok: false, error: 'Unsupported quiz_id' });
+    const domain = String(req.query.domain || '').trim();
+
+    if (!isDbConnected()) {
+      return res.json({ ok: true, skipped: true, reason: 'db_not_connected', total: 0, entries: [] });
+    }
 
-    const attempt = await QuizAttempt.create({
+    const limitRaw = Number(req.query.limit);
+    const limit = Number.isFinite(limitRaw) ? Math.max(1, Math.min(MAX_MISTAKES_LIMIT, Math.floor(limitRaw))) : DEFAULT_MISTAKES_LIMIT;
+    const skipRaw = Number(req.query.skip);
+    const skip = Number.isFinite(skipRaw) && skipRaw > 0 ? Math.floor(skipRaw) : 0;
+
+    const notebook = await listMistakes(req.user._id, {
+      quizId: quiz_id || null,
+      domains: domain ? [domain] : [],
+      limit,
+      skip
+    });
+    return res.json({ ok: true, ...notebook });
+  } catch (err) {
+    console.error('[Mistakes] List error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to load mistake notebook' });
+  }
+});
+
+// GET /api/quiz/mistakes/summary - notebook size per quiz and domain
+router.get('/api/quiz/mistakes/summary', requireAuth, async (req, res) => {
+  try {
+    if (!isDbConnected()) {
+      return res.json({ ok: true, skipped: true, reason: 'db_not_connected', total: 0, domains: [] });
+    }
+
+    const domains = await summarizeMistakes(req.user._id);
+    return res.json({
+      ok: true,
+      clear_streak: getClearStreak(),
+      total: domains.reduce((sum, d) => sum + d.count, 0),
+      domains
+    });
+  } catch (err) {
+    console.error('[Mistakes] Summary error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to load mistake summary' });
+  }
+});
+
+// POST /api/quiz/mistakes/quiz - practice set drawn from the caller's mistake notebook
+// Body: { quiz_id, domain?: 'Model Evaluation' | domains?: [...], count?: 20 }
+router.post('/api/quiz/mistakes/quiz', requireAuth, async (req, res) => {
+  try {
+    const quiz_id = String(req.body.quiz_id || '').trim();
+    if (!isKnownBank(quiz_id)) return res.status(400).json({ ok: false, error: 'Unsupported quiz_id' });
+
+    const { value: filters, errors } = normalizePracticeFilters({
+      domains: req.body.domain ? [req.body.domain] : req.body.domains,
+      count: req.body.count,
+      source: 'mistakes'
+    });
+    if (errors.length) return res.status(400).json({ ok: false, error: errors.join('; ') });
+
+    if (!isDbConnected()) return res.status(503).json({ ok: false, error: 'Database not connected' });
+    if (!(await loadRegisteredQuiz(req, res, quiz_id))) return;
+
+    return await startPracticeSession(req, res, quiz_id, filters);
+  } catch (err) {
+    console.error('[Mistakes] Quiz error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to start mistake quiz' });
+  }
+});
+
+// POST /api/quiz/questions/:id/check - commit an answer to a single question
+// Body: { response } (shape depends on the question type, see utils/quizGrading),
+// { selected_index } or { answer: 'B' }, optional quiz_id (defaults to the ML bank).
+// Companion to the answer-less /ml-quiz-questions.json: records the pick, then reveals
+// correctness and the explanation.
+// One graded check per question version and user: later calls get that committed answer back
+// (repeat: true) and change nothing, so probing options cannot skew answer stats, review
+// schedules or ability estimates.
+router.post('/api/quiz/questions/:id/check', requireAuth, async (req, res) => {
+  try {
+    const quiz_id = String(req.body.quiz_id || ML_QUIZ_ID).trim();
+    if (!isKnownBank(quiz_id)) return res.status(400).json({ ok: false, error: 'Unsupported quiz_id' });
+
+    if (!isDbConnected()) return res.status(503).json({ ok: false, error: 'Database not connected' });
+    if (!(await loadRegisteredQuiz(req, res, quiz_id))) return;
+
+    const [question] = await getQuestionsByIds(quiz_id, [String(req.params.id || '')]);
+    if (!question) return res.status(404).json({ ok: false, error: 'Question not found' });
+    // The answer key of a locked ML Engineer phase stays hidden like its questions.
+    if (question.phase !== null && !(await isPhaseUnlocked(req.user._id, question.phase))) {
+      return res.status(403).json({ ok: false, error: `Phase ${question.phase} is locked`, locked: true });
+    }
+
+    const body = { ...req.body };
+    if (typeof body.response === 'undefined' && typeof body.selected_index === 'undefined' && typeof body.answer === 'string') {
+      body.selected_index = ['A', 'B', 'C', 'D'].indexOf(body.answer.trim().toUpperCase());
+    }
+    const response = parseResponse(question, body);
+    if (response === null) return res.status(400).json({ ok: false, error: 'Invalid response' });
+
+    const graded = gradeResponse(question, response);
+    const result = await QuizAnswerCheck.findOneAndUpdate(
+      { user_id: req.user._id, quiz_id, question_id: question.id, question_version: question.version },
+      { $setOnInsert: { selected_index: selectedIndexOf(question, response), response, ...graded } },
+      { upsert: true, new: true, sort: { created_at: 1 }, includeResultMetadata: true }
+    );
+    const committed = result.value;
+    const repeat = !!result.lastErrorObject?.updatedExisting;
+    if (!repeat) await afterGradedAnswer(req, quiz_id, question, committed.correct, committed.response);
+
+    return res.json({
+      ok: true,
+      question_id: question.id,
+      question_version: question.version,
+      type: question.type,
+      repeat,
+      selected_index: committed.selected_index,
+      response: committed.response,
+      correct: committed.correct,
+      credit: committed.credit,
+      correct_index: question.correct_index,
+      ...answerKey(question),
+      explanation: question.explanation || null
+    });
+  } catch (err) {
+    console.error('[QuizAnswerCheck] Error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to check answer' });
+  }
+});
+
+// POST /api/quiz/answers - batched per-question answer log
+// Body: {
+//   quiz_id: 'ml-engineer-exam' | 'it-learning-pyramid',
+//   session_id: '...',   // grading session; correctness comes from it and rows link to its attempt
+//   answers: [{ question_id, response | selected_index, time_ms, ai_explanation_opened, answered_at }]
+// }
+// Only answers the session already graded are logged: the log adds timing and AI usage, it never
+// grades (that would bypass phase locks and let one answer be replayed into stats and schedules).
+router.post('/api/quiz/answers', requireAuth, async (req, res) => {
+  try {
+    const quiz_id = String(req.body.quiz_id || '').trim();
+    if (!isKnownBank(quiz_id)) return res.status(400).json({ ok: false, error: 'Unsupported quiz_id' });
+
+    const raw = Array.isArray(req.body.answers) ? req.body.answers : [];
+    if (!raw.length) return res.status(400).json({ ok: false, error: 'answers must be a non-empty array' });
+    if (raw.length > MAX_ANSWER_BATCH) {
+      return res.status(400).json({ ok: false, error: `At most ${MAX_ANSWER_BATCH} answers per batch` });
+    }
+
+    if (!isDbConnected()) return res.status(503).json({ ok: false, error: 'Database not connected' });
+    if (!(await loadRegisteredQuiz(req, res, quiz_id))) return;
+
+    if (!req.body.session_id) return res.status(400).json({ ok: false, error: 'session_id is required' });
+
+    const events = raw.map(normalizeAnswerEvent);
+    let rejected = events.filter((e) => !e).length;
+    const valid = events.filter(Boolean);
+
+    const session = await loadOwnSession(req, res, String(req.body.session_id));
+    if (!session) return;
+    if (session.quiz_id !== quiz_id) return res.status(400).json({ ok: false, error: 'quiz_id does not match session' });
+
+    const graded = new Map(session.answers.map((a) => [a.question_id, a]));
+    const questions = await getQuestionsByIds(quiz_id, valid.map((e) => e.question_id));
+    const byId = new Map(questions.map((q) => [q.id, q]));
+    const ops = [];
+    for (const e of valid) {
+      const a = graded.get(e.question_id);
+      const q = byId.get(e.question_id);
+      // Only answers the session actually graded, with the same pick.
+      if (!a || !q || !sameResponse(readSessionResponse(session, q, e.raw).response, a.response ?? a.selected_index)) {
+        rejected += 1;
+        continue;
+      }
+      ops.push({
+        updateOne: {
+          filter: { session_id: session._id, question_id: e.question_id },
+          update: {
+            $set: {
+              user_id: req.user._id,
+              quiz_id,
+              attempt_id: session.attempt_id || null,
+              question_version: a.question_version ?? null,
+              selected_index: a.selected_index,
+              response: a.response ?? a.selected_index,
+              correct: a.correct,
+              credit: a.credit,
+              time_ms: e.time_ms,
+              ai_explanation_opened: e.ai_explanation_opened,
+              answered_at: a.answered_at || e.answered_at
+            }
+          },
+          upsert: true
+        }
+      });
+    }
+
+    if (ops.length) await QuizAnswer.bulkWrite(ops, { ordered: false });
+    return res.json({ ok: true, saved: ops.length, rejected });
+  } catch (err) {
+    console.error('[QuizAnswer] Save error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to save answers' });
+  }
+});
+
+// POST /api/quiz/sessions - start a server-graded quiz session
+// Body: { quiz_id: 'ml-engineer-exam', phase: 1, domain?: '...' }
+//   or: { quiz_id: 'it-learning-pyramid', layer?, domain?, question_ids: [...] } (client-chosen batch, still
+//       server-graded; every ID must match the filters, and the attempt is stored without a phase)
+//   or: { quiz_id, phase?, domain?, mode: 'adaptive', count?: 20 } (questions served one at a time via /next)
+//   or: { quiz_id, phase?, mode: 'exam', count?: 50, duration_minutes?: 120 } (timed mock exam, paid)
+//   or: { quiz_id: 'ml-engineer-exam', mode: 'exam', blueprint: '<slug>' } (form drawn from an exam blueprint)
+// Returns question content without answers.
+router.post('/api/quiz/sessions', requireAuth, async (req, res) => {
+  try {
+    const quiz_id = String(req.body.quiz_id || '').trim();
+    if (!quiz_id) return res.status(400).json({ ok: false, error: 'quiz_id is required' });
+    if (!isKnownBank(quiz_id)) return res.status(400).json({ ok: false, error: 'Unsupported quiz_id' });
+
+    if (!isDbConnected()) return res.status(503).json({ ok: false, error: 'Database not connected' });
+    // Access tier from the quiz registry (paid quizzes need an active subscription).
+    if (!(await loadRegisteredQuiz(req, res, quiz_id))) return;
+
+    const phase = parsePhase(req.body.phase);
+    const domain = String(req.body.domain || '').trim() || null;
+    const layer = String(req.body.layer || '').trim() || null;
+
+    const isExam = req.body.mode === 'exam';
+    const blueprintSlug = isExam ? String(req.body.blueprint || '').trim() : '';
+    // Whether a run over these questions counts toward unlocking the next phase (utils/phaseCatalog).
+    const wholePhase = (questions) => quiz_id === ML_QUIZ_ID && phase !== null && !domain && coversPhase(phase, questions.length);
+
+    // ML Engineer phases are mastery-gated (see GET /api/quiz/phases).
+    // A mock exam without a phase draws from all of the user's unlocked phases.
+    if (quiz_id === ML_QUIZ_ID) {
+      if (phase === null && !isExam) return res.status(400).json({ ok: false, error: 'phase is required' });
+      if (phase !== null && !(await isPhaseUnlocked(req.user._id, phase))) {
+        return res.status(403).json({ ok: false, error: `Phase ${phase} is locked`, locked: true });
+      }
+    }
+
+    if (isExam) {
+      if (req.user.role !== 'admin' && !(await hasActiveSubscription(req.user._id))) {
+        return res.status(403).json({ ok: false, error: 'Mock exams require an active subscription', paywall: true });
+      }
+
+      await submitExpiredExams({ userId: req.user._id });
+      const running = await QuizSession.findOne({ user_id: req.user._id, quiz_id, mode: 'exam', status: 'active' })
+        .select({ _id: 1 })
+        .lean();
+      if (running) {
+        return res.status(409).json({ ok: false, error: 'An exam is already in progress', session_id: running._id });
+      }
+
+      let questions;
+      let duration_minutes;
+      let blueprint = null;
+      let composition = null;
+
+      if (blueprintSlug) {
+        if (quiz_id !== ML_QUIZ_ID) return res.status(400).json({ ok: false, error: 'Blueprints apply to the ML Engineer bank only' });
+        blueprint = await getBlueprint(blueprintSlug);
+        if (!blueprint) return res.status(404).json({ ok: false, error: 'Blueprint not found' });
+        ({ questions, composition } = await generateForm(blueprint, { userId: req.user._id }));
+        duration_minutes = blueprint.duration_minutes;
+      } else {
+        const countRaw = Number(req.body.count);
+        const count = Number.isFinite(countRaw) && countRaw >= 1 ? Math.floor(countRaw) : EXAM_DEFAULT_COUNT;
+        const minutesRaw = Number(req.body.duration_minutes);
+        duration_minutes = Number.isFinite(minutesRaw) && minutesRaw >= 1
+          ? Math.min(Math.floor(minutesRaw), EXAM_MAX_MINUTES)
+          : EXAM_DEFAULT_MINUTES;
+        // Without a phase the exam covers every phase the learner has unlocked.
+        const phases = quiz_id === ML_QUIZ_ID && phase === null ? await unlockedPhases(req.user._id) : null;
+        questions = await sampleQuestions(quiz_id, { phase, phases, domain, layer }, count);
+      }
+      if (!questions.length) return res.status(404).json({ ok: false, error: 'No questions available' });
+
+      const startedAt = new Date();
+      const session = await QuizSession.create({
+        user_id: req.user._id,
+        quiz_id,
+        phase,
+        mode: 'exam',
+        domain,
+        layer,
+        question_ids: questions.map((q) => q.id),
+        option_orders: assignOptionOrders(questions),
+        duration_minutes,
+        deadline_at: new Date(startedAt.getTime() + duration_minutes * 60 * 1000),
+        blueprint_id: blueprint?._id || null,
+        covers_phase: !blueprint && (await wholePhase(questions))
+      });
+      if (blueprint) {
+        await recordForm({ userId: req.user._id, blueprint, sessionId: session._id, questions, composition });
+      }
+
+      return res.json({
+        ok: true,
+        session_id: session._id,
+        quiz_id,
+        phase,
+        mode: 'exam',
+        total: questions.length,
+        duration_minutes,
+        deadline_at: session.deadline_at,
+        server_now: startedAt,
+        blueprint: blueprint ? toPublicBlueprint(blueprint) : null,
+        composition,
+        questions: questions.map((q) => toSessionQuestion(q, session.option_orders))
+      });
+    }
+
+    if (req.body.mode === 'adaptive') {
+      // Uncapped: the adaptive picker draws from the whole filtered bank (utils/adaptive).
+      const pool = await listQuestionRefs(quiz_id, { phase, domain, layer });
+      if (!pool.length) return res.status(404).json({ ok: false, error: 'No questions available' });
+
+      const countRaw = Number(req.body.count);
+      const count = Number.isFinite(countRaw) && countRaw >= 1 ? Math.floor(countRaw) : DEFAULT_ADAPTIVE_COUNT;
+      const target_count = Math.min(count, pool.length, MAX_SESSION_QUESTIONS);
+
+      const session = await QuizSession.create({
+        user_id: req.user._id,
+        quiz_id,
+        phase,
+        mode: 'adaptive',
+        domain,
+        layer,
+        target_count
+      });
+
+      return res.json({ ok: true, session_id: session._id, quiz_id, phase, mode: 'adaptive', total: target_count, questions: [] });
+    }
+
+    let questions;
+    // A hand-picked batch says nothing about the phase as a whole, so it is not recorded
+    // under one (phase results unlock the next phase and feed history and leaderboards).
+    const explicit = Array.isArray(req.body.question_ids);
+    if (explicit) {
+      const ids = Array.from(new Set(req.body.question_ids.map((x) => String(x)))).slice(0, MAX_SESSION_QUESTIONS);
+      const allowed = new Set((await listQuestionRefs(quiz_id, { phase, domain, layer })).map((r) => r.id));
+      if (ids.some((id) => !allowed.has(id))) {
+        return res.status(400).json({ ok: false, error: 'question_ids must belong to the requested phase, domain and layer' });
+      }
+      questions = await getQuestionsByIds(quiz_id, ids);
+    } else {
+      questions = await findQuestions(quiz_id, { phase, domain, layer });
+    }
+
+    if (!questions.length) return res.status(404).json({ ok: false, error: 'No questions available' });
+
+    const session = await QuizSession.create({
       user_id: req.user._id,
       quiz_id,
-      phase: Number.isFinite(phase) ? phase : null,
-      score,
-      total,
-      percentage: pct,
-      domain_stats
+      phase: explicit ? null : phase,
+      domain,
+      layer,
+      question_ids: questions.map((q) => q.id),
+      option_orders: assignOptionOrders(questions),
+      covers_phase: !explicit && (await wholePhase(questions))
     });
 
-    try {
-      void req.app.locals.trackEvent?.(req, 'quiz_attempt_saved', { quiz_id, phase: Number.isFinite(phase) ? phase : null, percentage: pct });
-    } catch (e) {
-      // ignore
+    return res.json({
+      ok: true,
+      session_id: session._id,
+      quiz_id,
+      phase: session.phase,
+      mode: 'static',
+      total: questions.length,
+      questions: questions.map((q) => toSessionQuestion(q, session.option_orders))
+    });
+  } catch (err) {
+    console.error('[QuizSession] Start error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to start session' });
+  }
+});
+
+// GET /api/quiz/sessions/:id - session state (answers so far, no answer key)
+router.get('/api/quiz/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    if (!isDbConnected()) return res.status(503).json({ ok: false, error: 'Database not connected' });
+
+    let session = await loadOwnSession(req, res);
+    if (!session) return;
+    if (await autoSubmitIfOverdue(req, session)) session = await QuizSession.findById(session._id);
+
+    const isExam = session.mode === 'exam';
+    // Exam correctness stays hidden until the exam is submitted.
+    const hideCorrect = isExam && session.status === 'active';
+    // Answers are echoed in shuffled positions, which needs the questions.
+    const questions = isExam || session.option_orders?.size
+      ? await getQuestionsByIds(session.quiz_id, session.question_ids)
+      : [];
+    const byId = new Map(questions.map((q) => [q.id, q]));
+    const payload = {
+      ok: true,
+      session_id: session._id,
+      quiz_id: session.quiz_id,
+      phase: session.phase,
+      mode: session.mode,
+      target_count: session.target_count,
+      status: session.status,
+      question_ids: session.question_ids,
+      answers: session.answers.map((a) => ({
+        question_id: a.question_id,
+        ...shownAnswerFields(session, byId.get(a.question_id), a),
+        ...(hideCorrect ? {} : { correct: a.correct, credit: a.credit })
+      })),
+      attempt_id: session.attempt_id
+    };
+
+    if (isExam) {
+      Object.assign(payload, {
+        duration_minutes: session.duration_minutes,
+        deadline_at: session.deadline_at,
+        server_now: new Date(),
+        flagged_question_ids: session.flagged_question_ids,
+        auto_submitted: session.auto_submitted,
+        // Lets a reloaded exam page rebuild the question list.
+        questions: questions.map((q) => toSessionQuestion(q, session.option_orders))
+      });
+    }
+
+    return res.json(payload);
+  } catch (err) {
+    console.error('[QuizSession] Load error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to load session' });
+  }
+});
+
+// POST /api/quiz/sessions/:id/next - adaptive sessions: serve the next question
+// Picks the unserved question whose difficulty best matches the learner's current ability
+// in its domain. Returns the pending question again if the last one is still unanswered.
+router.post('/api/quiz/sessions/:id/next', requireAuth, async (req, res) => {
+  try {
+    if (!isDbConnected()) return res.status(503).json({ ok: false, error: 'Database not connected' });
+
+    const session = await loadOwnSession(req, res);
+    if (!session) return;
+    if (session.mode !== 'adaptive') return res.status(400).json({ ok: false, error: 'Not an adaptive session' });
+    if (session.status !== 'active') return res.status(409).json({ ok: false, error: 'Session is already completed' });
+    if (!(await loadRegisteredQuiz(req, res, session.quiz_id))) return;
+
+    const served = session.question_ids.length;
+    const answered = new Set(session.answers.map((a) => a.question_id));
+    const pendingId = served ? session.question_ids[served - 1] : null;
+
+    if (pendingId && !answered.has(pendingId)) {
+      const [pending] = await getQuestionsByIds(session.quiz_id, [pendingId]);
+      if (pending) {
+        return res.json({
+          ok: true,
+          done: false,
+          index: served - 1,
+          total: session.target_count,
+          question: toSessionQuestion(pending, session.option_orders)
+        });
+      }
+    }
+
+    if (served >= session.target_count) return res.json({ ok: true, done: true, total: session.target_count });
+
+    const next = await pickNextQuestion({
+      userId: req.user._id,
+      quizId: session.quiz_id,
+      phase: session.phase,
+      domain: session.domain,
+      layer: session.layer,
+      excludeIds: session.question_ids
+    });
+    if (!next) return res.json({ ok: true, done: true, total: served });
+
+    // Guard against two concurrent /next calls both appending a question.
+    const orders = assignOptionOrders([next]);
+    const updated = await QuizSession.updateOne(
+      { _id: session._id, status: 'active', question_ids: { $size: served } },
+      {
+        $push: { question_ids: next.id },
+        ...(orders[next.id] ? { $set: { [`option_orders.${next.id}`]: orders[next.id] } } : {})
+      }
+    );
+    if (!updated.modifiedCount) return res.status(409).json({ ok: false, error: 'Session changed, retry' });
+
+    return res.json({ ok: true, done: false, index: served, total: session.target_count, question: toSessionQuestion(next, orders) });
+  } catch (err) {
+    console.error('[QuizSession] Next error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to pick next question' });
+  }
+});
+
+// POST /api/quiz/sessions/:id/answers - submit one answer; graded server-side
+// Body: { question_id, response | selected_index, elapsed_ms? } (elapsed_ms autosaves the resume point)
+// Exam sessions accept changed answers until the deadline and do not reveal correctness.
+router.post('/api/quiz/sessions/:id/answers', requireAuth, async (req, res) => {
+  try {
+    if (!isDbConnected()) return res.status(503).json({ ok: false, error: 'Database not connected' });
+
+    const session = await loadOwnSession(req, res);
+    if (!session) return;
+    if (await autoSubmitIfOverdue(req, session)) {
+      return res.status(409).json({ ok: false, error: 'Exam time is over', expired: true });
     }
+    if (session.status !== 'active') return res.status(409).json({ ok: false, error: 'Session is already completed' });
+    // Re-checked per answer: a subscription can lapse (or a quiz turn paid) mid-session.
+    if (!(await loadRegisteredQuiz(req, res, session.quiz_id))) return;
+
+    const question_id = String(req.body.question_id || '').trim();
 
-    res.json({ ok: true, id: attempt._id });
+    if (!session.question_ids.includes(question_id)) {
+      return res.status(400).json({ ok: false, error: 'Question is not part of this session' });
+    }
+    const isExam = session.mode === 'exam';
+    const previous = session.answers.find((a) => a.question_id === question_id);
+    if (previous && !isExam) {
+      return res.status(409).json({ ok: false, error: 'Question already answered' });
+    }
+
+    const [question] = await getQuestionsByIds(session.quiz_id, [question_id]);
+    if (!question) return res.status(404).json({ ok: false, error: 'Question not found' });
+
+    const { shown, response } = readSessionResponse(session, question, req.body);
+    if (response === null) return res.status(400).json({ ok: false, error: 'Invalid response' });
+
+    const { correct, credit } = gradeResponse(question, response);
+    const selected_index = selectedIndexOf(question, response);
+    const question_version = question.version;
+
+    if (isExam) {
+      // The deadline is part of the filter so an answer racing the clock cannot slip in late.
+      const inTime = { _id: session._id, status: 'active', deadline_at: { $gte: new Date(Date.now() - EXAM_GRACE_MS) } };
+      const answered_at = new Date();
+      const updated = previous
+        ? await QuizSession.updateOne(
+          { ...inTime, 'answers.question_id': question_id },
+          {
+            $set: {
+              'answers.$.question_version': question_version,
+              'answers.$.selected_index': selected_index,
+              'answers.$.response': response,
+              'answers.$.correct': correct,
+              'answers.$.credit': credit,
+              'answers.$.answered_at': answered_at
+            }
+          }
+        )
+        : await QuizSession.updateOne(
+          { ...inTime, 'answers.question_id': { $ne: question_id } },
+          { $push: { answers: { question_id, question_version, selected_index, response, correct, credit, answered_at } } }
+        );
+      if (!updated.matchedCount) return res.status(409).json({ ok: false, error: 'Exam time is over or the answer changed, reload', expired: isExamOverdue(session) });
+
+      return res.json({
+        ok: true,
+        question_id,
+        ...shownAnswerFields(session, question, { selected_index, response }),
+        answered: session.answers.length + (previous ? 0 : 1),
+        total: session.question_ids.length,
+        deadline_at: session.deadline_at
+      });
+    }
+
+    // Guard against a concurrent double submit for the same question.
+    const updated = await QuizSession.updateOne(
+      { _id: session._id, status: 'active', 'answers.question_id': { $ne: question_id } },
+      { $push: { answers: { question_id, question_version, selected_index, response, correct, credit, answered_at: new Date() } } }
+    );
+    if (!updated.modifiedCount) return res.status(409).json({ ok: false, error: 'Question already answered' });
+    await afterGradedAnswer(req, session.quiz_id, question, correct, response);
+    await saveResumePoint(req, session, session.answers.length + 1, normalizeElapsed(req.body.elapsed_ms));
+
+    return res.json({
+      ok: true,
+      question_id,
+      correct,
+      credit,
+      correct_index: shown.correct_index,
+      ...answerKey(shown),
+      // Canonical answer texts for AI explanation requests (independent of the shuffle).
+      ai: aiAnswerTexts(question, response),
+      explanation: question.explanation || null,
+      answered: session.answers.length + 1,
+      total: session.question_ids.length
+    });
+  } catch (err) {
+    console.error('[QuizSession] Answer error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to save answer' });
+  }
+});
+
+// POST /api/quiz/sessions/:id/flag - exam sessions: mark a question for review before submitting
+// Body: { question_id, flagged: true|false }
+router.post('/api/quiz/sessions/:id/flag', requireAuth, async (req, res) => {
+  try {
+    if (!isDbConnected()) return res.status(503).json({ ok: false, error: 'Database not connected' });
+
+    const session = await loadOwnSession(req, res);
+    if (!session) return;
+    if (session.mode !== 'exam') return res.status(400).json({ ok: false, error: 'Not an exam session' });
+    if (await autoSubmitIfOverdue(req, session)) {
+      return res.status(409).json({ ok: false, error: 'Exam time is over', expired: true });
+    }
+    if (session.status !== 'active') return res.status(409).json({ ok: false, error: 'Session is already completed' });
+
+    const question_id = String(req.body.question_id || '').trim();
+    if (!session.question_ids.includes(question_id)) {
+      return res.status(400).json({ ok: false, error: 'Question is not part of this session' });
+    }
+
+    const flagged = req.body.flagged !== false;
+    const updated = await QuizSession.findOneAndUpdate(
+      { _id: session._id, status: 'active' },
+      flagged ? { $addToSet: { flagged_question_ids: question_id } } : { $pull: { flagged_question_ids: question_id } },
+      { new: true }
+    );
+    if (!updated) return res.status(409).json({ ok: false, error: 'Session is already completed' });
+
+    return res.json({ ok: true, question_id, flagged, flagged_question_ids: updated.flagged_question_ids });
+  } catch (err) {
+    console.error('[QuizSession] Flag error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to update flag' });
+  }
+});
+
+// POST /api/quiz/sessions/:id/complete - finish the session and store the graded QuizAttempt
+// Exam sessions also get a per-question review (answer key + explanations) in the response.
+router.post('/api/quiz/sessions/:id/complete', requireAuth, async (req, res) => {
+  try {
+    if (!isDbConnected()) return res.status(503).json({ ok: false, error: 'Database not connected' });
+
+    const session = await loadOwnSession(req, res);
+    if (!session) return;
+
+    const withReview = async (s, questions) => {
+      if (s.mode !== 'exam') return {};
+      const current = questions || (await getQuestionsByIds(s.quiz_id, s.question_ids));
+      // Review against the wording each answer was given on, even if the question was edited since.
+      const qs = await questionsAtVersions(current, answeredVersions(s.answers));
+      return { auto_submitted: s.auto_submitted, review: examReview(qs, s.answers, s.option_orders) };
+    };
+
+    if (session.status === 'completed' && session.attempt_id) {
+      const existing = await QuizAttempt.findById(session.attempt_id).lean();
+      return res.json({ ok: true, id: session.attempt_id, attempt: existing, ...(await withReview(session)) });
+    }
+
+    if (!session.question_ids.length) return res.status(400).json({ ok: false, error: 'Session has no questions' });
+
+    // The exam page calls this itself when its clock hits zero; that still counts as an auto-submit.
+    const timedOut = session.mode === 'exam' && !!session.deadline_at && Date.now() >= session.deadline_at.getTime();
+    const done = await finalizeSession(session, { autoSubmitted: timedOut });
+    if (!done) return res.status(409).json({ ok: false, error: 'Session is already completed' });
+
+    trackAttemptSaved(req, done.attempt);
+
+    return res.json({
+      ok: true,
+      id: done.attempt._id,
+      attempt: done.attempt.toObject(),
+      ...(await withReview(done.session, done.questions))
+    });
   } catch (err) {
-    console.error('[QuizAttempt] Save error:', err);
-    res.status(500).json({ ok: false, error: 'Failed to save attempt' });
+    console.error('[QuizSession] Complete error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to complete session' });
   }
 });
 
@@ -0,0 +1,200 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ReviewCard = require('../models/ReviewCard');
+const QuizAnswer = require('../models/QuizAnswer');
+const { requireAuth } = require('../middleware/auth');
+const { isKnownBank, getQuestionsByIds } = require('../utils/questionBank');
+const { parseResponse, gradeResponse, selectedIndexOf, answerKey } = require('../utils/quizGrading');
+const {
+  assignOptionOrders,
+  optionOrderFor,
+  toCanonicalResponse,
+  shownQuestion,
+  toSessionQuestion,
+  aiAnswerTexts
+} = require('../utils/optionShuffle');
+const { recordReview } = require('../utils/reviewSchedule');
+const { recordMistakeOutcome } = require('../utils/mistakeNotebook');
+const { filterServable } = require('../utils/phaseCatalog');
+
+const router = express.Router();
+
+const DEFAULT_DUE_LIMIT = 20;
+const MAX_DUE_LIMIT = 100;
+const MAX_TIME_MS = 60 * 60 * 1000;
+
+function isDbConnected() {
+  return mongoose?.connection?.readyState === 1;
+}
+
+// GET /api/review/due?quiz_id=&limit=20 - cards whose SM-2 due date has passed, oldest first
+// Cards for soft-deleted questions or locked ML Engineer phases are neither served nor counted.
+router.get('/api/review/due', requireAuth, async (req, res) => {
+  try {
+    if (!isDbConnected()) {
+      return res.json({ ok: true, skipped: true, reason: 'db_not_connected', due_count: 0, cards: [] });
+    }
+
+    const quiz_id = String(req.query.quiz_id || '').trim();
+    if (quiz_id && !isKnownBank(quiz_id)) return res.status(400).json({ ok: false, error: 'Unsupported quiz_id' });
+
+    const limitRaw = Number(req.query.limit);
+    const limit = Number.isFinite(limitRaw) ? Math.max(1, Math.min(MAX_DUE_LIMIT, Math.floor(limitRaw))) : DEFAULT_DUE_LIMIT;
+
+    const now = new Date();
+    const filter = { user_id: req.user._id, due_at: { $lte: now } };
+    if (quiz_id) filter.quiz_id = quiz_id;
+
+    const [dueCards, upcoming] = await Promise.all([
+      ReviewCard.find(filter).sort({ due_at: 1 }).lean(),
+      ReviewCard.findOne({ ...filter, due_at: { $gt: now } }).sort({ due_at: 1 }).select('due_at').lean()
+    ]);
+    const servable = await filterServable(req.user._id, dueCards);
+    const due_count = servable.length;
+    const cards = servable.slice(0, limit);
+
+    // Resolve question content per bank, keeping the due order.
+    const byQuiz = new Map();
+    for (const c of cards) {
+      if (!byQuiz.has(c.quiz_id)) byQuiz.set(c.quiz_id, []);
+      byQuiz.get(c.quiz_id).push(c.question_id);
+    }
+    const questions = new Map();
+    for (const [qid, ids] of byQuiz) {
+      for (const q of await getQuestionsByIds(qid, ids)) questions.set(`${qid}|${q.id}`, q);
+    }
+
+    // Each review of a card gets a fresh option order, kept on the card for grading the answer.
+    // Until the card is answered, reloads (other tabs, other devices) reuse the stored order, so an
+    // answer given on an earlier load still maps back through the order it was shown with.
+    const orders = {};
+    const fresh = [];
+    for (const c of cards) {
+      const q = questions.get(`${c.quiz_id}|${c.question_id}`);
+      if (!q) continue;
+      const delivered = c.option_order_at && (!c.last_reviewed_at || c.option_order_at > c.last_reviewed_at);
+      if (delivered) {
+        // No stored order: it was served unshuffled. A stored order that no longer fits
+        // (options edited since) is replaced.
+        const kept = optionOrderFor(q, { [q.id]: c.option_order });
+        if (kept) orders[q.id] = kept;
+        if (kept || !c.option_order) continue;
+      }
+      fresh.push({ card: c, question: q });
+    }
+    const assigned = assignOptionOrders(fresh.map((f) => f.question));
+    const orderOps = fresh.map(({ card, question }) => ({
+      updateOne: {
+        // Only if no other load got there first; the stored order is read back below.
+        filter: { _id: card._id, option_order_at: card.option_order_at || null },
+        update: assigned[question.id]
+          ? { $set: { option_order: assigned[question.id], option_order_at: now } }
+          : { $set: { option_order_at: now }, $unset: { option_order: 1 } }
+      }
+    }));
+    if (orderOps.length) {
+      await ReviewCard.bulkWrite(orderOps, { ordered: false });
+      const stored = await ReviewCard.find({ _id: { $in: fresh.map((f) => f.card._id) } }).select({ option_order: 1 }).lean();
+      const storedById = new Map(stored.map((c) => [String(c._id), c.option_order]));
+      for (const { card, question } of fresh) {
+        const order = optionOrderFor(question, { [question.id]: storedById.get(String(card._id)) });
+        if (order) orders[question.id] = order;
+      }
+    }
+
+    const items = cards
+      .map((c) => {
+        const q = questions.get(`${c.quiz_id}|${c.question_id}`);
+        if (!q) return null;
+        return {
+          quiz_id: c.quiz_id,
+          question_id: c.question_id,
+          due_at: c.due_at,
+          interval_days: c.interval_days,
+          repetitions: c.repetitions,
+          question: toSessionQuestion(q, orders)
+        };
+      })
+      .filter(Boolean);
+
+    return res.json({
+      ok: true,
+      due_count,
+      next_due_at: upcoming?.due_at || null,
+      cards: items
+    });
+  } catch (err) {
+    console.error('[Review] Due error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to load review queue' });
+  }
+});
+
+// POST /api/review/answer - answer a due card; graded server-side, reschedules it
+// Body: { quiz_id, question_id, response | selected_index, time_ms? }
+// Cards that are not due (already answered this round) get 409 and are left as they are.
+router.post('/api/review/answer', requireAuth, async (req, res) => {
+  try {
+    if (!isDbConnected()) return res.status(503).json({ ok: false, error: 'Database not connected' });
+
+    const quiz_id = String(req.body.quiz_id || '').trim();
+    const question_id = String(req.body.question_id || '').trim();
+    if (!isKnownBank(quiz_id)) return res.status(400).json({ ok: false, error: 'Unsupported quiz_id' });
+
+    const card = await ReviewCard.findOne({ user_id: req.user._id, quiz_id, question_id }).lean();
+    if (!card) return res.status(404).json({ ok: false, error: 'Card not found in your review queue' });
+    if (card.due_at > new Date()) {
+      return res.status(409).json({ ok: false, error: 'Card is not due yet', due_at: card.due_at });
+    }
+
+    // Soft-deleted questions and locked phases are out of the queue (see /due).
+    const servable = (await filterServable(req.user._id, [card])).length > 0;
+    const [question] = servable ? await getQuestionsByIds(quiz_id, [question_id]) : [];
+    if (!question) return res.status(404).json({ ok: false, error: 'Question not found' });
+
+    // The response arrives in the positions the due list showed; grade it in canonical ones.
+    const order = optionOrderFor(question, { [question.id]: card.option_order });
+    const shown = shownQuestion(question, order);
+    const picked = parseResponse(shown, req.body);
+    if (picked === null) return res.status(400).json({ ok: false, error: 'Invalid response' });
+    const response = toCanonicalResponse(question, picked, order);
+
+    const { correct, credit } = gradeResponse(question, response);
+    const next = await recordReview({ userId: req.user._id, quizId: quiz_id, questionId: question_id, correct, dueOnly: true });
+    if (!next) return res.status(409).json({ ok: false, error: 'Card is not due yet' });
+    try {
+      await recordMistakeOutcome({ userId: req.user._id, quizId: quiz_id, question, response, correct });
+    } catch (err) {
+      console.error('[Mistakes] Notebook error:', err);
+    }
+
+    const time = Number(req.body.time_ms);
+    await QuizAnswer.create({
+      user_id: req.user._id,
+      quiz_id,
+      question_id,
+      question_version: question.version,
+      selected_index: selectedIndexOf(question, response),
+      response,
+      correct,
+      credit,
+      time_ms: Number.isFinite(time) && time >= 0 ? Math.min(Math.round(time), MAX_TIME_MS) : null
+    });
+
+    return res.json({
+      ok: true,
+      correct,
+      credit,
+      correct_index: shown.correct_index,
+      ...answerKey(shown),
+      ai: aiAnswerTexts(question, response),
+      explanation: question.explanation || null,
+      interval_days: next.interval_days,
+      due_at: next.due_at
+    });
+  } catch (err) {
+    console.error('[Review] Answer error:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to save review answer' });
+  }
+});
+
+module.exports = router;
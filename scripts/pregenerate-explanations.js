@@ -0,0 +1,173 @@
+// Pre-generate AI explanations for the ML Engineer bank (ml_engineer_questions), so learners
+// get cached explanations instead of waiting for a live provider call.
+// Run with:
+//   node scripts/pregenerate-explanations.js [--dry-run] [--yes] [--concurrency=2] [--level=short|long]
+//     [--phase=1] [--domain="Data Quality"] [--limit=100] [--input-price=0.30 --output-price=2.50]
+// Covers every answer variant of every active question (utils/aiPregeneration) with the
+// provider configured for the server (AI_PROVIDER / AI_ASSIST_MODEL). Prints what is still
+// missing and a cost estimate, then asks before spending anything (--yes skips the question,
+// --dry-run stops after the estimate).
+// Results are written to ai_explanations_v2 one by one, so an interrupted run (Ctrl+C, crash)
+// resumes where it left off when started again: cached variants are skipped.
+require('dotenv').config();
+const readline = require('readline');
+const mongoose = require('mongoose');
+const { getProvider, PLACEHOLDER_PROVIDERS } = require('../utils/llmProviders');
+const { listJobs, pendingJobs, estimateCost } = require('../utils/aiPregeneration');
+const { explain } = require('../routes/aiExplain');
+
+const MAX_CONCURRENCY = 8;
+// Stop after this many failures in a row (bad key, provider quota, outage); rerun to resume.
+const MAX_CONSECUTIVE_FAILURES = 5;
+
+function getFlag(name) {
+  const prefix = `--${name}=`;
+  const hit = process.argv.find((a) => a.startsWith(prefix));
+  return hit ? hit.slice(prefix.length) : null;
+}
+
+function numberFlag(name) {
+  const raw = getFlag(name);
+  if (raw === null) return null;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => rl.question(question, (answer) => {
+    rl.close();
+    resolve(answer);
+  }));
+}
+
+function usd(n) {
+  return n === null ? 'unknown (pass --input-price and --output-price, USD per 1M tokens)' : `$${n.toFixed(2)}`;
+}
+
+async function run() {
+  const level = getFlag('level') || 'short';
+  const concurrency = numberFlag('concurrency') ?? 2;
+  const limit = numberFlag('limit');
+  const phase = numberFlag('phase');
+  const inputPrice = numberFlag('input-price');
+  const outputPrice = numberFlag('output-price');
+  const dryRun = process.argv.includes('--dry-run');
+
+  if (!['short', 'long'].includes(level)) {
+    console.error('--level must be short or long');
+    process.exit(1);
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    console.error(`--concurrency must be a whole number from 1 to ${MAX_CONCURRENCY}`);
+    process.exit(1);
+  }
+  if ([limit, phase, inputPrice, outputPrice].some((n) => Number.isNaN(n))) {
+    console.error('--limit, --phase, --input-price and --output-price take non-negative numbers');
+    process.exit(1);
+  }
+
+  const provider = getProvider();
+  if (provider.configError) {
+    console.error(`AI provider ${provider.name} is not configured: ${provider.configError}`);
+    process.exit(1);
+  }
+  if (PLACEHOLDER_PROVIDERS.includes(provider.name)) {
+    console.error(`AI_PROVIDER is ${provider.name}: its placeholder text is never cached. Set a real provider first.`);
+    process.exit(1);
+  }
+
+  const mongoUri = process.env.NODE_ENV === 'production'
+    ? process.env.MONGO_PROD_URI
+    : (process.env.MONGO_DEV_URI || 'mongodb://127.0.0.1:27017/arxcafe');
+
+  if (!mongoUri) {
+    console.error('Missing MongoDB URI. Set MONGO_PROD_URI (NODE_ENV=production) or MONGO_DEV_URI.');
+    process.exit(1);
+  }
+
+  let stopping = false;
+  const onSignal = () => {
+    if (stopping) process.exit(130);
+    stopping = true;
+    console.log('\nStopping after the explanations in progress (Ctrl+C again to quit now). Run again to resume.');
+  };
+
+  try {
+    await mongoose.connect(mongoUri);
+
+    const { questions, jobs } = await listJobs({ phase, domain: getFlag('domain') });
+    let pending = await pendingJobs(jobs, { level });
+    if (limit !== null) pending = pending.slice(0, limit);
+
+    const cost = estimateCost(pending, { level, model: provider.model, inputPrice, outputPrice });
+    console.log(`${questions} question(s), ${jobs.length} answer variant(s), ${jobs.length - pending.length} already cached`);
+    console.log(`To generate: ${pending.length} (${level}) with ${provider.name}/${provider.model}, ${concurrency} at a time`);
+    console.log(`Estimate: ${cost.calls} provider call(s), ~${cost.input_tokens} input + ~${cost.output_tokens} output tokens ≈ ${usd(cost.usd)}`);
+    console.log(`Ceiling (every answer at its token cap): ${cost.max_output_tokens} output tokens ≈ ${usd(cost.usd_max)}`);
+
+    if (!pending.length || dryRun) return;
+
+    if (!process.argv.includes('--yes')) {
+      if (!process.stdin.isTTY) {
+        console.error('Not a terminal: pass --yes to start without confirmation.');
+        process.exitCode = 1;
+        return;
+      }
+      const answer = await ask('Start? [y/N] ');
+      if (!/^y(es)?$/i.test(answer.trim())) return;
+    }
+
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+
+    // Not a learner request: logged as the batch job, no quota.
+    const req = { ip: 'pregenerate', headers: {}, socket: {}, user: null, session: null };
+    const db = mongoose.connection.db;
+    let next = 0;
+    let generated = 0;
+    let failed = 0;
+    let failedInARow = 0;
+
+    const worker = async () => {
+      while (!stopping && next < pending.length) {
+        const job = pending[next++];
+        const { label, cache_key, ...request } = job;
+        const result = await explain(req, db, { ...request, explanation_level: level, difficulty: '', timeout_ms: 15000, debug: false }, { enforceQuota: false });
+
+        if (result.short_explanation) {
+          generated += 1;
+          failedInARow = 0;
+        } else {
+          failed += 1;
+          failedInARow += 1;
+          console.error(`✗ ${label}: no explanation returned`);
+          if (failedInARow >= MAX_CONSECUTIVE_FAILURES && !stopping) {
+            stopping = true;
+            console.error(`${failedInARow} failures in a row; stopping. Check the provider, then run again to resume.`);
+          }
+        }
+
+        const doneCount = generated + failed;
+        if (doneCount % 25 === 0 || doneCount === pending.length) {
+          console.log(`… ${doneCount}/${pending.length} (${generated} generated, ${failed} failed)`);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+
+    const left = pending.length - generated;
+    console.log(`✓ Generated ${generated}, failed ${failed}${left ? `, ${left} still missing (run again to resume)` : ''}`);
+    process.exitCode = failed || stopping ? 2 : 0;
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    process.off('SIGINT', onSignal);
+    process.off('SIGTERM', onSignal);
+    await mongoose.disconnect();
+  }
+}
+
+run();
@@ -0,0 +1,71 @@
+// Bulk import/export for the ML Engineer question bank (ml_engineer_questions)
+// Run with:
+//   node scripts/question-bank.js import <file> [--format=csv|json|gift] [--dry-run]
+//   node scripts/question-bank.js export <file> [--format=csv|json|gift] [--phase=1] [--domain="Data Quality"] [--include-deleted]
+// Format defaults to the file extension (.csv, .json, .gift/.txt).
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { FORMATS, detectFormat } = require('../utils/questionFormats');
+const { importQuestions, exportQuestions } = require('../utils/questionImport');
+
+function getFlag(name) {
+  const prefix = `--${name}=`;
+  const hit = process.argv.find((a) => a.startsWith(prefix));
+  return hit ? hit.slice(prefix.length) : null;
+}
+
+async function run() {
+  const [command, file] = process.argv.slice(2).filter((a) => !a.startsWith('--'));
+  if (!['import', 'export'].includes(command) || !file) {
+    console.error('Usage: node scripts/question-bank.js <import|export> <file> [--format=csv|json|gift] [--dry-run]');
+    process.exit(1);
+  }
+
+  const format = getFlag('format') || detectFormat(file);
+  if (!FORMATS.includes(format)) {
+    console.error(`Unknown format for ${file}. Use --format=${FORMATS.join('|')}.`);
+    process.exit(1);
+  }
+
+  const mongoUri = process.env.NODE_ENV === 'production'
+    ? process.env.MONGO_PROD_URI
+    : (process.env.MONGO_DEV_URI || 'mongodb://127.0.0.1:27017/arxcafe');
+
+  if (!mongoUri) {
+    console.error('Missing MongoDB URI. Set MONGO_PROD_URI (NODE_ENV=production) or MONGO_DEV_URI.');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(mongoUri);
+
+    if (command === 'import') {
+      const dryRun = process.argv.includes('--dry-run');
+      const text = fs.readFileSync(file, 'utf8');
+      const result = await importQuestions({ format, text, dryRun });
+
+      for (const e of result.errors) {
+        console.error(`✗ ${e.ref}: ${e.errors.join('; ')}`);
+      }
+      console.log(`${dryRun ? '[dry-run] ' : ''}${result.total} row(s): ${result.created} created, ${result.updated} updated, ${result.unchanged} unchanged, ${result.errors.length} with errors`);
+      process.exitCode = result.errors.length ? 2 : 0;
+    } else {
+      const filter = {};
+      if (!process.argv.includes('--include-deleted')) filter.deleted_at = null;
+      if (getFlag('phase')) filter.phase = Number(getFlag('phase'));
+      if (getFlag('domain')) filter.domain = getFlag('domain');
+
+      const { count, body } = await exportQuestions({ format, filter });
+      fs.writeFileSync(file, body, 'utf8');
+      console.log(`✓ Exported ${count} question(s) to ${file}`);
+    }
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+run();
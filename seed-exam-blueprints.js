@@ -0,0 +1,56 @@
+// seed-exam-blueprints.js
+// Writes the built-in mock exam blueprints (utils/examBlueprints DEFAULT_BLUEPRINTS) to exam_blueprints.
+// Existing blueprints are left untouched unless --force is given.
+// Run with:
+//   NODE_ENV=production MONGO_PROD_URI=... node seed-exam-blueprints.js [--force]
+
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { DEFAULT_BLUEPRINTS, normalizeBlueprint } = require('./utils/examBlueprints');
+
+async function seedBlueprints() {
+  const mongoUri = process.env.NODE_ENV === 'production'
+    ? process.env.MONGO_PROD_URI
+    : (process.env.MONGO_DEV_URI || 'mongodb://127.0.0.1:27017/arxcafe');
+
+  if (!mongoUri) {
+    console.error('Missing MongoDB URI. Set MONGO_PROD_URI (NODE_ENV=production) or MONGO_DEV_URI.');
+    process.exit(1);
+  }
+
+  const force = process.argv.includes('--force');
+  const client = new MongoClient(mongoUri);
+
+  try {
+    await client.connect();
+    const db = client.db();
+    const collection = db.collection('exam_blueprints');
+    await collection.createIndex({ slug: 1 }, { unique: true });
+
+    const now = new Date();
+    for (const raw of DEFAULT_BLUEPRINTS) {
+      const { value, errors } = normalizeBlueprint(raw);
+      if (errors.length) {
+        console.error(`✗ ${raw.slug}: ${errors.join('; ')}`);
+        process.exitCode = 1;
+        continue;
+      }
+      const result = await collection.updateOne(
+        { slug: value.slug },
+        force
+          ? { $set: { ...value, updated_at: now }, $setOnInsert: { created_at: now } }
+          : { $setOnInsert: { ...value, created_at: now, updated_at: now } },
+        { upsert: true }
+      );
+      const state = result.upsertedCount ? 'inserted' : (result.modifiedCount ? 'updated' : 'unchanged');
+      console.log(`✓ ${value.slug}: ${state}`);
+    }
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
+seedBlueprints();
@@ -0,0 +1,3955 @@
+// seed-it-pyramid-questions.js
+// Run with:
+//   NODE_ENV=production MONGO_PROD_URI=... node seed-it-pyramid-questions.js
+// Optional:
+//   --force   Clears existing questions first
+//
+// Document shape (it_pyramid_questions):
+//   layer          IT Learning Pyramid layer key (apps, security, os, networking, hardware)
+//   domain         Networking domain key (d1..d5) or null for single-bank layers
+//   order          Position within layer/domain; networking batches are sliced in this order
+//   question_text  Question stem
+//   options        Answer choices (display order)
+//   correct_index  Index into options of the correct answer
+//   type           Optional: single (default), multi, order or short. Non-single types use
+//                  correct_indices (multi), correct_order (order: option indexes first to last)
+//                  or accepted_answers (short, no options) instead of correct_index, and
+//                  scoring: 'partial' (default) or 'all_or_nothing' for multi/order
+//   why            Short rationale shown after answering (may be empty)
+
+const { MongoClient } = require('mongodb');
+
+const questions = [
+  {
+    layer: "apps",
+    domain: null,
+    order: 0,
+    question_text: "Which statement best describes an API gateway in a typical web architecture?",
+    options: ["A device that replaces DNS", "A reverse-proxy layer that can route, authenticate, and apply rate limits to APIs", "A database feature that caches queries automatically", "A Linux kernel module for load balancing"],
+    correct_index: 1,
+    why: "API gateways commonly handle routing, auth, and policies at the edge of services."
+  },
+  {
+    layer: "apps",
+    domain: null,
+    order: 1,
+    question_text: "You deploy a web app and it becomes slow only when the database is under load. Which is the most likely bottleneck category?",
+    options: ["Application/service dependency bottleneck", "Monitor refresh rate", "Keyboard input latency", "CPU instruction set mismatch"],
+    correct_index: 0,
+    why: "The app is waiting on a dependent service (the database)."
+  },
+  {
+    layer: "apps",
+    domain: null,
+    order: 2,
+    question_text: "Why do many systems add a cache in front of a database?",
+    options: ["To avoid needing TCP", "To reduce latency and database load for repeated reads", "To increase disk usage intentionally", "To eliminate the need for authentication"],
+    correct_index: 1,
+    why: "Caching helps serve repeated requests quickly and protects the DB."
+  },
+  {
+    layer: "security",
+    domain: null,
+    order: 0,
+    question_text: "What is the principle of least privilege?",
+    options: ["Users should share admin accounts for convenience", "Systems should grant only the minimum permissions needed to do the job", "Backups are optional if you have monitoring", "TLS is only needed for payments"],
+    correct_index: 1,
+    why: "Least privilege reduces blast radius when accounts or services are compromised."
+  },
+  {
+    layer: "security",
+    domain: null,
+    order: 1,
+    question_text: "A service is healthy but occasionally fails requests due to overload. Which reliability control most directly limits overload impact?",
+    options: ["Rate limiting", "Changing the keyboard layout", "Disabling DNS", "Turning off logs"],
+    correct_index: 0,
+    why: "Rate limiting controls request volume to keep systems within capacity."
+  },
+  {
+    layer: "security",
+    domain: null,
+    order: 2,
+    question_text: "Why do teams define SLOs (Service Level Objectives)?",
+    options: ["To decide acceptable reliability targets and guide tradeoffs", "To encrypt all data at rest automatically", "To replace unit tests", "To remove the need for incident response"],
+    correct_index: 0,
+    why: "SLOs formalize what “good enough” reliability means for users."
+  },
+  {
+    layer: "os",
+    domain: null,
+    order: 0,
+    question_text: "Which OS concept best explains why one program can be running while another is waiting on disk I/O?",
+    options: ["Process scheduling / multitasking", "Monitor color calibration", "Keyboard interrupts only", "Static HTML routing"],
+    correct_index: 0,
+    why: "The scheduler can run a different process while one waits."
+  },
+  {
+    layer: "os",
+    domain: null,
+    order: 1,
+    question_text: "On Unix-like systems, which command is commonly used to check which process is listening on a port?",
+    options: ["netstat or ss (or lsof -i)", "cd", "mkdir", "cat /etc/hosts"],
+    correct_index: 0,
+    why: "These tools inspect sockets and listeners."
+  },
+  {
+    layer: "os",
+    domain: null,
+    order: 2,
+    question_text: "A program is frequently crashing with “out of memory”. Which OS resource is most directly constrained?",
+    options: ["RAM (and possibly swap)", "DNS TTL", "GPU temperature only", "HTTPS certificate validity"],
+    correct_index: 0,
+    why: "OOM errors relate to memory allocation limits."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 0,
+    question_text: "What is a computer network?",
+    options: ["A collection of computers running the same operating system", "A system that allows devices to share resources and communicate", "A group of servers connected to the internet", "A physical room containing networking equipment"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 1,
+    question_text: "Why do computer networks exist?",
+    options: ["To reduce hardware costs", "To allow centralized control of computers", "To enable communication and resource sharing between devices", "To eliminate the need for storage devices"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 2,
+    question_text: "Which of the following is NOT a common network resource?",
+    options: ["Files", "Printers", "Applications", "CPU registers"],
+    correct_index: 3,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 3,
+    question_text: "What does the term “node” refer to in networking?",
+    options: ["Only servers connected to a network", "Any device capable of sending or receiving data on a network", "Only networking devices like switches and routers", "A physical network cable"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 4,
+    question_text: "What is the primary purpose of network protocols?",
+    options: ["To define hardware specifications", "To control physical cable layouts", "To establish rules for data communication", "To prevent unauthorized access"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 5,
+    question_text: "Which of the following best describes a Local Area Network (LAN)?",
+    options: ["A network that spans multiple cities", "A network limited to a small geographic area", "A wireless-only network", "A network owned by an internet service provider"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 6,
+    question_text: "What distinguishes a Wide Area Network (WAN) from a LAN?",
+    options: ["WANs use only wireless connections", "WANs operate at higher speeds than LANs", "WANs cover larger geographic areas", "WANs do not use routers"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 7,
+    question_text: "What is the Internet best described as?",
+    options: ["A private corporate WAN", "A global collection of interconnected networks", "A cloud-based storage system", "A single large data center"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 8,
+    question_text: "What is the primary role of a network interface card (NIC)?",
+    options: ["To route traffic between networks", "To provide physical access to a network", "To assign IP addresses", "To filter network traffic"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 9,
+    question_text: "Which component converts data into signals suitable for transmission on a network medium?",
+    options: ["Router", "Switch", "Network interface card", "Firewall"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 10,
+    question_text: "What does “bandwidth” refer to in networking?",
+    options: ["The physical width of a network cable", "The maximum data transfer capacity of a network", "The current speed of data transmission", "The delay in data delivery"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 11,
+    question_text: "What is latency?",
+    options: ["The amount of data sent per second", "The time it takes for data to travel from source to destination", "The number of devices on a network", "The error rate of a transmission"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 12,
+    question_text: "Which factor directly affects both latency and bandwidth?",
+    options: ["File permissions", "Network topology", "User authentication", "Operating system version"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 13,
+    question_text: "What is throughput?",
+    options: ["The theoretical maximum network speed", "The actual rate of successful data delivery", "The size of a network frame", "The number of hops between devices"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 14,
+    question_text: "Which statement best describes packet switching?",
+    options: ["Data is sent as a continuous stream", "Data is broken into smaller units and sent independently", "A dedicated path is reserved for communication", "Data is encrypted before transmission"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 15,
+    question_text: "What is a packet?",
+    options: ["A physical network cable", "A fixed-size block of memory", "A formatted unit of data transmitted over a network", "A routing protocol"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 16,
+    question_text: "Why is data divided into packets before transmission?",
+    options: ["To increase hardware compatibility", "To reduce storage requirements", "To improve reliability and efficiency", "To eliminate latency"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 17,
+    question_text: "What happens if a packet is lost during transmission?",
+    options: ["The entire transmission fails permanently", "The packet is ignored", "The packet can be retransmitted", "The connection is automatically terminated"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 18,
+    question_text: "Which term describes the path data takes from source to destination?",
+    options: ["Frame", "Route", "Segment", "Payload"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 19,
+    question_text: "Which of the following is NOT a primary goal of networking?",
+    options: ["Resource sharing", "Communication", "Fault tolerance", "Single-device operation"],
+    correct_index: 3,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 20,
+    question_text: "Which OSI layer is responsible for transmitting raw bits over a physical medium?",
+    options: ["Data Link", "Network", "Physical", "Transport"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 21,
+    question_text: "What is the primary purpose of the OSI model?",
+    options: ["To define hardware standards", "To describe how data is physically transmitted", "To standardize network communication functions", "To replace TCP/IP"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 22,
+    question_text: "How many layers are in the OSI model?",
+    options: ["4", "5", "6", "7"],
+    correct_index: 3,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 23,
+    question_text: "Which OSI layer is responsible for logical addressing?",
+    options: ["Data Link", "Network", "Transport", "Session"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 24,
+    question_text: "At which OSI layer does switching primarily operate?",
+    options: ["Physical", "Data Link", "Network", "Transport"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 25,
+    question_text: "Which OSI layer is responsible for end-to-end communication and reliability?",
+    options: ["Network", "Session", "Transport", "Application"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 26,
+    question_text: "What is the main function of the Transport layer?",
+    options: ["Routing packets between networks", "Formatting data for applications", "Providing reliable or unreliable delivery", "Controlling physical connections"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 27,
+    question_text: "Which OSI layer establishes, manages, and terminates sessions?",
+    options: ["Transport", "Session", "Presentation", "Application"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 28,
+    question_text: "What is the role of the Presentation layer?",
+    options: ["Encrypting, compressing, and formatting data", "Managing network connections", "Routing traffic", "Detecting transmission errors"],
+    correct_index: 0,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 29,
+    question_text: "Which OSI layer interacts directly with end-user applications?",
+    options: ["Presentation", "Session", "Application", "Transport"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 30,
+    question_text: "Which TCP/IP layer corresponds MOST closely to the OSI Network layer?",
+    options: ["Application", "Transport", "Internet", "Network Access"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 31,
+    question_text: "How many layers are in the TCP/IP model?",
+    options: ["3", "4", "5", "7"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 32,
+    question_text: "Which TCP/IP layer combines the OSI Physical and Data Link layers?",
+    options: ["Internet", "Transport", "Application", "Network Access"],
+    correct_index: 3,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 33,
+    question_text: "Which protocol operates at the TCP/IP Transport layer?",
+    options: ["IP", "ARP", "TCP", "ICMP"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 34,
+    question_text: "What is the primary purpose of encapsulation?",
+    options: ["To encrypt network traffic", "To break data into packets", "To wrap data with protocol-specific information", "To compress data"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 35,
+    question_text: "During encapsulation, which layer adds IP addressing information?",
+    options: ["Transport", "Network", "Data Link", "Physical"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 36,
+    question_text: "What is decapsulation?",
+    options: ["The process of routing packets", "The removal of protocol headers as data moves up the stack", "The encryption of network traffic", "The fragmentation of packets"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 37,
+    question_text: "Which OSI layer adds MAC address information?",
+    options: ["Physical", "Data Link", "Network", "Transport"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 38,
+    question_text: "Which term describes the movement of data DOWN the OSI layers before transmission?",
+    options: ["Segmentation", "Decapsulation", "Encapsulation", "Fragmentation"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 39,
+    question_text: "Which statement BEST describes the relationship between the OSI and TCP/IP models?",
+    options: ["OSI replaces TCP/IP", "TCP/IP is more theoretical than OSI", "OSI is a conceptual model, TCP/IP is implementation-focused", "They are identical in structure"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 40,
+    question_text: "What is the primary purpose of a port number?",
+    options: ["To identify a physical network interface", "To identify a specific application or service", "To define a routing path", "To encrypt network traffic"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 41,
+    question_text: "Which port range is classified as “well-known ports”?",
+    options: ["0–255", "0–1023", "1024–49151", "49152–65535"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 42,
+    question_text: "Which protocol uses port 80 by default?",
+    options: ["HTTPS", "FTP", "HTTP", "SMTP"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 43,
+    question_text: "Which protocol is primarily used for secure web traffic?",
+    options: ["HTTP", "FTP", "HTTPS", "Telnet"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 44,
+    question_text: "Which port number is associated with HTTPS?",
+    options: ["21", "22", "80", "443"],
+    correct_index: 3,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 45,
+    question_text: "Which protocol is used to send email from a client to a mail server?",
+    options: ["POP3", "IMAP", "SMTP", "SNMP"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 46,
+    question_text: "Which protocol is used to retrieve email while keeping messages on the server?",
+    options: ["SMTP", "POP3", "IMAP", "FTP"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 47,
+    question_text: "Which port is commonly used by SSH?",
+    options: ["20", "21", "22", "23"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 48,
+    question_text: "What is the primary difference between TCP and UDP?",
+    options: ["TCP is faster than UDP", "UDP provides reliable delivery, TCP does not", "TCP provides reliability, UDP does not", "UDP uses ports, TCP does not"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 49,
+    question_text: "Which protocol is connectionless and does NOT guarantee delivery?",
+    options: ["TCP", "UDP", "HTTP", "FTP"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 50,
+    question_text: "Which protocol is BEST suited for real-time voice or video transmission?",
+    options: ["TCP", "FTP", "UDP", "SMTP"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 51,
+    question_text: "What does “connection-oriented” mean?",
+    options: ["Data is sent without prior coordination", "A session is established before data transfer", "Data is always encrypted", "Packets are never reordered"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 52,
+    question_text: "Which protocol provides error checking, sequencing, and retransmission?",
+    options: ["UDP", "ICMP", "IP", "TCP"],
+    correct_index: 3,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 53,
+    question_text: "What type of traffic is sent to all devices on a network segment?",
+    options: ["Unicast", "Multicast", "Broadcast", "Anycast"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 54,
+    question_text: "What type of traffic is sent from one source to one destination?",
+    options: ["Broadcast", "Multicast", "Unicast", "Flood"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 55,
+    question_text: "What type of traffic is sent from one source to multiple selected destinations?",
+    options: ["Broadcast", "Unicast", "Multicast", "Anycast"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 56,
+    question_text: "Which protocol is used to report errors and diagnostic information?",
+    options: ["TCP", "UDP", "ICMP", "ARP"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 57,
+    question_text: "What is the primary purpose of ARP?",
+    options: ["To assign IP addresses", "To translate IP addresses to MAC addresses", "To route packets between networks", "To encrypt data"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 58,
+    question_text: "Which protocol is used to automatically assign IP addresses to hosts?",
+    options: ["DNS", "ARP", "DHCP", "SNMP"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 59,
+    question_text: "Which statement BEST describes DNS?",
+    options: ["It assigns MAC addresses", "It translates domain names into IP addresses", "It encrypts network traffic", "It monitors network performance"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 60,
+    question_text: "What is the primary purpose of an IP address?",
+    options: ["To identify a network cable", "To uniquely identify a device on a network", "To encrypt network traffic", "To identify an application"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 61,
+    question_text: "Which protocol provides logical addressing for network devices?",
+    options: ["TCP", "UDP", "IP", "ARP"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 62,
+    question_text: "How many bits are in an IPv4 address?",
+    options: ["16", "32", "64", "128"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 63,
+    question_text: "How many octets make up an IPv4 address?",
+    options: ["2", "3", "4", "8"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 64,
+    question_text: "Which notation is used to represent IPv4 addresses?",
+    options: ["Hexadecimal", "Binary", "Dotted decimal", "Base64"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 65,
+    question_text: "Which IPv4 address class provides the largest number of host addresses per network?",
+    options: ["Class A", "Class B", "Class C", "Class D"],
+    correct_index: 0,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 66,
+    question_text: "Which IPv4 address class is typically used for small networks?",
+    options: ["Class A", "Class B", "Class C", "Class E"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 67,
+    question_text: "What is the purpose of a subnet mask?",
+    options: ["To encrypt IP traffic", "To identify the network and host portions of an IP address", "To assign MAC addresses", "To determine port numbers"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 68,
+    question_text: "Which subnet mask represents a /24 network?",
+    options: ["255.0.0.0", "255.255.0.0", "255.255.255.0", "255.255.255.255"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 69,
+    question_text: "What does CIDR allow administrators to do?",
+    options: ["Eliminate IP addressing", "Use classless IP addressing", "Encrypt IP packets", "Replace subnet masks"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 70,
+    question_text: "What does the “/24” in CIDR notation represent?",
+    options: ["Number of hosts", "Number of subnets", "Number of network bits", "Number of octets"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 71,
+    question_text: "Which IPv4 address range is reserved for private use?",
+    options: ["8.8.8.0/24", "127.0.0.0/8", "192.168.0.0/16", "224.0.0.0/4"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 72,
+    question_text: "Which IPv4 address is used for loopback testing?",
+    options: ["0.0.0.0", "127.0.0.1", "169.254.0.1", "255.255.255.255"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 73,
+    question_text: "What is APIPA used for?",
+    options: ["Assigning public IP addresses", "Routing traffic between networks", "Automatically assigning IPs when DHCP fails", "Translating IP addresses to MAC addresses"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 74,
+    question_text: "Which IPv4 address range is used by APIPA?",
+    options: ["10.0.0.0 – 10.255.255.255", "172.16.0.0 – 172.31.255.255", "169.254.0.0 – 169.254.255.255", "192.168.0.0 – 192.168.255.255"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 75,
+    question_text: "What is the primary purpose of IPv6?",
+    options: ["To replace Ethernet", "To increase port availability", "To provide a larger address space", "To improve wireless performance"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 76,
+    question_text: "How many bits are in an IPv6 address?",
+    options: ["32", "64", "96", "128"],
+    correct_index: 3,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 77,
+    question_text: "Which notation format is used by IPv6 addresses?",
+    options: ["Dotted decimal", "Binary", "Hexadecimal", "Octal"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 78,
+    question_text: "Which feature allows IPv6 to simplify address representation by removing leading zeros?",
+    options: ["CIDR", "NAT", "Address compression", "Fragmentation"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 79,
+    question_text: "Which statement about IPv6 is TRUE?",
+    options: ["IPv6 uses broadcast traffic", "IPv6 eliminates the need for routing", "IPv6 supports multicast instead of broadcast", "IPv6 requires NAT to function"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 80,
+    question_text: "Which type of network connects devices within a single building or campus?",
+    options: ["WAN", "MAN", "LAN", "PAN"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 81,
+    question_text: "Which network type typically spans multiple geographic locations?",
+    options: ["LAN", "PAN", "CAN", "WAN"],
+    correct_index: 3,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 82,
+    question_text: "What type of network is commonly used for personal devices like smartphones and smartwatches?",
+    options: ["LAN", "PAN", "MAN", "WAN"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 83,
+    question_text: "Which network topology uses a central device to connect all nodes?",
+    options: ["Bus", "Ring", "Star", "Mesh"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 84,
+    question_text: "What is a key advantage of a star topology?",
+    options: ["Uses the least amount of cabling", "Failure of one cable affects the entire network", "Easy to troubleshoot and isolate faults", "Requires no central device"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 85,
+    question_text: "Which topology connects each node directly to every other node?",
+    options: ["Star", "Ring", "Bus", "Mesh"],
+    correct_index: 3,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 86,
+    question_text: "What is a major disadvantage of a mesh topology?",
+    options: ["Low reliability", "High cabling and cost requirements", "Single point of failure", "Poor performance"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 87,
+    question_text: "Which topology uses a single shared communication line?",
+    options: ["Star", "Mesh", "Bus", "Hybrid"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 88,
+    question_text: "What happens if the main cable fails in a bus topology?",
+    options: ["Only one device is affected", "Network performance improves", "The entire network goes down", "Traffic is rerouted automatically"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 89,
+    question_text: "Which topology passes data sequentially from one device to the next?",
+    options: ["Star", "Ring", "Mesh", "Hybrid"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 90,
+    question_text: "What is a hybrid topology?",
+    options: ["A wireless-only network", "A topology that combines two or more topologies", "A topology with no central device", "A temporary network design"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 91,
+    question_text: "Which network design concept focuses on separating traffic into smaller logical networks?",
+    options: ["Encapsulation", "Virtualization", "Segmentation", "Aggregation"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 92,
+    question_text: "What is the primary benefit of network segmentation?",
+    options: ["Increased cabling length", "Reduced broadcast traffic", "Elimination of routing", "Higher hardware costs"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 93,
+    question_text: "Which term describes a network that is owned and operated by a single organization?",
+    options: ["Public network", "Private network", "Extranet", "Internet"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 94,
+    question_text: "What is an intranet?",
+    options: ["A public network accessible to anyone", "A private internal network", "A network connecting multiple companies", "A wireless-only network"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 95,
+    question_text: "What is an extranet?",
+    options: ["A network open to the public", "A private network with no internet access", "A controlled network shared with external partners", "A peer-to-peer network"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 96,
+    question_text: "Which design goal focuses on ensuring a network remains operational during failures?",
+    options: ["Scalability", "Availability", "Performance", "Throughput"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 97,
+    question_text: "Which term describes the ability of a network to grow without major redesign?",
+    options: ["Redundancy", "Availability", "Scalability", "Latency"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 98,
+    question_text: "What does fault tolerance aim to achieve?",
+    options: ["Faster data transmission", "Elimination of network protocols", "Continued operation despite component failures", "Reduced network size"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 99,
+    question_text: "Which statement BEST summarizes good network design?",
+    options: ["Focuses only on performance", "Prioritizes low cost above all else", "Balances performance, reliability, and scalability", "Eliminates redundancy"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 100,
+    question_text: "What standard defines Ethernet networking?",
+    options: ["IEEE 802.3", "IEEE 802.11", "IEEE 802.1Q", "IEEE 802.5"],
+    correct_index: 0,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 101,
+    question_text: "Which Ethernet standard is associated with wireless networking?",
+    options: ["IEEE 802.1D", "IEEE 802.3", "IEEE 802.11", "IEEE 802.15"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 102,
+    question_text: "What is the maximum speed of Fast Ethernet?",
+    options: ["10 Mbps", "100 Mbps", "1 Gbps", "10 Gbps"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 103,
+    question_text: "Which Ethernet standard supports speeds of 1 Gbps?",
+    options: ["10BASE-T", "100BASE-TX", "1000BASE-T", "10GBASE-T"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 104,
+    question_text: "Which Ethernet speed is MOST commonly used in modern LANs?",
+    options: ["10 Mbps", "100 Mbps", "1 Gbps", "40 Gbps"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 105,
+    question_text: "What does “BASE” indicate in Ethernet naming conventions?",
+    options: ["Binary signaling", "Baseband transmission", "Backbone usage", "Bidirectional traffic"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 106,
+    question_text: "What does the “T” in 100BASE-T represent?",
+    options: ["Thicknet", "Token Ring", "Twisted pair", "Transmission"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 107,
+    question_text: "Which Ethernet cable type is typically used with 1000BASE-T?",
+    options: ["Coaxial", "Fiber optic", "Cat5e or higher twisted pair", "Serial cable"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 108,
+    question_text: "What is an Ethernet frame?",
+    options: ["A logical network address", "A unit of data at the Network layer", "A unit of data at the Data Link layer", "A routing protocol"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 109,
+    question_text: "Which field in an Ethernet frame identifies the sender?",
+    options: ["Destination MAC", "Source MAC", "EtherType", "Payload"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 110,
+    question_text: "Which field in an Ethernet frame identifies the receiver?",
+    options: ["Source MAC", "Frame Check Sequence", "EtherType", "Destination MAC"],
+    correct_index: 3,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 111,
+    question_text: "What is the purpose of the Frame Check Sequence (FCS)?",
+    options: ["Encrypt data", "Identify protocols", "Detect transmission errors", "Control traffic flow"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 112,
+    question_text: "What is the minimum size of an Ethernet frame?",
+    options: ["32 bytes", "46 bytes", "64 bytes", "1518 bytes"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 113,
+    question_text: "What is the maximum standard Ethernet frame size (without jumbo frames)?",
+    options: ["1024 bytes", "1518 bytes", "2048 bytes", "9000 bytes"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 114,
+    question_text: "What does “half-duplex” mean?",
+    options: ["Data flows in both directions simultaneously", "Data flows in one direction at a time", "Data is encrypted", "Data uses two cables"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 115,
+    question_text: "What does “full-duplex” mean?",
+    options: ["Data flows in one direction only", "Data flows in both directions simultaneously", "Data is compressed", "Data requires collision detection"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 116,
+    question_text: "Which device operates in full-duplex mode by default?",
+    options: ["Hub", "Repeater", "Switch", "Coaxial segment"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 117,
+    question_text: "What is a collision domain?",
+    options: ["A broadcast group", "An area where packet collisions can occur", "A routing boundary", "A VLAN"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 118,
+    question_text: "How do switches reduce collisions on a network?",
+    options: ["By using broadcast traffic", "By creating separate collision domains per port", "By disabling duplexing", "By increasing frame size"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 119,
+    question_text: "Why are collisions rare on modern Ethernet networks?",
+    options: ["Frames are encrypted", "Switches use half-duplex", "Full-duplex switching eliminates collisions", "Ethernet no longer uses frames"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 120,
+    question_text: "What type of address does a switch primarily use to forward traffic?",
+    options: ["IP address", "Port number", "MAC address", "Hostname"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 121,
+    question_text: "What type of address does a router primarily use to forward traffic?",
+    options: ["MAC address", "IP address", "Port number", "Frame Check Sequence"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 122,
+    question_text: "At which OSI layer does a switch primarily operate?",
+    options: ["Physical", "Data Link", "Network", "Transport"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 123,
+    question_text: "At which OSI layer does a router primarily operate?",
+    options: ["Data Link", "Network", "Transport", "Application"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 124,
+    question_text: "What is a broadcast domain?",
+    options: ["A group of devices that share the same collision space", "A group of devices that receive broadcast traffic", "A set of devices using the same MAC address", "A routing table entry"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 125,
+    question_text: "Which device separates broadcast domains by default?",
+    options: ["Hub", "Switch", "Router", "Repeater"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 126,
+    question_text: "How does a switch handle broadcast traffic by default?",
+    options: ["Drops it", "Sends it only to the destination MAC", "Forwards it out all ports except the source", "Routes it to another network"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 127,
+    question_text: "What happens when a router receives a broadcast packet?",
+    options: ["It forwards it to all interfaces", "It converts it to unicast", "It drops it by default", "It encrypts it"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 128,
+    question_text: "What is the primary purpose of a VLAN?",
+    options: ["To increase cable length", "To reduce latency", "To logically segment a network", "To replace routing"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 129,
+    question_text: "What type of traffic does a VLAN limit?",
+    options: ["Unicast", "Multicast", "Broadcast", "Internet"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 130,
+    question_text: "What standard is used to tag VLAN traffic on trunk links?",
+    options: ["IEEE 802.3", "IEEE 802.11", "IEEE 802.1Q", "IEEE 802.1D"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 131,
+    question_text: "What is a trunk port used for?",
+    options: ["Connecting end devices", "Carrying traffic for multiple VLANs", "Providing power to devices", "Filtering broadcast traffic"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 132,
+    question_text: "What is an access port?",
+    options: ["A port that carries multiple VLANs", "A port connected to another switch", "A port assigned to a single VLAN", "A port used only for routing"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 133,
+    question_text: "What is required for devices in different VLANs to communicate?",
+    options: ["A hub", "A bridge", "A router or Layer 3 device", "A repeater"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 134,
+    question_text: "What is inter-VLAN routing?",
+    options: ["Switching traffic between ports", "Routing traffic between VLANs", "Encrypting VLAN traffic", "Assigning VLAN IDs"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 135,
+    question_text: "Which address is used for local network delivery?",
+    options: ["IP address", "MAC address", "Port number", "Hostname"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 136,
+    question_text: "Which address is used for end-to-end network delivery?",
+    options: ["MAC address", "Frame sequence number", "IP address", "VLAN ID"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 137,
+    question_text: "Which table does a switch use to make forwarding decisions?",
+    options: ["Routing table", "ARP table", "MAC address table", "DNS cache"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 138,
+    question_text: "Which table does a router use to forward packets?",
+    options: ["MAC address table", "Routing table", "VLAN table", "CAM table"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 139,
+    question_text: "Which statement BEST summarizes switching vs routing?",
+    options: ["Switches use IP, routers use MAC", "Switches forward frames, routers forward packets", "Switches separate broadcast domains, routers do not", "Routers operate at Layer 2"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 140,
+    question_text: "What is the primary purpose of Network Address Translation (NAT)?",
+    options: ["To encrypt network traffic", "To convert MAC addresses to IP addresses", "To allow multiple devices to share a public IP address", "To route traffic within a LAN"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 141,
+    question_text: "Where is NAT most commonly implemented?",
+    options: ["On switches", "On end-user devices", "On routers or firewalls", "On wireless access points"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 142,
+    question_text: "Which type of IP address is NOT routable on the public internet?",
+    options: ["Public IP address", "Private IP address", "Static IP address", "Global unicast address"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 143,
+    question_text: "Which IPv4 address range is considered private?",
+    options: ["8.8.8.0 – 8.8.8.255", "11.0.0.0 – 11.255.255.255", "172.16.0.0 – 172.31.255.255", "224.0.0.0 – 239.255.255.255"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 144,
+    question_text: "What type of NAT maps multiple private IP addresses to a single public IP using different ports?",
+    options: ["Static NAT", "Dynamic NAT", "Port Address Translation (PAT)", "One-to-one NAT"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 145,
+    question_text: "What is a static NAT mapping?",
+    options: ["Multiple private IPs to one public IP", "One private IP permanently mapped to one public IP", "Automatic temporary address assignment", "Translation using random ports"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 146,
+    question_text: "What is a default gateway?",
+    options: ["The first usable IP address in a subnet", "The device that assigns IP addresses", "The device that forwards traffic to other networks", "The DNS server address"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 147,
+    question_text: "When does a host send traffic to its default gateway?",
+    options: ["When the destination is on the same subnet", "When the destination MAC address is unknown", "When the destination is outside the local subnet", "When DNS resolution fails"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 148,
+    question_text: "Which device typically acts as the default gateway in a LAN?",
+    options: ["Switch", "Hub", "Router", "Access point"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 149,
+    question_text: "What happens if a host has an incorrect default gateway configured?",
+    options: ["Local communication fails", "The host cannot communicate outside its subnet", "The host cannot obtain an IP address", "All network traffic is blocked"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 150,
+    question_text: "Which protocol is used to discover the MAC address of the default gateway?",
+    options: ["DNS", "ICMP", "ARP", "DHCP"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 151,
+    question_text: "What does a routing table contain?",
+    options: ["MAC addresses and port numbers", "VLAN IDs and trunk ports", "Destination networks and next-hop information", "User credentials"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 152,
+    question_text: "What is the “next hop” in routing?",
+    options: ["The final destination host", "The next router in the path to the destination", "The source device", "The default gateway"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 153,
+    question_text: "What does a router do if no specific route matches a destination?",
+    options: ["Drops the packet immediately", "Sends the packet to all interfaces", "Uses the default route, if configured", "Converts the packet to broadcast"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 154,
+    question_text: "Which entry represents a default route in IPv4?",
+    options: ["127.0.0.0/8", "169.254.0.0/16", "0.0.0.0/0", "255.255.255.255"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 155,
+    question_text: "What is the primary benefit of using private IP addresses with NAT?",
+    options: ["Increased encryption", "Reduced latency", "Conservation of public IP addresses", "Faster routing"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 156,
+    question_text: "Which type of address is assigned by an ISP?",
+    options: ["Private IP address", "Loopback address", "Public IP address", "APIPA address"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 157,
+    question_text: "What is “north-south” traffic?",
+    options: ["Traffic within the same VLAN", "Traffic between devices on the same subnet", "Traffic entering or leaving a network", "Traffic between switches"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 158,
+    question_text: "What is “east-west” traffic?",
+    options: ["Traffic between internal devices or services", "Traffic going to the internet", "Broadcast traffic", "Wireless-only traffic"],
+    correct_index: 0,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 159,
+    question_text: "Which statement BEST summarizes NAT and routing?",
+    options: ["NAT replaces routing", "Routing replaces NAT", "Routing determines paths, NAT translates addresses", "NAT operates at the Physical layer"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 160,
+    question_text: "What does Quality of Service (QoS) primarily manage?",
+    options: ["Physical cabling standards", "User authentication", "Network traffic prioritization", "IP address assignment"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 161,
+    question_text: "Why is QoS important for real-time applications?",
+    options: ["They require encryption", "They require guaranteed delivery", "They are sensitive to delay and variation", "They use large packet sizes"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 162,
+    question_text: "Which network characteristic measures the time it takes for data to travel from source to destination?",
+    options: ["Throughput", "Bandwidth", "Latency", "Jitter"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 163,
+    question_text: "What is jitter?",
+    options: ["Packet loss rate", "Variation in packet arrival time", "Maximum network speed", "Average throughput"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 164,
+    question_text: "Which application is MOST sensitive to jitter?",
+    options: ["Email", "File transfer", "Voice over IP (VoIP)", "Web browsing"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 165,
+    question_text: "What is packet loss?",
+    options: ["Delay in packet delivery", "Packets arriving out of order", "Packets that fail to reach their destination", "Duplicate packets"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 166,
+    question_text: "Which factor MOST directly affects packet loss?",
+    options: ["Screen resolution", "Network congestion", "DNS configuration", "Subnet mask"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 167,
+    question_text: "What does bandwidth represent?",
+    options: ["Actual data transfer rate", "Maximum theoretical data capacity", "Packet delivery time", "Error correction capability"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 168,
+    question_text: "How does throughput differ from bandwidth?",
+    options: ["Throughput is theoretical, bandwidth is actual", "Throughput measures delay", "Throughput is actual data successfully transmitted", "They are the same"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 169,
+    question_text: "Which metric reflects how efficiently bandwidth is being used?",
+    options: ["Latency", "Throughput", "Jitter", "Frame size"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 170,
+    question_text: "Which QoS technique prioritizes traffic by placing it into different queues?",
+    options: ["NAT", "Traffic shaping", "Queuing", "Fragmentation"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 171,
+    question_text: "Which QoS technique smooths traffic by delaying packets to prevent congestion?",
+    options: ["Policing", "Shaping", "Encryption", "Switching"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 172,
+    question_text: "What does traffic policing do?",
+    options: ["Delays excess traffic", "Drops traffic that exceeds defined limits", "Encrypts packets", "Reorders packets"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 173,
+    question_text: "Which QoS model reserves bandwidth in advance?",
+    options: ["Best-effort", "DiffServ", "IntServ", "FIFO"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 174,
+    question_text: "Which QoS model classifies and marks packets but does NOT reserve bandwidth?",
+    options: ["IntServ", "DiffServ", "FIFO", "NAT"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 175,
+    question_text: "Which type of traffic should receive the highest QoS priority?",
+    options: ["Email", "File transfers", "Voice and video", "Software updates"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 176,
+    question_text: "What happens to lower-priority traffic during congestion?",
+    options: ["It is encrypted", "It is always dropped", "It may be delayed or dropped", "It is rerouted automatically"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 177,
+    question_text: "Which network condition MOST impacts VoIP call quality?",
+    options: ["High bandwidth", "Low jitter", "High latency and jitter", "High throughput"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 178,
+    question_text: "What is “best-effort” traffic delivery?",
+    options: ["Traffic is guaranteed delivery", "Traffic is encrypted", "Traffic is delivered without prioritization", "Traffic is delayed intentionally"],
+    correct_index: 2,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 179,
+    question_text: "Which statement BEST summarizes network performance management?",
+    options: ["Increasing bandwidth solves all issues", "Latency, jitter, and loss are more critical than speed for real-time apps", "QoS eliminates congestion", "Throughput always equals bandwidth"],
+    correct_index: 1,
+    why: ""
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 180,
+    question_text: "What is cloud computing primarily based on?",
+    options: ["Dedicated physical servers", "On-demand network access to shared resources", "Peer-to-peer networking", "Local virtualization only"],
+    correct_index: 1,
+    why: "Cloud computing is defined by on-demand access to shared, configurable resources delivered over a network."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 181,
+    question_text: "Which cloud service model provides virtual machines and networking resources?",
+    options: ["SaaS", "PaaS", "IaaS", "DaaS"],
+    correct_index: 2,
+    why: "IaaS provides infrastructure building blocks such as compute (VMs), networking, and storage."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 182,
+    question_text: "Which cloud service model delivers applications over the network?",
+    options: ["IaaS", "PaaS", "SaaS", "NaaS"],
+    correct_index: 2,
+    why: "SaaS is a complete application delivered to the user, typically via the internet."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 183,
+    question_text: "Which cloud deployment model is shared among multiple organizations with similar requirements?",
+    options: ["Public cloud", "Private cloud", "Community cloud", "Hybrid cloud"],
+    correct_index: 2,
+    why: "A community cloud is shared by several organizations that have common needs (e.g., compliance or mission)."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 184,
+    question_text: "What is a hybrid cloud?",
+    options: ["A cloud using only virtual machines", "A combination of public and private cloud resources", "A cloud with no internet access", "A peer-to-peer cloud model"],
+    correct_index: 1,
+    why: "Hybrid cloud combines private and public cloud environments with some level of integration between them."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 185,
+    question_text: "What role does virtualization play in cloud computing?",
+    options: ["It replaces networking", "It allows multiple virtual systems to run on shared hardware", "It encrypts cloud traffic", "It assigns IP addresses"],
+    correct_index: 1,
+    why: "Virtualization abstracts physical hardware so multiple isolated VMs can share the same host resources."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 186,
+    question_text: "What is a hypervisor?",
+    options: ["A network routing protocol", "Software that manages virtual machines", "A cloud service provider", "A hardware firewall"],
+    correct_index: 1,
+    why: "A hypervisor (VMM) is the layer that creates, runs, and manages virtual machines on a host."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 187,
+    question_text: "Which hypervisor type runs directly on hardware?",
+    options: ["Type 1", "Type 2", "Hosted", "Application-based"],
+    correct_index: 0,
+    why: "Type 1 (bare-metal) hypervisors run directly on the physical hardware without a host OS underneath."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 188,
+    question_text: "Which hypervisor type runs on top of an operating system?",
+    options: ["Bare-metal", "Type 1", "Type 2", "Firmware"],
+    correct_index: 2,
+    why: "Type 2 hypervisors run as applications on a host operating system."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 189,
+    question_text: "What is a virtual switch (vSwitch)?",
+    options: ["A physical Layer 3 device", "A cloud router", "A software-based switch for virtual machines", "A wireless access point"],
+    correct_index: 2,
+    why: "A vSwitch is implemented in software to connect VMs to each other and to uplinks."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 190,
+    question_text: "What is east-west traffic in a virtualized environment?",
+    options: ["Traffic between virtual machines", "Traffic entering the cloud", "Traffic leaving the cloud", "Broadcast traffic"],
+    correct_index: 0,
+    why: "East-west traffic refers to lateral traffic within the environment (e.g., VM-to-VM or service-to-service)."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 191,
+    question_text: "What is north-south traffic in cloud networking?",
+    options: ["VM-to-VM traffic", "Traffic between data centers", "Traffic entering or leaving the virtual environment", "Management traffic only"],
+    correct_index: 2,
+    why: "North-south traffic crosses the boundary of the environment (client-to-service, service-to-internet, etc.)."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 192,
+    question_text: "What networking component connects virtual networks to physical networks?",
+    options: ["Virtual NIC", "Virtual switch", "Virtual router or gateway", "Load balancer"],
+    correct_index: 2,
+    why: "A virtual router/gateway provides routing and edge connectivity between virtual networks and the outside world."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 193,
+    question_text: "What is multitenancy in cloud computing?",
+    options: ["One customer per server", "Multiple customers sharing the same infrastructure", "Private cloud isolation", "Dedicated hardware usage"],
+    correct_index: 1,
+    why: "Multitenancy means multiple customers (tenants) share underlying infrastructure while remaining logically isolated."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 194,
+    question_text: "What is a key networking challenge in cloud environments?",
+    options: ["Lack of bandwidth", "Physical cabling complexity", "Visibility and traffic monitoring", "IP addressing elimination"],
+    correct_index: 2,
+    why: "Virtual overlays and distributed systems make end-to-end visibility, monitoring, and troubleshooting more challenging."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 195,
+    question_text: "Which technology allows networks to be configured through software?",
+    options: ["NAT", "SDN", "VLAN", "STP"],
+    correct_index: 1,
+    why: "Software-Defined Networking (SDN) separates control from forwarding and enables programmability and automation."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 196,
+    question_text: "What is the primary benefit of Software-Defined Networking (SDN)?",
+    options: ["Increased cable length", "Centralized network control", "Elimination of routing", "Removal of switches"],
+    correct_index: 1,
+    why: "SDN provides centralized control and policy enforcement, making networks easier to automate and manage."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 197,
+    question_text: "What does an SDN controller do?",
+    options: ["Forwards packets directly", "Manages routing tables on hosts", "Centrally controls network behavior", "Encrypts traffic"],
+    correct_index: 2,
+    why: "The controller is the control plane brain that programs network devices and enforces policies."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 198,
+    question_text: "Which concept allows network functions to run as software instead of hardware appliances?",
+    options: ["VLAN", "NAT", "NFV", "QoS"],
+    correct_index: 2,
+    why: "Network Functions Virtualization (NFV) runs functions like firewalls and load balancers as software workloads."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 199,
+    question_text: "Which statement BEST summarizes modern networking environments?",
+    options: ["Networks are purely hardware-based", "Networking and virtualization are tightly integrated", "Cloud networking removes the need for protocols", "Performance no longer matters"],
+    correct_index: 1,
+    why: "Modern environments rely heavily on virtualization, overlays, automation, and software-defined control planes."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 200,
+    question_text: "What does Wi-Fi primarily provide?",
+    options: ["Wired network access", "Wireless local area networking", "Wide area connectivity", "Point-to-point routing"],
+    correct_index: 1,
+    why: "Wi-Fi is a wireless LAN (WLAN) technology that connects devices locally without cables."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 201,
+    question_text: "Which IEEE standard defines Wi-Fi networking?",
+    options: ["802.3", "802.11", "802.1Q", "802.15"],
+    correct_index: 1,
+    why: "The 802.11 family of standards defines Wi-Fi PHY/MAC behavior."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 202,
+    question_text: "Which frequency band is commonly used by Wi-Fi?",
+    options: ["900 MHz", "1.8 GHz", "2.4 GHz", "60 GHz"],
+    correct_index: 2,
+    why: "2.4 GHz is one of the most widely used Wi-Fi bands (along with 5 GHz and 6 GHz in newer deployments)."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 203,
+    question_text: "Which Wi-Fi band provides higher speeds but shorter range?",
+    options: ["900 MHz", "2.4 GHz", "5 GHz", "700 MHz"],
+    correct_index: 2,
+    why: "Higher frequencies like 5 GHz generally support higher throughput but attenuate more and cover less area."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 204,
+    question_text: "What is a key disadvantage of the 2.4 GHz band?",
+    options: ["Short range", "Higher attenuation", "Susceptibility to interference", "Incompatibility with older devices"],
+    correct_index: 2,
+    why: "2.4 GHz is crowded (Bluetooth, microwaves, many Wi-Fi networks), so interference is common."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 205,
+    question_text: "What does SSID represent?",
+    options: ["Security protocol", "Wireless channel", "Network name", "Encryption key"],
+    correct_index: 2,
+    why: "An SSID is the human-readable name broadcast by a Wi-Fi network."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 206,
+    question_text: "What device allows wireless devices to connect to a wired network?",
+    options: ["Router", "Switch", "Wireless access point", "Firewall"],
+    correct_index: 2,
+    why: "An access point bridges wireless clients onto the wired LAN."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 207,
+    question_text: "What is a wireless channel?",
+    options: ["A physical cable", "A specific frequency range", "A security protocol", "A routing path"],
+    correct_index: 1,
+    why: "Channels divide the available RF spectrum into ranges used for communication."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 208,
+    question_text: "What problem does channel overlap cause?",
+    options: ["Increased throughput", "Reduced encryption", "Interference and performance degradation", "Improved roaming"],
+    correct_index: 2,
+    why: "Overlapping channels compete for airtime and increase interference, reducing performance."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 209,
+    question_text: "How many non-overlapping channels exist in the 2.4 GHz band?",
+    options: ["3", "6", "11", "14"],
+    correct_index: 0,
+    why: "In most regions with 20 MHz channels, there are 3 non-overlapping choices (commonly 1, 6, and 11)."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 210,
+    question_text: "Which Wi-Fi standard introduced MIMO technology?",
+    options: ["802.11a", "802.11b", "802.11g", "802.11n"],
+    correct_index: 3,
+    why: "802.11n introduced MIMO as a major throughput and reliability improvement."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 211,
+    question_text: "What does MIMO improve?",
+    options: ["Encryption strength", "Signal latency", "Throughput and reliability", "IP addressing"],
+    correct_index: 2,
+    why: "Multiple antennas can send/receive multiple spatial streams, improving throughput and resilience."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 212,
+    question_text: "What does RF stand for?",
+    options: ["Remote Function", "Radio Frequency", "Routing Factor", "Random Frame"],
+    correct_index: 1,
+    why: "RF refers to electromagnetic radio frequencies used for wireless transmission."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 213,
+    question_text: "What is attenuation in wireless networking?",
+    options: ["Signal amplification", "Signal loss over distance", "Channel bonding", "Encryption"],
+    correct_index: 1,
+    why: "Attenuation is the reduction in signal strength as it travels through air and materials."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 214,
+    question_text: "What causes multipath interference?",
+    options: ["Direct signal transmission", "Signal reflection from obstacles", "Strong encryption", "Channel bonding"],
+    correct_index: 1,
+    why: "Reflections create multiple delayed copies of the signal that can add or cancel at the receiver."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 215,
+    question_text: "What is an omnidirectional antenna?",
+    options: ["Transmits in one direction", "Transmits equally in all directions", "Receives only weak signals", "Requires line-of-sight"],
+    correct_index: 1,
+    why: "Omnidirectional antennas radiate broadly around the antenna to cover an area."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 216,
+    question_text: "Which antenna type focuses signal in a specific direction?",
+    options: ["Omnidirectional", "Dipole", "Directional", "Internal"],
+    correct_index: 2,
+    why: "Directional antennas concentrate energy to extend range in a chosen direction."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 217,
+    question_text: "What does signal-to-noise ratio (SNR) measure?",
+    options: ["Packet size", "Encryption level", "Signal strength relative to background noise", "Channel width"],
+    correct_index: 2,
+    why: "SNR compares desired signal level to noise; higher SNR usually enables better modulation rates."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 218,
+    question_text: "Which factor MOST improves wireless coverage in an office environment?",
+    options: ["Increasing transmit power only", "Proper access point placement", "Disabling encryption", "Using fewer channels"],
+    correct_index: 1,
+    why: "Good AP placement and planning improves coverage and capacity more reliably than simply boosting power."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 219,
+    question_text: "Which statement BEST summarizes wireless networking fundamentals?",
+    options: ["Higher frequency always means better coverage", "Wireless performance depends on RF behavior and environment", "Channels eliminate interference", "Encryption improves signal strength"],
+    correct_index: 1,
+    why: "Wireless behavior depends on RF physics, obstacles, interference, and design choices."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 220,
+    question_text: "Which wireless security protocol is considered the most secure?",
+    options: ["WEP", "WPA", "WPA2", "WPA3"],
+    correct_index: 3,
+    why: "WPA3 provides stronger authentication and improved protections compared to older protocols."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 221,
+    question_text: "Why is WEP considered insecure?",
+    options: ["It uses MAC filtering", "It uses weak encryption that can be cracked", "It requires strong passwords", "It does not use SSIDs"],
+    correct_index: 1,
+    why: "WEP has fundamental cryptographic weaknesses that allow it to be cracked quickly."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 222,
+    question_text: "What encryption algorithm is commonly used with WPA2?",
+    options: ["DES", "AES", "MD5", "SHA-1"],
+    correct_index: 1,
+    why: "WPA2 commonly uses AES (CCMP) for strong encryption."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 223,
+    question_text: "What does PSK stand for in wireless security?",
+    options: ["Private Security Key", "Pre-Shared Key", "Public Session Key", "Protected System Key"],
+    correct_index: 1,
+    why: "PSK means a shared passphrase/key used by clients to join a secured network."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 224,
+    question_text: "What is the primary difference between WPA2-Personal and WPA2-Enterprise?",
+    options: ["Enterprise uses MAC filtering", "Enterprise uses a centralized authentication server", "Personal uses AES", "Personal requires certificates"],
+    correct_index: 1,
+    why: "WPA2-Enterprise typically uses 802.1X with a backend AAA server (often RADIUS) for per-user authentication."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 225,
+    question_text: "Which protocol is commonly used for centralized authentication in enterprise wireless networks?",
+    options: ["ARP", "ICMP", "RADIUS", "SNMP"],
+    correct_index: 2,
+    why: "RADIUS is widely used to centralize authentication/authorization/accounting for 802.1X."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 226,
+    question_text: "What is 802.1X used for?",
+    options: ["VLAN tagging", "Port-based network access control", "Wireless channel bonding", "IP address assignment"],
+    correct_index: 1,
+    why: "802.1X provides port-based access control and is commonly used for enterprise Wi-Fi authentication."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 227,
+    question_text: "What is MAC filtering?",
+    options: ["Encrypting MAC addresses", "Allowing or denying devices based on MAC address", "Translating MAC to IP", "Segmenting broadcast domains"],
+    correct_index: 1,
+    why: "MAC filtering allows/blocks devices using their MAC address (but can be bypassed via spoofing)."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 228,
+    question_text: "What is a captive portal?",
+    options: ["A firewall rule", "A login page before network access is granted", "An encryption method", "A VLAN configuration"],
+    correct_index: 1,
+    why: "Captive portals require users to authenticate or accept terms before full network access."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 229,
+    question_text: "What enables seamless movement between access points without losing connectivity?",
+    options: ["NAT", "Roaming", "VLAN tagging", "Packet shaping"],
+    correct_index: 1,
+    why: "Roaming allows a client to transition between APs while maintaining network connectivity."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 230,
+    question_text: "What is the purpose of a site survey in wireless networking?",
+    options: ["To assign IP addresses", "To measure and plan wireless coverage", "To configure VLANs", "To monitor routing tables"],
+    correct_index: 1,
+    why: "A site survey measures RF conditions to design placement, channels, and coverage/capacity."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 231,
+    question_text: "What is a heat map used for in wireless design?",
+    options: ["Showing encryption strength", "Displaying signal coverage areas", "Mapping routing paths", "Identifying MAC addresses"],
+    correct_index: 1,
+    why: "Heat maps visualize predicted or measured RF coverage, signal strength, and often SNR."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 232,
+    question_text: "What is channel bonding?",
+    options: ["Combining multiple channels to increase throughput", "Encrypting wireless channels", "Assigning channels dynamically", "Disabling overlapping channels"],
+    correct_index: 0,
+    why: "Channel bonding increases channel width by combining channels to raise potential throughput."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 233,
+    question_text: "What is the main trade-off when increasing channel width?",
+    options: ["Reduced encryption", "Increased interference potential", "Lower latency", "Reduced coverage"],
+    correct_index: 1,
+    why: "Wider channels consume more spectrum and are more likely to overlap, increasing interference risk."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 234,
+    question_text: "What type of wireless attack involves capturing and replaying authentication data?",
+    options: ["DoS", "Replay attack", "ARP poisoning", "VLAN hopping"],
+    correct_index: 1,
+    why: "Replay attacks reuse previously captured authentication traffic to try to gain access."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 235,
+    question_text: "What is an evil twin attack?",
+    options: ["A duplicate wired switch", "A rogue access point mimicking a legitimate one", "A VLAN misconfiguration", "A routing loop"],
+    correct_index: 1,
+    why: "An evil twin AP impersonates a legitimate SSID to lure clients into connecting."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 236,
+    question_text: "What is the purpose of disabling SSID broadcast?",
+    options: ["Encrypt traffic", "Improve throughput", "Reduce casual network discovery", "Eliminate interference"],
+    correct_index: 2,
+    why: "Hiding SSID reduces casual visibility, but it is not a strong security control by itself."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 237,
+    question_text: "Which factor MOST impacts wireless security?",
+    options: ["Channel width", "Strong authentication and encryption", "Antenna type", "Frequency band"],
+    correct_index: 1,
+    why: "Security is primarily driven by robust authentication and strong encryption, not RF settings."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 238,
+    question_text: "What is the main benefit of WPA3 over WPA2?",
+    options: ["Faster speeds", "Improved encryption and authentication protections", "Increased channel count", "Lower latency"],
+    correct_index: 1,
+    why: "WPA3 improves protections (e.g., stronger handshakes and resistance to offline guessing in many modes)."
+  },
+  {
+    layer: "networking",
+    domain: "d1",
+    order: 239,
+    question_text: "Which statement BEST summarizes wireless networking security fundamentals?",
+    options: ["Encryption alone guarantees security", "Security requires layered controls including authentication and encryption", "SSID hiding prevents attacks", "MAC filtering replaces encryption"],
+    correct_index: 1,
+    why: "Good Wi-Fi security uses defense-in-depth: strong auth, strong encryption, and appropriate policy/monitoring."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 0,
+    question_text: "Which cable type is MOST commonly used in modern Ethernet LANs?",
+    options: ["Coaxial", "Fiber optic", "Twisted pair", "Serial"],
+    correct_index: 2,
+    why: "Modern Ethernet LANs typically use copper twisted-pair cabling (e.g., Cat5e/Cat6) for endpoint connections."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 1,
+    question_text: "Which connector is used with twisted pair Ethernet cables?",
+    options: ["RJ-11", "RJ-45", "BNC", "SC"],
+    correct_index: 1,
+    why: "RJ-45 is the common 8P8C connector used for twisted-pair Ethernet."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 2,
+    question_text: "Which cable category supports Gigabit Ethernet (1000BASE-T)?",
+    options: ["Cat3", "Cat5", "Cat5e", "Cat6a"],
+    correct_index: 2,
+    why: "Cat5e supports 1000BASE-T at standard Ethernet distances (typically up to 100 meters)."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 3,
+    question_text: "Which cable type provides the BEST resistance to electromagnetic interference (EMI)?",
+    options: ["UTP", "STP", "Coaxial", "Fiber optic"],
+    correct_index: 3,
+    why: "Fiber uses light rather than electrical signals, making it effectively immune to EMI."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 4,
+    question_text: "What does UTP stand for?",
+    options: ["Unshielded Twisted Pair", "Unified Transmission Protocol", "Universal Twisted Port", "Unidirectional Transfer Path"],
+    correct_index: 0,
+    why: "UTP is Unshielded Twisted Pair, the most common copper cabling type for Ethernet."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 5,
+    question_text: "What is the primary purpose of twisting wires in Ethernet cables?",
+    options: ["Increase cable length", "Reduce interference and crosstalk", "Improve encryption", "Strengthen the cable"],
+    correct_index: 1,
+    why: "Twisting pairs helps cancel electromagnetic noise and reduces crosstalk between pairs."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 6,
+    question_text: "Which type of fiber uses light signals that bounce inside the core at multiple angles?",
+    options: ["Single-mode fiber", "Multimode fiber", "Coaxial fiber", "Shielded fiber"],
+    correct_index: 1,
+    why: "Multimode fiber supports multiple modes (paths) where light can reflect at different angles."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 7,
+    question_text: "Which type of fiber is best suited for long-distance transmission?",
+    options: ["Multimode fiber", "Single-mode fiber", "Twisted pair", "Coaxial"],
+    correct_index: 1,
+    why: "Single-mode fiber has lower attenuation and supports much longer distances than multimode."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 8,
+    question_text: "Which connector type is commonly used with fiber optic cables?",
+    options: ["RJ-45", "BNC", "SC", "DB-9"],
+    correct_index: 2,
+    why: "SC (Subscriber/Standard Connector) is a common fiber connector type."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 9,
+    question_text: "What is the primary advantage of fiber optic cabling over copper?",
+    options: ["Lower cost", "Easier installation", "Higher bandwidth and longer distance", "Uses electrical signals"],
+    correct_index: 2,
+    why: "Fiber typically supports higher bandwidth and longer runs, and it is not affected by EMI."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 10,
+    question_text: "Which cable type was historically used in early Ethernet networks (10BASE2)?",
+    options: ["Twisted pair", "Fiber", "Coaxial", "Serial"],
+    correct_index: 2,
+    why: "10BASE2 (Thinnet) used coaxial cable with BNC connectors."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 11,
+    question_text: "What does plenum-rated cable indicate?",
+    options: ["Outdoor use only", "Fire-resistant and low smoke emission", "High-speed capability", "Shielded construction"],
+    correct_index: 1,
+    why: "Plenum-rated cable is designed for plenum spaces and has safer fire/smoke characteristics."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 12,
+    question_text: "What tool is used to attach an RJ-45 connector to a cable?",
+    options: ["Punchdown tool", "Cable tester", "Crimping tool", "Tone generator"],
+    correct_index: 2,
+    why: "A crimping tool terminates twisted-pair cable into an RJ-45 connector."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 13,
+    question_text: "What is a punchdown tool used for?",
+    options: ["Testing fiber cables", "Terminating wires into patch panels or keystones", "Crimping RJ-45 connectors", "Measuring voltage"],
+    correct_index: 1,
+    why: "Punchdown tools seat individual conductors into IDC terminals on patch panels/keystone jacks."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 14,
+    question_text: "What does PoE stand for?",
+    options: ["Power over Ethernet", "Protocol over Ethernet", "Port of Entry", "Packet over Encryption"],
+    correct_index: 0,
+    why: "PoE delivers electrical power along with data over Ethernet cabling."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 15,
+    question_text: "What is the primary benefit of PoE?",
+    options: ["Higher bandwidth", "Power and data over one cable", "Reduced interference", "Improved encryption"],
+    correct_index: 1,
+    why: "PoE simplifies deployments by providing both power and network connectivity over a single cable."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 16,
+    question_text: "Which device commonly uses PoE?",
+    options: ["Desktop computer", "Wireless access point", "Printer", "Router console port"],
+    correct_index: 1,
+    why: "Access points, VoIP phones, and cameras commonly use PoE so they don’t need local power."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 17,
+    question_text: "What is a patch panel used for?",
+    options: ["Routing internet traffic", "Centralizing cable terminations", "Encrypting connections", "Increasing signal strength"],
+    correct_index: 1,
+    why: "Patch panels provide a central termination point for structured cabling in a rack."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 18,
+    question_text: "What is a transceiver?",
+    options: ["A routing protocol", "A device that transmits and receives signals", "A firewall appliance", "A VLAN configuration"],
+    correct_index: 1,
+    why: "A transceiver (e.g., SFP/SFP+) both transmits and receives signals for a given media type."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 19,
+    question_text: "Which statement BEST summarizes physical infrastructure fundamentals?",
+    options: ["Copper is always superior to fiber", "Fiber eliminates the need for switches", "Media type affects distance, speed, and interference", "All Ethernet cables perform the same"],
+    correct_index: 2,
+    why: "Choosing copper vs fiber affects bandwidth, maximum distance, cost, and susceptibility to interference."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 20,
+    question_text: "What does WAN stand for?",
+    options: ["Wireless Area Network", "Wide Area Network", "Web Access Network", "Wired Access Node"],
+    correct_index: 1,
+    why: "A WAN (Wide Area Network) connects networks across large geographic areas."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 21,
+    question_text: "What is the primary purpose of a WAN?",
+    options: ["Connect devices within a single building", "Connect geographically separated networks", "Provide wireless connectivity only", "Replace LAN infrastructure"],
+    correct_index: 1,
+    why: "WANs interconnect sites/branches or separate networks over distance."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 22,
+    question_text: "Which WAN technology uses labels to forward traffic efficiently?",
+    options: ["DSL", "MPLS", "Cable", "ISDN"],
+    correct_index: 1,
+    why: "MPLS (Multiprotocol Label Switching) forwards traffic based on labels rather than only IP lookups."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 23,
+    question_text: "What is the main advantage of MPLS?",
+    options: ["Free internet access", "Built-in wireless support", "Traffic prioritization and reliability", "Eliminates routers"],
+    correct_index: 2,
+    why: "MPLS can support QoS/traffic engineering for predictable performance and reliability."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 24,
+    question_text: "Which broadband technology operates over telephone lines?",
+    options: ["Cable", "Fiber", "DSL", "Satellite"],
+    correct_index: 2,
+    why: "DSL uses existing copper telephone lines for broadband service."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 25,
+    question_text: "Which broadband technology uses coaxial cable infrastructure?",
+    options: ["DSL", "Cable", "Fiber", "T1"],
+    correct_index: 1,
+    why: "Cable internet typically runs over coaxial cable (often in an HFC network)."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 26,
+    question_text: "Which technology provides the highest bandwidth among common broadband types?",
+    options: ["DSL", "Satellite", "Fiber", "ISDN"],
+    correct_index: 2,
+    why: "Fiber generally provides the highest throughput and best scalability among common broadband options."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 27,
+    question_text: "What is a leased line?",
+    options: ["A shared public internet connection", "A dedicated private WAN connection", "A wireless broadband link", "A temporary VPN tunnel"],
+    correct_index: 1,
+    why: "A leased line is a dedicated, always-on circuit provided by a carrier."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 28,
+    question_text: "What does a T1 line provide?",
+    options: ["56 Kbps", "1.544 Mbps", "10 Mbps", "100 Mbps"],
+    correct_index: 1,
+    why: "A T1 (DS1) circuit provides 1.544 Mbps of bandwidth."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 29,
+    question_text: "What is the purpose of a VPN?",
+    options: ["Increase bandwidth", "Create a secure connection over a public network", "Assign IP addresses", "Replace firewalls"],
+    correct_index: 1,
+    why: "VPNs encrypt traffic to securely connect users or sites across untrusted networks like the internet."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 30,
+    question_text: "What does IPsec primarily provide?",
+    options: ["Wireless connectivity", "Secure IP communications", "MAC filtering", "VLAN segmentation"],
+    correct_index: 1,
+    why: "IPsec provides confidentiality, integrity, and authentication for IP traffic."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 31,
+    question_text: "Which VPN type connects two networks together securely?",
+    options: ["Remote-access VPN", "Site-to-site VPN", "SSL VPN", "Clientless VPN"],
+    correct_index: 1,
+    why: "Site-to-site VPNs connect two networks (e.g., HQ and branch) over an encrypted tunnel."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 32,
+    question_text: "Which VPN type allows individual users to securely access a network remotely?",
+    options: ["MPLS VPN", "Leased-line VPN", "Remote-access VPN", "Community VPN"],
+    correct_index: 2,
+    why: "Remote-access VPNs are designed for individual clients connecting into a private network."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 33,
+    question_text: "What is the primary disadvantage of satellite internet?",
+    options: ["Low bandwidth", "High latency", "No encryption", "Limited coverage"],
+    correct_index: 1,
+    why: "Satellite links typically have high latency due to long signal travel distances."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 34,
+    question_text: "What is SD-WAN designed to improve?",
+    options: ["Physical cabling", "Centralized WAN management and performance", "Ethernet switching", "MAC address filtering"],
+    correct_index: 1,
+    why: "SD-WAN centralizes policy/control and can optimize traffic across multiple WAN links."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 35,
+    question_text: "What is the purpose of a demarcation point (demarc)?",
+    options: ["Connect VLANs", "Define the boundary between ISP and customer responsibility", "Route WAN traffic", "Encrypt data"],
+    correct_index: 1,
+    why: "The demarc is where provider responsibility ends and customer responsibility begins."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 36,
+    question_text: "What does PPP stand for?",
+    options: ["Public Packet Path", "Private Port Protocol", "Point-to-Point Protocol", "Protected Private Path"],
+    correct_index: 2,
+    why: "PPP is Point-to-Point Protocol, used on direct links (historically common on serial/DSL connections)."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 37,
+    question_text: "What is the primary purpose of PPP?",
+    options: ["VLAN tagging", "Secure communication over point-to-point links", "DNS resolution", "Routing between subnets"],
+    correct_index: 1,
+    why: "PPP provides encapsulation plus features like authentication (PAP/CHAP) and link negotiation on point-to-point links."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 38,
+    question_text: "Which WAN technology is commonly used in modern enterprise branch connectivity instead of traditional MPLS?",
+    options: ["ISDN", "Frame Relay", "SD-WAN", "Token Ring"],
+    correct_index: 2,
+    why: "Many enterprises adopt SD-WAN to use multiple internet links with centralized policy and optimization."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 39,
+    question_text: "Which statement BEST summarizes WAN infrastructure?",
+    options: ["WANs eliminate the need for routers", "WAN technologies connect distant networks using various transmission methods", "DSL is faster than fiber", "VPNs replace MPLS entirely"],
+    correct_index: 1,
+    why: "WANs connect distant networks using carrier circuits, broadband, VPNs, and other transmission technologies."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 40,
+    question_text: "What is an SFP module used for?",
+    options: ["VLAN tagging", "Routing configuration", "Providing modular network interface connectivity", "Encrypting WAN traffic"],
+    correct_index: 2,
+    why: "SFPs are pluggable transceivers that provide modular fiber/copper connectivity for network ports."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 41,
+    question_text: "What does SFP stand for?",
+    options: ["Secure Forwarding Port", "Small Form-factor Pluggable", "Switching Frame Protocol", "Serial Fiber Port"],
+    correct_index: 1,
+    why: "SFP stands for Small Form-factor Pluggable."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 42,
+    question_text: "What is the purpose of a console port on a network device?",
+    options: ["Carry production traffic", "Provide out-of-band management access", "Assign IP addresses", "Power the device"],
+    correct_index: 1,
+    why: "Console ports provide direct, out-of-band access for initial setup and recovery."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 43,
+    question_text: "Which cable type is commonly used for console connections?",
+    options: ["Fiber optic", "Coaxial", "Rollover cable", "Straight-through Ethernet"],
+    correct_index: 2,
+    why: "Many devices use a rollover (console) cable for serial console access (or USB console on newer gear)."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 44,
+    question_text: "What is out-of-band management?",
+    options: ["Managing devices over the production network", "Managing devices through a separate dedicated channel", "Encrypting management traffic", "VLAN-based management"],
+    correct_index: 1,
+    why: "Out-of-band management uses a separate path so you can manage devices even if the production network is down."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 45,
+    question_text: "What is in-band management?",
+    options: ["Using a console port", "Managing devices via the normal network connection", "Powering devices remotely", "Encrypting traffic"],
+    correct_index: 1,
+    why: "In-band management uses the same production network interfaces and paths as normal traffic."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 46,
+    question_text: "Which protocol is commonly used for secure remote management of network devices?",
+    options: ["Telnet", "FTP", "SSH", "TFTP"],
+    correct_index: 2,
+    why: "SSH provides encrypted remote command-line management."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 47,
+    question_text: "Why is SSH preferred over Telnet?",
+    options: ["It is faster", "It uses less bandwidth", "It encrypts management traffic", "It assigns IP addresses"],
+    correct_index: 2,
+    why: "Telnet sends credentials and commands in cleartext; SSH encrypts the session."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 48,
+    question_text: "What is SNMP primarily used for?",
+    options: ["Encrypting traffic", "Monitoring and managing network devices", "Assigning VLANs", "Routing packets"],
+    correct_index: 1,
+    why: "SNMP is used to monitor device status/metrics and sometimes perform managed configuration actions."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 49,
+    question_text: "What does a network interface LED typically indicate?",
+    options: ["VLAN ID", "IP address", "Link status and activity", "Encryption status"],
+    correct_index: 2,
+    why: "Port LEDs typically show link state (up/down), speed, and activity (blinking on traffic)."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 50,
+    question_text: "What is a management VLAN?",
+    options: ["A VLAN used for user traffic", "A VLAN dedicated to device management traffic", "A VLAN used only for VoIP", "A VLAN that blocks broadcasts"],
+    correct_index: 1,
+    why: "A management VLAN isolates administrative access (e.g., SSH/SNMP) from user traffic."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 51,
+    question_text: "What is a loopback interface commonly used for?",
+    options: ["Physical cable testing", "Device identification and testing", "VLAN tagging", "WAN connectivity"],
+    correct_index: 1,
+    why: "Loopbacks are logical interfaces often used for stable management addresses and for testing/diagnostics."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 52,
+    question_text: "What is firmware?",
+    options: ["A routing protocol", "Software embedded in hardware devices", "A type of VLAN", "A WAN connection"],
+    correct_index: 1,
+    why: "Firmware is low-level software stored on devices that controls their hardware behavior."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 53,
+    question_text: "Why are firmware updates important?",
+    options: ["Increase bandwidth", "Improve encryption only", "Fix bugs and patch vulnerabilities", "Replace routing tables"],
+    correct_index: 2,
+    why: "Updates commonly address defects and security issues and may also improve stability/features."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 54,
+    question_text: "What is a power distribution unit (PDU) used for in network racks?",
+    options: ["Encrypt traffic", "Distribute electrical power to devices", "Route network packets", "Manage VLANs"],
+    correct_index: 1,
+    why: "PDUs distribute power to rack equipment, often with surge protection and optional monitoring."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 55,
+    question_text: "What is rack unit (U) used to measure?",
+    options: ["Cable length", "Power consumption", "Physical height of rack-mounted equipment", "Network speed"],
+    correct_index: 2,
+    why: "Rack units measure equipment height (1U = 1.75 inches / 44.45 mm)."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 56,
+    question_text: "What is the purpose of cable management in a rack?",
+    options: ["Improve encryption", "Reduce electromagnetic interference only", "Improve airflow and organization", "Increase bandwidth"],
+    correct_index: 2,
+    why: "Good cable management improves organization, reduces strain, and helps airflow/cooling."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 57,
+    question_text: "What is a KVM switch used for?",
+    options: ["Connecting WAN links", "Managing multiple computers from one keyboard, video, and mouse", "Assigning IP addresses", "Encrypting console traffic"],
+    correct_index: 1,
+    why: "KVM switches let one console control multiple servers/devices."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 58,
+    question_text: "What is the purpose of a UPS in network infrastructure?",
+    options: ["Increase bandwidth", "Provide temporary backup power", "Encrypt traffic", "Assign VLANs"],
+    correct_index: 1,
+    why: "UPS units provide short-term battery backup to ride through outages and allow graceful shutdown."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 59,
+    question_text: "Which statement BEST summarizes infrastructure device management?",
+    options: ["Devices should only be managed in-band", "Secure remote access and proper physical management are critical", "Console access replaces SSH", "Firmware updates are optional"],
+    correct_index: 1,
+    why: "Good operations depend on secure management access (e.g., SSH/OOB), documentation, and physical/power hygiene."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 60,
+    question_text: "What is the primary purpose of a data center?",
+    options: ["Provide wireless connectivity only", "Centralize computing and network resources", "Replace WAN technologies", "Eliminate routing"],
+    correct_index: 1,
+    why: "Data centers centralize servers, storage, and networking to provide reliable, scalable computing services."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 61,
+    question_text: "What is a Top-of-Rack (ToR) switch?",
+    options: ["A core router", "A switch located at the top of a server rack", "A firewall appliance", "A wireless controller"],
+    correct_index: 1,
+    why: "ToR switches sit in or near a rack and connect the servers in that rack to the upstream network."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 62,
+    question_text: "What is a spine-leaf architecture designed to improve?",
+    options: ["Wireless coverage", "Data center scalability and performance", "IP address assignment", "Cable encryption"],
+    correct_index: 1,
+    why: "Spine-leaf designs provide predictable, scalable east-west bandwidth and reduce bottlenecks in data centers."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 63,
+    question_text: "What is a key benefit of spine-leaf architecture?",
+    options: ["Single path routing", "Reduced latency through predictable paths", "Elimination of switches", "Lower encryption overhead"],
+    correct_index: 1,
+    why: "Any leaf can reach any other leaf via a consistent number of hops, improving predictability and latency."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 64,
+    question_text: "What is the purpose of hot aisle/cold aisle design?",
+    options: ["Increase encryption", "Improve cable management", "Optimize airflow and cooling efficiency", "Reduce VLANs"],
+    correct_index: 2,
+    why: "Separating hot and cold air streams improves cooling efficiency and reduces equipment overheating risk."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 65,
+    question_text: "Why is temperature control important in a data center?",
+    options: ["Improve bandwidth", "Prevent hardware failure", "Increase encryption strength", "Reduce routing complexity"],
+    correct_index: 1,
+    why: "Excess heat reduces reliability and can cause throttling, errors, and hardware failure."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 66,
+    question_text: "What does HVAC stand for?",
+    options: ["High Voltage Access Control", "Heating, Ventilation, and Air Conditioning", "Hardware Validation and Control", "Host Virtual Access Console"],
+    correct_index: 1,
+    why: "HVAC is Heating, Ventilation, and Air Conditioning."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 67,
+    question_text: "What is the purpose of raised flooring in some data centers?",
+    options: ["Improve encryption", "Hide cables only", "Improve airflow and cable routing", "Increase wireless signal strength"],
+    correct_index: 2,
+    why: "Raised floors can provide underfloor air distribution and space for power/network cabling."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 68,
+    question_text: "What is a blade server?",
+    options: ["A server with integrated routing", "A modular server that fits into a shared chassis", "A wireless server", "A firewall appliance"],
+    correct_index: 1,
+    why: "Blade servers are modular compute units that slide into a chassis sharing power/cooling and networking."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 69,
+    question_text: "What is a chassis in blade server architecture?",
+    options: ["A routing protocol", "A shared enclosure providing power and networking", "A cooling fan", "A VLAN controller"],
+    correct_index: 1,
+    why: "The chassis houses blade servers and provides shared power supplies, cooling, and interconnects."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 70,
+    question_text: "What is server virtualization?",
+    options: ["Encrypting servers", "Running multiple virtual machines on a single physical server", "Replacing physical hardware", "Assigning static IP addresses"],
+    correct_index: 1,
+    why: "Virtualization uses a hypervisor to run multiple isolated VMs on one physical host."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 71,
+    question_text: "What is a virtual NIC (vNIC)?",
+    options: ["A physical Ethernet card", "A software-based network interface for a VM", "A router interface", "A fiber connector"],
+    correct_index: 1,
+    why: "A vNIC is a virtualized network adapter presented to a virtual machine by the hypervisor."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 72,
+    question_text: "What is VM sprawl?",
+    options: ["Excessive VLAN creation", "Too many unmanaged virtual machines", "Physical server overload", "Network congestion"],
+    correct_index: 1,
+    why: "VM sprawl is uncontrolled growth of VMs, often leading to wasted resources and management challenges."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 73,
+    question_text: "What is the primary purpose of a storage area network (SAN)?",
+    options: ["Provide wireless connectivity", "Centralize high-speed storage access", "Replace routers", "Assign MAC addresses"],
+    correct_index: 1,
+    why: "SANs provide high-speed, centralized storage access (typically block storage) to servers."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 74,
+    question_text: "Which protocol is commonly used in SAN environments?",
+    options: ["HTTP", "FTP", "Fibre Channel", "SMTP"],
+    correct_index: 2,
+    why: "Fibre Channel is a common dedicated storage networking protocol used for SANs."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 75,
+    question_text: "What is network-attached storage (NAS)?",
+    options: ["Direct-attached storage", "Storage accessed over a network", "Cloud-only storage", "Encrypted storage only"],
+    correct_index: 1,
+    why: "NAS provides file-level storage services accessible over a network (often via SMB/NFS)."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 76,
+    question_text: "What is the primary difference between SAN and NAS?",
+    options: ["SAN is slower", "NAS uses block storage", "SAN uses block-level access, NAS uses file-level access", "NAS requires fiber"],
+    correct_index: 2,
+    why: "SAN typically provides block devices over a storage network; NAS provides shared filesystems over the network."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 77,
+    question_text: "What is redundancy in a data center power system?",
+    options: ["One power supply per rack", "Multiple independent power sources", "Wireless backup power", "Increased cooling capacity"],
+    correct_index: 1,
+    why: "Redundant power uses multiple independent sources/paths so equipment stays up if one fails."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 78,
+    question_text: "What is a generator used for in data centers?",
+    options: ["Load balancing", "Long-term backup power", "Cooling airflow", "VLAN segmentation"],
+    correct_index: 1,
+    why: "Generators provide longer-duration backup power once a UPS bridges the short gap during outages."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 79,
+    question_text: "Which statement BEST summarizes data center infrastructure?",
+    options: ["Cooling and power are optional considerations", "Infrastructure must address performance, cooling, power, and scalability", "Virtualization eliminates hardware concerns", "SAN replaces Ethernet"],
+    correct_index: 1,
+    why: "Data centers must be designed for compute/network performance while also ensuring cooling, power, and growth."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 80,
+    question_text: "What is the primary purpose of a cloud gateway?",
+    options: ["Assign VLAN IDs", "Connect on-premises networks to cloud environments", "Replace routers", "Encrypt local LAN traffic"],
+    correct_index: 1,
+    why: "Cloud gateways connect on-prem environments to cloud networks/services, often via VPN or dedicated links."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 81,
+    question_text: "What is a direct connect service used for?",
+    options: ["Wireless roaming", "Dedicated private connection to a cloud provider", "Public internet access", "DNS resolution"],
+    correct_index: 1,
+    why: "Direct Connect/ExpressRoute-style services provide private, dedicated connectivity to a cloud provider."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 82,
+    question_text: "What is edge computing designed to reduce?",
+    options: ["Encryption overhead", "Cable length", "Latency by processing data closer to users", "VLAN complexity"],
+    correct_index: 2,
+    why: "Edge computing processes data closer to users/devices to reduce round-trip latency and bandwidth usage."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 83,
+    question_text: "What is a content delivery network (CDN)?",
+    options: ["A routing protocol", "A distributed network of servers that deliver content efficiently", "A firewall service", "A VLAN management system"],
+    correct_index: 1,
+    why: "CDNs cache and serve content from geographically distributed edge locations."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 84,
+    question_text: "What is the primary benefit of a CDN?",
+    options: ["Increased encryption", "Lower latency for end users", "Elimination of WAN links", "IP address assignment"],
+    correct_index: 1,
+    why: "Serving content from nearby edge locations reduces latency and often improves performance."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 85,
+    question_text: "What is a virtual private cloud (VPC)?",
+    options: ["A public wireless network", "An isolated network environment within a public cloud", "A VPN appliance", "A physical data center"],
+    correct_index: 1,
+    why: "A VPC is a logically isolated virtual network in a cloud provider for subnets, routing, and security controls."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 86,
+    question_text: "What is network segmentation in cloud environments used for?",
+    options: ["Increasing cable distance", "Improving wireless coverage", "Enhancing security and traffic control", "Eliminating routing"],
+    correct_index: 2,
+    why: "Segmentation limits blast radius and enables policy-based control over east-west and north-south traffic."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 87,
+    question_text: "What is microsegmentation?",
+    options: ["VLAN trunking", "Highly granular network segmentation within virtual environments", "Reducing subnet sizes", "Limiting broadcast domains only"],
+    correct_index: 1,
+    why: "Microsegmentation applies fine-grained policies between workloads/VMs/containers to reduce lateral movement."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 88,
+    question_text: "What is the purpose of a cloud load balancer?",
+    options: ["Encrypt traffic only", "Route WAN traffic", "Distribute application traffic across multiple resources", "Assign IP addresses"],
+    correct_index: 2,
+    why: "Load balancers distribute traffic across instances/services to improve availability and scale."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 89,
+    question_text: "What is autoscaling in cloud infrastructure?",
+    options: ["Automatic VLAN creation", "Automatic adjustment of resources based on demand", "Manual server upgrades", "Increasing cable bandwidth"],
+    correct_index: 1,
+    why: "Autoscaling adds/removes instances or adjusts capacity in response to load and policy."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 90,
+    question_text: "What is a private cloud?",
+    options: ["A public shared cloud", "A cloud dedicated to one organization", "A peer-to-peer network", "A wireless-only infrastructure"],
+    correct_index: 1,
+    why: "Private clouds are dedicated to a single organization, either on-prem or hosted, with exclusive tenancy."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 91,
+    question_text: "What is a public cloud?",
+    options: ["A cloud environment available to multiple customers", "A private LAN", "A secure internal network only", "A WAN appliance"],
+    correct_index: 0,
+    why: "Public clouds are multi-tenant cloud environments offered to many customers over the internet."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 92,
+    question_text: "What is a hybrid infrastructure?",
+    options: ["A wireless network", "A combination of on-premises and cloud resources", "A VLAN-based network", "A single ISP connection"],
+    correct_index: 1,
+    why: "Hybrid infrastructure combines on-prem systems with public cloud resources and connectivity between them."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 93,
+    question_text: "What is the role of a reverse proxy in infrastructure?",
+    options: ["Encrypt local traffic", "Forward client requests to backend servers", "Replace firewalls", "Provide DHCP services"],
+    correct_index: 1,
+    why: "Reverse proxies sit in front of backend services to route requests and often provide TLS termination and caching."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 94,
+    question_text: "What is zero-touch provisioning (ZTP)?",
+    options: ["Manual configuration of devices", "Automatic device configuration when connected to the network", "Wireless authentication", "VLAN isolation"],
+    correct_index: 1,
+    why: "ZTP automates initial device provisioning so devices self-configure when first connected."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 95,
+    question_text: "What is infrastructure as code (IaC)?",
+    options: ["Manual router configuration", "Managing infrastructure using code and automation tools", "Encrypting network diagrams", "Configuring VLANs manually"],
+    correct_index: 1,
+    why: "IaC defines infrastructure in declarative/programmable form for repeatable automation (e.g., Terraform, CloudFormation)."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 96,
+    question_text: "What is a container primarily used for?",
+    options: ["Replacing virtual machines entirely", "Running isolated applications with shared OS resources", "Assigning IP addresses", "Encrypting WAN traffic"],
+    correct_index: 1,
+    why: "Containers package an app and dependencies to run in isolation while sharing the host OS kernel."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 97,
+    question_text: "What is orchestration in infrastructure management?",
+    options: ["VLAN tagging", "Coordinating automated deployment and management of systems", "Cable routing", "DNS resolution"],
+    correct_index: 1,
+    why: "Orchestration coordinates provisioning, deployment, scaling, and healing across systems (e.g., Kubernetes)."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 98,
+    question_text: "What is the purpose of a bastion host?",
+    options: ["Provide wireless coverage", "Serve as a secure entry point to a private network", "Route internal traffic", "Assign VLANs"],
+    correct_index: 1,
+    why: "Bastion hosts provide controlled administrative access into private networks to reduce exposure."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 99,
+    question_text: "Which statement BEST summarizes modern enterprise infrastructure?",
+    options: ["Infrastructure is purely physical", "Infrastructure integrates on-prem, cloud, automation, and security controls", "Cloud eliminates network design", "WAN links are no longer required"],
+    correct_index: 1,
+    why: "Modern infrastructure spans on-prem and cloud, uses automation, and requires consistent security controls."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 100,
+    question_text: "What is the primary purpose of physical security controls in a network environment?",
+    options: ["Increase bandwidth", "Prevent unauthorized physical access", "Improve routing performance", "Encrypt network traffic"],
+    correct_index: 1,
+    why: "Physical security prevents unauthorized people from accessing equipment and sensitive areas."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 101,
+    question_text: "Which device restricts physical access using electronic authentication?",
+    options: ["Patch panel", "Badge reader", "Load balancer", "UPS"],
+    correct_index: 1,
+    why: "Badge readers control entry by requiring electronic credentials (badges/cards/fobs)."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 102,
+    question_text: "What is the purpose of a mantrap?",
+    options: ["Prevent cable theft", "Monitor VLAN traffic", "Control and verify single-person entry into secure areas", "Improve airflow"],
+    correct_index: 2,
+    why: "Mantraps are access control vestibules that help prevent tailgating/piggybacking."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 103,
+    question_text: "Why are surveillance cameras used in data centers?",
+    options: ["Improve wireless coverage", "Monitor physical access and activity", "Reduce latency", "Assign IP addresses"],
+    correct_index: 1,
+    why: "Cameras provide monitoring, deterrence, and audit evidence for physical security."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 104,
+    question_text: "What is the purpose of cable labeling?",
+    options: ["Increase throughput", "Improve encryption", "Simplify management and troubleshooting", "Reduce interference"],
+    correct_index: 2,
+    why: "Labeling makes it faster to trace, maintain, and troubleshoot cabling and ports."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 105,
+    question_text: "What is the main safety concern when working with fiber optic cables?",
+    options: ["Electric shock", "Laser light exposure to eyes", "Radio interference", "Magnetic fields"],
+    correct_index: 1,
+    why: "Active fiber can carry invisible laser light; looking into a connector can damage eyesight."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 106,
+    question_text: "What is grounding used for in network infrastructure?",
+    options: ["Increase bandwidth", "Prevent electrical shock and equipment damage", "Assign VLANs", "Encrypt traffic"],
+    correct_index: 1,
+    why: "Grounding provides a safe path for fault current and helps protect equipment from electrical issues."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 107,
+    question_text: "What does EMI stand for?",
+    options: ["Electronic Management Interface", "Ethernet Media Integration", "Electromagnetic Interference", "External Modular Interface"],
+    correct_index: 2,
+    why: "EMI is Electromagnetic Interference."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 108,
+    question_text: "Which practice helps reduce EMI in cabling installations?",
+    options: ["Using longer cables", "Separating power and data cables", "Increasing signal strength", "Removing cable shielding"],
+    correct_index: 1,
+    why: "Keeping data cabling separated from power lines reduces induced noise and interference."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 109,
+    question_text: "What is a demarc extension?",
+    options: ["A second ISP connection", "Extending the demarcation point within a building", "A VLAN trunk", "A fiber repeater"],
+    correct_index: 1,
+    why: "A demarc extension moves/extends the provider handoff deeper into the customer site."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 110,
+    question_text: "Why is proper airflow important in network racks?",
+    options: ["Improve encryption", "Prevent overheating", "Increase VLAN performance", "Reduce broadcast traffic"],
+    correct_index: 1,
+    why: "Good airflow keeps equipment within safe operating temperatures and improves reliability."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 111,
+    question_text: "What is the purpose of ESD protection?",
+    options: ["Increase cable speed", "Prevent damage from static electricity", "Reduce interference", "Improve signal strength"],
+    correct_index: 1,
+    why: "ESD controls reduce the risk of static discharge damaging sensitive electronics."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 112,
+    question_text: "What is a lockout/tagout procedure used for?",
+    options: ["Wireless authentication", "Preventing accidental power-on during maintenance", "VLAN segmentation", "Load balancing"],
+    correct_index: 1,
+    why: "Lockout/tagout ensures equipment stays de-energized while being serviced to protect workers."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 113,
+    question_text: "What is a cross-connect in structured cabling?",
+    options: ["A wireless bridge", "A centralized point for interconnecting cables", "A router interface", "A fiber amplifier"],
+    correct_index: 1,
+    why: "Cross-connects provide a central point (often via patch panels) to interconnect and manage cabling."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 114,
+    question_text: "What is a structured cabling system designed to provide?",
+    options: ["Wireless-only infrastructure", "Organized, standardized cabling framework", "Encrypted transmission", "WAN routing"],
+    correct_index: 1,
+    why: "Structured cabling provides a standardized, maintainable cabling architecture for buildings/campuses."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 115,
+    question_text: "Which fire suppression system is commonly used in data centers to avoid water damage?",
+    options: ["Sprinkler system only", "CO₂ or clean agent system", "Water mist only", "Sand-based system"],
+    correct_index: 1,
+    why: "Clean agent (or CO₂ in some contexts) suppression reduces equipment damage compared to water-based systems."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 116,
+    question_text: "What is the purpose of biometric access control?",
+    options: ["Encrypt traffic", "Authenticate individuals using physical characteristics", "Improve bandwidth", "Assign IP addresses"],
+    correct_index: 1,
+    why: "Biometrics authenticate using traits like fingerprints, facial features, or iris patterns."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 117,
+    question_text: "What is the benefit of redundant power supplies in network devices?",
+    options: ["Reduce EMI", "Provide continued operation if one supply fails", "Increase routing efficiency", "Eliminate VLANs"],
+    correct_index: 1,
+    why: "Redundant PSUs allow a device to keep running if one power supply fails (often with separate circuits)."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 118,
+    question_text: "What is a best practice when installing network cables?",
+    options: ["Run data and power cables together tightly", "Avoid sharp bends and excessive tension", "Stretch cables to maximum length", "Remove shielding"],
+    correct_index: 1,
+    why: "Avoiding tight bends and tension prevents physical damage and preserves cable performance."
+  },
+  {
+    layer: "networking",
+    domain: "d2",
+    order: 119,
+    question_text: "Which statement BEST summarizes infrastructure best practices?",
+    options: ["Physical security is optional", "Proper installation, safety, redundancy, and organization are critical", "Encryption replaces physical controls", "Cooling is unnecessary in virtualized environments"],
+    correct_index: 1,
+    why: "Strong infrastructure practices include physical security, safety procedures, redundancy, and good organization."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 0,
+    question_text: "What is the primary purpose of network monitoring?",
+    options: ["Encrypt traffic", "Increase bandwidth", "Detect performance issues and outages", "Assign VLANs"],
+    correct_index: 2,
+    why: "Monitoring helps detect degradation, outages, and abnormal behavior so teams can respond quickly."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 1,
+    question_text: "What is a network baseline?",
+    options: ["A VLAN configuration", "A documented snapshot of normal network performance", "A routing protocol", "A backup server"],
+    correct_index: 1,
+    why: "A baseline captures what “normal” looks like for metrics such as latency, loss, and utilization."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 2,
+    question_text: "Why is establishing a performance baseline important?",
+    options: ["To increase encryption", "To identify abnormal network behavior", "To eliminate routing", "To prevent VLAN hopping"],
+    correct_index: 1,
+    why: "With a baseline, you can spot anomalies and regressions by comparing current metrics to normal levels."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 3,
+    question_text: "Which protocol is commonly used for network device monitoring?",
+    options: ["FTP", "SSH", "SNMP", "ARP"],
+    correct_index: 2,
+    why: "SNMP is widely used for polling device counters/health and receiving traps/alerts."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 4,
+    question_text: "What does SNMP primarily collect from devices?",
+    options: ["VLAN IDs", "Management and performance data", "Encryption keys", "IP address assignments"],
+    correct_index: 1,
+    why: "SNMP gathers management information (status, counters, performance metrics) from managed devices."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 5,
+    question_text: "What is a log file used for in network operations?",
+    options: ["Assigning IP addresses", "Recording system and event activity", "Encrypting traffic", "Increasing throughput"],
+    correct_index: 1,
+    why: "Logs record events and actions, supporting troubleshooting, incident response, and audits."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 6,
+    question_text: "What is centralized logging?",
+    options: ["Storing logs on each device separately", "Collecting logs from multiple devices into one system", "Encrypting log data", "Deleting logs automatically"],
+    correct_index: 1,
+    why: "Centralization improves searchability, correlation, retention, and alerting across many systems."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 7,
+    question_text: "What is the purpose of a syslog server?",
+    options: ["Route traffic", "Assign DNS records", "Collect and store log messages from devices", "Provide DHCP services"],
+    correct_index: 2,
+    why: "A syslog server aggregates log messages sent from network devices and servers."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 8,
+    question_text: "What is change management?",
+    options: ["Automatically updating firmware", "Formal process for controlling network changes", "VLAN configuration", "Backup power management"],
+    correct_index: 1,
+    why: "Change management reduces risk by using approvals, planning, testing, and documentation."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 9,
+    question_text: "Why is change documentation important?",
+    options: ["Increases bandwidth", "Tracks modifications for troubleshooting and auditing", "Encrypts configuration files", "Assigns routing metrics"],
+    correct_index: 1,
+    why: "Documentation provides traceability to diagnose issues and meet compliance/audit requirements."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 10,
+    question_text: "What is a maintenance window?",
+    options: ["A VLAN configuration", "Scheduled time for performing network changes", "A security protocol", "A WAN link"],
+    correct_index: 1,
+    why: "Maintenance windows schedule changes when impact is minimized and support teams are available."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 11,
+    question_text: "What is configuration management primarily concerned with?",
+    options: ["Physical cabling", "Managing and tracking device settings", "Wireless signal strength", "Routing algorithms"],
+    correct_index: 1,
+    why: "Configuration management tracks device settings/versions so environments are consistent and recoverable."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 12,
+    question_text: "What is a rollback plan?",
+    options: ["VLAN removal procedure", "Plan to restore previous configuration after failed change", "Load balancing method", "Firewall rule"],
+    correct_index: 1,
+    why: "Rollback plans define how to safely revert if a change causes outages or unexpected behavior."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 13,
+    question_text: "What is asset management?",
+    options: ["Assigning IP addresses", "Tracking hardware and software inventory", "Routing traffic", "Encrypting devices"],
+    correct_index: 1,
+    why: "Asset management tracks what you own/run (devices, licenses, versions) for support and security."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 14,
+    question_text: "What is a service-level agreement (SLA)?",
+    options: ["Routing configuration", "A contract defining expected service performance", "VLAN policy", "Encryption standard"],
+    correct_index: 1,
+    why: "An SLA defines service targets such as uptime, response times, and support commitments."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 15,
+    question_text: "What does uptime measure?",
+    options: ["Bandwidth usage", "Time a system remains operational", "Packet size", "Signal strength"],
+    correct_index: 1,
+    why: "Uptime measures availability—how long a system/service stays operational without interruption."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 16,
+    question_text: "What is capacity planning?",
+    options: ["Installing new VLANs", "Forecasting future resource requirements", "Encrypting WAN links", "Assigning static IPs"],
+    correct_index: 1,
+    why: "Capacity planning predicts future needs (bandwidth, CPU, storage) to avoid bottlenecks and outages."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 17,
+    question_text: "What is patch management?",
+    options: ["Managing network cables", "Updating software to fix vulnerabilities and bugs", "Assigning VLAN IDs", "Routing configuration"],
+    correct_index: 1,
+    why: "Patch management keeps systems secure and stable by applying updates in a controlled way."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 18,
+    question_text: "What is the purpose of network documentation?",
+    options: ["Increase latency", "Provide reference for design, troubleshooting, and audits", "Encrypt system files", "Assign IP addresses"],
+    correct_index: 1,
+    why: "Documentation helps teams operate consistently and troubleshoot faster while supporting audits/compliance."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 19,
+    question_text: "Which statement BEST summarizes network operations?",
+    options: ["Monitoring eliminates failures", "Proper documentation, monitoring, and controlled changes maintain network stability", "Bandwidth is the only concern", "Change management slows productivity unnecessarily"],
+    correct_index: 1,
+    why: "Network ops focuses on stable, observable systems with controlled change processes and good documentation."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 20,
+    question_text: "What is the purpose of setting monitoring thresholds?",
+    options: ["Assign VLANs", "Trigger alerts when performance exceeds defined limits", "Increase bandwidth", "Encrypt traffic"],
+    correct_index: 1,
+    why: "Thresholds define acceptable ranges so systems can alert when metrics indicate degradation or failure."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 21,
+    question_text: "What is an alert in network monitoring?",
+    options: ["A routing update", "A notification of abnormal system behavior", "A VLAN broadcast", "A firmware upgrade"],
+    correct_index: 1,
+    why: "Alerts notify operators that a metric or event indicates abnormal behavior or a potential outage."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 22,
+    question_text: "Which metric is commonly monitored for network performance?",
+    options: ["Screen resolution", "CPU utilization", "Keyboard input", "Printer toner levels"],
+    correct_index: 1,
+    why: "CPU utilization is a common device health/performance metric (along with memory, interface errors, and throughput)."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 23,
+    question_text: "What is interface utilization?",
+    options: ["Amount of available IP addresses", "Percentage of bandwidth being used on a network interface", "Number of VLANs configured", "Amount of memory in a router"],
+    correct_index: 1,
+    why: "Interface utilization measures how much of the interface capacity is being used over time."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 24,
+    question_text: "What does packet error rate indicate?",
+    options: ["Number of users online", "Percentage of packets transmitted successfully", "Frequency of corrupted or lost packets", "Speed of routing convergence"],
+    correct_index: 2,
+    why: "Higher error rates indicate corruption/drops and can signal cabling faults, duplex mismatches, or congestion."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 25,
+    question_text: "What is a trend analysis used for?",
+    options: ["Immediate troubleshooting only", "Predicting future network growth and issues", "VLAN assignment", "Firewall configuration"],
+    correct_index: 1,
+    why: "Trend analysis uses historical data to forecast growth and identify emerging issues before they cause outages."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 26,
+    question_text: "What is a dashboard in network monitoring?",
+    options: ["A physical router panel", "A visual summary of network metrics and status", "A VLAN trunk", "A routing protocol"],
+    correct_index: 1,
+    why: "Dashboards summarize health and key metrics so operators can quickly assess system status."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 27,
+    question_text: "What is NetFlow primarily used for?",
+    options: ["Encrypting traffic", "Monitoring traffic patterns and flows", "Assigning IP addresses", "Reducing latency"],
+    correct_index: 1,
+    why: "NetFlow exports flow metadata to analyze who is talking to whom, how much, and when."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 28,
+    question_text: "What does flow data typically reveal?",
+    options: ["Physical cable length", "Traffic source, destination, and volume", "VLAN IDs", "BIOS configuration"],
+    correct_index: 1,
+    why: "Flow records summarize communications (source/destination/ports/protocol and byte/packet counts)."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 29,
+    question_text: "What is a key benefit of centralized monitoring systems?",
+    options: ["Increased latency", "Reduced visibility", "Unified oversight across multiple devices", "Elimination of logs"],
+    correct_index: 2,
+    why: "Central monitoring consolidates health and alerts for many devices/services in one place."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 30,
+    question_text: "What is mean time to detect (MTTD)?",
+    options: ["Average uptime", "Average time to discover an issue", "Average repair duration", "Average latency"],
+    correct_index: 1,
+    why: "MTTD measures how quickly operations discovers an incident after it starts."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 31,
+    question_text: "What is capacity utilization reporting used for?",
+    options: ["Encryption auditing", "Predicting when upgrades may be required", "Assigning VLANs", "DHCP management"],
+    correct_index: 1,
+    why: "Utilization reports help forecast when links/devices will reach capacity so upgrades can be planned."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 32,
+    question_text: "What is synthetic monitoring?",
+    options: ["Monitoring based on user complaints", "Simulated transactions to test system performance", "Manual log review", "VLAN scanning"],
+    correct_index: 1,
+    why: "Synthetic monitoring runs scripted checks (pings, HTTP requests, logins) to validate availability and performance."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 33,
+    question_text: "What is real-user monitoring (RUM)?",
+    options: ["Simulated traffic testing", "Monitoring actual user interactions and performance", "Packet encryption analysis", "Firewall rule auditing"],
+    correct_index: 1,
+    why: "RUM measures actual user experience (load times/errors) from real sessions rather than synthetic scripts."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 34,
+    question_text: "What is a threshold breach?",
+    options: ["Exceeding a predefined performance limit", "VLAN misconfiguration", "Encryption failure", "Routing loop"],
+    correct_index: 0,
+    why: "A breach occurs when a metric crosses its defined threshold, typically triggering an alert."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 35,
+    question_text: "Why are historical logs important?",
+    options: ["Increase bandwidth", "Assist with forensic analysis and trend tracking", "Replace monitoring systems", "Assign static IPs"],
+    correct_index: 1,
+    why: "Historical logs support investigations, correlate events, and enable trend analysis over time."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 36,
+    question_text: "What is a performance bottleneck?",
+    options: ["A firewall rule", "A network segment limiting overall performance", "A VLAN ID", "A DNS record"],
+    correct_index: 1,
+    why: "A bottleneck is a limiting component/path that constrains throughput or increases latency."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 37,
+    question_text: "Which tool type helps visualize bandwidth usage over time?",
+    options: ["Packet sniffer", "Performance graphing tool", "BIOS utility", "ARP scanner"],
+    correct_index: 1,
+    why: "Graphing tools (often fed by SNMP/telemetry) show utilization trends and spikes across time ranges."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 38,
+    question_text: "Why is proactive monitoring preferred over reactive troubleshooting?",
+    options: ["It increases costs", "It eliminates documentation", "It identifies issues before users are impacted", "It reduces visibility"],
+    correct_index: 2,
+    why: "Proactive monitoring catches issues early so teams can fix them before they cause user-visible outages."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 39,
+    question_text: "Which statement BEST summarizes performance monitoring?",
+    options: ["Monitoring replaces troubleshooting", "Continuous measurement and alerting maintain operational stability", "Logs are unnecessary", "Thresholds eliminate outages entirely"],
+    correct_index: 1,
+    why: "Monitoring provides continuous visibility and alerting; it reduces impact but does not eliminate all incidents."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 40,
+    question_text: "What is the primary goal of disaster recovery (DR)?",
+    options: ["Increase bandwidth", "Restore operations after a disruptive event", "Assign VLANs", "Encrypt traffic"],
+    correct_index: 1,
+    why: "Disaster recovery focuses on restoring systems and services after a major disruption."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 41,
+    question_text: "What is business continuity (BC) focused on?",
+    options: ["Replacing routers", "Maintaining essential functions during disruptions", "Increasing network speed", "Assigning IP addresses"],
+    correct_index: 1,
+    why: "Business continuity aims to keep critical business functions running even during incidents."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 42,
+    question_text: "What does RTO stand for?",
+    options: ["Recovery Time Objective", "Routing Transfer Operation", "Real-Time Operation", "Recovery Traffic Optimization"],
+    correct_index: 0,
+    why: "RTO stands for Recovery Time Objective."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 43,
+    question_text: "What does RTO define?",
+    options: ["Maximum acceptable data loss", "Maximum acceptable downtime", "Encryption level", "VLAN priority"],
+    correct_index: 1,
+    why: "RTO is the maximum acceptable time to restore service after an outage."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 44,
+    question_text: "What does RPO stand for?",
+    options: ["Recovery Point Objective", "Routing Process Operation", "Real Packet Output", "Remote Performance Optimization"],
+    correct_index: 0,
+    why: "RPO stands for Recovery Point Objective."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 45,
+    question_text: "What does RPO define?",
+    options: ["Maximum tolerable downtime", "Maximum acceptable data loss measured in time", "Required bandwidth", "Firewall configuration"],
+    correct_index: 1,
+    why: "RPO defines how much data loss (in time) is acceptable (e.g., 15 minutes of data)."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 46,
+    question_text: "What is a full backup?",
+    options: ["Copying only changed data", "Copying all selected data", "Copying system logs only", "Copying VLAN configurations"],
+    correct_index: 1,
+    why: "A full backup copies all selected data at the time the backup is taken."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 47,
+    question_text: "What is an incremental backup?",
+    options: ["Backs up all data each time", "Backs up data changed since last full backup only", "Backs up data changed since last backup of any type", "Backs up network settings only"],
+    correct_index: 2,
+    why: "Incremental backups capture changes since the most recent backup (full or incremental)."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 48,
+    question_text: "What is a differential backup?",
+    options: ["Backs up only new hardware", "Backs up data changed since the last full backup", "Backs up VLAN information", "Replaces full backups"],
+    correct_index: 1,
+    why: "Differential backups capture changes since the last full backup."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 49,
+    question_text: "What is offsite backup primarily used for?",
+    options: ["Increasing throughput", "Protecting data against site-level disasters", "Encrypting traffic", "VLAN redundancy"],
+    correct_index: 1,
+    why: "Offsite backups protect against local disasters like fire, flood, theft, or ransomware affecting the primary site."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 50,
+    question_text: "What is a backup retention policy?",
+    options: ["VLAN configuration plan", "Defined schedule for how long backups are stored", "Firewall rule", "Routing table"],
+    correct_index: 1,
+    why: "Retention policies define how long backups are kept (and often how they are rotated and archived)."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 51,
+    question_text: "What is a hot site?",
+    options: ["A site with no equipment", "A fully operational backup location", "A wireless backup network", "A temporary VLAN"],
+    correct_index: 1,
+    why: "A hot site is ready to run quickly with systems and data available, minimizing downtime."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 52,
+    question_text: "What is a cold site?",
+    options: ["A facility with minimal or no infrastructure ready", "A load-balanced data center", "A VLAN trunk", "A dedicated WAN link"],
+    correct_index: 0,
+    why: "Cold sites have space but minimal equipment, so recovery takes longer to provision."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 53,
+    question_text: "What is a warm site?",
+    options: ["A site partially prepared with some infrastructure", "A wireless-only backup", "A cloud-only facility", "A VLAN isolation zone"],
+    correct_index: 0,
+    why: "Warm sites are partially equipped (some systems/networking) but not fully ready like a hot site."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 54,
+    question_text: "What is redundancy in disaster recovery planning?",
+    options: ["Removing duplicate systems", "Maintaining backup systems to reduce downtime", "Encrypting duplicate data", "Reducing bandwidth"],
+    correct_index: 1,
+    why: "Redundancy provides alternate components/systems so services can continue if the primary fails."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 55,
+    question_text: "What is a failover cluster?",
+    options: ["A VLAN trunk group", "A group of systems configured to provide backup support automatically", "A firewall rule set", "A routing protocol"],
+    correct_index: 1,
+    why: "Failover clustering provides high availability by automatically shifting workloads to another node on failure."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 56,
+    question_text: "What is a tabletop exercise?",
+    options: ["Physical cabling test", "Simulated disaster scenario discussion", "VLAN testing process", "Firmware upgrade"],
+    correct_index: 1,
+    why: "Tabletop exercises walk through response steps in a discussion-based scenario to validate plans and roles."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 57,
+    question_text: "Why should disaster recovery plans be tested regularly?",
+    options: ["To increase bandwidth", "To verify effectiveness and identify weaknesses", "To assign IP addresses", "To reduce monitoring"],
+    correct_index: 1,
+    why: "Testing ensures procedures work in practice and reveals gaps in tooling, documentation, and coordination."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 58,
+    question_text: "What is data replication used for?",
+    options: ["Encrypting traffic", "Synchronizing data between systems", "Assigning VLANs", "Routing packets"],
+    correct_index: 1,
+    why: "Replication keeps data copies in sync to support failover, DR, and reduced RPO."
+  },
+  {
+    layer: "networking",
+    domain: "d3",
+    order: 59,
+    question_text: "Which statement BEST summarizes disaster recovery planning?",
+    options: ["Backups eliminate the need for planning", "DR requires defined objectives, redundancy, and regular testing", "Encryption replaces backups", "RTO and RPO are optional"],
+    correct_index: 1,
+    why: "Effective DR defines objectives (RTO/RPO), uses redundancy and backups/replication, and is tested regularly."
+  },
+  {
+    layer: "hardware",
+    domain: null,
+    order: 0,
+    question_text: "Which upgrade most directly improves performance for a workload that is CPU-bound?",
+    options: ["Faster CPU / more cores (if parallelizable)", "Changing the router SSID", "Lowering DNS TTL", "Switching from HTTPS to HTTP"],
+    correct_index: 0,
+    why: "CPU-bound means compute is the bottleneck."
+  },
+  {
+    layer: "hardware",
+    domain: null,
+    order: 1,
+    question_text: "Which component is typically the fastest memory closest to the CPU for repeated access?",
+    options: ["CPU cache", "Hard disk drive", "USB flash drive", "Network attached storage"],
+    correct_index: 0,
+    why: "CPU caches (L1/L2/L3) are designed for speed."
+  },
+  {
+    layer: "hardware",
+    domain: null,
+    order: 2,
+    question_text: "A system feels slow when opening large files. Which hardware area is most likely involved?",
+    options: ["Disk I/O throughput/latency (HDD vs SSD)", "Screen resolution", "Keyboard layout", "Domain registrar"],
+    correct_index: 0,
+    why: "Large file operations often depend on storage speed."
+  }
+];
+
+async function seedQuestions() {
+  const mongoUri = process.env.NODE_ENV === 'production'
+    ? process.env.MONGO_PROD_URI
+    : (process.env.MONGO_DEV_URI || 'mongodb://127.0.0.1:27017/arxcafe');
+
+  if (!mongoUri) {
+    console.error('Missing MongoDB URI. Set MONGO_PROD_URI (NODE_ENV=production) or MONGO_DEV_URI.');
+    process.exit(1);
+  }
+
+  const force = process.argv.includes('--force');
+  const client = new MongoClient(mongoUri);
+
+  try {
+    await client.connect();
+    const dbName = process.env.MONGO_DB_NAME;
+    const db = dbName ? client.db(dbName) : client.db();
+    const collection = db.collection('it_pyramid_questions');
+
+    const existingCount = await collection.countDocuments({});
+
+    if (existingCount > 0 && !force) {
+      console.log(`Collection already has ${existingCount} documents. Skipping seed (use --force to reset).`);
+      return;
+    }
+
+    if (force && existingCount > 0) {
+      await collection.deleteMany({});
+      console.log(`✓ Cleared ${existingCount} existing questions`);
+    }
+
+    const result = await collection.insertMany(questions);
+    await collection.createIndex({ layer: 1, domain: 1, order: 1 });
+    console.log(`✓ Inserted ${result.insertedCount} questions into db '${db.databaseName}'`);
+
+  } catch (err) {
+    console.error('Error:', err.message);
+  } finally {
+    await client.close();
+  }
+}
+
+seedQuestions();
@@ -0,0 +1,50 @@
+// seed-quiz-registry.js
+// Writes the built-in quiz definitions (utils/quizRegistry DEFAULT_QUIZZES) to quiz_registry.
+// Existing entries are left untouched unless --force is given.
+// Run with:
+//   NODE_ENV=production MONGO_PROD_URI=... node seed-quiz-registry.js [--force]
+
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { DEFAULT_QUIZZES } = require('./utils/quizRegistry');
+
+async function seedRegistry() {
+  const mongoUri = process.env.NODE_ENV === 'production'
+    ? process.env.MONGO_PROD_URI
+    : (process.env.MONGO_DEV_URI || 'mongodb://127.0.0.1:27017/arxcafe');
+
+  if (!mongoUri) {
+    console.error('Missing MongoDB URI. Set MONGO_PROD_URI (NODE_ENV=production) or MONGO_DEV_URI.');
+    process.exit(1);
+  }
+
+  const force = process.argv.includes('--force');
+  const client = new MongoClient(mongoUri);
+
+  try {
+    await client.connect();
+    const db = client.db();
+    const collection = db.collection('quiz_registry');
+    await collection.createIndex({ quiz_id: 1 }, { unique: true });
+
+    const now = new Date();
+    for (const quiz of DEFAULT_QUIZZES) {
+      const result = await collection.updateOne(
+        { quiz_id: quiz.quiz_id },
+        force
+          ? { $set: { ...quiz, updated_at: now }, $setOnInsert: { created_at: now } }
+          : { $setOnInsert: { ...quiz, created_at: now, updated_at: now } },
+        { upsert: true }
+      );
+      const state = result.upsertedCount ? 'inserted' : (result.modifiedCount ? 'updated' : 'unchanged');
+      console.log(`✓ ${quiz.quiz_id}: ${state}`);
+    }
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
+seedRegistry();
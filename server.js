@@ -20,15 +20,20 @@ const MongoStore = require('connect-mongo').MongoStore;
 const passport = require('./config/passport');
 const { MongoClient } = require('mongodb');
 const googleTrends = require('google-trends-api');
-const { handleAiExplain } = require('./routes/aiExplain');
+const { handleAiExplain, handleAiExplainStream } = require('./routes/aiExplain');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const paymentRoutes = require('./routes/payment');
 const adminRoutes = require('./routes/admin');
+const adminQuestionRoutes = require('./routes/adminQuestions');
+const adminAiExplanationRoutes = require('./routes/adminAiExplanations');
 const quizRoutes = require('./routes/quiz');
+const reviewRoutes = require('./routes/review');
+const bookmarkRoutes = require('./routes/bookmarks');
 const { requirePaid, requireAuth, hasActiveSubscription } = require('./middleware/auth');
 const QuizAttempt = require('./models/QuizAttempt');
+const { submitExpiredExams } = require('./utils/quizSessions');
 const User = require('./models/User');
 
 // Initialize Express app
@@ -257,7 +262,11 @@ function configureApp(options = {}) {
     app.use('/', authRoutes);
     app.use('/', paymentRoutes);
     app.use('/', adminRoutes);
+    app.use('/', adminQuestionRoutes);
+    app.use('/', adminAiExplanationRoutes);
     app.use('/', quizRoutes);
+    app.use('/', reviewRoutes);
+    app.use('/', bookmarkRoutes);
 
     // Who-am-I endpoint for client-side UI toggles (e.g., admin link visibility)
     app.get('/api/me', (req, res) => {
@@ -428,7 +437,6 @@ function configureApp(options = {}) {
     app.post('/api/ai/explain', async (req, res) => {
         try {
             console.log('[AI Explain] Request received:', req.body.question_id);
-            console.log('[AI Explain] GEMINI_API_KEY exists:', !!process.env.GEMINI_API_KEY);
             await handleAiExplain(req, res, mongoDb);
         } catch (err) {
             console.error('[AI Explain] Error:', err.message);
@@ -437,6 +445,19 @@ function configureApp(options = {}) {
         }
     });
 
+    // Same explanation streamed as Server-Sent Events (js/ai-quiz-assist.js)
+    app.post('/api/ai/explain/stream', async (req, res) => {
+        try {
+            console.log('[AI Explain] Stream request received:', req.body?.question_id);
+            await handleAiExplainStream(req, res, mongoDb);
+        } catch (err) {
+            console.error('[AI Explain] Error:', err.message);
+            console.error('[AI Explain] Stack:', err.stack);
+            if (res.headersSent) return res.end();
+            res.status(400).json({ ok: false, error: 'Error: ' + err.message });
+        }
+    });
+
     // Protect assessment and quiz routes
     // Assessment dashboard is visible for authenticated users; it teases locked content.
     app.get(['/assesment', '/assesment.html', '/assessment', '/assessment.html'], requireAuth, (req, res) => {
@@ -453,6 +474,21 @@ function configureApp(options = {}) {
         return res.sendFile(path.join(__dirname, 'it-learning-pyramid.html'));
     });
 
+    // Spaced-repetition review (auth only)
+    app.get(['/review', '/review.html'], requireAuth, (req, res) => {
+        return res.sendFile(path.join(__dirname, 'review.html'));
+    });
+
+    // Custom practice sets (auth only)
+    app.get(['/practice', '/practice.html'], requireAuth, (req, res) => {
+        return res.sendFile(path.join(__dirname, 'practice.html'));
+    });
+
+    // Timed mock exam (paid only)
+    app.get(['/mock-exam', '/mock-exam.html'], requirePaid, (req, res) => {
+        return res.sendFile(path.join(__dirname, 'mock-exam.html'));
+    });
+
     // Phase 4: paid-only analytics page
     app.use('/analytics.html', requirePaid);
     app.get('/analytics.html', requirePaid, (req, res) => {
@@ -814,7 +850,12 @@ app.use((req, res, next) => {
         '/analytics',
         '/ml-engineering',
         '/ml-engineer-quiz',
+        '/ml-quiz-questions.json',
         '/it-learning-pyramid',
+        '/it-pyramid-questions.json',
+        '/review',
+        '/practice',
+        '/mock-exam',
         '/profile',
         '/onboarding',
         '/start',
@@ -954,41 +995,6 @@ app.use((req, res, next) => {
         return;
     }
 
-    // ML Engineer Quiz endpoint
-    if (pathName === '/ml-quiz-questions.json') {
-        (async () => {
-            try {
-                const readyDb = await ensureMongoDb(2500);
-                if (!readyDb) {
-                    res.writeHead(503, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ questions: [], error: 'Database not connected' }));
-                    return;
-                }
-
-                const url = new URL(req.url, 'http://localhost');
-                const phase = url.searchParams.get('phase') || 'all';
-                const domain = url.searchParams.get('domain') || 'all';
-
-                const coll = readyDb.collection('ml_engineer_questions');
-                const filter = {};
-                if (phase !== 'all') filter.phase = parseInt(phase);
-                if (domain !== 'all') filter.domain = domain;
-
-                const questions = await coll
-                    .find(filter)
-                    .sort({ _id: 1 })
-                    .toArray();
-
-                res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=3600' });
-                res.end(JSON.stringify({ questions: questions }));
-            } catch (err) {
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ questions: [], error: err.message }));
-            }
-        })();
-        return;
-    }
-
     // Serve static files (hero.jpg, CSS, JS) and handle leading '/'
     if (pathName.match(/\.(jpg|jpeg|png|gif|svg|css|js)$/)) {
         const staticPath = pathName.replace(/^\/+/, '');
@@ -2107,6 +2113,13 @@ const startServer = () => {
     // Start connecting the shared MongoClient ASAP (do not block startup).
     connectMongo();
 
+    // Submit timed mock exams whose deadline passed without the learner coming back.
+    const examSweep = setInterval(() => {
+        if (mongoose.connection.readyState !== 1) return;
+        submitExpiredExams().catch((err) => console.error('[MockExam] Auto-submit sweep error:', err));
+    }, 60 * 1000);
+    examSweep.unref();
+
     // WebSocket server for "currently online" counter
     const wss = new WebSocket.Server({ server, path: '/ws' });
     let activeConnections = 0;
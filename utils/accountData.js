@@ -0,0 +1,82 @@
+// Everything stored against a user, for the data export and account deletion in routes/auth.
+// A new per-user collection belongs in USER_DATA; the export and the delete both read it.
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const QuizAttempt = require('../models/QuizAttempt');
+const QuizProgress = require('../models/QuizProgress');
+const QuizSession = require('../models/QuizSession');
+const QuizAnswer = require('../models/QuizAnswer');
+const QuizAnswerCheck = require('../models/QuizAnswerCheck');
+const ReviewCard = require('../models/ReviewCard');
+const AbilityEstimate = require('../models/AbilityEstimate');
+const PhaseUnlock = require('../models/PhaseUnlock');
+const ExamForm = require('../models/ExamForm');
+const MistakeEntry = require('../models/MistakeEntry');
+const QuestionBookmark = require('../models/QuestionBookmark');
+
+// key: name in the export; export: false = deleted with the account but not handed out.
+const USER_DATA = [
+  { key: 'subscriptions', model: Subscription },
+  { key: 'quiz_attempts', model: QuizAttempt },
+  { key: 'quiz_progress', model: QuizProgress },
+  { key: 'quiz_sessions', model: QuizSession },
+  { key: 'quiz_answers', model: QuizAnswer },
+  { key: 'answer_checks', model: QuizAnswerCheck },
+  { key: 'review_cards', model: ReviewCard },
+  { key: 'ability_estimates', model: AbilityEstimate },
+  { key: 'phase_unlocks', model: PhaseUnlock },
+  { key: 'exam_forms', model: ExamForm },
+  { key: 'mistake_notebook', model: MistakeEntry },
+  { key: 'bookmarks_and_notes', model: QuestionBookmark },
+  { key: 'password_reset_tokens', model: PasswordResetToken, export: false }
+];
+
+// Raw-driver collections that store the user ID as a string.
+const USER_LOGS = ['ai_explain_requests', 'funnel_events'];
+
+async function exportUserData(userId) {
+  const user = await User.findById(userId)
+    .select({ email: 1, role: 1, created_at: 1, onboarding_completed_at: 1 })
+    .lean();
+  if (!user) return null;
+
+  const data = {
+    exported_at: new Date(),
+    account: {
+      id: String(user._id),
+      email: user.email,
+      role: user.role,
+      created_at: user.created_at,
+      onboarding_completed_at: user.onboarding_completed_at || null
+    }
+  };
+  for (const entry of USER_DATA) {
+    if (entry.export === false) continue;
+    data[entry.key] = await entry.model.find({ user_id: userId }).select({ __v: 0 }).lean();
+  }
+  return data;
+}
+
+// Remove the user and every row that belongs to them. Returns { [key]: deletedCount }.
+async function deleteUserData(userId) {
+  const deleted = {};
+  for (const entry of USER_DATA) {
+    const result = await entry.model.deleteMany({ user_id: userId });
+    deleted[entry.key] = result.deletedCount;
+  }
+  for (const name of USER_LOGS) {
+    const result = await mongoose.connection.collection(name).deleteMany({ user_id: String(userId) });
+    deleted[name] = result.deletedCount;
+  }
+  const result = await User.deleteOne({ _id: userId });
+  deleted.account = result.deletedCount;
+  return deleted;
+}
+
+module.exports = {
+  USER_DATA,
+  exportUserData,
+  deleteUserData
+};
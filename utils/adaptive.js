@@ -0,0 +1,97 @@
+// Adaptive question selection: Elo-style updates of a 1PL (Rasch) model.
+//   P(correct) = 1 / (1 + e^-(theta - b))
+// theta is the learner's ability per domain (AbilityEstimate), b the question's
+// difficulty (QuestionDifficulty). Both move toward the observed outcome after every
+// graded answer; step sizes shrink as more answers are seen.
+const AbilityEstimate = require('../models/AbilityEstimate');
+const QuestionDifficulty = require('../models/QuestionDifficulty');
+const { listQuestionRefs, getQuestionsByIds } = require('./questionBank');
+
+const RATING_LIMIT = 4;
+const USER_K = { base: 0.6, min: 0.1 };
+const QUESTION_K = { base: 0.4, min: 0.05 };
+// Pick randomly among the closest few so repeated runs don't serve identical sequences.
+const CANDIDATE_POOL = 3;
+
+function expectedScore(theta, difficulty) {
+  return 1 / (1 + Math.exp(-(theta - difficulty)));
+}
+
+function stepSize(k, answers) {
+  return Math.max(k.min, k.base / Math.sqrt(1 + answers));
+}
+
+function clamp(x) {
+  return Math.max(-RATING_LIMIT, Math.min(RATING_LIMIT, x));
+}
+
+// Update both ratings from one graded answer. question is a normalized bank question.
+async function recordOutcome({ userId, quizId, question, correct }) {
+  const abilityFilter = { user_id: userId, quiz_id: quizId, domain: question.domain };
+  const difficultyFilter = { quiz_id: quizId, question_id: question.id };
+
+  const [ability, diff] = await Promise.all([
+    AbilityEstimate.findOne(abilityFilter).lean(),
+    QuestionDifficulty.findOne(difficultyFilter).lean()
+  ]);
+
+  const theta = ability?.theta ?? 0;
+  const b = diff?.difficulty ?? 0;
+  const surprise = (correct ? 1 : 0) - expectedScore(theta, b);
+
+  const nextTheta = clamp(theta + stepSize(USER_K, ability?.answers ?? 0) * surprise);
+  const nextB = clamp(b - stepSize(QUESTION_K, diff?.answers ?? 0) * surprise);
+
+  await Promise.all([
+    AbilityEstimate.updateOne(abilityFilter, { $set: { theta: nextTheta }, $inc: { answers: 1 } }, { upsert: true }),
+    QuestionDifficulty.updateOne(difficultyFilter, { $set: { difficulty: nextB }, $inc: { answers: 1 } }, { upsert: true })
+  ]);
+
+  return { theta: nextTheta, difficulty: nextB };
+}
+
+// Map of domain -> theta for one learner and quiz.
+async function getAbilities(userId, quizId) {
+  const rows = await AbilityEstimate.find({ user_id: userId, quiz_id: quizId }).lean();
+  return new Map(rows.map((r) => [r.domain, r.theta]));
+}
+
+// Choose the next question whose difficulty is closest to the learner's ability in
+// that question's domain. Returns a normalized question, or null when the pool is exhausted.
+// Ranks the whole bank (question refs, uncapped) and loads only the chosen question.
+async function pickNextQuestion({ userId, quizId, phase = null, domain = null, layer = null, excludeIds = [] }) {
+  const exclude = new Set(excludeIds.map(String));
+  const pool = (await listQuestionRefs(quizId, { phase, domain, layer })).filter((r) => !exclude.has(r.id));
+  if (!pool.length) return null;
+
+  const [abilities, diffs] = await Promise.all([
+    getAbilities(userId, quizId),
+    QuestionDifficulty.find({ quiz_id: quizId, question_id: { $in: pool.map((r) => r.id) } }).lean()
+  ]);
+  const difficultyById = new Map(diffs.map((d) => [d.question_id, d.difficulty]));
+
+  // Shuffle first so ties (e.g. unrated questions) are not always broken by _id order.
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+
+  const ranked = pool
+    .map((r) => ({
+      r,
+      distance: Math.abs((difficultyById.get(r.id) ?? 0) - (abilities.get(r.domain) ?? 0))
+    }))
+    .sort((a, b) => a.distance - b.distance);
+
+  const top = ranked.slice(0, CANDIDATE_POOL);
+  const chosen = top[Math.floor(Math.random() * top.length)].r;
+  const [question] = await getQuestionsByIds(quizId, [chosen.id]);
+  return question || null;
+}
+
+module.exports = {
+  expectedScore,
+  recordOutcome,
+  getAbilities,
+  pickNextQuestion
+};
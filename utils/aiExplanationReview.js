@@ -0,0 +1,228 @@
+// Admin review of the AI explanation cache (ai_explanations_v2), grouped by question.
+// Rows record the request they were generated from (question_text, user_answer, ...);
+// for rows cached before that, the question and answer are recovered by matching the
+// question_id and cache_key against the current question banks.
+const AiExplanationV2 = require('../models/AiExplanationV2');
+const { ML_QUIZ_ID, IT_PYRAMID_QUIZ_ID, listQuestionRefs, getQuestionsByIds } = require('./questionBank');
+const { aiQuestionId, aiQuizIdsFor, answerVariants, explanationRequestFor, explanationCacheKey } = require('./aiExplanations');
+
+const REVIEW_STATUSES = ['unreviewed', 'approved', 'pinned'];
+const PAGE_SIZE = 50;
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function statusFilter(status) {
+  if (status === 'approved') return { approved: true };
+  if (status === 'pinned') return { pinned: true };
+  if (status === 'unreviewed') return { approved: { $ne: true }, pinned: { $ne: true } };
+  return {};
+}
+
+// question_id (as sent by the quiz pages) -> { question, aiQuizId } for every question
+// in both banks at its current wording.
+async function questionIndex() {
+  const index = new Map();
+  for (const quizId of [ML_QUIZ_ID, IT_PYRAMID_QUIZ_ID]) {
+    // findQuestions() is capped for sessions; the index needs the whole bank
+    const refs = await listQuestionRefs(quizId);
+    const questions = await getQuestionsByIds(quizId, refs.map((r) => r.id));
+    for (const question of questions) {
+      for (const aiQuizId of aiQuizIdsFor(question)) {
+        index.set(aiQuestionId(aiQuizId, question.question_text), { question, aiQuizId });
+      }
+    }
+  }
+  return index;
+}
+
+// The request a row was generated from: { question_id, question_text, question_version,
+// user_answer, correct_answer, is_correct, quiz_id }, or null when it cannot be recovered
+// (question edited or removed since, or a free-text answer that was not accepted).
+function requestForRow(row, match) {
+  if (row.question_text && row.user_answer !== null && row.user_answer !== undefined && row.correct_answer !== null && row.correct_answer !== undefined) {
+    return {
+      question_id: row.question_id,
+      question_text: row.question_text,
+      question_version: row.question_version || null,
+      user_answer: row.user_answer,
+      correct_answer: row.correct_answer,
+      is_correct: typeof row.is_correct === 'boolean' ? row.is_correct : null,
+      quiz_id: row.quiz_id || ''
+    };
+  }
+  if (!match) return null;
+
+  const { question, aiQuizId } = match;
+  for (const response of answerVariants(question)) {
+    const request = explanationRequestFor(question, response, aiQuizId);
+    if (request.cache_key !== row.cache_key) continue;
+    const { cache_key, ...fields } = request;
+    return { ...fields, quiz_id: row.quiz_id || fields.quiz_id };
+  }
+  return null;
+}
+
+// The cache_key a request maps to; regeneration only proceeds when it equals the row's.
+function cacheKeyOf(request) {
+  return explanationCacheKey({
+    questionId: request.question_id,
+    questionVersion: request.question_version,
+    userAnswer: request.user_answer,
+    correctAnswer: request.correct_answer,
+    isCorrect: request.is_correct
+  });
+}
+
+// Questions with cached explanations, most recently generated first.
+// Filters: quiz_id (exact, or a bank id to include the IT pyramid layers), status, q (text search).
+async function listExplanationQuestions({ quizId = '', status = '', q = '', page = 1 } = {}) {
+  const match = { ...statusFilter(status) };
+  if (quizId) match.quiz_id = { $regex: `^${escapeRegex(quizId)}(\\||$)` };
+  if (q) {
+    const rx = { $regex: escapeRegex(q), $options: 'i' };
+    match.$or = [{ question_text: rx }, { short_text: rx }, { long_text: rx }];
+  }
+  const p = Math.max(1, Number.parseInt(page, 10) || 1);
+
+  const [result] = await AiExplanationV2.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$question_id',
+        quiz_id: { $max: '$quiz_id' },
+        question_text: { $max: '$question_text' },
+        entries: { $sum: 1 },
+        approved: { $sum: { $cond: ['$approved', 1, 0] } },
+        pinned: { $sum: { $cond: ['$pinned', 1, 0] } },
+        last_created_at: { $max: '$created_at' }
+      }
+    },
+    { $sort: { last_created_at: -1 } },
+    {
+      $facet: {
+        total: [{ $count: 'n' }],
+        rows: [{ $skip: (p - 1) * PAGE_SIZE }, { $limit: PAGE_SIZE }]
+      }
+    }
+  ]);
+
+  const index = await questionIndex();
+  const questions = (result?.rows || []).map((r) => {
+    const match = index.get(r._id);
+    return {
+      question_id: r._id,
+      quiz_id: r.quiz_id || null,
+      question_text: r.question_text || match?.question.question_text || null,
+      in_bank: Boolean(match),
+      entries: r.entries,
+      approved: r.approved,
+      pinned: r.pinned,
+      last_created_at: r.last_created_at
+    };
+  });
+
+  return { total: result?.total?.[0]?.n || 0, page: p, page_size: PAGE_SIZE, questions };
+}
+
+function toReviewRow(row, match) {
+  const request = requestForRow(row, match);
+  return {
+    id: String(row._id),
+    cache_key: row.cache_key,
+    quiz_id: row.quiz_id || null,
+    question_version: row.question_version || null,
+    user_answer: request ? request.user_answer : null,
+    correct_answer: request ? request.correct_answer : null,
+    is_correct: request ? request.is_correct : null,
+    short_text: row.short_text || '',
+    long_text: row.long_text || '',
+    provider: row.provider || 'gemini',
+    model: row.model || null,
+    confidence: row.confidence || null,
+    expandable: Boolean(row.expandable),
+    approved: Boolean(row.approved),
+    pinned: Boolean(row.pinned),
+    reviewed_at: row.reviewed_at || null,
+    edited_at: row.edited_at || null,
+    created_at: row.created_at || null,
+    can_regenerate: Boolean(request)
+  };
+}
+
+// One question's cached explanations: { question, explanations }.
+async function listQuestionExplanations(questionId) {
+  const rows = await AiExplanationV2.find({ question_id: questionId })
+    .sort({ approved: -1, pinned: -1, created_at: -1 })
+    .lean();
+  const match = (await questionIndex()).get(questionId) || null;
+  const stored = rows.find((r) => r.question_text);
+
+  return {
+    question: {
+      question_id: questionId,
+      question_text: stored?.question_text || match?.question.question_text || null,
+      in_bank: Boolean(match),
+      options: match ? match.question.options : null
+    },
+    explanations: rows.map((row) => toReviewRow(row, match))
+  };
+}
+
+async function getReviewRow(id) {
+  const row = await AiExplanationV2.findById(id).lean();
+  if (!row) return null;
+  const match = (await questionIndex()).get(row.question_id) || null;
+  return toReviewRow(row, match);
+}
+
+// Validated review changes from a request body: { value, errors }. Only the fields present
+// are changed. Text edits need a non-empty short text.
+function normalizeReviewInput(body) {
+  const value = {};
+  const errors = [];
+  if (body.short_text !== undefined) {
+    value.short_text = String(body.short_text || '').trim();
+    if (!value.short_text) errors.push('Short text is required');
+  }
+  if (body.long_text !== undefined) value.long_text = String(body.long_text || '').trim();
+  if (body.confidence !== undefined) {
+    if (body.confidence !== 'complete' && body.confidence !== 'partial') errors.push('Confidence must be complete or partial');
+    else value.confidence = body.confidence;
+  }
+  if (body.expandable !== undefined) value.expandable = body.expandable === true;
+  if (body.approved !== undefined) value.approved = body.approved === true;
+  if (body.pinned !== undefined) value.pinned = body.pinned === true;
+  if (!Object.keys(value).length) errors.push('Nothing to update');
+  return { value, errors };
+}
+
+// Apply review changes; returns the updated row or null when it does not exist.
+async function updateExplanation(id, value, { reviewedBy = null } = {}) {
+  const now = new Date();
+  const set = { ...value };
+  if ('short_text' in value || 'long_text' in value) {
+    set.edited_by = reviewedBy;
+    set.edited_at = now;
+  }
+  if ('approved' in value || 'pinned' in value) {
+    set.reviewed_by = reviewedBy;
+    set.reviewed_at = now;
+  }
+  const row = await AiExplanationV2.findByIdAndUpdate(id, { $set: set }, { new: true }).lean();
+  return row ? getReviewRow(row._id) : null;
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  PAGE_SIZE,
+  questionIndex,
+  requestForRow,
+  cacheKeyOf,
+  listExplanationQuestions,
+  listQuestionExplanations,
+  getReviewRow,
+  normalizeReviewInput,
+  updateExplanation
+};
@@ -0,0 +1,153 @@
+// Server-side view of the AI explanation cache (ai_explanations_v2, written by routes/aiExplain).
+// Keys must match what handleAiExplain computes from the quiz pages' requests, so both
+// sides go through explanationCacheKey().
+const crypto = require('crypto');
+const AiExplanationV2 = require('../models/AiExplanationV2');
+const { ML_QUIZ_ID, IT_PYRAMID_QUIZ_ID } = require('./questionBank');
+const { gradeResponse, describeResponse, describeCorrect } = require('./quizGrading');
+const { PLACEHOLDER_PROVIDERS } = require('./llmProviders');
+
+function sha1Hex(s) {
+  return crypto.createHash('sha1').update(String(s)).digest('hex');
+}
+
+// js/ai-quiz-assist.js identifies a question as sha1(quizId + '|' + questionText).
+function aiQuestionId(aiQuizId, questionText) {
+  return sha1Hex(aiQuizId + '|' + questionText);
+}
+
+// Cache key must vary by answer (answer-variant aware) and by question version, so an edited
+// question gets a fresh explanation. Version 1 (or none: unversioned banks, older pages) keeps
+// the original key format, so explanations cached before versioning still match.
+function normalizeQuestionVersion(raw) {
+  const v = Number(raw);
+  return Number.isInteger(v) && v >= 1 ? v : null;
+}
+
+function explanationCacheKey({ questionId, questionVersion = null, userAnswer, correctAnswer, isCorrect }) {
+  const version = normalizeQuestionVersion(questionVersion);
+  return sha1Hex(
+    String(questionId)
+    + (version && version > 1 ? '|v' + version : '')
+    + '|' + String(userAnswer || '').trim().toLowerCase()
+    + '|' + String(correctAnswer || '').trim().toLowerCase()
+    + '|' + (isCorrect === null || typeof isCorrect === 'undefined' ? '' : (isCorrect ? '1' : '0'))
+  );
+}
+
+// The quiz IDs a page may have sent for this question. The IT Learning Pyramid page
+// sends its current layer (networking: per domain) or 'mixed'.
+function aiQuizIdsFor(question) {
+  if (question.quiz_id === ML_QUIZ_ID) return [ML_QUIZ_ID];
+  if (question.quiz_id === IT_PYRAMID_QUIZ_ID) {
+    const layer = question.layer === 'networking' ? question.domain : question.layer;
+    return [`${IT_PYRAMID_QUIZ_ID}|${layer || 'mixed'}`, `${IT_PYRAMID_QUIZ_ID}|mixed`];
+  }
+  return [question.quiz_id];
+}
+
+// Every cache key under which an explanation for this response may have been stored.
+// The pages describe non-single responses the same way describeResponse() does.
+function cacheKeysForAnswer(question, response) {
+  return Array.from(new Set(aiQuizIdsFor(question))).map((aiQuizId) =>
+    explanationRequestFor(question, response, aiQuizId).cache_key
+  );
+}
+
+// Reviewed entries (approved or pinned) are kept as they are: handleAiExplain serves them
+// and never writes over them.
+function isProtectedExplanation(row) {
+  return Boolean(row && (row.approved || row.pinned));
+}
+
+// Rows from a placeholder provider (echo, written by development runs against a shared
+// database) are treated as missing, unless a reviewer has approved or pinned them.
+function isPlaceholderExplanation(row) {
+  return Boolean(row && PLACEHOLDER_PROVIDERS.includes(row.provider) && !isProtectedExplanation(row));
+}
+
+// Query condition matching the rows isPlaceholderExplanation() lets through.
+const SERVABLE_EXPLANATION = {
+  $or: [{ provider: { $nin: PLACEHOLDER_PROVIDERS } }, { approved: true }, { pinned: true }]
+};
+
+function subsets(n) {
+  const out = [];
+  for (let mask = 1; mask < (1 << n); mask++) {
+    out.push(Array.from({ length: n }, (_, i) => i).filter((i) => mask & (1 << i)));
+  }
+  return out;
+}
+
+function permutations(items) {
+  if (items.length <= 1) return [items.slice()];
+  return items.flatMap((item, i) =>
+    permutations([...items.slice(0, i), ...items.slice(i + 1)]).map((rest) => [item, ...rest])
+  );
+}
+
+// Every response a learner can give to the question, in canonical form, as far as they can be
+// listed: each option, each non-empty selection (up to 6 options), each order (up to 5 options).
+// Free-text answers are only known when accepted, so short answers list the accepted answers.
+function answerVariants(question) {
+  const n = question.options.length;
+  if (question.type === 'multi') return n <= 6 ? subsets(n) : [question.correct_indices || []];
+  if (question.type === 'order') return n <= 5 ? permutations(question.options.map((_, i) => i)) : [question.correct_order || []];
+  if (question.type === 'short') return Array.from(new Set(question.accepted_answers || []));
+  return question.options.map((_, i) => i);
+}
+
+// The /api/ai/explain request fields a quiz page sends for this response (see readExplainRequest
+// in routes/aiExplain), plus the cache_key they map to.
+function explanationRequestFor(question, response, aiQuizId = aiQuizIdsFor(question)[0]) {
+  const request = {
+    question_id: aiQuestionId(aiQuizId, question.question_text),
+    question_text: question.question_text,
+    question_version: normalizeQuestionVersion(question.version),
+    user_answer: describeResponse(question, response),
+    correct_answer: describeCorrect(question),
+    is_correct: gradeResponse(question, response).correct,
+    quiz_id: aiQuizId
+  };
+  return {
+    ...request,
+    cache_key: explanationCacheKey({
+      questionId: request.question_id,
+      questionVersion: request.question_version,
+      userAnswer: request.user_answer,
+      correctAnswer: request.correct_answer,
+      isCorrect: request.is_correct
+    })
+  };
+}
+
+// Cached explanation for a learner's response, or null when none was generated yet.
+async function findCachedExplanation(question, response) {
+  const row = await AiExplanationV2.findOne({
+    cache_key: { $in: cacheKeysForAnswer(question, response) },
+    ...SERVABLE_EXPLANATION
+  })
+    .select({ cache_key: 1, short_text: 1, long_text: 1, model: 1 })
+    .lean();
+  if (!row || !row.short_text) return null;
+  return {
+    cache_key: row.cache_key,
+    short_text: row.short_text,
+    long_text: row.long_text || '',
+    model: row.model || null
+  };
+}
+
+module.exports = {
+  sha1Hex,
+  aiQuestionId,
+  normalizeQuestionVersion,
+  explanationCacheKey,
+  aiQuizIdsFor,
+  cacheKeysForAnswer,
+  isProtectedExplanation,
+  isPlaceholderExplanation,
+  answerVariants,
+  explanationRequestFor,
+  findCachedExplanation
+};
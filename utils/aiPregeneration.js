@@ -0,0 +1,104 @@
+// Planning for scripts/pregenerate-explanations.js: the AI explanations the ML Engineer bank
+// still lacks, and roughly what generating them would cost.
+// Every answer variant of every active question (answerVariants(): each option for single
+// choice, so each wrong option plus the correct one) maps to the request the quiz page would
+// send and its cache_key, so pre-generated rows are exactly what handleAiExplain looks up.
+const AiExplanationV2 = require('../models/AiExplanationV2');
+const { ML_QUIZ_ID, listQuestionRefs, getQuestionsByIds } = require('./questionBank');
+const { answerVariants, explanationRequestFor, isProtectedExplanation, isPlaceholderExplanation } = require('./aiExplanations');
+const { MAX_TOKENS, buildShortPrompt, buildMetaPrompt, buildLongPrompt } = require('../routes/aiExplain');
+
+// USD per million tokens for the providers' default models (list prices when this was written;
+// pass --input-price / --output-price for anything else).
+const PRICES_PER_MTOK = {
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'echo-1': { input: 0, output: 0 }
+};
+
+// Typical output per step, from the prompts' length targets (40–70 and 120–220 words).
+const TYPICAL_OUTPUT_TOKENS = { short: 100, meta: 20, long: 300 };
+
+const LOOKUP_BATCH = 500;
+
+// Rough token count: about four characters per token for English text.
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+// One pending generation per cache_key: the explain() request fields plus cache_key and a label.
+async function listJobs({ phase = null, domain = null } = {}) {
+  const refs = await listQuestionRefs(ML_QUIZ_ID, { phase, domain });
+  const questions = await getQuestionsByIds(ML_QUIZ_ID, refs.map((r) => r.id));
+
+  const jobs = new Map();
+  for (const question of questions) {
+    for (const response of answerVariants(question)) {
+      const request = explanationRequestFor(question, response);
+      if (!jobs.has(request.cache_key)) {
+        jobs.set(request.cache_key, { ...request, label: `${question.id} ${JSON.stringify(response)}` });
+      }
+    }
+  }
+  return { questions: questions.length, jobs: Array.from(jobs.values()) };
+}
+
+// Keep the jobs whose explanation is not cached yet (with a long text when level is 'long').
+// Approved or pinned rows count as done: handleAiExplain would not write over them anyway.
+// Placeholder (echo) rows do not: they are regenerated and overwritten.
+async function pendingJobs(jobs, { level = 'short' } = {}) {
+  const done = new Set();
+  for (let i = 0; i < jobs.length; i += LOOKUP_BATCH) {
+    const keys = jobs.slice(i, i + LOOKUP_BATCH).map((j) => j.cache_key);
+    const rows = await AiExplanationV2.find({ cache_key: { $in: keys } })
+      .select({ cache_key: 1, short_text: 1, long_text: 1, provider: 1, approved: 1, pinned: 1 })
+      .lean();
+    for (const row of rows) {
+      if (!row.short_text || isPlaceholderExplanation(row)) continue;
+      if (level === 'long' && !row.long_text && !isProtectedExplanation(row)) continue;
+      done.add(row.cache_key);
+    }
+  }
+  return jobs.filter((j) => !done.has(j.cache_key));
+}
+
+// { calls, input_tokens, output_tokens, max_output_tokens, usd, usd_max } for the jobs.
+// usd is null when the model has no known price.
+function estimateCost(jobs, { level = 'short', model, inputPrice = null, outputPrice = null } = {}) {
+  const steps = level === 'long' ? ['short', 'meta', 'long'] : ['short', 'meta'];
+  const typicalShort = 'x'.repeat(TYPICAL_OUTPUT_TOKENS.short * 4);
+
+  let input = 0;
+  for (const j of jobs) {
+    input += estimateTokens(buildShortPrompt(j.question_text, j.user_answer, j.correct_answer, j.is_correct));
+    input += estimateTokens(buildMetaPrompt(j.question_text, j.user_answer, j.correct_answer, j.is_correct, typicalShort, ''));
+    if (level === 'long') input += estimateTokens(buildLongPrompt(typicalShort));
+  }
+  const output = jobs.length * steps.reduce((sum, s) => sum + TYPICAL_OUTPUT_TOKENS[s], 0);
+  const maxOutput = jobs.length * steps.reduce((sum, s) => sum + MAX_TOKENS[s], 0);
+
+  const known = PRICES_PER_MTOK[model] || null;
+  const price = {
+    input: inputPrice !== null ? inputPrice : known?.input,
+    output: outputPrice !== null ? outputPrice : known?.output
+  };
+  const usdFor = (out) => (typeof price.input === 'number' && typeof price.output === 'number'
+    ? (input * price.input + out * price.output) / 1e6
+    : null);
+
+  return {
+    calls: jobs.length * steps.length,
+    input_tokens: input,
+    output_tokens: output,
+    max_output_tokens: maxOutput,
+    usd: usdFor(output),
+    usd_max: usdFor(maxOutput)
+  };
+}
+
+module.exports = {
+  PRICES_PER_MTOK,
+  listJobs,
+  pendingJobs,
+  estimateCost
+};
@@ -0,0 +1,152 @@
+// Quotas for AI explanations, counted from the ai_explain_requests log.
+// Every caller gets a number of provider calls per rolling window, by tier:
+//   anonymous (per IP), free and paid (per signed-in user); admins are not limited.
+// Cache hits do not count, nor do requests that never reached the provider
+// (provider not configured, refused by the quota itself).
+// Limits come from the environment (a limit of 0 turns AI explanations off for the tier):
+//   AI_QUOTA_ANONYMOUS, AI_QUOTA_FREE, AI_QUOTA_PAID, AI_QUOTA_WINDOW_HOURS
+// An admin reset (ai_quota_resets) starts the caller's window afresh.
+const AiExplainRequest = require('../models/AiExplainRequest');
+const AiQuotaReset = require('../models/AiQuotaReset');
+const { hasActiveSubscription } = require('../middleware/auth');
+
+const DEFAULT_LIMITS = { anonymous: 10, free: 30, paid: 300 };
+const DEFAULT_WINDOW_HOURS = 24;
+
+// provider_status of logged requests that cost nothing
+const QUOTA_EXCEEDED = 'QUOTA_EXCEEDED';
+const UNCOUNTED_STATUSES = ['NO_API_KEY', QUOTA_EXCEEDED];
+
+// Provider calls still running, per caller. The log row is written when a call finishes,
+// so without these a burst of parallel requests would all pass the check.
+const inFlight = new Map();
+
+function envCount(name, fallback) {
+  const raw = String(process.env[name] ?? '').trim();
+  const n = Number(raw);
+  return raw !== '' && Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+function quotaConfig() {
+  return {
+    windowHours: Math.max(1, envCount('AI_QUOTA_WINDOW_HOURS', DEFAULT_WINDOW_HOURS)),
+    limits: {
+      anonymous: envCount('AI_QUOTA_ANONYMOUS', DEFAULT_LIMITS.anonymous),
+      free: envCount('AI_QUOTA_FREE', DEFAULT_LIMITS.free),
+      paid: envCount('AI_QUOTA_PAID', DEFAULT_LIMITS.paid)
+    }
+  };
+}
+
+// Who is asking: { tier: 'admin' | 'anonymous' | 'free' | 'paid', user_id, ip }.
+// user_id is the string stored in ai_explain_requests.
+async function quotaSubject({ user = null, ip = '' } = {}) {
+  if (!user?._id) return { tier: 'anonymous', user_id: null, ip: String(ip || '') };
+  const user_id = String(user._id);
+  if (user.role === 'admin') return { tier: 'admin', user_id, ip: String(ip || '') };
+  const paid = await hasActiveSubscription(user._id);
+  return { tier: paid ? 'paid' : 'free', user_id, ip: String(ip || '') };
+}
+
+function subjectFilter(subject) {
+  return subject.user_id ? { user_id: subject.user_id } : { ip: subject.ip, user_id: null };
+}
+
+function subjectKey(subject) {
+  return subject.user_id ? `user:${subject.user_id}` : `ip:${subject.ip}`;
+}
+
+// Current usage: { tier, limit, used, remaining, window_hours, exceeded, retry_at, reset_at }.
+// limit and remaining are null for admins. retry_at is when the next call is allowed again
+// (null while under the limit, or when the tier's limit is 0).
+async function quotaStatus(subject, now = new Date()) {
+  const { windowHours, limits } = quotaConfig();
+  const limit = subject.tier === 'admin' ? null : limits[subject.tier];
+  const windowMs = windowHours * 60 * 60 * 1000;
+
+  const reset = await AiQuotaReset.findOne(subjectFilter(subject)).sort({ created_at: -1 }).lean();
+  const since = new Date(Math.max(now.getTime() - windowMs, reset ? reset.created_at.getTime() : 0));
+  const counted = {
+    ...subjectFilter(subject),
+    created_at: { $gt: since },
+    cached: false,
+    provider_status: { $nin: UNCOUNTED_STATUSES }
+  };
+
+  const logged = await AiExplainRequest.countDocuments(counted);
+  const used = logged + (inFlight.get(subjectKey(subject)) || 0);
+  const exceeded = limit !== null && used >= limit;
+
+  // The caller is back under the limit once the oldest used - limit + 1 counted requests
+  // leave the window (in-flight calls will be logged about now).
+  let retryAt = null;
+  if (exceeded && limit > 0) {
+    const expiring = used - limit;
+    const row = expiring < logged
+      ? await AiExplainRequest.findOne(counted).sort({ created_at: 1 }).skip(expiring).select({ created_at: 1 }).lean()
+      : null;
+    retryAt = new Date((row ? row.created_at.getTime() : now.getTime()) + windowMs);
+  }
+
+  return {
+    tier: subject.tier,
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(0, limit - used),
+    window_hours: windowHours,
+    exceeded,
+    retry_at: retryAt,
+    reset_at: reset ? reset.created_at : null
+  };
+}
+
+// Body of the 429 response for a caller over quota.
+function quotaExceededBody(status, now = new Date()) {
+  const retryAfter = status.retry_at ? Math.max(1, Math.ceil((status.retry_at.getTime() - now.getTime()) / 1000)) : null;
+  let error;
+  if (!status.retry_at) {
+    error = status.tier === 'anonymous' ? 'Sign in to get AI explanations.' : 'AI explanations are not included in your plan.';
+  } else {
+    error = `AI explanation limit reached (${status.limit} per ${status.window_hours}h). Try again later.`;
+  }
+  return {
+    ok: false,
+    error,
+    quota_exceeded: true,
+    retry_after_seconds: retryAfter,
+    retry_at: status.retry_at ? status.retry_at.toISOString() : null,
+    quota: { tier: status.tier, limit: status.limit, used: status.used, window_hours: status.window_hours }
+  };
+}
+
+// Count a provider call as in flight until the returned release() runs.
+function beginCall(subject) {
+  const key = subjectKey(subject);
+  inFlight.set(key, (inFlight.get(key) || 0) + 1);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const left = (inFlight.get(key) || 1) - 1;
+    if (left > 0) inFlight.set(key, left);
+    else inFlight.delete(key);
+  };
+}
+
+async function resetQuota(subject, { resetBy = null } = {}) {
+  return AiQuotaReset.create({
+    user_id: subject.user_id || null,
+    ip: subject.user_id ? null : subject.ip,
+    reset_by: resetBy || null
+  });
+}
+
+module.exports = {
+  QUOTA_EXCEEDED,
+  quotaConfig,
+  quotaSubject,
+  quotaStatus,
+  quotaExceededBody,
+  beginCall,
+  resetQuota
+};
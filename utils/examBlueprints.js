@@ -0,0 +1,307 @@
+// Exam blueprints: admin-defined mock exam layouts (models/ExamBlueprint) and the
+// generator that draws a fresh, balanced form from ml_engineer_questions per attempt.
+const ExamBlueprint = require('../models/ExamBlueprint');
+const ExamForm = require('../models/ExamForm');
+const MlQuestion = require('../models/MlQuestion');
+const QuestionDifficulty = require('../models/QuestionDifficulty');
+const { ML_QUIZ_ID, MAX_SESSION_QUESTIONS, getQuestionsByIds } = require('./questionBank');
+const { PHASES, DOMAINS } = require('./mlQuestions');
+const { EXAM_MAX_MINUTES } = require('./quizSessions');
+const { unlockedPhases } = require('./phaseCatalog');
+
+const SLUG_RE = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const DIFFICULTY_BANDS = ['easy', 'medium', 'hard'];
+// QuestionDifficulty is on a logit scale centred at 0 (unrated questions count as medium).
+const BAND_CUTOFF = 0.5;
+const MAX_RECENT_FORMS = 20;
+
+const DEFAULT_BLUEPRINTS = [
+  {
+    slug: 'ml-engineer-full',
+    title: 'ML Engineer: full mock exam',
+    description: '50 questions in 2 hours, weighted like the certification exam.',
+    question_count: 50,
+    duration_minutes: 120,
+    phases: [],
+    domains: [
+      { domain: 'Core ML Foundations', weight_pct: 15 },
+      { domain: 'Data Foundations', weight_pct: 15 },
+      { domain: 'Data Quality', weight_pct: 10 },
+      { domain: 'Model Behavior', weight_pct: 15 },
+      { domain: 'Model Evaluation', weight_pct: 15 },
+      { domain: 'Model Optimization', weight_pct: 15 },
+      { domain: 'Model Deployment', weight_pct: 15 }
+    ],
+    difficulty_mix: { easy_pct: 30, medium_pct: 50, hard_pct: 20 },
+    recent_forms_excluded: 3,
+    active: true
+  }
+];
+
+function difficultyBand(difficulty) {
+  const b = Number(difficulty) || 0;
+  if (b <= -BAND_CUTOFF) return 'easy';
+  if (b >= BAND_CUTOFF) return 'hard';
+  return 'medium';
+}
+
+// Split total into integer counts proportional to weights (largest remainder method).
+function allocate(total, weights) {
+  const sum = weights.reduce((s, w) => s + Math.max(0, w), 0);
+  if (sum <= 0) return weights.map(() => 0);
+
+  const exact = weights.map((w) => (Math.max(0, w) / sum) * total);
+  const counts = exact.map(Math.floor);
+  let left = total - counts.reduce((s, c) => s + c, 0);
+  const byRemainder = exact.map((x, i) => ({ i, r: x - Math.floor(x) })).sort((a, b) => b.r - a.r);
+  for (const { i } of byRemainder) {
+    if (left <= 0) break;
+    counts[i] += 1;
+    left -= 1;
+  }
+  return counts;
+}
+
+function shuffle(list) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+function hasDifficultyRule(mix) {
+  return DIFFICULTY_BANDS.some((band) => Number(mix?.[`${band}_pct`]) > 0);
+}
+
+function boundedInt(x, min, max) {
+  const n = Math.floor(Number(x));
+  return Number.isFinite(n) && n >= min && n <= max ? n : null;
+}
+
+// Validate an admin-supplied blueprint. Returns { value, errors }.
+function normalizeBlueprint(raw, slugParam) {
+  const errors = [];
+  const slug = String(slugParam ?? raw?.slug ?? '').trim();
+  if (!SLUG_RE.test(slug)) errors.push('slug must be lowercase letters, digits or "-"');
+
+  const title = String(raw?.title || '').trim();
+  if (!title) errors.push('title is required');
+
+  const question_count = boundedInt(raw?.question_count, 1, MAX_SESSION_QUESTIONS);
+  if (question_count === null) errors.push(`question_count must be 1-${MAX_SESSION_QUESTIONS}`);
+
+  const duration_minutes = boundedInt(raw?.duration_minutes, 1, EXAM_MAX_MINUTES);
+  if (duration_minutes === null) errors.push(`duration_minutes must be 1-${EXAM_MAX_MINUTES}`);
+
+  const phases = Array.isArray(raw?.phases) ? Array.from(new Set(raw.phases.map(Number))) : [];
+  for (const p of phases) {
+    if (!PHASES.includes(p)) errors.push(`unknown phase ${p}`);
+  }
+
+  const domainsRaw = Array.isArray(raw?.domains) ? raw.domains : [];
+  const domains = domainsRaw.map((d, i) => {
+    const domain = String(d?.domain || '').trim();
+    const weight_pct = Number(d?.weight_pct);
+    if (!DOMAINS.includes(domain)) errors.push(`domains[${i}]: unknown domain "${domain}"`);
+    if (!Number.isFinite(weight_pct) || weight_pct <= 0) errors.push(`domains[${i}]: weight_pct must be > 0`);
+    return { domain, weight_pct };
+  });
+  if (!domains.length) errors.push('domains must list at least one domain');
+  if (new Set(domains.map((d) => d.domain)).size !== domains.length) errors.push('domains must not repeat');
+  const weightSum = domains.reduce((s, d) => s + (Number.isFinite(d.weight_pct) ? d.weight_pct : 0), 0);
+  if (domains.length && Math.abs(weightSum - 100) > 0.5) errors.push(`domain weights must add up to 100 (got ${weightSum})`);
+
+  const difficulty_mix = {};
+  for (const band of DIFFICULTY_BANDS) {
+    const v = Number(raw?.difficulty_mix?.[`${band}_pct`] ?? 0);
+    if (!Number.isFinite(v) || v < 0) errors.push(`difficulty_mix.${band}_pct must be >= 0`);
+    difficulty_mix[`${band}_pct`] = Number.isFinite(v) ? v : 0;
+  }
+  const mixSum = DIFFICULTY_BANDS.reduce((s, band) => s + difficulty_mix[`${band}_pct`], 0);
+  if (mixSum > 0 && Math.abs(mixSum - 100) > 0.5) errors.push(`difficulty_mix must add up to 100 or be all 0 (got ${mixSum})`);
+
+  const recentRaw = raw?.recent_forms_excluded ?? 3;
+  const recent_forms_excluded = boundedInt(recentRaw, 0, MAX_RECENT_FORMS);
+  if (recent_forms_excluded === null) errors.push(`recent_forms_excluded must be 0-${MAX_RECENT_FORMS}`);
+
+  return {
+    value: {
+      slug,
+      title,
+      description: String(raw?.description || '').trim(),
+      question_count,
+      duration_minutes,
+      phases,
+      domains,
+      difficulty_mix,
+      recent_forms_excluded,
+      active: raw?.active !== false
+    },
+    errors
+  };
+}
+
+async function listBlueprints({ activeOnly = true } = {}) {
+  const query = activeOnly ? { active: true } : {};
+  return ExamBlueprint.find(query).sort({ title: 1 }).lean();
+}
+
+async function getBlueprint(slug, { activeOnly = true } = {}) {
+  const query = { slug: String(slug || '').trim() };
+  if (activeOnly) query.active = true;
+  return ExamBlueprint.findOne(query).lean();
+}
+
+async function recentFormQuestionIds(userId, forms) {
+  if (!userId || !forms) return [];
+  const docs = await ExamForm.find({ user_id: userId })
+    .sort({ created_at: -1 })
+    .limit(forms)
+    .select({ question_ids: 1 })
+    .lean();
+  return docs.flatMap((d) => d.question_ids || []);
+}
+
+// Draw a form for blueprint. Per domain the target count is split over difficulty bands;
+// a short band is topped up from the domain's other bands, then from questions the user saw
+// in their recent forms, then from other domains. Returns normalized questions in random order.
+// For a learner (userId) only phases they have unlocked are drawn from, as in practice sets;
+// the admin preview (no userId) sees the blueprint's whole pool.
+async function generateForm(blueprint, { userId = null } = {}) {
+  const filter = { deleted_at: null, domain: { $in: blueprint.domains.map((d) => d.domain) } };
+  let phases = blueprint.phases?.length ? blueprint.phases : null;
+  if (userId) {
+    const unlocked = await unlockedPhases(userId);
+    phases = phases ? phases.filter((p) => unlocked.includes(p)) : unlocked;
+  }
+  if (phases) filter.phase = { $in: phases };
+
+  const pool = await MlQuestion.find(filter).select({ _id: 1, domain: 1 }).lean();
+  const ids = pool.map((d) => String(d._id));
+  const [ratings, recentIds] = await Promise.all([
+    QuestionDifficulty.find({ quiz_id: ML_QUIZ_ID, question_id: { $in: ids } }).select({ question_id: 1, difficulty: 1 }).lean(),
+    recentFormQuestionIds(userId, blueprint.recent_forms_excluded)
+  ]);
+  const bandById = new Map(ratings.map((r) => [r.question_id, difficultyBand(r.difficulty)]));
+  const recent = new Set(recentIds);
+  const useMix = hasDifficultyRule(blueprint.difficulty_mix);
+  const bucketOf = (id) => (useMix ? bandById.get(id) || 'medium' : 'medium');
+
+  // domain -> { fresh: { easy: [], medium: [], hard: [] }, seen: [] }
+  const groups = new Map();
+  for (const d of blueprint.domains) groups.set(d.domain, { fresh: { easy: [], medium: [], hard: [] }, seen: [] });
+  for (const q of pool) {
+    const id = String(q._id);
+    const g = groups.get(q.domain);
+    if (!g) continue;
+    if (recent.has(id)) g.seen.push(id);
+    else g.fresh[bucketOf(id)].push(id);
+  }
+  for (const g of groups.values()) {
+    DIFFICULTY_BANDS.forEach((band) => shuffle(g.fresh[band]));
+    shuffle(g.seen);
+  }
+
+  const mixWeights = DIFFICULTY_BANDS.map((band) => Number(blueprint.difficulty_mix?.[`${band}_pct`]) || 0);
+  const domainCounts = allocate(blueprint.question_count, blueprint.domains.map((d) => d.weight_pct));
+
+  const picked = [];
+  let reused = 0;
+  let missing = 0;
+
+  blueprint.domains.forEach((d, i) => {
+    const g = groups.get(d.domain);
+    let need = domainCounts[i];
+
+    if (useMix) {
+      allocate(need, mixWeights).forEach((n, b) => {
+        const taken = g.fresh[DIFFICULTY_BANDS[b]].splice(0, n);
+        picked.push(...taken);
+        need -= taken.length;
+      });
+    }
+    if (need > 0) {
+      // Short band(s): any other fresh question of this domain, in random order.
+      const rest = shuffle(DIFFICULTY_BANDS.flatMap((band) => g.fresh[band].splice(0)));
+      const taken = rest.splice(0, need);
+      picked.push(...taken);
+      need -= taken.length;
+      g.fresh.medium = rest;
+    }
+    if (need > 0) {
+      const taken = g.seen.splice(0, need);
+      picked.push(...taken);
+      reused += taken.length;
+      need -= taken.length;
+    }
+    missing += need;
+  });
+
+  // Domains that ran dry: fill the remaining slots from whatever is left.
+  if (missing > 0) {
+    const restFresh = shuffle(Array.from(groups.values()).flatMap((g) => DIFFICULTY_BANDS.flatMap((band) => g.fresh[band])));
+    const fill = restFresh.splice(0, missing);
+    picked.push(...fill);
+    missing -= fill.length;
+  }
+  if (missing > 0) {
+    const restSeen = shuffle(Array.from(groups.values()).flatMap((g) => g.seen));
+    const fill = restSeen.splice(0, missing);
+    picked.push(...fill);
+    reused += fill.length;
+    missing -= fill.length;
+  }
+
+  const questions = await getQuestionsByIds(ML_QUIZ_ID, shuffle(picked));
+
+  const by_domain = {};
+  const by_difficulty = { easy: 0, medium: 0, hard: 0 };
+  for (const q of questions) {
+    by_domain[q.domain] = (by_domain[q.domain] || 0) + 1;
+    by_difficulty[bandById.get(q.id) || 'medium'] += 1;
+  }
+
+  return {
+    questions,
+    composition: { by_domain, by_difficulty, reused, shortfall: blueprint.question_count - questions.length }
+  };
+}
+
+// Remember the form so the user's next forms avoid its questions.
+async function recordForm({ userId, blueprint, sessionId, questions, composition }) {
+  return ExamForm.create({
+    user_id: userId,
+    blueprint_id: blueprint._id,
+    session_id: sessionId,
+    question_ids: questions.map((q) => q.id),
+    composition
+  });
+}
+
+// Public fields shown to learners when picking a blueprint.
+function toPublicBlueprint(bp) {
+  return {
+    slug: bp.slug,
+    title: bp.title,
+    description: bp.description,
+    question_count: bp.question_count,
+    duration_minutes: bp.duration_minutes,
+    phases: bp.phases,
+    domains: bp.domains
+  };
+}
+
+module.exports = {
+  DIFFICULTY_BANDS,
+  DEFAULT_BLUEPRINTS,
+  difficultyBand,
+  allocate,
+  shuffle,
+  normalizeBlueprint,
+  listBlueprints,
+  getBlueprint,
+  generateForm,
+  recordForm,
+  toPublicBlueprint
+};
@@ -0,0 +1,173 @@
+// Classical item analysis for ml_engineer_questions, built on the QuizAnswer log.
+//   p-value          share of responses that were correct (higher = easier)
+//   point-biserial   correlation between answering this item correctly and the rest of
+//                    the attempt's score (the item itself is excluded so it does not
+//                    inflate its own discrimination)
+//   distractor rates share of responses that picked each option
+const MlQuestion = require('../models/MlQuestion');
+const QuizAnswer = require('../models/QuizAnswer');
+const QuizAttempt = require('../models/QuizAttempt');
+const { ML_QUIZ_ID } = require('./questionBank');
+const { OPTION_LETTERS } = require('./mlQuestions');
+
+const DEFAULT_THRESHOLDS = {
+  minResponses: 20, // below this, stats are shown but no flags are raised
+  tooEasyP: 0.9,
+  reversedRpb: 0 // discrimination below this means stronger students miss the item more often
+};
+
+function createAccumulator(optionCount, type = 'single') {
+  return {
+    type,
+    n: 0,
+    correct: 0,
+    sumRest: 0,
+    sumRestSq: 0,
+    sumRestCorrect: 0,
+    restN: 0,
+    restCorrectN: 0,
+    picks: new Array(optionCount).fill(0),
+    timeSum: 0,
+    timeN: 0
+  };
+}
+
+function addResponse(acc, r) {
+  acc.n += 1;
+  if (r.correct) acc.correct += 1;
+  // Multi-select picks live in response; order and short answers have no per-option picks.
+  const picks = acc.type === 'multi' ? (Array.isArray(r.response) ? r.response : []) : [r.selected_index];
+  for (const i of picks) {
+    if (Number.isInteger(i) && i >= 0 && i < acc.picks.length) acc.picks[i] += 1;
+  }
+  if (Number.isFinite(r.time_ms)) {
+    acc.timeSum += r.time_ms;
+    acc.timeN += 1;
+  }
+  // Rest score: share of the attempt's other questions answered correctly. The attempt
+  // score sums partial credit, so the item's own credit is what comes out of it.
+  if (Number.isFinite(r.score) && Number.isFinite(r.total) && r.total > 1) {
+    const credit = typeof r.credit === 'number' ? r.credit : (r.correct ? 1 : 0);
+    const rest = (r.score - credit) / (r.total - 1);
+    acc.restN += 1;
+    acc.sumRest += rest;
+    acc.sumRestSq += rest * rest;
+    if (r.correct) {
+      acc.sumRestCorrect += rest;
+      acc.restCorrectN += 1;
+    }
+  }
+}
+
+// r_pb = (M1 - M0) / s * sqrt(p * q), over responses that have an attempt score.
+function pointBiserial(acc) {
+  const n = acc.restN;
+  const restCorrectN = acc.restCorrectN;
+  if (n < 2 || restCorrectN === 0 || restCorrectN === n) return null;
+  const mean = acc.sumRest / n;
+  const variance = acc.sumRestSq / n - mean * mean;
+  if (!(variance > 1e-12)) return null;
+  const m1 = acc.sumRestCorrect / restCorrectN;
+  const m0 = (acc.sumRest - acc.sumRestCorrect) / (n - restCorrectN);
+  const p = restCorrectN / n;
+  return ((m1 - m0) / Math.sqrt(variance)) * Math.sqrt(p * (1 - p));
+}
+
+function round(x, digits = 3) {
+  if (x === null || !Number.isFinite(x)) return null;
+  const f = Math.pow(10, digits);
+  return Math.round(x * f) / f;
+}
+
+function summarizeItem(question, acc, thresholds) {
+  const type = question.type || 'single';
+  const correctLetters = type === 'multi' ? (question.correct_answers || []) : [question.correct_answer];
+  const correctIndexes = new Set(correctLetters.map((l) => OPTION_LETTERS.indexOf(String(l || '').toUpperCase())));
+  const p = acc.n ? acc.correct / acc.n : null;
+  const rpb = pointBiserial(acc);
+
+  const options = acc.picks.map((count, i) => ({
+    letter: OPTION_LETTERS[i],
+    correct: correctIndexes.has(i),
+    count,
+    rate: acc.n ? round(count / acc.n) : null
+  }));
+
+  const flags = [];
+  if (acc.n >= thresholds.minResponses) {
+    if (p !== null && p > thresholds.tooEasyP) flags.push('too_easy');
+    if (rpb !== null && rpb < thresholds.reversedRpb) flags.push('reversed');
+    if ((type === 'single' || type === 'multi') && options.some((o) => !o.correct && o.count === 0)) flags.push('unused_distractor');
+  }
+
+  return {
+    id: String(question._id),
+    question_key: question.question_key || null,
+    phase: question.phase,
+    domain: question.domain,
+    question_text: question.question_text,
+    type,
+    correct_answer: question.correct_answer,
+    responses: acc.n,
+    p_value: round(p),
+    point_biserial: round(rpb),
+    avg_time_ms: acc.timeN ? Math.round(acc.timeSum / acc.timeN) : null,
+    options,
+    flags
+  };
+}
+
+// Returns { thresholds, items: [...] } for non-deleted questions matching phase/domain.
+async function analyzeItems({ phase = null, domain = null, thresholds = {} } = {}) {
+  const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+
+  const filter = { deleted_at: null };
+  if (Number.isFinite(phase)) filter.phase = phase;
+  if (domain) filter.domain = domain;
+  const questions = await MlQuestion.find(filter).sort({ phase: 1, domain: 1, _id: 1 }).lean();
+
+  const accs = new Map();
+  for (const q of questions) {
+    accs.set(String(q._id), createAccumulator(Array.isArray(q.options) ? q.options.length : OPTION_LETTERS.length, q.type || 'single'));
+  }
+
+  if (questions.length) {
+    const cursor = QuizAnswer.aggregate([
+      { $match: { quiz_id: ML_QUIZ_ID, question_id: { $in: Array.from(accs.keys()) } } },
+      {
+        $lookup: {
+          from: QuizAttempt.collection.name,
+          localField: 'attempt_id',
+          foreignField: '_id',
+          as: 'attempt',
+          pipeline: [{ $project: { score: 1, total: 1 } }]
+        }
+      },
+      {
+        $project: {
+          question_id: 1,
+          selected_index: 1,
+          response: 1,
+          correct: 1,
+          credit: 1,
+          time_ms: 1,
+          score: { $first: '$attempt.score' },
+          total: { $first: '$attempt.total' }
+        }
+      }
+    ]).cursor({ batchSize: 1000 });
+
+    for await (const r of cursor) {
+      const acc = accs.get(r.question_id);
+      if (acc) addResponse(acc, r);
+    }
+  }
+
+  const items = questions.map((q) => summarizeItem(q, accs.get(String(q._id)), t));
+  return { thresholds: t, items };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  analyzeItems
+};
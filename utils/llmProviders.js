@@ -0,0 +1,239 @@
+// LLM providers behind the AI explanations (routes/aiExplain).
+// AI_PROVIDER picks the adapter, AI_ASSIST_MODEL the model (each provider has a default):
+//   gemini  Google Generative Language API; needs GEMINI_API_KEY (the default provider)
+//   openai  any OpenAI-compatible /chat/completions endpoint, including self-hosted servers;
+//           OPENAI_BASE_URL (default https://api.openai.com/v1), OPENAI_API_KEY when the server needs one
+//   echo    deterministic local text built from the prompt; no network, for development and tests
+// generate() never throws for provider errors; it returns
+//   { ok, status, text, error: { status, message } | null }
+// and only rejects when the request itself fails (network error, abort).
+// stream() takes the same options plus onText(delta), called as text arrives, and resolves
+// to the same shape with the full text.
+
+const PROVIDERS = ['gemini', 'openai', 'echo'];
+// Their text is not a real explanation: never cached, and rows they left behind are not served.
+const PLACEHOLDER_PROVIDERS = ['echo'];
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.5-flash',
+  openai: 'gpt-4o-mini',
+  echo: 'echo-1'
+};
+
+const OPENAI_DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+// Secret Manager values may include trailing newlines; trim to avoid %0D%0A in URLs and headers.
+function env(name) {
+  return String(process.env[name] || '').trim();
+}
+
+async function readJson(res) {
+  const text = await res.text().catch(() => '');
+  let decoded = null;
+  try { decoded = JSON.parse(text); } catch { decoded = null; }
+  return { text, decoded };
+}
+
+// Calls onData with the payload of every "data:" line of a Server-Sent Events response body.
+async function readSseData(res, onData) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const flushLines = () => {
+    let i;
+    while ((i = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, i).replace(/\r$/, '');
+      buffer = buffer.slice(i + 1);
+      if (line.startsWith('data:')) onData(line.slice(5).trim());
+    }
+  };
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    flushLines();
+  }
+  buffer += decoder.decode() + '\n';
+  flushLines();
+}
+
+function parseJson(text) {
+  try { return JSON.parse(text); } catch { return null; }
+}
+
+// ---- Gemini ----
+
+function extractGeminiText(decoded) {
+  try {
+    const parts = decoded?.candidates?.[0]?.content?.parts;
+    if (!Array.isArray(parts)) return '';
+    return parts.map(p => (p && typeof p.text === 'string') ? p.text : '').join('');
+  } catch {
+    return '';
+  }
+}
+
+function extractGeminiError(decoded) {
+  const err = decoded?.error;
+  if (!err || typeof err !== 'object') return {};
+  return { status: err.status, message: err.message };
+}
+
+async function geminiFailure(res) {
+  const { decoded } = await readJson(res);
+  const perr = extractGeminiError(decoded);
+  return { ok: false, status: res.status, text: '', error: { status: String(perr.status || ''), message: String(perr.message || '') || `HTTP ${res.status}` } };
+}
+
+function geminiProvider(model) {
+  const apiKey = env('GEMINI_API_KEY');
+  const call = (method, query, { prompt, temperature, maxTokens, signal }) => {
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:${method}?${query}key=${encodeURIComponent(apiKey)}`;
+    console.log('[Gemini] Calling URL:', url.replace(apiKey, 'API_KEY_HIDDEN'));
+    return fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: { temperature, maxOutputTokens: maxTokens }
+      }),
+      signal
+    });
+  };
+  return {
+    name: 'gemini',
+    model,
+    configError: apiKey ? null : 'GEMINI_API_KEY is not configured',
+    async generate(opts) {
+      const res = await call('generateContent', '', opts);
+      if (!res.ok) return geminiFailure(res);
+      const { text, decoded } = await readJson(res);
+      console.log('[Gemini] Response:', res.status, decoded ? JSON.stringify(decoded).substring(0, 200) : text.substring(0, 200));
+      return { ok: true, status: res.status, text: extractGeminiText(decoded), error: null };
+    },
+    async stream({ onText, ...opts }) {
+      const res = await call('streamGenerateContent', 'alt=sse&', opts);
+      if (!res.ok) return geminiFailure(res);
+      console.log('[Gemini] Streaming response:', res.status);
+      let text = '';
+      await readSseData(res, (data) => {
+        const delta = extractGeminiText(parseJson(data));
+        if (!delta) return;
+        text += delta;
+        onText(delta);
+      });
+      return { ok: true, status: res.status, text, error: null };
+    }
+  };
+}
+
+// ---- OpenAI-compatible chat completions ----
+
+async function openaiFailure(res) {
+  const { decoded } = await readJson(res);
+  const err = decoded?.error && typeof decoded.error === 'object' ? decoded.error : {};
+  return { ok: false, status: res.status, text: '', error: { status: String(err.type || err.code || ''), message: String(err.message || '') || `HTTP ${res.status}` } };
+}
+
+function openaiProvider(model) {
+  const baseUrl = (env('OPENAI_BASE_URL') || OPENAI_DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const apiKey = env('OPENAI_API_KEY');
+  // Self-hosted servers often run without auth; the public endpoint never does.
+  const needsKey = baseUrl === OPENAI_DEFAULT_BASE_URL;
+  const call = ({ prompt, temperature, maxTokens, signal }, stream) => {
+    console.log('[OpenAI] Calling URL:', `${baseUrl}/chat/completions`);
+    return fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        max_tokens: maxTokens,
+        ...(stream ? { stream: true } : {})
+      }),
+      signal
+    });
+  };
+  return {
+    name: 'openai',
+    model,
+    configError: needsKey && !apiKey ? 'OPENAI_API_KEY is not configured' : null,
+    async generate(opts) {
+      const res = await call(opts, false);
+      if (!res.ok) return openaiFailure(res);
+      const { text, decoded } = await readJson(res);
+      console.log('[OpenAI] Response:', res.status, decoded ? JSON.stringify(decoded).substring(0, 200) : text.substring(0, 200));
+      const content = decoded?.choices?.[0]?.message?.content;
+      return { ok: true, status: res.status, text: typeof content === 'string' ? content : '', error: null };
+    },
+    async stream({ onText, ...opts }) {
+      const res = await call(opts, true);
+      if (!res.ok) return openaiFailure(res);
+      console.log('[OpenAI] Streaming response:', res.status);
+      let text = '';
+      await readSseData(res, (data) => {
+        if (data === '[DONE]') return;
+        const delta = parseJson(data)?.choices?.[0]?.delta?.content;
+        if (typeof delta !== 'string' || !delta) return;
+        text += delta;
+        onText(delta);
+      });
+      return { ok: true, status: res.status, text, error: null };
+    }
+  };
+}
+
+// ---- Echo (local) ----
+
+// Same prompt, same text: the prompt's last paragraph (the question data after the
+// instructions) on one line, cut to roughly maxTokens.
+function echoText(prompt, maxTokens) {
+  const paragraphs = String(prompt || '').split(/\n\s*\n/).map((p) => p.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  const body = paragraphs[paragraphs.length - 1] || '';
+  return `[echo] ${body}`.slice(0, Math.max(40, (maxTokens || 256) * 4));
+}
+
+function abortError() {
+  return Object.assign(new Error('This operation was aborted'), { name: 'AbortError' });
+}
+
+function echoProvider(model) {
+  return {
+    name: 'echo',
+    model,
+    configError: null,
+    async generate({ prompt, maxTokens, signal }) {
+      if (signal?.aborted) throw abortError();
+      return { ok: true, status: 200, text: echoText(prompt, maxTokens), error: null };
+    },
+    // Word by word, so streaming clients can be exercised without a provider.
+    async stream({ prompt, maxTokens, signal, onText }) {
+      const text = echoText(prompt, maxTokens);
+      for (const word of text.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) throw abortError();
+        onText(word);
+        await new Promise((resolve) => setTimeout(resolve, 15));
+      }
+      return { ok: true, status: 200, text, error: null };
+    }
+  };
+}
+
+const FACTORIES = { gemini: geminiProvider, openai: openaiProvider, echo: echoProvider };
+
+// The configured provider. Reads the environment on every call so tests and
+// Secret Manager rotations take effect without a restart.
+function getProvider() {
+  const requested = env('AI_PROVIDER').toLowerCase() || 'gemini';
+  const name = PROVIDERS.includes(requested) ? requested : 'gemini';
+  if (name !== requested) console.warn(`[AI Explain] Unknown AI_PROVIDER "${requested}", using gemini`);
+  return FACTORIES[name](env('AI_ASSIST_MODEL') || DEFAULT_MODELS[name]);
+}
+
+module.exports = {
+  PROVIDERS,
+  PLACEHOLDER_PROVIDERS,
+  DEFAULT_MODELS,
+  getProvider
+};
@@ -0,0 +1,168 @@
+// Mistake notebook: every wrong graded answer files the question for that learner, with
+// their pick, the right answer and the cached AI explanation (ai_explanations_v2) if any.
+// A question leaves the notebook after MISTAKE_CLEAR_STREAK (default 3) correct answers in a row.
+const MistakeEntry = require('../models/MistakeEntry');
+const { getQuestionsByIds } = require('./questionBank');
+const { filterServable } = require('./phaseCatalog');
+const { findCachedExplanation } = require('./aiExplanations');
+const { selectedIndexOf, describeResponse, describeCorrect } = require('./quizGrading');
+
+const DEFAULT_CLEAR_STREAK = 3;
+const MAX_CLEAR_STREAK = 20;
+
+function getClearStreak() {
+  const raw = Math.floor(Number(process.env.MISTAKE_CLEAR_STREAK));
+  return Number.isFinite(raw) && raw >= 1 && raw <= MAX_CLEAR_STREAK ? raw : DEFAULT_CLEAR_STREAK;
+}
+
+// Apply one graded answer (response as parsed by quizGrading.parseResponse).
+// Wrong, including partly right: file (or refresh) the entry and reset its streak.
+// Right: count towards the streak, removing the entry once it reaches the threshold.
+async function recordMistakeOutcome({ userId, quizId, question, response, correct, at = new Date() }) {
+  const filter = { user_id: userId, quiz_id: quizId, question_id: String(question.id) };
+
+  if (correct) {
+    const entry = await MistakeEntry.findOneAndUpdate(filter, { $inc: { correct_streak: 1 } }, { new: true }).lean();
+    if (entry && entry.correct_streak >= getClearStreak()) {
+      await MistakeEntry.deleteOne({ _id: entry._id, correct_streak: { $gte: entry.correct_streak } });
+      return { filed: false, cleared: true };
+    }
+    return { filed: !!entry, cleared: false };
+  }
+
+  if (response === null || typeof response === 'undefined') return { filed: false, cleared: false };
+
+  let explanation = null;
+  try {
+    explanation = await findCachedExplanation(question, response);
+  } catch (err) {
+    console.error('[Mistakes] Explanation lookup error:', err);
+  }
+
+  await MistakeEntry.updateOne(
+    filter,
+    {
+      $set: {
+        domain: question.domain || 'Unknown',
+        selected_index: selectedIndexOf(question, response),
+        response,
+        selected_answer: describeResponse(question, response),
+        correct_index: Number.isInteger(question.correct_index) ? question.correct_index : null,
+        correct_answer: describeCorrect(question),
+        ai_explanation: explanation,
+        correct_streak: 0,
+        last_wrong_at: at
+      },
+      $inc: { times_wrong: 1 }
+    },
+    { upsert: true }
+  );
+  return { filed: true, cleared: false };
+}
+
+function notebookFilter(userId, { quizId = null, domains = [] } = {}) {
+  const filter = { user_id: userId };
+  if (quizId) filter.quiz_id = quizId;
+  if (domains.length) filter.domain = { $in: domains };
+  return filter;
+}
+
+async function listMistakeQuestionIds(userId, quizId, { domains = [] } = {}) {
+  const rows = await MistakeEntry.find(notebookFilter(userId, { quizId, domains }))
+    .select({ question_id: 1 })
+    .lean();
+  return rows.map((r) => r.question_id);
+}
+
+// Entries filed before their AI explanation was generated pick it up on the next read.
+async function fillMissingExplanations(entries, questions) {
+  for (const entry of entries) {
+    if (entry.ai_explanation) continue;
+    const q = questions.get(`${entry.quiz_id}|${entry.question_id}`);
+    if (!q) continue;
+    try {
+      // Entries filed before question types existed only have selected_index.
+      const response = entry.response ?? entry.selected_index;
+      const explanation = await findCachedExplanation(q, response);
+      if (!explanation) continue;
+      entry.ai_explanation = explanation;
+      await MistakeEntry.updateOne(
+        { _id: entry._id, last_wrong_at: entry.last_wrong_at, ai_explanation: null },
+        { $set: { ai_explanation: explanation } }
+      );
+    } catch (err) {
+      console.error('[Mistakes] Explanation lookup error:', err);
+    }
+  }
+}
+
+// Most recent mistakes first. Returns { total, clear_streak, entries }.
+// Entries for soft-deleted questions or locked ML Engineer phases are left out (and not counted).
+async function listMistakes(userId, { quizId = null, domains = [], limit = 50, skip = 0 } = {}) {
+  const all = await MistakeEntry.find(notebookFilter(userId, { quizId, domains })).sort({ last_wrong_at: -1 }).lean();
+  const servable = await filterServable(userId, all);
+  const total = servable.length;
+  const rows = servable.slice(skip, skip + limit);
+
+  const byQuiz = new Map();
+  for (const r of rows) {
+    if (!byQuiz.has(r.quiz_id)) byQuiz.set(r.quiz_id, []);
+    byQuiz.get(r.quiz_id).push(r.question_id);
+  }
+  const questions = new Map();
+  for (const [qid, ids] of byQuiz) {
+    for (const q of await getQuestionsByIds(qid, ids)) questions.set(`${qid}|${q.id}`, q);
+  }
+
+  await fillMissingExplanations(rows, questions);
+
+  const clearStreak = getClearStreak();
+  const entries = rows
+    .map((r) => {
+      const q = questions.get(`${r.quiz_id}|${r.question_id}`);
+      if (!q) return null;
+      return {
+        quiz_id: r.quiz_id,
+        question_id: r.question_id,
+        domain: r.domain,
+        type: q.type,
+        question_text: q.question_text,
+        options: q.options,
+        selected_index: r.selected_index,
+        response: r.response ?? r.selected_index,
+        selected_answer: r.selected_answer,
+        correct_index: r.correct_index,
+        correct_answer: r.correct_answer,
+        explanation: q.explanation || null,
+        ai_explanation: r.ai_explanation
+          ? { short_text: r.ai_explanation.short_text, long_text: r.ai_explanation.long_text || null }
+          : null,
+        times_wrong: r.times_wrong,
+        correct_streak: r.correct_streak,
+        correct_to_clear: Math.max(0, clearStreak - r.correct_streak),
+        last_wrong_at: r.last_wrong_at
+      };
+    })
+    .filter(Boolean);
+
+  return { total, clear_streak: clearStreak, entries };
+}
+
+// Notebook size per (quiz, domain) for the profile page.
+async function summarizeMistakes(userId) {
+  const rows = await MistakeEntry.aggregate([
+    { $match: { user_id: userId } },
+    { $group: { _id: { quiz_id: '$quiz_id', domain: '$domain' }, count: { $sum: 1 } } },
+    { $sort: { count: -1, '_id.domain': 1 } }
+  ]);
+  return rows.map((r) => ({ quiz_id: r._id.quiz_id, domain: r._id.domain, count: r.count }));
+}
+
+module.exports = {
+  DEFAULT_CLEAR_STREAK,
+  getClearStreak,
+  recordMistakeOutcome,
+  listMistakeQuestionIds,
+  listMistakes,
+  summarizeMistakes
+};
@@ -0,0 +1,167 @@
+// Shape rules for ml_engineer_questions documents.
+// Shared by the admin question editor and anything else that writes to the bank.
+const crypto = require('crypto');
+
+const OPTION_LETTERS = ['A', 'B', 'C', 'D'];
+
+// single: one correct letter (correct_answer). multi: "select two" style, correct_answers.
+// order: put the four options in sequence, correct_order lists the letters first to last.
+// short: free text, checked against accepted_answers (no options).
+const QUESTION_TYPES = ['single', 'multi', 'order', 'short'];
+
+// How multi and order questions score a partly right answer (see utils/quizGrading).
+const SCORING_RULES = ['partial', 'all_or_nothing'];
+
+const MAX_ACCEPTED_ANSWERS = 20;
+const MAX_ACCEPTED_ANSWER_LENGTH = 200;
+
+// Phases that can hold authored content. Extend when a new phase is opened.
+const PHASES = [1, 2, 3];
+
+const DOMAINS = [
+  'Core ML Foundations',
+  'Data Foundations',
+  'Data Quality',
+  'Model Behavior',
+  'Model Evaluation',
+  'Model Optimization',
+  'Model Deployment'
+];
+
+const QUESTION_KEY_RE = /^[A-Za-z0-9._:-]{1,80}$/;
+
+// Stable identity used for upserts (bulk import/export round-trips).
+// Derived from the stem when the author does not supply one.
+function buildQuestionKey(questionText) {
+  const norm = String(questionText || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return 'ml-' + crypto.createHash('sha1').update(norm).digest('hex').slice(0, 16);
+}
+
+// Options are stored as "A. text"; accept input with or without the letter prefix.
+function stripOptionPrefix(text) {
+  return String(text ?? '').trim().replace(/^[A-D][.)]\s*/i, '').trim();
+}
+
+// Letter lists arrive as arrays or as "A,C" / "C A D B" strings (CSV cells, editor input).
+function parseLetterList(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw ?? '').split(/[\s,;|]+/);
+  return list.map((l) => String(l ?? '').trim().toUpperCase()).filter(Boolean);
+}
+
+// Accepted short answers arrive as an array or one string separated by | or new lines.
+function parseAcceptedAnswers(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw ?? '').split(/[|\n]/);
+  return Array.from(new Set(list.map((a) => String(a ?? '').trim()).filter(Boolean)));
+}
+
+// Validate and normalize an incoming question payload.
+// Returns { value, errors }; value is only safe to save when errors is empty.
+function normalizeQuestionInput(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const errors = [];
+
+  const question_text = String(src.question_text ?? '').trim();
+  if (!question_text) errors.push('question_text is required');
+  else if (question_text.length > 2000) errors.push('question_text must be at most 2000 characters');
+
+  const type = String(src.type ?? '').trim().toLowerCase() || 'single';
+  if (!QUESTION_TYPES.includes(type)) errors.push(`type must be one of ${QUESTION_TYPES.join(', ')}`);
+
+  const rawOptions = Array.isArray(src.options) ? src.options : [];
+  const optionBodies = rawOptions.map(stripOptionPrefix);
+  let options = [];
+  if (type === 'short') {
+    if (optionBodies.some(Boolean)) errors.push('short answer questions have no options');
+  } else if (rawOptions.length !== OPTION_LETTERS.length) {
+    errors.push(`options must contain exactly ${OPTION_LETTERS.length} entries`);
+  } else if (optionBodies.some((o) => !o)) {
+    errors.push('options must not be empty');
+  } else {
+    options = optionBodies.map((o, i) => `${OPTION_LETTERS[i] || '?'}. ${o}`);
+  }
+
+  let correct_answer = null;
+  let correct_answers = [];
+  let correct_order = [];
+  let accepted_answers = [];
+
+  if (type === 'single') {
+    correct_answer = String(src.correct_answer ?? '').trim().toUpperCase();
+    if (!OPTION_LETTERS.includes(correct_answer)) {
+      errors.push(`correct_answer must be one of ${OPTION_LETTERS.join(', ')}`);
+    }
+  } else if (type === 'multi') {
+    const letters = parseLetterList(src.correct_answers ?? src.correct_answer);
+    correct_answers = Array.from(new Set(letters)).sort();
+    if (correct_answers.length !== letters.length || correct_answers.some((l) => !OPTION_LETTERS.includes(l))) {
+      errors.push(`correct_answers must be distinct letters from ${OPTION_LETTERS.join(', ')}`);
+    } else if (correct_answers.length < 2) {
+      errors.push('multi questions need at least 2 correct answers');
+    }
+  } else if (type === 'order') {
+    correct_order = parseLetterList(src.correct_order ?? src.correct_answer);
+    const sorted = correct_order.slice().sort();
+    if (sorted.length !== OPTION_LETTERS.length || sorted.some((l, i) => l !== OPTION_LETTERS[i])) {
+      errors.push(`correct_order must list each of ${OPTION_LETTERS.join(', ')} once`);
+    }
+  } else if (type === 'short') {
+    accepted_answers = parseAcceptedAnswers(src.accepted_answers ?? src.correct_answer);
+    if (!accepted_answers.length) errors.push('accepted_answers needs at least one answer');
+    else if (accepted_answers.length > MAX_ACCEPTED_ANSWERS) errors.push(`at most ${MAX_ACCEPTED_ANSWERS} accepted_answers`);
+    else if (accepted_answers.some((a) => a.length > MAX_ACCEPTED_ANSWER_LENGTH)) {
+      errors.push(`accepted_answers must be at most ${MAX_ACCEPTED_ANSWER_LENGTH} characters each`);
+    }
+  }
+
+  const scoringRaw = String(src.scoring ?? '').trim().toLowerCase();
+  let scoring = null;
+  if (type === 'multi' || type === 'order') {
+    scoring = scoringRaw || 'partial';
+    if (!SCORING_RULES.includes(scoring)) errors.push(`scoring must be one of ${SCORING_RULES.join(', ')}`);
+  }
+
+  const pin_options = src.pin_options === true || ['true', '1', 'yes'].includes(String(src.pin_options ?? '').trim().toLowerCase());
+
+  const phase = Number(src.phase);
+  if (!PHASES.includes(phase)) errors.push(`phase must be one of ${PHASES.join(', ')}`);
+
+  const domain = String(src.domain ?? '').trim();
+  if (!DOMAINS.includes(domain)) errors.push(`Unknown domain: ${domain || '(empty)'}`);
+
+  const explanation = String(src.explanation ?? '').trim();
+
+  const question_key = String(src.question_key ?? '').trim() || null;
+  if (question_key && !QUESTION_KEY_RE.test(question_key)) {
+    errors.push('question_key may only contain letters, digits and . _ : - (max 80)');
+  }
+
+  return {
+    value: {
+      question_key,
+      question_text,
+      type,
+      options,
+      correct_answer,
+      correct_answers,
+      correct_order,
+      accepted_answers,
+      scoring,
+      pin_options,
+      phase,
+      domain,
+      explanation
+    },
+    errors
+  };
+}
+
+module.exports = {
+  OPTION_LETTERS,
+  QUESTION_TYPES,
+  SCORING_RULES,
+  PHASES,
+  DOMAINS,
+  buildQuestionKey,
+  stripOptionPrefix,
+  normalizeQuestionInput
+};
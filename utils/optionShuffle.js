@@ -0,0 +1,111 @@
+// Per-delivery option shuffling for the ML Engineer bank.
+// Each session gets its own permutation of a question's options, kept in QuizSession.option_orders
+// as { question_id: order } where order[shown position] = canonical option index. Responses are
+// mapped back to canonical indexes before grading, so stored answers, domain_stats, the mistake
+// notebook and AI explanation cache keys never depend on the shuffle.
+// Not shuffled: pin_options questions ("All of the above"), short answers, the IT pyramid bank.
+const crypto = require('crypto');
+const { OPTION_LETTERS, stripOptionPrefix } = require('./mlQuestions');
+const { ML_QUIZ_ID, toPublicQuestion } = require('./questionBank');
+const { describeResponse, describeCorrect } = require('./quizGrading');
+
+function canShuffle(question) {
+  return question.quiz_id === ML_QUIZ_ID && !question.pin_options && question.type !== 'short' && question.options.length > 1;
+}
+
+// Fisher-Yates with crypto.randomInt so orders cannot be predicted from earlier ones.
+function shuffledOrder(length) {
+  const order = Array.from({ length }, (_, i) => i);
+  for (let i = length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+// Fresh orders for questions joining a session: { question_id: order } for shuffleable questions.
+function assignOptionOrders(questions) {
+  const orders = {};
+  for (const q of questions) {
+    if (canShuffle(q)) orders[q.id] = shuffledOrder(q.options.length);
+  }
+  return orders;
+}
+
+// The session's order for one question, or null to serve it unshuffled. Accepts the Map on a
+// session document or the plain object from .lean(). An order that no longer fits the question
+// (options edited mid-session) is ignored.
+function optionOrderFor(question, orders) {
+  if (!orders || !canShuffle(question)) return null;
+  const stored = orders instanceof Map ? orders.get(question.id) : orders[question.id];
+  if (!Array.isArray(stored)) return null;
+  const order = stored.map(Number);
+  const n = question.options.length;
+  if (order.length !== n || new Set(order).size !== n || !order.every((i) => Number.isInteger(i) && i >= 0 && i < n)) {
+    return null;
+  }
+  return order;
+}
+
+// Keep the "A. " style prefixes in step with the new positions.
+function relabel(option, pos) {
+  const body = stripOptionPrefix(option);
+  return body === String(option).trim() ? option : `${OPTION_LETTERS[pos] || '?'}. ${body}`;
+}
+
+function mapList(list, fn) {
+  return Array.isArray(list) ? list.map(fn) : list;
+}
+
+// Response in shown positions -> canonical indexes (null order: unchanged).
+function toCanonicalResponse(question, response, order) {
+  if (!order || response === null) return response;
+  if (question.type === 'single') return order[response];
+  if (question.type === 'multi') return mapList(response, (i) => order[i]).sort((a, b) => a - b);
+  if (question.type === 'order') return mapList(response, (i) => order[i]);
+  return response;
+}
+
+// Canonical response -> shown positions, for answers echoed back to the page.
+function toShownResponse(question, response, order) {
+  if (!order || response === null || typeof response === 'undefined') return response;
+  if (question.type === 'single') return order.indexOf(response);
+  if (question.type === 'multi') return mapList(response, (i) => order.indexOf(i)).sort((a, b) => a - b);
+  if (question.type === 'order') return mapList(response, (i) => order.indexOf(i));
+  return response;
+}
+
+// The question as this session sees it: options in shown order, answer fields remapped to match.
+function shownQuestion(question, order) {
+  if (!order) return question;
+  const shown = (i) => order.indexOf(i);
+  return {
+    ...question,
+    options: order.map((i, pos) => relabel(question.options[i], pos)),
+    correct_index: Number.isInteger(question.correct_index) ? shown(question.correct_index) : question.correct_index,
+    correct_indices: question.correct_indices ? question.correct_indices.map(shown).sort((a, b) => a - b) : null,
+    correct_order: question.correct_order ? question.correct_order.map(shown) : null
+  };
+}
+
+// toPublicQuestion() for a session delivery.
+function toSessionQuestion(question, orders) {
+  return toPublicQuestion(shownQuestion(question, optionOrderFor(question, orders)));
+}
+
+// Canonical answer texts for AI explanation requests, so their cache keys match no matter
+// how the options were shuffled.
+function aiAnswerTexts(question, response) {
+  return { user_answer: describeResponse(question, response), correct_answer: describeCorrect(question) };
+}
+
+module.exports = {
+  canShuffle,
+  assignOptionOrders,
+  optionOrderFor,
+  toCanonicalResponse,
+  toShownResponse,
+  shownQuestion,
+  toSessionQuestion,
+  aiAnswerTexts
+};
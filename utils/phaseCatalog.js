@@ -0,0 +1,141 @@
+// ML Engineer phase catalog and mastery gating.
+// Phase 1 is always open. Phase N opens once the user's best QuizAttempt percentage in
+// phase N-1 reaches ML_PHASE_UNLOCK_PCT (default 70). PhaseUnlock rows (admin overrides)
+// win over the mastery rule in both directions.
+// Only attempts over the whole phase count: practice or exam runs that, when they started,
+// had at least as many questions as the phase (or a full session, for phases larger than one).
+// The session records this (covers_phase, copied onto the QuizAttempt), so questions added to a
+// phase later do not re-lock what a learner already earned. Adaptive runs, custom sets,
+// hand-picked batches, blueprint forms and short exams do not unlock anything.
+const MlQuestion = require('../models/MlQuestion');
+const QuizAttempt = require('../models/QuizAttempt');
+const PhaseUnlock = require('../models/PhaseUnlock');
+const { PHASES } = require('./mlQuestions');
+const { ML_QUIZ_ID, MAX_SESSION_QUESTIONS, listQuestionRefs } = require('./questionBank');
+
+const DEFAULT_UNLOCK_PCT = 70;
+
+// Questions a run must have to cover the whole phase: all of them, up to one full session.
+function minQuestionsFor(questionCount) {
+  return Math.max(1, Math.min(questionCount, MAX_SESSION_QUESTIONS));
+}
+
+function getUnlockThreshold() {
+  const raw = Number(process.env.ML_PHASE_UNLOCK_PCT);
+  return Number.isFinite(raw) && raw >= 0 && raw <= 100 ? raw : DEFAULT_UNLOCK_PCT;
+}
+
+// Returns { threshold, phases: [{ phase, question_count, domains, best_percentage, unlocked, reason, override }] }
+// reason: 'default' (phase 1) | 'mastery' | 'admin_override' | 'locked'
+async function getPhaseCatalog(userId) {
+  const threshold = getUnlockThreshold();
+
+  const [counts, overrides] = await Promise.all([
+    MlQuestion.aggregate([
+      { $match: { deleted_at: null } },
+      { $group: { _id: { phase: '$phase', domain: '$domain' }, count: { $sum: 1 } } }
+    ]),
+    userId ? PhaseUnlock.find({ user_id: userId, quiz_id: ML_QUIZ_ID }).lean() : []
+  ]);
+
+  const questionCount = (phase) => counts
+    .filter((c) => c._id.phase === phase)
+    .reduce((sum, c) => sum + c.count, 0);
+  const minQuestions = (phase) => minQuestionsFor(questionCount(phase));
+
+  const bests = userId
+    ? await QuizAttempt.aggregate([
+        { $match: { user_id: userId, quiz_id: ML_QUIZ_ID, covers_phase: true, phase: { $in: PHASES } } },
+        { $group: { _id: '$phase', best: { $max: '$percentage' } } }
+      ])
+    : [];
+
+  const bestByPhase = new Map(bests.map((b) => [b._id, b.best]));
+  const overrideByPhase = new Map(overrides.map((o) => [o.phase, o.unlocked]));
+
+  const phases = PHASES.map((phase, i) => {
+    const domains = counts
+      .filter((c) => c._id.phase === phase)
+      .map((c) => ({ domain: c._id.domain, count: c.count }))
+      .sort((a, b) => a.domain.localeCompare(b.domain));
+
+    const override = overrideByPhase.has(phase) ? overrideByPhase.get(phase) : null;
+    const prevPhase = i > 0 ? PHASES[i - 1] : null;
+    const prevBest = prevPhase === null ? null : (bestByPhase.get(prevPhase) ?? null);
+
+    let unlocked;
+    let reason;
+    if (override !== null) {
+      unlocked = override;
+      reason = override ? 'admin_override' : 'locked';
+    } else if (prevPhase === null) {
+      unlocked = true;
+      reason = 'default';
+    } else {
+      unlocked = prevBest !== null && prevBest >= threshold;
+      reason = unlocked ? 'mastery' : 'locked';
+    }
+
+    return {
+      phase,
+      question_count: domains.reduce((sum, d) => sum + d.count, 0),
+      domains,
+      best_percentage: bestByPhase.get(phase) ?? null,
+      unlocked,
+      reason,
+      override,
+      requires: prevPhase === null
+        ? null
+        : { phase: prevPhase, percentage: threshold, min_questions: minQuestions(prevPhase), best_percentage: prevBest }
+    };
+  });
+
+  return { threshold, phases };
+}
+
+// Whether a practice or exam session of questionCount questions drawn from phase covers the
+// whole phase right now (see the header). Set on the session when it starts.
+async function coversPhase(phase, questionCount) {
+  if (!PHASES.includes(phase)) return false;
+  const inPhase = await MlQuestion.countDocuments({ deleted_at: null, phase });
+  return inPhase > 0 && questionCount >= minQuestionsFor(inPhase);
+}
+
+async function isPhaseUnlocked(userId, phase) {
+  const { phases } = await getPhaseCatalog(userId);
+  return !!phases.find((p) => p.phase === phase)?.unlocked;
+}
+
+// The phases the user may read and practise (anonymous visitors: what is open by default).
+async function unlockedPhases(userId) {
+  const { phases } = await getPhaseCatalog(userId);
+  return phases.filter((p) => p.unlocked).map((p) => p.phase);
+}
+
+// The rows (anything with quiz_id and question_id: review cards, notebook entries) whose question
+// the user may still be shown: it exists, is not soft-deleted and, in the ML Engineer bank, sits
+// in a phase they have unlocked. Order is kept; the rows themselves are left alone, so a restored
+// question or a reopened phase brings them back.
+async function filterServable(userId, rows) {
+  const byQuiz = new Map();
+  for (const r of rows) {
+    if (!byQuiz.has(r.quiz_id)) byQuiz.set(r.quiz_id, []);
+    byQuiz.get(r.quiz_id).push(r.question_id);
+  }
+
+  const servable = new Set();
+  for (const [quizId, ids] of byQuiz) {
+    const phases = quizId === ML_QUIZ_ID ? await unlockedPhases(userId) : null;
+    for (const ref of await listQuestionRefs(quizId, { ids, phases })) servable.add(`${quizId}|${ref.id}`);
+  }
+  return rows.filter((r) => servable.has(`${r.quiz_id}|${r.question_id}`));
+}
+
+module.exports = {
+  getUnlockThreshold,
+  getPhaseCatalog,
+  coversPhase,
+  isPhaseUnlocked,
+  unlockedPhases,
+  filterServable
+};
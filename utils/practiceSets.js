@@ -0,0 +1,177 @@
+// Custom practice sets: a learner-chosen slice of a question bank (domains, difficulty),
+// narrowed by their own answer history. History comes from ReviewCard, which every graded
+// answer updates: no card = never seen; last answer wrong (repetitions 0) or any lapse = missed.
+// Source 'mistakes' draws from the learner's mistake notebook, 'bookmarked' from their bookmarks.
+const ReviewCard = require('../models/ReviewCard');
+const QuestionDifficulty = require('../models/QuestionDifficulty');
+const QuizAttempt = require('../models/QuizAttempt');
+const QuestionBookmark = require('../models/QuestionBookmark');
+const { ML_QUIZ_ID, listQuestionRefs, getQuestionsByIds } = require('./questionBank');
+const { getPhaseCatalog } = require('./phaseCatalog');
+const { DIFFICULTY_BANDS, difficultyBand, shuffle } = require('./examBlueprints');
+const { listMistakeQuestionIds } = require('./mistakeNotebook');
+
+const PRACTICE_SOURCES = ['any', 'missed', 'unseen', 'mistakes', 'bookmarked'];
+const DEFAULT_PRACTICE_COUNT = 20;
+const MAX_PRACTICE_COUNT = 100;
+const MAX_PRACTICE_DOMAINS = 20;
+
+// Validate learner choices. Returns { value, errors }; an empty domains list means every domain.
+function normalizePracticeFilters(raw) {
+  const errors = [];
+
+  const domainsRaw = Array.isArray(raw?.domains) ? raw.domains : [];
+  const domains = Array.from(new Set(domainsRaw.map((d) => String(d || '').trim()).filter(Boolean))).sort();
+  if (domains.length > MAX_PRACTICE_DOMAINS) errors.push(`at most ${MAX_PRACTICE_DOMAINS} domains`);
+
+  const countRaw = raw?.count ?? DEFAULT_PRACTICE_COUNT;
+  const count = Math.floor(Number(countRaw));
+  if (!Number.isFinite(count) || count < 1 || count > MAX_PRACTICE_COUNT) errors.push(`count must be 1-${MAX_PRACTICE_COUNT}`);
+
+  const source = String(raw?.source || 'any');
+  if (!PRACTICE_SOURCES.includes(source)) errors.push(`source must be one of ${PRACTICE_SOURCES.join(', ')}`);
+
+  const difficulty = raw?.difficulty ? String(raw.difficulty) : null;
+  if (difficulty && !DIFFICULTY_BANDS.includes(difficulty)) errors.push(`difficulty must be one of ${DIFFICULTY_BANDS.join(', ')}`);
+
+  return { value: { domains, count, source, difficulty }, errors };
+}
+
+// Same choices -> same key, whatever the count, so analytics can group repeated drills.
+function practiceKey(quizId, filters) {
+  return [quizId, filters.domains.join('+') || '*', filters.source, filters.difficulty || '*'].join('|');
+}
+
+async function historyByQuestion(userId, quizId) {
+  const cards = await ReviewCard.find({ user_id: userId, quiz_id: quizId })
+    .select({ question_id: 1, repetitions: 1, lapses: 1 })
+    .lean();
+  return new Map(cards.map((c) => [c.question_id, c.repetitions === 0 || c.lapses > 0 ? 'missed' : 'seen']));
+}
+
+async function bookmarkedQuestionIds(userId, quizId) {
+  const rows = await QuestionBookmark.find({ user_id: userId, quiz_id: quizId, bookmarked: true })
+    .select({ question_id: 1 })
+    .lean();
+  return rows.map((r) => r.question_id);
+}
+
+// The bank as this learner may practise it: ML Engineer locked phases are left out.
+async function loadPool(userId, quizId) {
+  const [refs, history, notebook, bookmarks, catalog] = await Promise.all([
+    listQuestionRefs(quizId),
+    historyByQuestion(userId, quizId),
+    listMistakeQuestionIds(userId, quizId),
+    bookmarkedQuestionIds(userId, quizId),
+    quizId === ML_QUIZ_ID ? getPhaseCatalog(userId) : null
+  ]);
+  const unlocked = catalog ? new Set(catalog.phases.filter((p) => p.unlocked).map((p) => p.phase)) : null;
+  const inNotebook = new Set(notebook);
+  const bookmarked = new Set(bookmarks);
+
+  return refs
+    .filter((r) => !unlocked || unlocked.has(r.phase))
+    .map((r) => ({
+      ...r,
+      status: history.get(r.id) || 'unseen',
+      in_notebook: inNotebook.has(r.id),
+      bookmarked: bookmarked.has(r.id)
+    }));
+}
+
+// Per-domain totals for the builder UI: { domains: [{ domain, total, missed, unseen, mistakes, bookmarked }] }
+async function getPracticeOptions(userId, quizId) {
+  const pool = await loadPool(userId, quizId);
+  const byDomain = new Map();
+  for (const q of pool) {
+    const d = byDomain.get(q.domain) || { domain: q.domain, total: 0, missed: 0, unseen: 0, mistakes: 0, bookmarked: 0 };
+    d.total += 1;
+    if (q.status === 'missed') d.missed += 1;
+    if (q.status === 'unseen') d.unseen += 1;
+    if (q.in_notebook) d.mistakes += 1;
+    if (q.bookmarked) d.bookmarked += 1;
+    byDomain.set(q.domain, d);
+  }
+  return {
+    sources: PRACTICE_SOURCES,
+    difficulties: DIFFICULTY_BANDS,
+    max_count: MAX_PRACTICE_COUNT,
+    domains: Array.from(byDomain.values()).sort((a, b) => a.domain.localeCompare(b.domain))
+  };
+}
+
+// Random questions matching the filters. Returns { questions, available }.
+async function buildPracticeSet(userId, quizId, filters) {
+  let pool = await loadPool(userId, quizId);
+
+  if (filters.domains.length) {
+    const wanted = new Set(filters.domains);
+    pool = pool.filter((q) => wanted.has(q.domain));
+  }
+  if (filters.source === 'mistakes') pool = pool.filter((q) => q.in_notebook);
+  else if (filters.source === 'bookmarked') pool = pool.filter((q) => q.bookmarked);
+  else if (filters.source !== 'any') pool = pool.filter((q) => q.status === filters.source);
+
+  if (filters.difficulty && pool.length) {
+    const ratings = await QuestionDifficulty.find({ quiz_id: quizId, question_id: { $in: pool.map((q) => q.id) } })
+      .select({ question_id: 1, difficulty: 1 })
+      .lean();
+    const bandById = new Map(ratings.map((r) => [r.question_id, difficultyBand(r.difficulty)]));
+    pool = pool.filter((q) => (bandById.get(q.id) || 'medium') === filters.difficulty);
+  }
+
+  const ids = shuffle(pool.map((q) => q.id)).slice(0, filters.count);
+  const questions = await getQuestionsByIds(quizId, ids);
+  return { questions, available: pool.length };
+}
+
+// Custom set attempts grouped by their choices, most recent group first.
+async function summarizePracticeAttempts(userId, { limit = 20 } = {}) {
+  return QuizAttempt.aggregate([
+    { $match: { user_id: userId, mode: 'custom', 'filters.key': { $type: 'string' } } },
+    { $sort: { created_at: -1 } },
+    {
+      $group: {
+        _id: '$filters.key',
+        quiz_id: { $first: '$quiz_id' },
+        filters: { $first: '$filters' },
+        attempts: { $sum: 1 },
+        questions: { $sum: '$total' },
+        correct: { $sum: '$score' },
+        best_percentage: { $max: '$percentage' },
+        last_percentage: { $first: '$percentage' },
+        last_at: { $first: '$created_at' }
+      }
+    },
+    { $sort: { last_at: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        key: '$_id',
+        quiz_id: 1,
+        domains: '$filters.domains',
+        source: '$filters.source',
+        difficulty: '$filters.difficulty',
+        attempts: 1,
+        percentage: {
+          $cond: [{ $gt: ['$questions', 0] }, { $round: [{ $multiply: [{ $divide: ['$correct', '$questions'] }, 100] }, 0] }, 0]
+        },
+        best_percentage: 1,
+        last_percentage: 1,
+        last_at: 1
+      }
+    }
+  ]);
+}
+
+module.exports = {
+  PRACTICE_SOURCES,
+  DEFAULT_PRACTICE_COUNT,
+  MAX_PRACTICE_COUNT,
+  normalizePracticeFilters,
+  practiceKey,
+  getPracticeOptions,
+  buildPracticeSet,
+  summarizePracticeAttempts
+};
@@ -0,0 +1,231 @@
+// Read access to the quiz question banks behind a single normalized shape:
+//   { id, quiz_id, domain, phase, layer, type, question_text, options, correct_index,
+//     correct_indices, correct_order, accepted_answers, scoring, pin_options, version, explanation }
+// ml_engineer_questions stores answers as letters, it_pyramid_questions as indexes;
+// everything downstream (grading, answer logs, reports) works with indexes.
+// type is single (correct_index), multi (correct_indices), order (correct_order: option
+// indexes first to last) or short (accepted_answers); the other answer fields are null.
+// pin_options: serve options in stored order (utils/optionShuffle); only ML questions shuffle.
+// version: content revision (utils/questionRevisions); null for the IT pyramid, which is not versioned.
+const mongoose = require('mongoose');
+const MlQuestion = require('../models/MlQuestion');
+const { OPTION_LETTERS, QUESTION_TYPES } = require('./mlQuestions');
+
+const ML_QUIZ_ID = 'ml-engineer-exam';
+const IT_PYRAMID_QUIZ_ID = 'it-learning-pyramid';
+
+const MAX_SESSION_QUESTIONS = 200;
+
+function isKnownBank(quizId) {
+  return quizId === ML_QUIZ_ID || quizId === IT_PYRAMID_QUIZ_ID;
+}
+
+function questionType(doc) {
+  return QUESTION_TYPES.includes(doc.type) ? doc.type : 'single';
+}
+
+// Answer fields for one type; everything not used by that type is null.
+function answerFields(type, { correctIndex, correctIndices, correctOrder, acceptedAnswers, scoring }) {
+  const toIndexes = (list) => (Array.isArray(list) ? list.map((i) => Math.floor(Number(i))) : []);
+  return {
+    correct_index: type === 'single' ? correctIndex : null,
+    correct_indices: type === 'multi' ? toIndexes(correctIndices).sort((a, b) => a - b) : null,
+    correct_order: type === 'order' ? toIndexes(correctOrder) : null,
+    accepted_answers: type === 'short' && Array.isArray(acceptedAnswers) ? acceptedAnswers.map(String) : null,
+    scoring: type === 'multi' || type === 'order' ? scoring || 'partial' : null
+  };
+}
+
+function letterIndexes(letters) {
+  return Array.isArray(letters) ? letters.map((l) => OPTION_LETTERS.indexOf(String(l).toUpperCase())) : [];
+}
+
+function fromMlDoc(doc) {
+  const type = questionType(doc);
+  return {
+    id: String(doc._id),
+    quiz_id: ML_QUIZ_ID,
+    domain: doc.domain || 'Unknown',
+    phase: typeof doc.phase === 'number' ? doc.phase : null,
+    layer: null,
+    type,
+    question_text: String(doc.question_text || ''),
+    options: Array.isArray(doc.options) ? doc.options.map(String) : [],
+    ...answerFields(type, {
+      correctIndex: OPTION_LETTERS.indexOf(String(doc.correct_answer || '').toUpperCase()),
+      correctIndices: letterIndexes(doc.correct_answers),
+      correctOrder: letterIndexes(doc.correct_order),
+      acceptedAnswers: doc.accepted_answers,
+      scoring: doc.scoring
+    }),
+    pin_options: doc.pin_options === true,
+    version: Number.isInteger(doc.version) && doc.version >= 1 ? doc.version : 1,
+    explanation: String(doc.explanation || '')
+  };
+}
+
+// A stored revision (models/MlQuestionRevision) in the normalized shape.
+function fromMlRevision(revision) {
+  return fromMlDoc({ ...revision, _id: revision.question_id });
+}
+
+function itPyramidDomain(doc) {
+  return doc.domain ? `${doc.layer}-${doc.domain}` : String(doc.layer || 'Unknown');
+}
+
+function fromItPyramidDoc(doc) {
+  const type = questionType(doc);
+  return {
+    id: String(doc._id),
+    quiz_id: IT_PYRAMID_QUIZ_ID,
+    domain: itPyramidDomain(doc),
+    phase: null,
+    layer: doc.layer || null,
+    type,
+    question_text: String(doc.question_text || ''),
+    options: Array.isArray(doc.options) ? doc.options.map(String) : [],
+    ...answerFields(type, {
+      correctIndex: Math.floor(Number(doc.correct_index)),
+      correctIndices: doc.correct_indices,
+      correctOrder: doc.correct_order,
+      acceptedAnswers: doc.accepted_answers,
+      scoring: doc.scoring
+    }),
+    pin_options: true,
+    version: null,
+    explanation: String(doc.why || '')
+  };
+}
+
+function itPyramidCollection() {
+  return mongoose.connection.collection('it_pyramid_questions');
+}
+
+function toObjectIds(ids) {
+  return ids
+    .map((id) => String(id || ''))
+    .filter((id) => mongoose.Types.ObjectId.isValid(id))
+    .map((id) => new mongoose.Types.ObjectId(id));
+}
+
+// phases: list of allowed phases (e.g. the learner's unlocked ones) when no single phase is set.
+// ids: only these questions.
+function mlFilter({ phase = null, phases = null, domain = null, ids = null } = {}) {
+  const filter = { deleted_at: null };
+  if (Number.isFinite(phase)) filter.phase = phase;
+  else if (Array.isArray(phases)) filter.phase = { $in: phases };
+  if (domain) filter.domain = domain;
+  if (Array.isArray(ids)) filter._id = { $in: toObjectIds(ids) };
+  return filter;
+}
+
+function itPyramidFilter({ layer = null, domain = null, ids = null } = {}) {
+  const filter = {};
+  if (layer) filter.layer = layer;
+  if (domain) filter.domain = domain;
+  if (Array.isArray(ids)) filter._id = { $in: toObjectIds(ids) };
+  return filter;
+}
+
+// Select questions for a new session from the bank's filters.
+async function findQuestions(quizId, filters = {}) {
+  if (quizId === ML_QUIZ_ID) {
+    const docs = await MlQuestion.find(mlFilter(filters)).sort({ _id: 1 }).limit(MAX_SESSION_QUESTIONS).lean();
+    return docs.map(fromMlDoc);
+  }
+
+  if (quizId === IT_PYRAMID_QUIZ_ID) {
+    const docs = await itPyramidCollection()
+      .find(itPyramidFilter(filters))
+      .sort({ layer: 1, domain: 1, order: 1, _id: 1 })
+      .limit(MAX_SESSION_QUESTIONS)
+      .toArray();
+    return docs.map(fromItPyramidDoc);
+  }
+
+  return [];
+}
+
+// Random sample of up to `count` questions from the whole filtered bank
+// (findQuestions is capped at MAX_SESSION_QUESTIONS in _id order).
+async function sampleQuestions(quizId, filters = {}, count = MAX_SESSION_QUESTIONS) {
+  const size = Math.max(1, Math.min(MAX_SESSION_QUESTIONS, Math.floor(count)));
+
+  if (quizId === ML_QUIZ_ID) {
+    const docs = await MlQuestion.aggregate([{ $match: mlFilter(filters) }, { $sample: { size } }]);
+    return docs.map(fromMlDoc);
+  }
+
+  if (quizId === IT_PYRAMID_QUIZ_ID) {
+    const docs = await itPyramidCollection()
+      .aggregate([{ $match: itPyramidFilter(filters) }, { $sample: { size } }])
+      .toArray();
+    return docs.map(fromItPyramidDoc);
+  }
+
+  return [];
+}
+
+// { id, domain, phase } of every question matching the filters, uncapped.
+// Lightweight enough to filter in memory before loading full questions by ID.
+async function listQuestionRefs(quizId, filters = {}) {
+  if (quizId === ML_QUIZ_ID) {
+    const docs = await MlQuestion.find(mlFilter(filters)).select({ _id: 1, domain: 1, phase: 1 }).lean();
+    return docs.map((d) => ({ id: String(d._id), domain: d.domain || 'Unknown', phase: typeof d.phase === 'number' ? d.phase : null }));
+  }
+
+  if (quizId === IT_PYRAMID_QUIZ_ID) {
+    const docs = await itPyramidCollection()
+      .find(itPyramidFilter(filters))
+      .project({ _id: 1, layer: 1, domain: 1 })
+      .toArray();
+    return docs.map((d) => ({ id: String(d._id), domain: itPyramidDomain(d), phase: null }));
+  }
+
+  return [];
+}
+
+// Load specific questions, preserving the requested order and dropping unknown IDs.
+async function getQuestionsByIds(quizId, ids) {
+  const objectIds = toObjectIds(Array.isArray(ids) ? ids : []);
+  if (!objectIds.length) return [];
+
+  let list = [];
+  if (quizId === ML_QUIZ_ID) {
+    list = (await MlQuestion.find({ _id: { $in: objectIds } }).lean()).map(fromMlDoc);
+  } else if (quizId === IT_PYRAMID_QUIZ_ID) {
+    list = (await itPyramidCollection().find({ _id: { $in: objectIds } }).toArray()).map(fromItPyramidDoc);
+  }
+
+  const byId = new Map(list.map((q) => [q.id, q]));
+  return ids.map((id) => byId.get(String(id))).filter(Boolean);
+}
+
+// Strip everything that would reveal the answer. Multi questions say how many to pick
+// ("select two"), as real exams do.
+function toPublicQuestion(q) {
+  return {
+    id: q.id,
+    domain: q.domain,
+    phase: q.phase,
+    layer: q.layer,
+    type: q.type,
+    version: q.version,
+    question_text: q.question_text,
+    options: q.options,
+    ...(q.type === 'multi' ? { select_count: q.correct_indices.length } : {})
+  };
+}
+
+module.exports = {
+  ML_QUIZ_ID,
+  IT_PYRAMID_QUIZ_ID,
+  MAX_SESSION_QUESTIONS,
+  isKnownBank,
+  findQuestions,
+  sampleQuestions,
+  listQuestionRefs,
+  getQuestionsByIds,
+  fromMlRevision,
+  toPublicQuestion
+};
@@ -0,0 +1,461 @@
+// Parsers and serializers for bulk question files (CSV, JSON, Moodle GIFT).
+// Parsers return entries of { ref, data } where ref points back into the source
+// ("line 12", "item 3") so validation errors can be reported per row.
+// Non-single question types (see utils/mlQuestions QUESTION_TYPES):
+//   CSV   type/scoring/accepted_answers columns; correct_answer holds "A,C" (multi) or "C,A,D,B" (order)
+//   JSON  type, correct_answers, correct_order, accepted_answers, scoring
+//   GIFT  multi as ~%50% weights, short answer as {=a =b}; ordering has no GIFT form and is skipped
+// pin_options (keep authored option order) is a CSV column / JSON field; GIFT does not carry it.
+const { OPTION_LETTERS, stripOptionPrefix } = require('./mlQuestions');
+
+const FORMATS = ['csv', 'json', 'gift'];
+
+const CSV_COLUMNS = [
+  'question_key',
+  'phase',
+  'domain',
+  'question_text',
+  'option_a',
+  'option_b',
+  'option_c',
+  'option_d',
+  'correct_answer',
+  'explanation',
+  'type',
+  'scoring',
+  'accepted_answers',
+  'pin_options'
+];
+
+// Columns older files may leave out.
+const CSV_OPTIONAL_COLUMNS = ['question_key', 'explanation', 'type', 'scoring', 'accepted_answers', 'pin_options'];
+
+// The answer key of any question type as one CSV/JSON-friendly value.
+function answerLetters(q) {
+  const type = q.type || 'single';
+  if (type === 'multi') return (q.correct_answers || []).join(',');
+  if (type === 'order') return (q.correct_order || []).join(',');
+  if (type === 'short') return '';
+  return q.correct_answer;
+}
+
+function detectFormat(filename) {
+  const ext = String(filename || '').toLowerCase().split('.').pop();
+  if (ext === 'csv') return 'csv';
+  if (ext === 'json') return 'json';
+  if (ext === 'gift' || ext === 'txt') return 'gift';
+  return null;
+}
+
+// ---- CSV (RFC 4180: quoted fields may contain commas, quotes and newlines) ----
+
+function parseCsvRecords(text) {
+  const records = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i += 1) {
+    const c = src[i];
+    if (inQuotes) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (c === '"') {
+        inQuotes = false;
+      } else {
+        if (c === '\n') line += 1;
+        field += c;
+      }
+      continue;
+    }
+
+    if (c === '"') {
+      inQuotes = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i += 1;
+      row.push(field);
+      records.push({ line: rowLine, fields: row });
+      row = [];
+      field = '';
+      line += 1;
+      rowLine = line;
+    } else {
+      field += c;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    records.push({ line: rowLine, fields: row });
+  }
+
+  return records.filter((r) => r.fields.some((f) => String(f).trim() !== ''));
+}
+
+function parseCsv(text) {
+  const records = parseCsvRecords(text);
+  if (!records.length) return { entries: [], errors: [] };
+
+  const header = records[0].fields.map((h) => String(h).trim().toLowerCase());
+  const missing = CSV_COLUMNS.filter((c) => !CSV_OPTIONAL_COLUMNS.includes(c) && !header.includes(c));
+  if (missing.length) {
+    return { entries: [], errors: [{ ref: 'line 1', errors: [`Missing CSV column(s): ${missing.join(', ')}`] }] };
+  }
+
+  const entries = records.slice(1).map((r) => {
+    const get = (name) => {
+      const idx = header.indexOf(name);
+      return idx >= 0 ? r.fields[idx] : '';
+    };
+    return {
+      ref: `line ${r.line}`,
+      data: {
+        question_key: get('question_key'),
+        phase: get('phase'),
+        domain: get('domain'),
+        question_text: get('question_text'),
+        options: ['option_a', 'option_b', 'option_c', 'option_d'].map(get),
+        correct_answer: get('correct_answer'),
+        explanation: get('explanation'),
+        type: get('type'),
+        scoring: get('scoring'),
+        accepted_answers: get('accepted_answers'),
+        pin_options: get('pin_options')
+      }
+    };
+  });
+
+  return { entries, errors: [] };
+}
+
+function csvCell(v) {
+  const s = String(v ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function formatCsv(questions) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const q of questions) {
+    const opts = Array.isArray(q.options) ? q.options.map(stripOptionPrefix) : [];
+    lines.push([
+      q.question_key,
+      q.phase,
+      q.domain,
+      q.question_text,
+      opts[0], opts[1], opts[2], opts[3],
+      answerLetters(q),
+      q.explanation,
+      q.type || 'single',
+      q.scoring || '',
+      (q.accepted_answers || []).join('|'),
+      q.pin_options ? 'true' : ''
+    ].map(csvCell).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ---- JSON (array of question objects, or { questions: [...] }) ----
+
+function parseJson(text) {
+  let decoded;
+  try {
+    decoded = JSON.parse(String(text || '').replace(/^\uFEFF/, ''));
+  } catch (err) {
+    return { entries: [], errors: [{ ref: 'file', errors: [`Invalid JSON: ${err.message}`] }] };
+  }
+
+  const list = Array.isArray(decoded) ? decoded : decoded?.questions;
+  if (!Array.isArray(list)) {
+    return { entries: [], errors: [{ ref: 'file', errors: ['Expected an array of questions or { "questions": [...] }'] }] };
+  }
+
+  const entries = list.map((item, i) => {
+    const data = item && typeof item === 'object' ? { ...item } : {};
+    // Accept option_a..option_d as an alternative to an options array.
+    if (!Array.isArray(data.options) && data.option_a !== undefined) {
+      data.options = [data.option_a, data.option_b, data.option_c, data.option_d];
+    }
+    return { ref: `item ${i + 1}`, data };
+  });
+
+  return { entries, errors: [] };
+}
+
+function jsonAnswerFields(q) {
+  const type = q.type || 'single';
+  if (type === 'multi') return { type, correct_answers: q.correct_answers || [], scoring: q.scoring || 'partial' };
+  if (type === 'order') return { type, correct_order: q.correct_order || [], scoring: q.scoring || 'partial' };
+  if (type === 'short') return { type, accepted_answers: q.accepted_answers || [] };
+  return { type, correct_answer: q.correct_answer };
+}
+
+function formatJson(questions) {
+  const out = questions.map((q) => ({
+    question_key: q.question_key || null,
+    phase: q.phase,
+    domain: q.domain,
+    question_text: q.question_text,
+    options: Array.isArray(q.options) ? q.options.map(stripOptionPrefix) : [],
+    ...jsonAnswerFields(q),
+    pin_options: !!q.pin_options,
+    explanation: q.explanation || ''
+  }));
+  return JSON.stringify({ questions: out }, null, 2) + '\n';
+}
+
+// ---- Moodle GIFT (multiple choice, multiple answer and short answer subset) ----
+// Phase and domain travel in $CATEGORY lines: $CATEGORY: $course$/ArxCafe ML Engineer/Phase 1/Data Quality
+
+const GIFT_SPECIAL = /[~=#{}:\\]/g;
+
+function giftEscape(s) {
+  return String(s ?? '').replace(GIFT_SPECIAL, (m) => '\\' + m).replace(/\r?\n/g, '\\n');
+}
+
+function giftUnescape(s) {
+  return String(s ?? '').replace(/\\(.)/g, (m, c) => (c === 'n' ? '\n' : c)).trim();
+}
+
+// Moodle titles are free text ("Q1 about ML"); question_key allows letters, digits and . _ : -.
+// Keys exported by this app come back unchanged. An empty result leaves the key to be
+// derived from the question text.
+function giftTitleKey(title) {
+  return String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9._:-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
+}
+
+// Index of the first unescaped occurrence of ch at or after from.
+function indexOfUnescaped(s, ch, from = 0) {
+  for (let i = from; i < s.length; i += 1) {
+    if (s[i] === '\\') { i += 1; continue; }
+    if (s[i] === ch) return i;
+  }
+  return -1;
+}
+
+function parseGiftCategory(category) {
+  const parts = String(category || '').split('/').map((p) => p.trim()).filter(Boolean);
+  let phase = '';
+  let domain = '';
+  for (const p of parts) {
+    const m = /^phase\s*(\d+)$/i.exec(p);
+    if (m) phase = m[1];
+  }
+  if (parts.length) domain = parts[parts.length - 1];
+  if (/^phase\s*\d+$/i.test(domain)) domain = '';
+  return { phase, domain };
+}
+
+function parseGiftAnswers(body) {
+  const answers = [];
+  let general = '';
+  let i = 0;
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+    let text = current.text;
+    const fb = indexOfUnescaped(text, '#');
+    if (fb >= 0) text = text.slice(0, fb);
+    const weight = /^%(-?\d+(\.\d+)?)%/.exec(text);
+    text = text.replace(/^%-?\d+(\.\d+)?%/, '');
+    answers.push({ correct: current.correct, weight: weight ? Number(weight[1]) : null, text: giftUnescape(text) });
+    current = null;
+  };
+
+  while (i < body.length) {
+    const c = body[i];
+    if (c === '\\') {
+      if (current) current.text += body.slice(i, i + 2);
+      i += 2;
+      continue;
+    }
+    if (body.startsWith('####', i)) {
+      flush();
+      general = giftUnescape(body.slice(i + 4));
+      break;
+    }
+    if (c === '=' || c === '~') {
+      flush();
+      current = { correct: c === '=', text: '' };
+      i += 1;
+      continue;
+    }
+    if (current) current.text += c;
+    i += 1;
+  }
+  flush();
+
+  return { answers, general };
+}
+
+function parseGift(text) {
+  const entries = [];
+  const errors = [];
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  let category = { phase: '', domain: '' };
+  let block = [];
+  let blockLine = 0;
+
+  const finishBlock = () => {
+    if (!block.length) return;
+    const raw = block.join('\n').trim();
+    const ref = `line ${blockLine}`;
+    block = [];
+    if (!raw) return;
+
+    let rest = raw;
+    let question_key = '';
+    if (rest.startsWith('::')) {
+      let end = rest.indexOf('::', 2);
+      while (end > 0 && rest[end - 1] === '\\') end = rest.indexOf('::', end + 1);
+      if (end < 0) {
+        errors.push({ ref, errors: ['Unterminated ::title::'] });
+        return;
+      }
+      question_key = giftTitleKey(giftUnescape(rest.slice(2, end)));
+      rest = rest.slice(end + 2);
+    }
+    rest = rest.replace(/^\s*\[(html|moodle|plain|markdown)\]/i, '');
+
+    const open = indexOfUnescaped(rest, '{');
+    const close = open >= 0 ? indexOfUnescaped(rest, '}', open + 1) : -1;
+    if (open < 0 || close < 0) {
+      errors.push({ ref, errors: ['Missing { ... } answer block'] });
+      return;
+    }
+
+    const { answers, general } = parseGiftAnswers(rest.slice(open + 1, close));
+    const base = {
+      question_key,
+      phase: category.phase,
+      domain: category.domain,
+      question_text: giftUnescape(rest.slice(0, open)),
+      explanation: general
+    };
+
+    // Only "=" answers: short answer. Positive %weights on "~" answers: multiple answer.
+    if (answers.length && answers.every((a) => a.correct)) {
+      entries.push({ ref, data: { ...base, type: 'short', options: [], accepted_answers: answers.map((a) => a.text) } });
+      return;
+    }
+    if (answers.some((a) => !a.correct && a.weight > 0)) {
+      const letters = answers.map((a, i) => (a.weight > 0 ? OPTION_LETTERS[i] : null)).filter(Boolean);
+      entries.push({ ref, data: { ...base, type: 'multi', options: answers.map((a) => a.text), correct_answers: letters } });
+      return;
+    }
+
+    const correctIdx = answers.findIndex((a) => a.correct);
+    const correctCount = answers.filter((a) => a.correct).length;
+    entries.push({
+      ref,
+      data: {
+        ...base,
+        options: answers.map((a) => a.text),
+        correct_answer: correctCount === 1 ? OPTION_LETTERS[correctIdx] : ''
+      }
+    });
+  };
+
+  lines.forEach((line, i) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('//')) return;
+
+    if (/^\$CATEGORY:/i.test(trimmed)) {
+      finishBlock();
+      category = parseGiftCategory(trimmed.replace(/^\$CATEGORY:/i, '').replace(/^\s*\$course\$\/?/i, ''));
+      return;
+    }
+
+    if (!trimmed) {
+      finishBlock();
+      return;
+    }
+
+    if (!block.length) blockLine = i + 1;
+    block.push(line);
+  });
+  finishBlock();
+
+  return { entries, errors };
+}
+
+function formatGift(questions) {
+  const out = [];
+  let lastCategory = null;
+
+  for (const q of questions) {
+    const category = `$CATEGORY: $course$/ArxCafe ML Engineer/Phase ${q.phase}/${q.domain}`;
+    if (category !== lastCategory) {
+      out.push(category, '');
+      lastCategory = category;
+    }
+
+    const type = q.type || 'single';
+    if (type === 'order') {
+      out.push(`// Skipped ordering question ${q.question_key || q.question_text.slice(0, 60)}: GIFT has no ordering type`, '');
+      continue;
+    }
+
+    const correctIdx = OPTION_LETTERS.indexOf(q.correct_answer);
+    const opts = Array.isArray(q.options) ? q.options.map(stripOptionPrefix) : [];
+    const title = q.question_key ? `::${giftEscape(q.question_key)}::` : '';
+
+    out.push(`${title}${giftEscape(q.question_text)} {`);
+    if (type === 'short') {
+      (q.accepted_answers || []).forEach((a) => out.push(`\t=${giftEscape(a)}`));
+    } else if (type === 'multi') {
+      const correct = new Set((q.correct_answers || []).map((l) => OPTION_LETTERS.indexOf(l)));
+      const right = Math.round(100 / Math.max(1, correct.size) * 100000) / 100000;
+      const wrong = Math.round(100 / Math.max(1, opts.length - correct.size) * 100000) / 100000;
+      opts.forEach((o, i) => out.push(`\t~%${correct.has(i) ? right : -wrong}%${giftEscape(o)}`));
+    } else {
+      opts.forEach((o, i) => out.push(`\t${i === correctIdx ? '=' : '~'}${giftEscape(o)}`));
+    }
+    if (q.explanation) out.push(`\t####${giftEscape(q.explanation)}`);
+    out.push('}', '');
+  }
+
+  return out.join('\n');
+}
+
+function parseQuestions(format, text) {
+  if (format === 'csv') return parseCsv(text);
+  if (format === 'json') return parseJson(text);
+  if (format === 'gift') return parseGift(text);
+  return { entries: [], errors: [{ ref: 'file', errors: [`Unsupported format: ${format}`] }] };
+}
+
+function formatQuestions(format, questions) {
+  if (format === 'csv') return formatCsv(questions);
+  if (format === 'json') return formatJson(questions);
+  if (format === 'gift') return formatGift(questions);
+  throw new Error(`Unsupported format: ${format}`);
+}
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  gift: 'text/plain; charset=utf-8'
+};
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  detectFormat,
+  parseQuestions,
+  formatQuestions
+};
@@ -0,0 +1,77 @@
+// Bulk import/export for ml_engineer_questions.
+// Used by scripts/question-bank.js (CLI) and the admin upload/export endpoints.
+const MlQuestion = require('../models/MlQuestion');
+const { buildQuestionKey, normalizeQuestionInput } = require('./mlQuestions');
+const { parseQuestions, formatQuestions } = require('./questionFormats');
+const { sameContent, createQuestion, saveQuestionEdit } = require('./questionRevisions');
+
+// Validate every row first, then upsert by question_key.
+// Rows without a key get one derived from the stem; legacy documents that predate
+// keys are matched by exact question_text and adopt the key on update.
+// Content changes bump the question version like an editor save (utils/questionRevisions).
+// Returns { total, created, updated, unchanged, errors: [{ ref, errors }] }.
+async function importQuestions({ format, text, dryRun = false, editedBy = null }) {
+  const parsed = parseQuestions(format, text);
+  const errors = parsed.errors.slice();
+  const rows = [];
+  const seenKeys = new Map();
+
+  for (const entry of parsed.entries) {
+    const { value, errors: rowErrors } = normalizeQuestionInput(entry.data);
+    const question_key = value.question_key || buildQuestionKey(value.question_text);
+
+    if (!rowErrors.length && seenKeys.has(question_key)) {
+      rowErrors.push(`Duplicate question_key ${question_key} (first seen at ${seenKeys.get(question_key)})`);
+    }
+
+    if (rowErrors.length) {
+      errors.push({ ref: entry.ref, errors: rowErrors });
+      continue;
+    }
+
+    seenKeys.set(question_key, entry.ref);
+    rows.push({ ref: entry.ref, value: { ...value, question_key } });
+  }
+
+  const summary = { total: parsed.entries.length, created: 0, updated: 0, unchanged: 0, errors };
+
+  for (const row of rows) {
+    const { value } = row;
+    let existing = await MlQuestion.findOne({ question_key: value.question_key });
+    if (!existing) {
+      existing = await MlQuestion.findOne({ question_key: null, question_text: value.question_text });
+    }
+
+    if (existing && existing.question_key === value.question_key && sameContent(existing, value)) {
+      summary.unchanged += 1;
+      continue;
+    }
+
+    if (dryRun) {
+      if (existing) summary.updated += 1;
+      else summary.created += 1;
+      continue;
+    }
+
+    try {
+      if (existing) {
+        await saveQuestionEdit(existing, value, { editedBy, source: 'import' });
+        summary.updated += 1;
+      } else {
+        await createQuestion(value, { editedBy, source: 'import' });
+        summary.created += 1;
+      }
+    } catch (err) {
+      errors.push({ ref: row.ref, errors: [err?.message || 'Failed to save'] });
+    }
+  }
+
+  return summary;
+}
+
+async function exportQuestions({ format, filter = {} }) {
+  const questions = await MlQuestion.find(filter).sort({ phase: 1, domain: 1, _id: 1 }).lean();
+  return { count: questions.length, body: formatQuestions(format, questions) };
+}
+
+module.exports = { importQuestions, exportQuestions };
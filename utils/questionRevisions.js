@@ -0,0 +1,121 @@
+// Version history for ml_engineer_questions.
+// MlQuestion.version counts content edits and every version has one immutable row in
+// ml_question_revisions with the content as it was. Answers and attempts record the version
+// they were taken against, so history can be shown with the wording the learner actually saw.
+// Soft delete/restore and question_key changes are not content edits and keep the version.
+// Questions that predate versioning get their current content backfilled as version 1 on first edit.
+const MlQuestion = require('../models/MlQuestion');
+const MlQuestionRevision = require('../models/MlQuestionRevision');
+const { ML_QUIZ_ID, fromMlRevision } = require('./questionBank');
+
+const REVISION_FIELDS = [
+  'question_text',
+  'type',
+  'options',
+  'correct_answer',
+  'correct_answers',
+  'correct_order',
+  'accepted_answers',
+  'scoring',
+  'pin_options',
+  'phase',
+  'domain',
+  'explanation'
+];
+
+// Versioned content of a question document or normalizeQuestionInput() value, with the
+// defaults filled in so a legacy document compares equal to the same content re-entered.
+function contentOf(doc) {
+  const type = doc.type || 'single';
+  const list = (v) => (Array.isArray(v) ? v.map(String) : []);
+  return {
+    question_text: String(doc.question_text ?? ''),
+    type,
+    options: list(doc.options),
+    correct_answer: type === 'single' ? doc.correct_answer || null : null,
+    correct_answers: type === 'multi' ? list(doc.correct_answers) : [],
+    correct_order: type === 'order' ? list(doc.correct_order) : [],
+    accepted_answers: type === 'short' ? list(doc.accepted_answers) : [],
+    scoring: doc.scoring || null,
+    pin_options: doc.pin_options === true,
+    phase: typeof doc.phase === 'number' ? doc.phase : null,
+    domain: doc.domain || null,
+    explanation: String(doc.explanation ?? '')
+  };
+}
+
+function sameContent(a, b) {
+  const x = contentOf(a);
+  const y = contentOf(b);
+  return REVISION_FIELDS.every((f) => JSON.stringify(x[f]) === JSON.stringify(y[f]));
+}
+
+async function recordRevision(doc, { editedBy = null, source = 'editor' } = {}) {
+  return MlQuestionRevision.create({
+    question_id: doc._id,
+    version: doc.version || 1,
+    question_key: doc.question_key || null,
+    ...contentOf(doc),
+    edited_by: editedBy || null,
+    source
+  });
+}
+
+// Snapshot the document's current version if history does not have it yet.
+async function ensureRevision(doc) {
+  const exists = await MlQuestionRevision.exists({ question_id: doc._id, version: doc.version || 1 });
+  if (!exists) await recordRevision(doc, { source: 'backfill' });
+}
+
+// Create a question at version 1 together with its first revision.
+async function createQuestion(value, { editedBy = null, source = 'editor' } = {}) {
+  const question = await MlQuestion.create({ ...value, version: 1 });
+  await recordRevision(question, { editedBy, source });
+  return question;
+}
+
+// Apply an edit to a loaded MlQuestion document. A content change bumps the version and
+// records the new revision; other changes (question_key) save in place.
+// Returns { question, versioned }.
+async function saveQuestionEdit(doc, value, { editedBy = null, source = 'editor' } = {}) {
+  const versioned = !sameContent(doc, value);
+  if (versioned) await ensureRevision(doc);
+
+  doc.set(value);
+  if (versioned) doc.version = (doc.version || 1) + 1;
+  await doc.save();
+
+  if (versioned) await recordRevision(doc, { editedBy, source });
+  return { question: doc, versioned };
+}
+
+// Full history of one question, newest first.
+async function listRevisions(questionId) {
+  return MlQuestionRevision.find({ question_id: questionId }).sort({ version: -1 }).select({ __v: 0 }).lean();
+}
+
+// Normalized questions as they read at the given versions ({ question_id: version }).
+// Falls back to the current content when a version has no stored revision
+// (answers recorded before versioning, or the IT pyramid bank).
+async function questionsAtVersions(questions, versions) {
+  const wanted = questions.filter((q) => {
+    const v = versions?.[q.id];
+    return q.quiz_id === ML_QUIZ_ID && Number.isInteger(v) && v !== q.version;
+  });
+  if (!wanted.length) return questions;
+
+  const rows = await MlQuestionRevision.find({
+    $or: wanted.map((q) => ({ question_id: q.id, version: versions[q.id] }))
+  }).lean();
+  const byId = new Map(rows.map((r) => [String(r.question_id), fromMlRevision(r)]));
+  return questions.map((q) => byId.get(q.id) || q);
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  sameContent,
+  createQuestion,
+  saveQuestionEdit,
+  listRevisions,
+  questionsAtVersions
+};
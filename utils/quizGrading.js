@@ -0,0 +1,177 @@
+// Server-side grading. Inputs are normalized questions from utils/questionBank.
+//
+// A response depends on the question type:
+//   single: option index            multi: array of option indexes
+//   order:  array of option indexes, first to last      short: text
+// Grading returns a credit between 0 and 1; an answer counts as correct only at 1.
+//   multi partial:  (right picks - wrong picks) / number of correct options, floored at 0
+//   order partial:  share of options in their correct position
+//   all_or_nothing: 1 for an exact match, else 0
+//   short:          1 when the text matches an accepted answer after normalizeShortAnswer()
+
+const MAX_SHORT_ANSWER_LENGTH = 200;
+
+function questionType(question) {
+  return question.type || 'single';
+}
+
+function isOptionIndex(question, i) {
+  return Number.isInteger(i) && i >= 0 && i < question.options.length;
+}
+
+// Case, surrounding punctuation and repeated whitespace do not matter.
+function normalizeShortAnswer(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^[\s.,;:!?"'()]+|[\s.,;:!?"'()]+$/g, '');
+}
+
+// Read a learner's response from a request body: { response } for any type, or the older
+// { selected_index } for single choice. Returns the response, or null when it is malformed.
+function parseResponse(question, body) {
+  const type = questionType(question);
+  const raw = typeof body?.response !== 'undefined' ? body.response : body?.selected_index;
+
+  if (type === 'single') {
+    const i = Number(raw);
+    return raw !== null && raw !== '' && isOptionIndex(question, i) ? i : null;
+  }
+  if (type === 'multi') {
+    if (!Array.isArray(raw) || !raw.length) return null;
+    const picks = raw.map(Number);
+    if (!picks.every((i) => isOptionIndex(question, i)) || new Set(picks).size !== picks.length) return null;
+    return picks.sort((a, b) => a - b);
+  }
+  if (type === 'order') {
+    if (!Array.isArray(raw) || raw.length !== question.options.length) return null;
+    const order = raw.map(Number);
+    if (!order.every((i) => isOptionIndex(question, i)) || new Set(order).size !== order.length) return null;
+    return order;
+  }
+  if (type === 'short') {
+    const text = typeof raw === 'string' ? raw.trim() : '';
+    return text && text.length <= MAX_SHORT_ANSWER_LENGTH ? text : null;
+  }
+  return null;
+}
+
+// Credit between 0 and 1 for a parsed response.
+function scoreResponse(question, response) {
+  const type = questionType(question);
+
+  if (type === 'single') return Number.isInteger(response) && response === question.correct_index ? 1 : 0;
+
+  if (type === 'multi') {
+    const correct = new Set(question.correct_indices || []);
+    const picks = Array.isArray(response) ? response : [];
+    const right = picks.filter((i) => correct.has(i)).length;
+    const wrong = picks.length - right;
+    if (!correct.size) return 0;
+    if (question.scoring === 'all_or_nothing') return right === correct.size && wrong === 0 ? 1 : 0;
+    return Math.max(0, (right - wrong) / correct.size);
+  }
+
+  if (type === 'order') {
+    const expected = question.correct_order || [];
+    const order = Array.isArray(response) ? response : [];
+    if (!expected.length) return 0;
+    const inPlace = expected.filter((i, pos) => order[pos] === i).length;
+    if (question.scoring === 'all_or_nothing') return inPlace === expected.length ? 1 : 0;
+    return inPlace / expected.length;
+  }
+
+  if (type === 'short') {
+    const given = normalizeShortAnswer(response);
+    return given && (question.accepted_answers || []).some((a) => normalizeShortAnswer(a) === given) ? 1 : 0;
+  }
+
+  return 0;
+}
+
+// Returns { credit, correct } rounded to two decimals so stored credits stay readable.
+function gradeResponse(question, response) {
+  const credit = Math.round(scoreResponse(question, response) * 100) / 100;
+  return { credit, correct: credit === 1 };
+}
+
+// The option index to store in selected_index columns (single choice only).
+function selectedIndexOf(question, response) {
+  return questionType(question) === 'single' && Number.isInteger(response) ? response : null;
+}
+
+// What the learner should have answered, in the shape of a response.
+function correctResponse(question) {
+  const type = questionType(question);
+  if (type === 'multi') return question.correct_indices;
+  if (type === 'order') return question.correct_order;
+  if (type === 'short') return (question.accepted_answers || [])[0] || '';
+  return question.correct_index;
+}
+
+// Plain-text rendering of a response (mistake notebook, AI explanation prompts).
+// Single choice returns the option text unchanged so existing AI cache keys still match.
+function describeResponse(question, response) {
+  const type = questionType(question);
+  const option = (i) => question.options[i] || '';
+  if (type === 'single') return option(response);
+  if (type === 'multi') return (Array.isArray(response) ? response : []).map(option).join('; ');
+  if (type === 'order') return (Array.isArray(response) ? response : []).map(option).join(' → ');
+  return String(response ?? '');
+}
+
+function describeCorrect(question) {
+  return describeResponse(question, correctResponse(question));
+}
+
+// Answer fields revealed after grading, for API responses.
+function answerKey(question) {
+  const type = questionType(question);
+  if (type === 'multi') return { correct_indices: question.correct_indices };
+  if (type === 'order') return { correct_order: question.correct_order };
+  if (type === 'short') return { accepted_answers: question.accepted_answers };
+  return { correct_index: question.correct_index };
+}
+
+// Score a finished session. Unanswered questions count toward total but not score,
+// so abandoning half-way cannot inflate the percentage. Partly right answers add their credit.
+function summarizeAnswers(questions, answers) {
+  const answerById = new Map((answers || []).map((a) => [String(a.question_id), a]));
+  const byDomain = new Map();
+  let score = 0;
+
+  for (const q of questions) {
+    const a = answerById.get(q.id);
+    const credit = !a ? 0 : (typeof a.credit === 'number' ? a.credit : (a.correct ? 1 : 0));
+    score += credit;
+
+    const d = byDomain.get(q.domain) || { domain: q.domain, correct: 0, total: 0 };
+    d.total += 1;
+    d.correct = Math.round((d.correct + credit) * 100) / 100;
+    byDomain.set(q.domain, d);
+  }
+
+  score = Math.round(score * 100) / 100;
+  const total = questions.length;
+  return {
+    score,
+    total,
+    percentage: total > 0 ? Math.round((score / total) * 100) : 0,
+    domain_stats: Array.from(byDomain.values())
+  };
+}
+
+module.exports = {
+  MAX_SHORT_ANSWER_LENGTH,
+  normalizeShortAnswer,
+  parseResponse,
+  gradeResponse,
+  selectedIndexOf,
+  correctResponse,
+  describeResponse,
+  describeCorrect,
+  answerKey,
+  summarizeAnswers
+};
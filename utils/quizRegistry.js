@@ -0,0 +1,134 @@
+// Quiz registry: the quiz IDs the progress API accepts, their progress keys and access tier.
+// Definitions live in the quiz_registry collection (models/QuizDefinition). DEFAULT_QUIZZES
+// fill in any built-in quiz without a stored row, so existing quizzes keep working before
+// seed-quiz-registry.js has run (also once an admin has saved some other quiz). A stored row
+// replaces the default with the same quiz_id; set active: false there to retire a built-in.
+const QuizDefinition = require('../models/QuizDefinition');
+const { hasActiveSubscription } = require('../middleware/auth');
+
+const ACCESS_TIERS = ['auth', 'paid'];
+const QUIZ_ID_RE = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+const CACHE_TTL_MS = 60 * 1000;
+
+const DEFAULT_QUIZZES = [
+  {
+    quiz_id: 'it-learning-pyramid',
+    title: 'IT Learning Pyramid',
+    access: 'auth',
+    progress_keys: [{ key: null, pattern: '^networking-d[1-5]$', batch_size: 20, max_batches: 1000 }],
+    active: true
+  },
+  {
+    quiz_id: 'ml-engineer-exam',
+    title: 'Professional Machine Learning Engineer',
+    access: 'auth',
+    progress_keys: [],
+    active: true
+  }
+];
+
+let cache = null;
+let cacheAt = 0;
+
+function invalidateCache() {
+  cache = null;
+  cacheAt = 0;
+}
+
+async function loadDefinitions() {
+  if (cache && Date.now() - cacheAt < CACHE_TTL_MS) return cache;
+  const docs = await QuizDefinition.find({}).lean();
+  const stored = new Set(docs.map((d) => d.quiz_id));
+  cache = [...docs, ...DEFAULT_QUIZZES.filter((d) => !stored.has(d.quiz_id))];
+  cacheAt = Date.now();
+  return cache;
+}
+
+async function listQuizzes() {
+  return loadDefinitions();
+}
+
+// Active definition for quizId, or null.
+async function getQuiz(quizId) {
+  const defs = await loadDefinitions();
+  return defs.find((d) => d.quiz_id === quizId && d.active !== false) || null;
+}
+
+// The progress key rule that admits progressKey, or null.
+function findProgressKeyRule(def, progressKey) {
+  for (const rule of def?.progress_keys || []) {
+    if (rule.key && rule.key === progressKey) return rule;
+    if (rule.pattern) {
+      try {
+        if (new RegExp(rule.pattern).test(progressKey)) return rule;
+      } catch {
+        // invalid patterns are rejected on save; ignore legacy ones
+      }
+    }
+  }
+  return null;
+}
+
+async function canAccessQuiz(def, user) {
+  if (!def || !user) return false;
+  if (def.access !== 'paid' || user.role === 'admin') return true;
+  return hasActiveSubscription(user._id);
+}
+
+function positiveIntOrNull(x) {
+  const n = Math.floor(Number(x));
+  return Number.isFinite(n) && n >= 1 ? n : null;
+}
+
+// Validate an admin-supplied definition. Returns { value, errors }.
+function normalizeQuizDefinition(raw, quizId) {
+  const errors = [];
+  const quiz_id = String(quizId ?? raw?.quiz_id ?? '').trim();
+  if (!QUIZ_ID_RE.test(quiz_id)) errors.push('quiz_id must be lowercase letters, digits, ".", "_" or "-"');
+
+  const access = String(raw?.access || 'auth');
+  if (!ACCESS_TIERS.includes(access)) errors.push(`access must be one of ${ACCESS_TIERS.join(', ')}`);
+
+  const rules = Array.isArray(raw?.progress_keys) ? raw.progress_keys : [];
+  const progress_keys = rules.map((r, i) => {
+    const key = String(r?.key || '').trim() || null;
+    const pattern = String(r?.pattern || '').trim() || null;
+    if (!key === !pattern) errors.push(`progress_keys[${i}]: set exactly one of key or pattern`);
+    if (pattern) {
+      try {
+        new RegExp(pattern);
+      } catch (err) {
+        errors.push(`progress_keys[${i}]: invalid pattern (${err.message})`);
+      }
+      if (!pattern.startsWith('^') || !pattern.endsWith('$')) errors.push(`progress_keys[${i}]: pattern must be anchored with ^ and $`);
+    }
+    return {
+      key,
+      pattern,
+      batch_size: positiveIntOrNull(r?.batch_size),
+      max_batches: positiveIntOrNull(r?.max_batches) || 1000
+    };
+  });
+
+  return {
+    value: {
+      quiz_id,
+      title: String(raw?.title || '').trim(),
+      access,
+      progress_keys,
+      active: raw?.active !== false
+    },
+    errors
+  };
+}
+
+module.exports = {
+  ACCESS_TIERS,
+  DEFAULT_QUIZZES,
+  invalidateCache,
+  listQuizzes,
+  getQuiz,
+  findProgressKeyRule,
+  canAccessQuiz,
+  normalizeQuizDefinition
+};
@@ -0,0 +1,178 @@
+// Session completion shared by the quiz API and the background exam sweep.
+// A finished QuizSession becomes one QuizAttempt; timed exam sessions are
+// submitted by the server once their deadline has passed.
+const QuizSession = require('../models/QuizSession');
+const QuizAttempt = require('../models/QuizAttempt');
+const QuizAnswer = require('../models/QuizAnswer');
+const QuizProgress = require('../models/QuizProgress');
+const { getQuestionsByIds } = require('./questionBank');
+const { summarizeAnswers, answerKey } = require('./quizGrading');
+const { recordReview } = require('./reviewSchedule');
+const { recordOutcome } = require('./adaptive');
+const { recordMistakeOutcome } = require('./mistakeNotebook');
+const { optionOrderFor, shownQuestion, toShownResponse } = require('./optionShuffle');
+
+const EXAM_DEFAULT_COUNT = 50;
+const EXAM_DEFAULT_MINUTES = 120;
+const EXAM_MAX_MINUTES = 240;
+// Requests arriving this soon after the deadline still count (network latency at the buzzer).
+const EXAM_GRACE_MS = 2000;
+
+// Feed a graded answer into the user's spaced-repetition schedule, the adaptive
+// ability/difficulty ratings and the mistake notebook. Never throws.
+// response is the parsed answer (see quizGrading.parseResponse); null skips the notebook.
+async function recordGradedAnswer(userId, quizId, question, correct, response = null) {
+  try {
+    await recordReview({ userId, quizId, questionId: question.id, correct });
+  } catch (err) {
+    console.error('[ReviewCard] Schedule error:', err);
+  }
+  try {
+    await recordOutcome({ userId, quizId, question, correct });
+  } catch (err) {
+    console.error('[Adaptive] Rating update error:', err);
+  }
+  try {
+    await recordMistakeOutcome({ userId, quizId, question, response, correct });
+  } catch (err) {
+    console.error('[Mistakes] Notebook error:', err);
+  }
+}
+
+function attemptModeFor(session) {
+  if (session.mode === 'exam') return 'exam';
+  if (session.mode === 'adaptive') return 'adaptive';
+  if (session.mode === 'custom') return 'custom';
+  return 'practice';
+}
+
+function isExamOverdue(session, now = Date.now()) {
+  return (
+    session.mode === 'exam' &&
+    session.status === 'active' &&
+    !!session.deadline_at &&
+    now > new Date(session.deadline_at).getTime() + EXAM_GRACE_MS
+  );
+}
+
+// { question_id: version } for the answers that recorded one.
+function answeredVersions(answers) {
+  const versions = {};
+  for (const a of answers || []) {
+    if (Number.isInteger(a.question_version)) versions[a.question_id] = a.question_version;
+  }
+  return versions;
+}
+
+// Per-question outcome shown after an exam is submitted, in the option order the exam showed
+// (optionOrders: QuizSession.option_orders).
+function examReview(questions, answers, optionOrders = null) {
+  const answerById = new Map((answers || []).map((a) => [a.question_id, a]));
+  return questions.map((question) => {
+    const order = optionOrderFor(question, optionOrders);
+    const q = shownQuestion(question, order);
+    const a = answerById.get(q.id);
+    const response = a ? toShownResponse(question, a.response ?? a.selected_index, order) : null;
+    return {
+      question_id: q.id,
+      domain: q.domain,
+      type: q.type,
+      question_text: q.question_text,
+      options: q.options,
+      selected_index: a && Number.isInteger(a.selected_index) ? response : null,
+      response,
+      correct: !!a?.correct,
+      credit: a && typeof a.credit === 'number' ? a.credit : (a?.correct ? 1 : 0),
+      correct_index: q.correct_index,
+      ...answerKey(q),
+      explanation: q.explanation || null
+    };
+  });
+}
+
+// Grade the session and store its QuizAttempt.
+// Returns { attempt, questions, session }, or null when another request completed it first.
+async function finalizeSession(session, { autoSubmitted = false } = {}) {
+  const questions = await getQuestionsByIds(session.quiz_id, session.question_ids);
+
+  // Claim the session first so two concurrent completes cannot create two attempts.
+  const claimed = await QuizSession.findOneAndUpdate(
+    { _id: session._id, status: 'active' },
+    { $set: { status: 'completed', completed_at: new Date(), auto_submitted: autoSubmitted } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const summary = summarizeAnswers(questions, claimed.answers);
+  const versions = answeredVersions(claimed.answers);
+  const attempt = await QuizAttempt.create({
+    user_id: claimed.user_id,
+    quiz_id: claimed.quiz_id,
+    phase: claimed.phase,
+    mode: attemptModeFor(claimed),
+    blueprint_id: claimed.blueprint_id || null,
+    filters: claimed.filters || null,
+    session_id: claimed._id,
+    covers_phase: claimed.covers_phase === true,
+    question_versions: questions.map((q) => ({ question_id: q.id, version: versions[q.id] ?? q.version })),
+    ...summary
+  });
+
+  await QuizSession.updateOne({ _id: claimed._id }, { $set: { attempt_id: attempt._id } });
+  // Answer-log rows written before completion get linked to the attempt now.
+  await QuizAnswer.updateMany({ session_id: claimed._id, attempt_id: null }, { $set: { attempt_id: attempt._id } });
+
+  // Exam answers may change until submit, so schedules and ratings only see the final ones.
+  if (claimed.mode === 'exam') {
+    const byId = new Map(questions.map((q) => [q.id, q]));
+    for (const a of claimed.answers) {
+      const q = byId.get(a.question_id);
+      if (q) await recordGradedAnswer(claimed.user_id, claimed.quiz_id, q, a.correct, a.response ?? a.selected_index);
+    }
+  }
+
+  // A finished session is no longer resumable.
+  await QuizProgress.updateOne(
+    { user_id: claimed.user_id, quiz_id: claimed.quiz_id, 'active_session.session_id': claimed._id },
+    { $set: { active_session: null } }
+  );
+
+  claimed.attempt_id = attempt._id;
+  return { attempt, questions, session: claimed };
+}
+
+// Submit every exam session whose deadline has passed (optionally for one user).
+// Returns the number of sessions submitted.
+async function submitExpiredExams({ userId = null } = {}) {
+  const query = {
+    mode: 'exam',
+    status: 'active',
+    deadline_at: { $lt: new Date(Date.now() - EXAM_GRACE_MS) }
+  };
+  if (userId) query.user_id = userId;
+
+  const overdue = await QuizSession.find(query).limit(100);
+  let submitted = 0;
+  for (const session of overdue) {
+    try {
+      if (await finalizeSession(session, { autoSubmitted: true })) submitted += 1;
+    } catch (err) {
+      console.error('[MockExam] Auto-submit error:', err);
+    }
+  }
+  return submitted;
+}
+
+module.exports = {
+  EXAM_DEFAULT_COUNT,
+  EXAM_DEFAULT_MINUTES,
+  EXAM_MAX_MINUTES,
+  EXAM_GRACE_MS,
+  recordGradedAnswer,
+  attemptModeFor,
+  isExamOverdue,
+  answeredVersions,
+  examReview,
+  finalizeSession,
+  submitExpiredExams
+};
@@ -0,0 +1,67 @@
+// SM-2 scheduling for the review queue (models/ReviewCard).
+// Every graded answer in the ML Engineer and IT Learning Pyramid quizzes goes through
+// recordReview(); /api/review/due serves the cards whose due_at has passed.
+const ReviewCard = require('../models/ReviewCard');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+// Map a multiple-choice outcome onto SM-2's 0-5 response quality.
+function qualityFromAnswer(correct) {
+  return correct ? 4 : 1;
+}
+
+// Classic SM-2. Quality < 3 resets the repetition count and shows the card again tomorrow.
+function nextSchedule(card, quality, now = new Date()) {
+  const q = Math.max(0, Math.min(5, Math.round(quality)));
+  let ease = Number.isFinite(card?.ease_factor) ? card.ease_factor : DEFAULT_EASE;
+  let repetitions = Number.isFinite(card?.repetitions) ? card.repetitions : 0;
+  let interval = Number.isFinite(card?.interval_days) ? card.interval_days : 0;
+  let lapses = Number.isFinite(card?.lapses) ? card.lapses : 0;
+
+  if (q < 3) {
+    repetitions = 0;
+    interval = 1;
+    if (card?.last_reviewed_at) lapses += 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round(interval * ease);
+  }
+
+  ease = Math.max(MIN_EASE, ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+
+  return {
+    ease_factor: Math.round(ease * 100) / 100,
+    interval_days: interval,
+    repetitions,
+    lapses,
+    due_at: new Date(now.getTime() + interval * DAY_MS),
+    last_reviewed_at: now
+  };
+}
+
+// Apply one graded answer to the user's card for this question (created on first answer).
+// dueOnly (answers from the review queue): only reschedule an existing card that is due,
+// else return null. The update is conditional on the schedule read, so two concurrent answers
+// to one due card cannot both apply.
+async function recordReview({ userId, quizId, questionId, correct, at = new Date(), dueOnly = false }) {
+  const filter = { user_id: userId, quiz_id: quizId, question_id: String(questionId) };
+  const card = await ReviewCard.findOne(filter).lean();
+  if (dueOnly && !(card && card.due_at <= at)) return null;
+  const next = nextSchedule(card, qualityFromAnswer(!!correct), at);
+  if (dueOnly) {
+    const updated = await ReviewCard.updateOne({ ...filter, due_at: card.due_at }, { $set: next });
+    return updated.modifiedCount ? next : null;
+  }
+  await ReviewCard.updateOne(filter, { $set: next }, { upsert: true });
+  return next;
+}
+
+module.exports = {
+  qualityFromAnswer,
+  nextSchedule,
+  recordReview
+};